@@ -0,0 +1,64 @@
+pragma solidity ^0.4.24;
+
+import "openzeppelin-solidity/contracts/ownership/Contactable.sol";
+import "monetha-utility-contracts/contracts/Restricted.sol";
+
+
+/**
+ *  @title ClientReputation
+ *  Stores composite reputation of clients (buyers) keyed by their addresses, together with history of its changes.
+ *  Reputation is updated by Monetha addresses (e.g. PaymentProcessor contracts) when deals are completed.
+ */
+contract ClientReputation is Contactable, Restricted {
+
+    string constant VERSION = "0.1";
+
+    /// number of last digits in compositeReputation for fractional part
+    uint8 public constant REPUTATION_DECIMALS = 4;
+
+    struct ReputationChange {
+        string key;
+        uint32 value;
+        address updatedBy;
+        uint timestamp;
+    }
+
+    /// compositeReputationMap stores composite reputation of clients, that compraises from several metrics
+    mapping (address=>mapping (string=>uint32)) compositeReputationMap;
+
+    /// History of reputation changes by client address
+    mapping (address=>ReputationChange[]) public reputationHistory;
+
+    event ClientReputationChanged(address indexed clientAddress, address indexed updatedBy, string key, uint32 value);
+
+    /**
+     *  @return composite reputation value of the client by string key
+     */
+    function compositeReputation(address _clientAddress, string _key) external view returns (uint32) {
+        return compositeReputationMap[_clientAddress][_key];
+    }
+
+    /**
+     *  @return number of reputation changes of the client
+     */
+    function reputationHistoryLength(address _clientAddress) external view returns (uint) {
+        return reputationHistory[_clientAddress].length;
+    }
+
+    /**
+     *  Set composite reputation value of the client by string key
+     */
+    function setCompositeReputation(address _clientAddress, string _key, uint32 _value) external onlyMonetha {
+        require(_clientAddress != address(0));
+
+        compositeReputationMap[_clientAddress][_key] = _value;
+        reputationHistory[_clientAddress].push(ReputationChange({
+            key: _key,
+            value: _value,
+            updatedBy: msg.sender,
+            timestamp: now
+        }));
+
+        emit ClientReputationChanged(_clientAddress, msg.sender, _key, _value);
+    }
+}
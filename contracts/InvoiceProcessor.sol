@@ -0,0 +1,237 @@
+pragma solidity ^0.4.24;
+
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+import "openzeppelin-solidity/contracts/lifecycle/Pausable.sol";
+import "openzeppelin-solidity/contracts/lifecycle/Destructible.sol";
+import "openzeppelin-solidity/contracts/ownership/Contactable.sol";
+import "monetha-utility-contracts/contracts/Restricted.sol";
+import "./MonethaGateway.sol";
+import "./MerchantWallet.sol";
+import "./GenericERC20.sol";
+import "./MerchantProcessor.sol";
+
+
+/**
+ *  @title InvoiceProcessor
+ *  Each Merchant sending invoices (payment links) has one InvoiceProcessor.
+ *  Invoice can be paid once by anyone before its expiry, payment is transferred to merchant through MonethaGateway.
+ *
+ *  Invoice State Transitions:
+ *  Null -(createInvoice) -> Open
+ *  Open -(payInvoice/payInvoiceInTokens) -> Paid
+ *  Open -(expireInvoice) -> Expired
+ *  Open -(voidInvoice) -> Voided
+ */
+contract InvoiceProcessor is Pausable, Destructible, Contactable, Restricted, MerchantProcessor {
+
+    using SafeMath for uint256;
+
+    string constant VERSION = "0.1";
+
+    /// MonethaGateway contract for payment processing
+    MonethaGateway public monethaGateway;
+
+    enum State {Null, Open, Paid, Expired, Voided}
+
+    struct Invoice {
+        State state;
+        address tokenAddress;
+        uint amount;
+        uint fee;
+        uint expiry;
+        address payer;
+    }
+
+    mapping(uint => Invoice) public invoices;
+
+    event InvoiceCreated(uint indexed invoiceId, address indexed tokenAddress, uint amount, uint fee, uint expiry);
+
+    event InvoicePaid(uint indexed invoiceId, address indexed payer, address indexed tokenAddress, uint amount, uint monethaFee, uint discount);
+
+    event InvoiceExpired(uint indexed invoiceId);
+
+    event InvoiceVoided(uint indexed invoiceId);
+
+    /**
+     *  Restrict methods in such way, that they can be invoked only by Monetha or merchant.
+     */
+    modifier onlyMerchantOrMonetha() {
+        require(isMonethaAddress[msg.sender] || msg.sender == merchantWallet.merchantAccount());
+        _;
+    }
+
+    /**
+     *  Asserts that invoice is open and not expired yet.
+     *  @param _invoiceId Identifier of the invoice
+     */
+    modifier whenPayable(uint _invoiceId) {
+        require(invoices[_invoiceId].state == State.Open);
+        require(now <= invoices[_invoiceId].expiry);
+        _;
+    }
+
+    /**
+     *  Invoice Processor sets Monetha Gateway and Merchant Wallet.
+     *  @param _merchantId Merchant of the acceptor
+     *  @param _monethaGateway Address of MonethaGateway contract for payment processing
+     *  @param _merchantWallet Address of MerchantWallet, where merchant reputation and funds are stored
+     */
+    constructor(
+        string _merchantId,
+        MonethaGateway _monethaGateway,
+        MerchantWallet _merchantWallet
+    )
+    public
+    {
+        require(bytes(_merchantId).length > 0);
+
+        merchantIdHash = keccak256(abi.encodePacked(_merchantId));
+
+        setMonethaGateway(_monethaGateway);
+        setMerchantWallet(_merchantWallet);
+    }
+
+    /**
+     *  createInvoice allows Monetha or merchant to issue new invoice.
+     *  @param _invoiceId Identifier of the invoice
+     *  @param _tokenAddress Token address, 0x0 for ether
+     *  @param _amount Amount to be paid
+     *  @param _fee Monetha fee
+     *  @param _expiry Timestamp, after which invoice can't be paid
+     */
+    function createInvoice(
+        uint _invoiceId,
+        address _tokenAddress,
+        uint _amount,
+        uint _fee,
+        uint _expiry
+    )
+    external onlyMerchantOrMonetha whenNotPaused
+    {
+        require(_invoiceId > 0);
+        require(invoices[_invoiceId].state == State.Null);
+        require(_amount > 0);
+        require(_expiry > now);
+        checkFee(_tokenAddress, _amount, _fee);
+
+        invoices[_invoiceId] = Invoice({
+            state: State.Open,
+            tokenAddress: _tokenAddress,
+            amount: _amount,
+            fee: _fee,
+            expiry: _expiry,
+            payer: address(0)
+        });
+
+        emit InvoiceCreated(_invoiceId, _tokenAddress, _amount, _fee, _expiry);
+    }
+
+    /**
+     *  payInvoice is used by anyone to pay for the invoice in ether.
+     *  @param _invoiceId Identifier of the invoice
+     */
+    function payInvoice(uint _invoiceId) external payable whenNotPaused whenPayable(_invoiceId) {
+        Invoice storage invoice = invoices[_invoiceId];
+        require(invoice.tokenAddress == address(0));
+        require(msg.value == invoice.amount);
+
+        invoice.state = State.Paid;
+        invoice.payer = msg.sender;
+
+        uint discountWei = monethaGateway.acceptPayment.value(msg.value)(
+            fundAddress(),
+            invoice.fee,
+            msg.sender,
+            0,
+            paybackPermille(address(0)));
+
+        emit InvoicePaid(_invoiceId, msg.sender, address(0), msg.value, invoice.fee, discountWei);
+    }
+
+    /**
+     *  payInvoiceInTokens is used by anyone to pay for the invoice in tokens.
+     *  This call requires that token's approve method has been called prior to this.
+     *  @param _invoiceId Identifier of the invoice
+     */
+    function payInvoiceInTokens(uint _invoiceId) external whenNotPaused whenPayable(_invoiceId) {
+        Invoice storage invoice = invoices[_invoiceId];
+        require(invoice.tokenAddress != address(0));
+
+        invoice.state = State.Paid;
+        invoice.payer = msg.sender;
+
+        GenericERC20(invoice.tokenAddress).transferFrom(msg.sender, address(monethaGateway), invoice.amount);
+
+        uint discount = monethaGateway.acceptTokenPayment(
+            fundAddress(),
+            invoice.fee,
+            invoice.tokenAddress,
+            invoice.amount,
+            msg.sender,
+            0,
+            paybackPermille(invoice.tokenAddress));
+
+        emit InvoicePaid(_invoiceId, msg.sender, invoice.tokenAddress, invoice.amount, invoice.fee, discount);
+    }
+
+    /**
+     *  expireInvoice allows anyone to mark unpaid invoice as expired, when its expiry has passed.
+     *  @param _invoiceId Identifier of the invoice
+     */
+    function expireInvoice(uint _invoiceId) external {
+        Invoice storage invoice = invoices[_invoiceId];
+        require(invoice.state == State.Open);
+        require(now > invoice.expiry);
+
+        invoice.state = State.Expired;
+
+        emit InvoiceExpired(_invoiceId);
+    }
+
+    /**
+     *  voidInvoice allows Monetha or merchant to withdraw unpaid invoice.
+     *  @param _invoiceId Identifier of the invoice
+     */
+    function voidInvoice(uint _invoiceId) external onlyMerchantOrMonetha {
+        Invoice storage invoice = invoices[_invoiceId];
+        require(invoice.state == State.Open);
+
+        invoice.state = State.Voided;
+
+        emit InvoiceVoided(_invoiceId);
+    }
+
+    /**
+     *  invoiceState returns current state of the invoice, taking its expiry into account.
+     *  @param _invoiceId Identifier of the invoice
+     */
+    function invoiceState(uint _invoiceId) external view returns (State) {
+        Invoice storage invoice = invoices[_invoiceId];
+        if (invoice.state == State.Open && now > invoice.expiry) {
+            return State.Expired;
+        }
+
+        return invoice.state;
+    }
+
+    /**
+     *  setMonethaGateway allows owner to change address of MonethaGateway.
+     *  @param _newGateway Address of new MonethaGateway contract
+     */
+    function setMonethaGateway(MonethaGateway _newGateway) public onlyOwner {
+        require(address(_newGateway) != 0x0);
+
+        monethaGateway = _newGateway;
+    }
+
+    /**
+     *  setMerchantWallet allows owner to change address of MerchantWallet.
+     *  @param _newWallet Address of new MerchantWallet contract
+     */
+    function setMerchantWallet(MerchantWallet _newWallet) public onlyOwner {
+        require(address(_newWallet) != 0x0);
+        require(_newWallet.merchantIdHash() == merchantIdHash);
+
+        merchantWallet = _newWallet;
+    }
+}
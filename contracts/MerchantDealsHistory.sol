@@ -11,10 +11,36 @@ import "monetha-utility-contracts/contracts/Restricted.sol";
  */
 contract MerchantDealsHistory is Contactable, Restricted {
 
-    string constant VERSION = "0.3";
+    string constant VERSION = "0.4";
 
     ///  Merchant identifier hash
     bytes32 public merchantIdHash;
+
+    enum Outcome {Null, Successful, Unsuccessful, Cancelled, Refunded, PartiallyRefunded}
+
+    struct Deal {
+        Outcome outcome;
+        address clientAddress;
+        uint32 clientReputation;
+        uint32 merchantReputation;
+        uint dealHash;
+        uint timestamp;
+    }
+
+    /// Deal records by order identifier
+    mapping (uint => Deal) public deals;
+
+    /// Number of recorded deals. Counters reflect the latest outcome of each deal, when it's recorded again.
+    uint public dealsCount;
+
+    /// Number of successful deals (including partially refunded)
+    uint public successfulDealsCount;
+
+    /// Number of cancelled deals
+    uint public cancelledDealsCount;
+
+    /// Number of fully refunded deals (including disputes resolved with full refund)
+    uint public refundedDealsCount;
     
     //Deal event
     event DealCompleted(
@@ -46,6 +72,30 @@ contract MerchantDealsHistory is Contactable, Restricted {
         string refundReason
     );
 
+    //Deal partial refund event
+    event DealPartialRefund(
+        uint orderId,
+        address clientAddress,
+        uint32 clientReputation,
+        uint32 merchantReputation,
+        uint dealHash,
+        uint settledAmount,
+        uint refundedAmount,
+        string refundReason
+    );
+
+    //Deal dispute ruling event
+    event DealDisputeRuling(
+        uint orderId,
+        address clientAddress,
+        uint32 clientReputation,
+        uint32 merchantReputation,
+        uint dealHash,
+        uint releasedAmount,
+        uint refundedAmount,
+        string ruling
+    );
+
     /**
      *  @param _merchantId Merchant of the acceptor
      */
@@ -72,6 +122,15 @@ contract MerchantDealsHistory is Contactable, Restricted {
         uint _dealHash)
         external onlyMonetha
     {
+        storeDeal(
+            _orderId,
+            _isSuccess ? Outcome.Successful : Outcome.Unsuccessful,
+            _clientAddress,
+            _clientReputation,
+            _merchantReputation,
+            _dealHash
+        );
+
         emit DealCompleted(
             _orderId,
             _clientAddress,
@@ -100,6 +159,8 @@ contract MerchantDealsHistory is Contactable, Restricted {
         string _cancelReason)
         external onlyMonetha
     {
+        changeOutcome(_orderId, Outcome.Cancelled);
+
         emit DealCancelationReason(
             _orderId,
             _clientAddress,
@@ -128,6 +189,8 @@ contract MerchantDealsHistory is Contactable, Restricted {
         string _refundReason)
         external onlyMonetha
     {
+        changeOutcome(_orderId, Outcome.Refunded);
+
         emit DealRefundReason(
             _orderId,
             _clientAddress,
@@ -137,4 +200,148 @@ contract MerchantDealsHistory is Contactable, Restricted {
             _refundReason
         );
     }
+
+    /**
+     *  recordDealPartialRefund creates an event of paid deal, that was settled only partially
+     *  @param _orderId Identifier of deal's order
+     *  @param _clientAddress Address of client's account
+     *  @param _clientReputation Updated reputation of the client
+     *  @param _merchantReputation Updated reputation of the merchant
+     *  @param _dealHash Hashcode of the deal, describing the order (used for deal verification)
+     *  @param _settledAmount amount settled to the merchant
+     *  @param _refundedAmount amount refunded to the client
+     *  @param _refundReason deal partial refund reason (text)
+     */
+    function recordDealPartialRefund(
+        uint _orderId,
+        address _clientAddress,
+        uint32 _clientReputation,
+        uint32 _merchantReputation,
+        uint _dealHash,
+        uint _settledAmount,
+        uint _refundedAmount,
+        string _refundReason)
+        external onlyMonetha
+    {
+        changeOutcome(_orderId, Outcome.PartiallyRefunded);
+
+        emit DealPartialRefund(
+            _orderId,
+            _clientAddress,
+            _clientReputation,
+            _merchantReputation,
+            _dealHash,
+            _settledAmount,
+            _refundedAmount,
+            _refundReason
+        );
+    }
+
+    /**
+     *  recordDealDisputeRuling creates an event of disputed deal, that was resolved by arbiter
+     *  @param _orderId Identifier of deal's order
+     *  @param _clientAddress Address of client's account
+     *  @param _clientReputation Updated reputation of the client
+     *  @param _merchantReputation Updated reputation of the merchant
+     *  @param _dealHash Hashcode of the deal, describing the order (used for deal verification)
+     *  @param _releasedAmount amount released to the merchant
+     *  @param _refundedAmount amount refunded to the client
+     *  @param _ruling arbiter's ruling (text)
+     */
+    function recordDealDisputeRuling(
+        uint _orderId,
+        address _clientAddress,
+        uint32 _clientReputation,
+        uint32 _merchantReputation,
+        uint _dealHash,
+        uint _releasedAmount,
+        uint _refundedAmount,
+        string _ruling)
+        external onlyMonetha
+    {
+        if (_releasedAmount == 0) {
+            changeOutcome(_orderId, Outcome.Refunded);
+        } else if (_refundedAmount > 0) {
+            changeOutcome(_orderId, Outcome.PartiallyRefunded);
+        }
+
+        emit DealDisputeRuling(
+            _orderId,
+            _clientAddress,
+            _clientReputation,
+            _merchantReputation,
+            _dealHash,
+            _releasedAmount,
+            _refundedAmount,
+            _ruling
+        );
+    }
+
+    /**
+     *  dealOutcome returns outcome of the deal (Null if deal isn't recorded)
+     *  @param _orderId Identifier of deal's order
+     */
+    function dealOutcome(uint _orderId) external view returns (Outcome) {
+        return deals[_orderId].outcome;
+    }
+
+    /**
+     *  isDealSuccessful returns whether merchant was paid for the deal (fully or partially)
+     *  @param _orderId Identifier of deal's order
+     */
+    function isDealSuccessful(uint _orderId) external view returns (bool) {
+        Outcome outcome = deals[_orderId].outcome;
+        return outcome == Outcome.Successful || outcome == Outcome.PartiallyRefunded;
+    }
+
+    /**
+     *  storeDeal stores deal record together with reputation snapshot
+     */
+    function storeDeal(
+        uint _orderId,
+        Outcome _outcome,
+        address _clientAddress,
+        uint32 _clientReputation,
+        uint32 _merchantReputation,
+        uint _dealHash)
+        internal
+    {
+        changeOutcome(_orderId, _outcome);
+
+        deals[_orderId] = Deal({
+            outcome: _outcome,
+            clientAddress: _clientAddress,
+            clientReputation: _clientReputation,
+            merchantReputation: _merchantReputation,
+            dealHash: _dealHash,
+            timestamp: now
+        });
+    }
+
+    /**
+     *  changeOutcome sets outcome of the deal and moves the deal from counter of its previous outcome to counter of the new one
+     */
+    function changeOutcome(uint _orderId, Outcome _outcome) internal {
+        Outcome prevOutcome = deals[_orderId].outcome;
+
+        if (prevOutcome == Outcome.Null) {
+            dealsCount++;
+        } else if (prevOutcome == Outcome.Successful || prevOutcome == Outcome.PartiallyRefunded) {
+            successfulDealsCount--;
+        } else if (prevOutcome == Outcome.Cancelled) {
+            cancelledDealsCount--;
+        } else if (prevOutcome == Outcome.Refunded) {
+            refundedDealsCount--;
+        }
+
+        if (_outcome == Outcome.Successful || _outcome == Outcome.PartiallyRefunded) {
+            successfulDealsCount++;
+        } else if (_outcome == Outcome.Cancelled) {
+            cancelledDealsCount++;
+        } else if (_outcome == Outcome.Refunded) {
+            refundedDealsCount++;
+        }
+
+        deals[_orderId].outcome = _outcome;
+    }
 }
@@ -0,0 +1,21 @@
+pragma solidity ^0.4.24;
+
+import "./MerchantDealsHistory.sol";
+
+
+/**
+ *  @title MerchantDealsHistoryFactory
+ *  Deploys MerchantDealsHistory contracts on behalf of MerchantFactory, ownership is transferred to the caller.
+ */
+contract MerchantDealsHistoryFactory {
+
+    string constant VERSION = "0.1";
+
+    /**
+     *  create deploys new MerchantDealsHistory and transfers its ownership to the caller
+     */
+    function create(string _merchantId) public returns (MerchantDealsHistory history) {
+        history = new MerchantDealsHistory(_merchantId);
+        history.transferOwnership(msg.sender);
+    }
+}
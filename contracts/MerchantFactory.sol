@@ -0,0 +1,129 @@
+pragma solidity ^0.4.24;
+
+import "openzeppelin-solidity/contracts/ownership/Contactable.sol";
+import "monetha-utility-contracts/contracts/Restricted.sol";
+import "./MonethaGateway.sol";
+import "./MerchantWalletFactory.sol";
+import "./MerchantDealsHistoryFactory.sol";
+import "./PaymentProcessorFactory.sol";
+import "./PaymentProcessorBatch.sol";
+
+
+/**
+ *  @title MerchantFactory
+ *
+ *  MerchantFactory deploys MerchantWallet, MerchantDealsHistory and PaymentProcessor of the merchant in one transaction
+ *  and wires them together with MonethaGateway and PaymentProcessorBatch. Deployed contracts are owned by the owner of the factory.
+ *  Factory must be the admin of MonethaGateway to register payment processors in it.
+ */
+contract MerchantFactory is Contactable, Restricted {
+
+    string constant VERSION = "0.3";
+
+    /// MonethaGateway contract, used by deployed payment processors
+    MonethaGateway public monethaGateway;
+
+    /// PaymentProcessorBatch contract, which settles batches of orders of deployed payment processors (optional)
+    PaymentProcessorBatch public paymentProcessorBatch;
+
+    MerchantWalletFactory public merchantWalletFactory;
+    MerchantDealsHistoryFactory public merchantDealsHistoryFactory;
+    PaymentProcessorFactory public paymentProcessorFactory;
+
+    /// Merchants, whose contracts are deployed, by merchant id hash
+    mapping (bytes32 => bool) public isMerchantDeployed;
+
+    event MerchantDeployed(
+        bytes32 indexed merchantIdHash,
+        address merchantWallet,
+        address merchantHistory,
+        address paymentProcessor
+    );
+
+    /**
+     *  @param _monethaGateway Address of MonethaGateway contract
+     *  @param _paymentProcessorBatch Address of PaymentProcessorBatch contract, 0x0 if batches are not used
+     *  @param _merchantWalletFactory Address of MerchantWalletFactory contract
+     *  @param _merchantDealsHistoryFactory Address of MerchantDealsHistoryFactory contract
+     *  @param _paymentProcessorFactory Address of PaymentProcessorFactory contract
+     */
+    constructor(
+        MonethaGateway _monethaGateway,
+        PaymentProcessorBatch _paymentProcessorBatch,
+        MerchantWalletFactory _merchantWalletFactory,
+        MerchantDealsHistoryFactory _merchantDealsHistoryFactory,
+        PaymentProcessorFactory _paymentProcessorFactory
+    )
+        public
+    {
+        require(_merchantWalletFactory != address(0));
+        require(_merchantDealsHistoryFactory != address(0));
+        require(_paymentProcessorFactory != address(0));
+
+        setMonethaGateway(_monethaGateway);
+        setPaymentProcessorBatch(_paymentProcessorBatch);
+        merchantWalletFactory = _merchantWalletFactory;
+        merchantDealsHistoryFactory = _merchantDealsHistoryFactory;
+        paymentProcessorFactory = _paymentProcessorFactory;
+    }
+
+    /**
+     *  deployMerchant deploys and wires contracts of the merchant. Merchant can be deployed only once.
+     *  @param _merchantId Merchant of the contracts
+     *  @param _merchantAccount Address of merchant's account, that can withdraw from wallet
+     *  @param _fundAddress Merchant's fund address, where amount will be transferred
+     *  @param _processorOperator Monetha address, which manages orders of the payment processor (optional)
+     *  @return deployed PaymentProcessor contract
+     */
+    function deployMerchant(
+        string _merchantId,
+        address _merchantAccount,
+        address _fundAddress,
+        address _processorOperator
+    )
+        public onlyMonetha returns (PaymentProcessor processor)
+    {
+        bytes32 merchantIdHash = keccak256(abi.encodePacked(_merchantId));
+        require(!isMerchantDeployed[merchantIdHash]);
+        isMerchantDeployed[merchantIdHash] = true;
+
+        MerchantWallet wallet = merchantWalletFactory.create(_merchantAccount, _merchantId, _fundAddress);
+        MerchantDealsHistory history = merchantDealsHistoryFactory.create(_merchantId);
+        processor = paymentProcessorFactory.create(_merchantId, history, monethaGateway, wallet);
+
+        wallet.setMonethaAddress(processor, true);
+        history.setMonethaAddress(processor, true);
+        monethaGateway.setMonethaAddress(processor, true);
+        if (_processorOperator != address(0)) {
+            processor.setMonethaAddress(_processorOperator, true);
+        }
+        if (paymentProcessorBatch != address(0)) {
+            processor.setMonethaAddress(paymentProcessorBatch, true);
+        }
+
+        wallet.transferOwnership(owner);
+        history.transferOwnership(owner);
+        processor.transferOwnership(owner);
+
+        emit MerchantDeployed(merchantIdHash, wallet, history, processor);
+    }
+
+    /**
+     *  setMonethaGateway allows owner to change address of MonethaGateway, used by payment processors deployed after the change.
+     *  @param _newGateway Address of new MonethaGateway contract
+     */
+    function setMonethaGateway(MonethaGateway _newGateway) public onlyOwner {
+        require(address(_newGateway) != 0x0);
+
+        monethaGateway = _newGateway;
+    }
+
+    /**
+     *  setPaymentProcessorBatch allows owner to change address of PaymentProcessorBatch,
+     *  which is registered in payment processors deployed after the change.
+     *  @param _paymentProcessorBatch Address of new PaymentProcessorBatch contract, 0x0 if batches are not used
+     */
+    function setPaymentProcessorBatch(PaymentProcessorBatch _paymentProcessorBatch) public onlyOwner {
+        paymentProcessorBatch = _paymentProcessorBatch;
+    }
+}
@@ -0,0 +1,93 @@
+pragma solidity ^0.4.24;
+
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+import "openzeppelin-solidity/contracts/ownership/Ownable.sol";
+import "./MerchantWallet.sol";
+import "./MonethaFeeSchedule.sol";
+
+
+/**
+ *  @title MerchantProcessor
+ *  Base of merchant's processors, which accept payments through MonethaGateway.
+ *  Validates Monetha fee according to merchant's fee schedule and resolves payback rate and fund address of the merchant.
+ */
+contract MerchantProcessor is Ownable {
+
+    using SafeMath for uint256;
+
+    /**
+     *  Fee permille of Monetha fee, used when Monetha fee schedule is not set.
+     *  1 permille = 0.1 %
+     *  15 permille = 1.5%
+     */
+    uint public constant FEE_PERMILLE = 15;
+
+    /**
+     *  Payback permille, used when Monetha fee schedule is not set.
+     *  1 permille = 0.1 %
+     */
+    uint public constant PAYBACK_PERMILLE = 2; // 0.2%
+
+    uint public constant PERMILLE_COEFFICIENT = 1000;
+
+    /// Address of MerchantWallet, where merchant reputation and funds are stored
+    MerchantWallet public merchantWallet;
+
+    /// Merchant identifier hash, that associates with the acceptor
+    bytes32 public merchantIdHash;
+
+    /// MonethaFeeSchedule contract with fee and payback rates of the merchant
+    MonethaFeeSchedule public monethaFeeSchedule;
+
+    event MonethaFeeScheduleSet(address monethaFeeSchedule);
+
+    /**
+     *  setMonethaFeeSchedule allows owner to change address of MonethaFeeSchedule.
+     *  If set to 0x0 address, FEE_PERMILLE and PAYBACK_PERMILLE are used.
+     *  @param _monethaFeeSchedule Address of new MonethaFeeSchedule contract
+     */
+    function setMonethaFeeSchedule(MonethaFeeSchedule _monethaFeeSchedule) public onlyOwner {
+        monethaFeeSchedule = _monethaFeeSchedule;
+
+        emit MonethaFeeScheduleSet(_monethaFeeSchedule);
+    }
+
+    /**
+     *  checkFee ensures, that Monetha fee is within merchant's fee schedule (see MonethaFeeSchedule.isValidFee),
+     *  or that it's not greater than FEE_PERMILLE of the payment, if schedule is not set.
+     *  @param _tokenAddress Token address of the payment, 0x0 for ether
+     *  @param _value Payment amount
+     *  @param _monethaFee Monetha fee
+     */
+    function checkFee(address _tokenAddress, uint _value, uint _monethaFee) internal view {
+        if (monethaFeeSchedule != address(0)) {
+            require(monethaFeeSchedule.isValidFee(merchantIdHash, _tokenAddress, _value, _monethaFee));
+        } else {
+            require(_monethaFee <= FEE_PERMILLE.mul(_value).div(PERMILLE_COEFFICIENT));
+        }
+    }
+
+    /**
+     *  paybackPermille returns payback permille according to merchant's fee schedule.
+     *  @param _tokenAddress Token address of the payment, 0x0 for ether
+     */
+    function paybackPermille(address _tokenAddress) internal view returns (uint) {
+        if (monethaFeeSchedule != address(0)) {
+            return monethaFeeSchedule.paybackPermilleOf(merchantIdHash, _tokenAddress);
+        }
+
+        return PAYBACK_PERMILLE;
+    }
+
+    /**
+     *  fundAddress returns merchant's fund address or MerchantWallet, when fund address is not set.
+     */
+    function fundAddress() internal view returns (address) {
+        address merchantFundAddress = merchantWallet.merchantFundAddress();
+        if (merchantFundAddress == address(0)) {
+            return merchantWallet;
+        }
+
+        return merchantFundAddress;
+    }
+}
@@ -5,6 +5,8 @@ import "openzeppelin-solidity/contracts/ownership/Contactable.sol";
 import "monetha-utility-contracts/contracts/Restricted.sol";
 import "monetha-utility-contracts/contracts/SafeDestructible.sol";
 import "./GenericERC20.sol";
+import "./MonethaSupportedTokens.sol";
+import "./ProfileMaps.sol";
 
 
 /**
@@ -16,7 +18,10 @@ import "./GenericERC20.sol";
 
 contract MerchantWallet is Pausable, SafeDestructible, Contactable, Restricted {
 
-    string constant VERSION = "0.5";
+    using ProfileMaps for ProfileMaps.StringMap;
+    using ProfileMaps for ProfileMaps.Uint32Map;
+
+    string constant VERSION = "0.7";
 
     /// Address of merchant's account, that can withdraw from wallet
     address public merchantAccount;
@@ -24,21 +29,120 @@ contract MerchantWallet is Pausable, SafeDestructible, Contactable, Restricted {
     /// Address of merchant's fund address.
     address public merchantFundAddress;
 
+    /// Fund address proposed by merchant, which becomes active after fundAddressChangeDelay
+    address public pendingFundAddress;
+
+    /// Time, after which pending fund address can be confirmed
+    uint public pendingFundAddressTime;
+
+    /// Delay in seconds between proposal and confirmation of new fund address
+    uint public fundAddressChangeDelay;
+
     /// Unique Merchant identifier hash
     bytes32 public merchantIdHash;
 
     /// profileMap stores general information about the merchant
-    mapping (string=>string) profileMap;
+    ProfileMaps.StringMap profileMap;
 
     /// paymentSettingsMap stores payment and order settings for the merchant
-    mapping (string=>string) paymentSettingsMap;
+    ProfileMaps.StringMap paymentSettingsMap;
 
     /// compositeReputationMap stores composite reputation, that compraises from several metrics
-    mapping (string=>uint32) compositeReputationMap;
+    ProfileMaps.Uint32Map compositeReputationMap;
 
     /// number of last digits in compositeReputation for fractional part
     uint8 public constant REPUTATION_DECIMALS = 4;
 
+    /// Minimal delay in seconds between proposal and confirmation of new fund address
+    uint public constant MIN_FUND_ADDRESS_CHANGE_DELAY = 1 days;
+
+    /// Withdrawals exceeding threshold per day are queued (in wei), 0 if withdrawal policy is disabled
+    uint public withdrawalThreshold;
+
+    /// Token withdrawals exceeding threshold per day are queued by token address, when withdrawal policy is enabled
+    mapping (address=>uint) public tokenWithdrawalThreshold;
+
+    /// Token thresholds proposed by merchant, which become active after withdrawal delay of active policy
+    mapping (address=>uint) public pendingTokenThreshold;
+    mapping (address=>uint) public pendingTokenThresholdTime;
+
+    /// Number of signer approvals, required to execute queued withdrawal
+    uint public requiredApprovals;
+
+    /// Delay after queueing, when queued withdrawal can be executed
+    uint public withdrawalDelay;
+
+    /// Signers designated by merchant to approve queued withdrawals
+    address[] public withdrawalSigners;
+
+    mapping (address=>bool) public isWithdrawalSigner;
+
+    /// Policy proposed by merchant, which replaces active policy after its withdrawal delay
+    address[] pendingSigners;
+    uint public pendingRequiredApprovals;
+    uint public pendingThreshold;
+    uint public pendingDelay;
+    uint public pendingPolicyTime;
+
+    struct QueuedWithdrawal {
+        address beneficiary;
+        uint amount;
+        uint executableAt;
+        bool isExecuted;
+        bool isCancelled;
+        address tokenAddress; // 0x0 for ether
+    }
+
+    QueuedWithdrawal[] public queuedWithdrawals;
+
+    /// Approvals of queued withdrawals by signers
+    mapping (uint=>mapping (address=>bool)) public withdrawalApprovals;
+
+    /// Amounts of pending queued withdrawals, which can't be withdrawn otherwise, by token address (0x0 for ether)
+    mapping (address=>uint) public reservedAmount;
+
+    /// Amounts withdrawn without queueing during the day by token address (0x0 for ether)
+    mapping (address=>uint) public policyWithdrawnToday;
+
+    /// Day of last withdrawal without queueing by token address (0x0 for ether)
+    mapping (address=>uint) public policyWithdrawalDay;
+
+    /// Exchange deposit addresses, whitelisted by merchant for Monetha-initiated withdrawals
+    mapping (address=>bool) public isExchangeDepositAddress;
+
+    /// Daily limits of Monetha-initiated withdrawals by token address (0x0 for ether)
+    mapping (address=>uint) public monethaDailyLimit;
+
+    /// Amounts withdrawn by Monetha during the day by token address (0x0 for ether)
+    mapping (address=>uint) public monethaWithdrawnToday;
+
+    /// Day of last Monetha-initiated withdrawal by token address (0x0 for ether)
+    mapping (address=>uint) public monethaWithdrawalDay;
+
+    /// MonethaSupportedTokens registry, which tokens are reported in tokenBalances
+    MonethaSupportedTokens public supportedTokens;
+
+    event ProfileChanged(string key, string value);
+    event PaymentSettingChanged(string key, string value);
+    event CompositeReputationChanged(string key, uint32 value);
+    event WithdrawalPolicyProposed(uint threshold, uint requiredApprovals, uint delay, uint effectiveTime);
+    event WithdrawalPolicyChanged(uint threshold, uint requiredApprovals, uint delay);
+    event TokenWithdrawalThresholdProposed(address indexed tokenAddress, uint threshold, uint effectiveTime);
+    event TokenWithdrawalThresholdChanged(address indexed tokenAddress, uint threshold);
+    event WithdrawalQueued(uint indexed withdrawalId, address indexed tokenAddress, address indexed beneficiary, uint amount, uint executableAt);
+    event WithdrawalApproved(uint indexed withdrawalId, address indexed signer);
+    event WithdrawalExecuted(uint indexed withdrawalId, address indexed beneficiary, uint amount);
+    event WithdrawalCancelled(uint indexed withdrawalId, address indexed cancelledBy);
+    event EtherWithdrawn(address indexed beneficiary, uint amount);
+    event TokenWithdrawn(address indexed tokenAddress, address indexed beneficiary, uint amount);
+    event ExchangeDepositAddressSet(address indexed depositAddress, bool isWhitelisted);
+    event MonethaDailyLimitSet(address indexed tokenAddress, uint limit);
+    event FundAddressChangeProposed(address indexed newFundAddress, uint effectiveTime);
+    event FundAddressChangeVetoed(address indexed newFundAddress, address indexed vetoedBy);
+    event FundAddressChanged(address indexed previousFundAddress, address indexed newFundAddress);
+    event FundAddressChangeDelaySet(uint delay);
+    event SupportedTokensChanged(address indexed previousSupportedTokens, address indexed newSupportedTokens);
+
     /**
      *  Restrict methods in such way, that they can be invoked only by merchant account.
      */
@@ -78,6 +182,7 @@ contract MerchantWallet is Pausable, SafeDestructible, Contactable, Restricted {
         merchantIdHash = keccak256(abi.encodePacked(_merchantId));
 
         merchantFundAddress = _fundAddress;
+        fundAddressChangeDelay = 3 days;
     }
 
     /**
@@ -90,25 +195,25 @@ contract MerchantWallet is Pausable, SafeDestructible, Contactable, Restricted {
      *  @return profile info by string key
      */
     function profile(string key) external constant returns (string) {
-        return profileMap[key];
+        return profileMap.values[key];
     }
 
     /**
      *  @return payment setting by string key
      */
     function paymentSettings(string key) external constant returns (string) {
-        return paymentSettingsMap[key];
+        return paymentSettingsMap.values[key];
     }
 
     /**
      *  @return composite reputation value by string key
      */
     function compositeReputation(string key) external constant returns (uint32) {
-        return compositeReputationMap[key];
+        return compositeReputationMap.values[key];
     }
 
     /**
-     *  Set profile info by string key
+     *  Set profile info by string key. Empty value removes the key.
      */
     function setProfile(
         string profileKey,
@@ -118,40 +223,202 @@ contract MerchantWallet is Pausable, SafeDestructible, Contactable, Restricted {
     )
         external onlyOwner
     {
-        profileMap[profileKey] = profileValue;
+        profileMap.setProfile(profileKey, profileValue);
 
         if (bytes(repKey).length != 0) {
-            compositeReputationMap[repKey] = repValue;
+            compositeReputationMap.setCompositeReputation(repKey, repValue);
         }
     }
 
     /**
-     *  Set payment setting by string key
+     *  Set payment setting by string key. Empty value removes the key.
      */
     function setPaymentSettings(string key, string value) external onlyOwner {
-        paymentSettingsMap[key] = value;
+        paymentSettingsMap.setPaymentSetting(key, value);
     }
 
     /**
-     *  Set composite reputation value by string key
+     *  Set composite reputation value by string key. Zero value removes the key.
      */
     function setCompositeReputation(string key, uint32 value) external onlyMonetha {
-        compositeReputationMap[key] = value;
+        compositeReputationMap.setCompositeReputation(key, value);
     }
 
     /**
-     *  Allows withdrawal of funds to beneficiary address
+     *  Set several profile values at once. Keys and values are passed concatenated together with their lengths.
      */
-    function doWithdrawal(address beneficiary, uint amount) private {
-        require(beneficiary != 0x0);
-        beneficiary.transfer(amount);
+    function setProfileBatch(string keys, uint[] keyLengths, string values, uint[] valueLengths) public onlyOwner {
+        profileMap.setProfileBatch(keys, keyLengths, values, valueLengths);
+    }
+
+    /**
+     *  Set several payment settings at once. Keys and values are passed concatenated together with their lengths.
+     */
+    function setPaymentSettingsBatch(string keys, uint[] keyLengths, string values, uint[] valueLengths) public onlyOwner {
+        paymentSettingsMap.setPaymentSettingsBatch(keys, keyLengths, values, valueLengths);
+    }
+
+    /**
+     *  Set several composite reputation values at once. Keys are passed concatenated together with their lengths.
+     */
+    function setCompositeReputationBatch(string keys, uint[] keyLengths, uint32[] values) public onlyMonetha {
+        compositeReputationMap.setCompositeReputationBatch(keys, keyLengths, values);
+    }
+
+    /**
+     *  @return number of profile keys
+     */
+    function profileKeysCount() external view returns (uint) {
+        return profileMap.keySet.keys.length;
+    }
+
+    /**
+     *  @return profile key by index
+     */
+    function profileKey(uint index) external view returns (string) {
+        return profileMap.keySet.keys[index];
+    }
+
+    /**
+     *  @return number of payment settings keys
+     */
+    function paymentSettingsKeysCount() external view returns (uint) {
+        return paymentSettingsMap.keySet.keys.length;
+    }
+
+    /**
+     *  @return payment settings key by index
+     */
+    function paymentSettingsKey(uint index) external view returns (string) {
+        return paymentSettingsMap.keySet.keys[index];
+    }
+
+    /**
+     *  @return number of composite reputation keys
+     */
+    function compositeReputationKeysCount() external view returns (uint) {
+        return compositeReputationMap.keySet.keys.length;
+    }
+
+    /**
+     *  @return composite reputation key by index
+     */
+    function compositeReputationKey(uint index) external view returns (string) {
+        return compositeReputationMap.keySet.keys[index];
+    }
+
+    /**
+     *  Allows withdrawal of ether or tokens to beneficiary address.
+     *  When withdrawal policy is enabled, withdrawals exceeding threshold of the token per day are queued
+     *  and their amount is reserved until they are executed or cancelled.
+     *  @param _tokenAddress Token address, 0x0 for ether
+     */
+    function doWithdrawal(address _tokenAddress, address _beneficiary, uint _amount) private {
+        require(_beneficiary != address(0));
+        require(_amount <= availableBalance(_tokenAddress));
+
+        if (withdrawalThreshold > 0 && !isWithinWithdrawalThreshold(_tokenAddress, _amount)) {
+            reservedAmount[_tokenAddress] += _amount;
+
+            uint executableAt = now + withdrawalDelay;
+            uint withdrawalId = queuedWithdrawals.push(QueuedWithdrawal({
+                beneficiary: _beneficiary,
+                amount: _amount,
+                executableAt: executableAt,
+                isExecuted: false,
+                isCancelled: false,
+                tokenAddress: _tokenAddress
+            })) - 1;
+
+            emit WithdrawalQueued(withdrawalId, _tokenAddress, _beneficiary, _amount, executableAt);
+            return;
+        }
+
+        transferFunds(_tokenAddress, _beneficiary, _amount);
+    }
+
+    /**
+     *  Transfers ether or tokens to beneficiary address
+     *  @param _tokenAddress Token address, 0x0 for ether
+     */
+    function transferFunds(address _tokenAddress, address _beneficiary, uint _amount) private {
+        if (_tokenAddress == address(0)) {
+            _beneficiary.transfer(_amount);
+
+            emit EtherWithdrawn(_beneficiary, _amount);
+        } else {
+            GenericERC20(_tokenAddress).transfer(_beneficiary, _amount);
+
+            emit TokenWithdrawn(_tokenAddress, _beneficiary, _amount);
+        }
+    }
+
+    /**
+     *  Counts amount towards withdrawals of the token during the day, unless the total exceeds its withdrawal threshold.
+     *  @return true if amount can be withdrawn without queueing
+     */
+    function isWithinWithdrawalThreshold(address _tokenAddress, uint _amount) private returns (bool) {
+        uint today = now / 1 days;
+        if (policyWithdrawalDay[_tokenAddress] != today) {
+            policyWithdrawalDay[_tokenAddress] = today;
+            policyWithdrawnToday[_tokenAddress] = 0;
+        }
+
+        uint withdrawn = policyWithdrawnToday[_tokenAddress] + _amount;
+        if (withdrawn < _amount || withdrawn > withdrawalThresholdOf(_tokenAddress)) {
+            return false;
+        }
+
+        policyWithdrawnToday[_tokenAddress] = withdrawn;
+        return true;
+    }
+
+    /**
+     *  @param _tokenAddress Token address, 0x0 for ether
+     *  @return threshold per day of withdrawals in the token, which are not queued when withdrawal policy is enabled
+     */
+    function withdrawalThresholdOf(address _tokenAddress) public view returns (uint) {
+        return _tokenAddress == address(0) ? withdrawalThreshold : tokenWithdrawalThreshold[_tokenAddress];
+    }
+
+    /**
+     *  @param _tokenAddress Token address, 0x0 for ether
+     *  @return balance of the wallet in the token, which is not reserved by queued withdrawals
+     */
+    function availableBalance(address _tokenAddress) public view returns (uint) {
+        uint balance = _tokenAddress == address(0) ? address(this).balance : GenericERC20(_tokenAddress).balanceOf(address(this));
+        uint reserved = reservedAmount[_tokenAddress];
+        return balance > reserved ? balance - reserved : 0;
+    }
+
+    /**
+     *  Ensures, that Monetha-initiated withdrawal goes to whitelisted exchange deposit address
+     *  and doesn't exceed daily limit. Without whitelisted addresses Monetha can't withdraw at all.
+     */
+    function checkMonethaWithdrawal(address _tokenAddress, address _depositAccount, uint _amount) private {
+        if (msg.sender == merchantAccount) {
+            return;
+        }
+
+        require(isExchangeDepositAddress[_depositAccount]);
+
+        uint today = now / 1 days;
+        if (monethaWithdrawalDay[_tokenAddress] != today) {
+            monethaWithdrawalDay[_tokenAddress] = today;
+            monethaWithdrawnToday[_tokenAddress] = 0;
+        }
+
+        uint withdrawnToday = monethaWithdrawnToday[_tokenAddress] + _amount;
+        require(withdrawnToday >= _amount && withdrawnToday <= monethaDailyLimit[_tokenAddress]);
+
+        monethaWithdrawnToday[_tokenAddress] = withdrawnToday;
     }
 
     /**
      *  Allows merchant to withdraw funds to beneficiary address
      */
     function withdrawTo(address beneficiary, uint amount) public onlyMerchant whenNotPaused {
-        doWithdrawal(beneficiary, amount);
+        doWithdrawal(address(0), beneficiary, amount);
     }
 
     /**
@@ -162,18 +429,22 @@ contract MerchantWallet is Pausable, SafeDestructible, Contactable, Restricted {
     }
 
     /**
-     *  Allows merchant or Monetha to initiate exchange of funds by withdrawing funds to deposit address of the exchange
+     *  Allows merchant or Monetha to initiate exchange of funds by withdrawing funds to deposit address of the exchange.
+     *  Monetha can withdraw only to whitelisted deposit addresses within daily limits.
      */
     function withdrawToExchange(address depositAccount, uint amount) external onlyMerchantOrMonetha whenNotPaused {
-        doWithdrawal(depositAccount, amount);
+        checkMonethaWithdrawal(address(0), depositAccount, amount);
+        doWithdrawal(address(0), depositAccount, amount);
     }
 
     /**
      *  Allows merchant or Monetha to initiate exchange of funds by withdrawing all funds to deposit address of the exchange
      */
     function withdrawAllToExchange(address depositAccount, uint min_amount) external onlyMerchantOrMonetha whenNotPaused {
-        require (address(this).balance >= min_amount);
-        doWithdrawal(depositAccount, address(this).balance);
+        uint balance = availableBalance(address(0));
+        require (balance >= min_amount);
+        checkMonethaWithdrawal(address(0), depositAccount, balance);
+        doWithdrawal(address(0), depositAccount, balance);
     }
 
     /**
@@ -182,11 +453,55 @@ contract MerchantWallet is Pausable, SafeDestructible, Contactable, Restricted {
     function withdrawAllTokensToExchange(address _tokenAddress, address _depositAccount, uint _minAmount) external onlyMerchantOrMonetha whenNotPaused {
         require(_tokenAddress != address(0));
         
-        uint balance = GenericERC20(_tokenAddress).balanceOf(address(this));
+        uint balance = availableBalance(_tokenAddress);
         
         require(balance >= _minAmount);
-        
-        GenericERC20(_tokenAddress).transfer(_depositAccount, balance);
+
+        checkMonethaWithdrawal(_tokenAddress, _depositAccount, balance);
+        doWithdrawal(_tokenAddress, _depositAccount, balance);
+    }
+
+    /**
+     *  Allows merchant to withdraw tokens to beneficiary address.
+     *  When withdrawal policy is enabled, withdrawals exceeding threshold of the token per day are queued.
+     */
+    function withdrawTokenTo(address _tokenAddress, address _beneficiary, uint _amount) public onlyMerchant whenNotPaused {
+        require(_tokenAddress != address(0));
+
+        doWithdrawal(_tokenAddress, _beneficiary, _amount);
+    }
+
+    /**
+     *  Allows merchant to withdraw tokens to it's own account
+     */
+    function withdrawToken(address _tokenAddress, uint _amount) external onlyMerchant {
+        withdrawTokenTo(_tokenAddress, msg.sender, _amount);
+    }
+
+    /**
+     *  @return balances of the wallet in all tokens of configured MonethaSupportedTokens registry
+     */
+    function tokenBalances() external view returns (address[] tokens, uint[] balances) {
+        if (supportedTokens == address(0)) {
+            return;
+        }
+
+        (tokens, ) = supportedTokens.getAll();
+
+        balances = new uint[](tokens.length);
+        for (uint i = 0; i < tokens.length; i++) {
+            balances[i] = GenericERC20(tokens[i]).balanceOf(address(this));
+        }
+    }
+
+    /**
+     *  Allows owner to set MonethaSupportedTokens registry, which tokens are reported in tokenBalances
+     *  @param _supportedTokens Address of MonethaSupportedTokens contract
+     */
+    function setSupportedTokens(MonethaSupportedTokens _supportedTokens) external onlyOwner {
+        emit SupportedTokensChanged(supportedTokens, _supportedTokens);
+
+        supportedTokens = _supportedTokens;
     }
 
     /**
@@ -197,9 +512,232 @@ contract MerchantWallet is Pausable, SafeDestructible, Contactable, Restricted {
     }
 
     /**
-     *  Allows merchant to change it's fund address.
+     *  Allows merchant to propose new fund address. Payments keep going to current fund address,
+     *  until new one is confirmed after fundAddressChangeDelay. Monetha can veto the change in the meantime.
+     */
+    function proposeFundAddress(address newFundAddress) external onlyMerchant isEOA(newFundAddress) {
+        pendingFundAddress = newFundAddress;
+        pendingFundAddressTime = now + fundAddressChangeDelay;
+
+        emit FundAddressChangeProposed(newFundAddress, pendingFundAddressTime);
+    }
+
+    /**
+     *  Allows merchant to activate proposed fund address after the delay.
+     */
+    function confirmFundAddress() external onlyMerchant {
+        require(pendingFundAddressTime > 0 && now >= pendingFundAddressTime);
+
+        emit FundAddressChanged(merchantFundAddress, pendingFundAddress);
+
+        merchantFundAddress = pendingFundAddress;
+        pendingFundAddress = address(0);
+        pendingFundAddressTime = 0;
+    }
+
+    /**
+     *  Allows Monetha to veto proposed fund address.
+     */
+    function vetoFundAddress() external onlyMonetha {
+        require(pendingFundAddressTime > 0);
+
+        emit FundAddressChangeVetoed(pendingFundAddress, msg.sender);
+
+        pendingFundAddress = address(0);
+        pendingFundAddressTime = 0;
+    }
+
+    /**
+     *  Allows owner to change delay between proposal and confirmation of new fund address.
+     *  New delay applies to proposals made after the change, pending proposal keeps its confirmation time.
+     *  @param _delay Delay in seconds, not less than MIN_FUND_ADDRESS_CHANGE_DELAY
+     */
+    function setFundAddressChangeDelay(uint _delay) external onlyOwner {
+        require(_delay >= MIN_FUND_ADDRESS_CHANGE_DELAY);
+
+        fundAddressChangeDelay = _delay;
+
+        emit FundAddressChangeDelaySet(_delay);
+    }
+
+    /**
+     *  Allows merchant to set withdrawal policy: withdrawals exceeding threshold per day are queued,
+     *  need approvals of designated signers and can be executed only after the delay.
+     *  When policy is already enabled, new policy takes effect only after withdrawal delay of active policy.
+     *  @param _signers Signers, who approve queued withdrawals, without duplicates
+     *  @param _requiredApprovals Number of approvals, required to execute queued withdrawal
+     *  @param _threshold Withdrawals exceeding threshold per day are queued (in wei), 0 disables the policy
+     *  @param _delay Delay in seconds, after which queued withdrawal can be executed
+     */
+    function setWithdrawalPolicy(address[] _signers, uint _requiredApprovals, uint _threshold, uint _delay) public onlyMerchant {
+        require(_threshold == 0 || (_requiredApprovals > 0 && _requiredApprovals <= _signers.length));
+
+        for (uint i = 0; i < _signers.length; i++) {
+            require(_signers[i] != address(0));
+            for (uint j = 0; j < i; j++) {
+                require(_signers[i] != _signers[j]);
+            }
+        }
+
+        pendingSigners = _signers;
+        pendingRequiredApprovals = _requiredApprovals;
+        pendingThreshold = _threshold;
+        pendingDelay = _delay;
+        pendingPolicyTime = withdrawalThreshold > 0 ? now + withdrawalDelay : now;
+
+        emit WithdrawalPolicyProposed(_threshold, _requiredApprovals, _delay, pendingPolicyTime);
+
+        if (pendingPolicyTime == now) {
+            applyWithdrawalPolicy();
+        }
+    }
+
+    /**
+     *  Allows merchant to apply proposed withdrawal policy, when its effective time has come.
+     */
+    function applyWithdrawalPolicy() public onlyMerchant {
+        require(pendingPolicyTime > 0 && now >= pendingPolicyTime);
+
+        for (uint i = 0; i < withdrawalSigners.length; i++) {
+            isWithdrawalSigner[withdrawalSigners[i]] = false;
+        }
+        for (i = 0; i < pendingSigners.length; i++) {
+            isWithdrawalSigner[pendingSigners[i]] = true;
+        }
+
+        withdrawalSigners = pendingSigners;
+        requiredApprovals = pendingRequiredApprovals;
+        withdrawalThreshold = pendingThreshold;
+        withdrawalDelay = pendingDelay;
+
+        delete pendingSigners;
+        pendingPolicyTime = 0;
+
+        emit WithdrawalPolicyChanged(withdrawalThreshold, requiredApprovals, withdrawalDelay);
+    }
+
+    /**
+     *  Allows merchant to set threshold per day of token withdrawals, which are not queued when withdrawal policy is enabled.
+     *  Withdrawals of tokens without threshold are always queued. When policy is enabled,
+     *  new threshold takes effect only after withdrawal delay of active policy.
+     *  @param _tokenAddress Token address
+     *  @param _threshold Token withdrawals exceeding threshold per day are queued
+     */
+    function setTokenWithdrawalThreshold(address _tokenAddress, uint _threshold) external onlyMerchant {
+        require(_tokenAddress != address(0));
+
+        pendingTokenThreshold[_tokenAddress] = _threshold;
+        pendingTokenThresholdTime[_tokenAddress] = withdrawalThreshold > 0 ? now + withdrawalDelay : now;
+
+        emit TokenWithdrawalThresholdProposed(_tokenAddress, _threshold, pendingTokenThresholdTime[_tokenAddress]);
+
+        if (pendingTokenThresholdTime[_tokenAddress] == now) {
+            applyTokenWithdrawalThreshold(_tokenAddress);
+        }
+    }
+
+    /**
+     *  Allows merchant to apply proposed token withdrawal threshold, when its effective time has come.
+     *  @param _tokenAddress Token address
+     */
+    function applyTokenWithdrawalThreshold(address _tokenAddress) public onlyMerchant {
+        require(pendingTokenThresholdTime[_tokenAddress] > 0 && now >= pendingTokenThresholdTime[_tokenAddress]);
+
+        tokenWithdrawalThreshold[_tokenAddress] = pendingTokenThreshold[_tokenAddress];
+
+        delete pendingTokenThreshold[_tokenAddress];
+        pendingTokenThresholdTime[_tokenAddress] = 0;
+
+        emit TokenWithdrawalThresholdChanged(_tokenAddress, tokenWithdrawalThreshold[_tokenAddress]);
+    }
+
+    /**
+     *  Allows designated signer to approve queued withdrawal
+     *  @param _withdrawalId Identifier of queued withdrawal
+     */
+    function approveWithdrawal(uint _withdrawalId) external {
+        require(isWithdrawalSigner[msg.sender]);
+
+        QueuedWithdrawal storage withdrawal = queuedWithdrawals[_withdrawalId];
+        require(!withdrawal.isExecuted && !withdrawal.isCancelled);
+        require(!withdrawalApprovals[_withdrawalId][msg.sender]);
+
+        withdrawalApprovals[_withdrawalId][msg.sender] = true;
+
+        emit WithdrawalApproved(_withdrawalId, msg.sender);
+    }
+
+    /**
+     *  Allows merchant or Monetha to execute queued withdrawal, when it's approved and its delay has passed
+     *  @param _withdrawalId Identifier of queued withdrawal
+     */
+    function executeWithdrawal(uint _withdrawalId) external onlyMerchantOrMonetha whenNotPaused {
+        QueuedWithdrawal storage withdrawal = queuedWithdrawals[_withdrawalId];
+        require(!withdrawal.isExecuted && !withdrawal.isCancelled);
+        require(now >= withdrawal.executableAt);
+        require(withdrawalApprovalsCount(_withdrawalId) >= requiredApprovals);
+
+        withdrawal.isExecuted = true;
+        reservedAmount[withdrawal.tokenAddress] -= withdrawal.amount;
+
+        emit WithdrawalExecuted(_withdrawalId, withdrawal.beneficiary, withdrawal.amount);
+
+        transferFunds(withdrawal.tokenAddress, withdrawal.beneficiary, withdrawal.amount);
+    }
+
+    /**
+     *  Allows merchant or any designated signer to cancel queued withdrawal
+     *  @param _withdrawalId Identifier of queued withdrawal
+     */
+    function cancelWithdrawal(uint _withdrawalId) external {
+        require(msg.sender == merchantAccount || isWithdrawalSigner[msg.sender]);
+
+        QueuedWithdrawal storage withdrawal = queuedWithdrawals[_withdrawalId];
+        require(!withdrawal.isExecuted && !withdrawal.isCancelled);
+
+        withdrawal.isCancelled = true;
+        reservedAmount[withdrawal.tokenAddress] -= withdrawal.amount;
+
+        emit WithdrawalCancelled(_withdrawalId, msg.sender);
+    }
+
+    /**
+     *  @return number of approvals of queued withdrawal by current signers
      */
-    function changeFundAddress(address newFundAddress) external onlyMerchant isEOA(newFundAddress) {
-        merchantFundAddress = newFundAddress;
+    function withdrawalApprovalsCount(uint _withdrawalId) public view returns (uint count) {
+        for (uint i = 0; i < withdrawalSigners.length; i++) {
+            if (withdrawalApprovals[_withdrawalId][withdrawalSigners[i]]) {
+                count++;
+            }
+        }
+    }
+
+    /**
+     *  @return number of queued withdrawals
+     */
+    function queuedWithdrawalsCount() external view returns (uint) {
+        return queuedWithdrawals.length;
+    }
+
+    /**
+     *  Allows merchant to whitelist exchange deposit address for Monetha-initiated withdrawals
+     */
+    function setExchangeDepositAddress(address _depositAddress, bool _isWhitelisted) external onlyMerchant {
+        require(_depositAddress != address(0));
+
+        isExchangeDepositAddress[_depositAddress] = _isWhitelisted;
+
+        emit ExchangeDepositAddressSet(_depositAddress, _isWhitelisted);
+    }
+
+    /**
+     *  Allows merchant to set daily limit of Monetha-initiated withdrawals
+     *  @param _tokenAddress Token address, 0x0 for ether
+     *  @param _limit Amount, that can be withdrawn by Monetha per day
+     */
+    function setMonethaDailyLimit(address _tokenAddress, uint _limit) external onlyMerchant {
+        monethaDailyLimit[_tokenAddress] = _limit;
+
+        emit MonethaDailyLimitSet(_tokenAddress, _limit);
     }
 }
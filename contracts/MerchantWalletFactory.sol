@@ -0,0 +1,21 @@
+pragma solidity ^0.4.24;
+
+import "./MerchantWallet.sol";
+
+
+/**
+ *  @title MerchantWalletFactory
+ *  Deploys MerchantWallet contracts on behalf of MerchantFactory, ownership is transferred to the caller.
+ */
+contract MerchantWalletFactory {
+
+    string constant VERSION = "0.1";
+
+    /**
+     *  create deploys new MerchantWallet and transfers its ownership to the caller
+     */
+    function create(address _merchantAccount, string _merchantId, address _fundAddress) public returns (MerchantWallet wallet) {
+        wallet = new MerchantWallet(_merchantAccount, _merchantId, _fundAddress);
+        wallet.transferOwnership(msg.sender);
+    }
+}
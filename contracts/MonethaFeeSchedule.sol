@@ -0,0 +1,191 @@
+pragma solidity ^0.4.24;
+
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+import "openzeppelin-solidity/contracts/ownership/Contactable.sol";
+import "monetha-utility-contracts/contracts/Restricted.sol";
+
+
+/**
+ *  @title MonethaFeeSchedule
+ *
+ *  MonethaFeeSchedule stores Monetha fee and payback rates negotiated with merchants.
+ *  Schedules are stored per merchant identifier hash and token address:
+ *      - token address 0x0 holds base schedule of the merchant (used for ether and tokens without override);
+ *      - merchant identifier hash 0x0 holds default schedule (used for merchants without own schedule).
+ *  Minimal fee of base schedule is denominated in wei, so it's applied to ether payments only.
+ *  Monetha fee of a payment must be between minimal fee (or the whole payment, if it's smaller) and feeOf (see isValidFee).
+ */
+contract MonethaFeeSchedule is Contactable, Restricted {
+
+    using SafeMath for uint256;
+
+    string constant VERSION = "0.1";
+
+    uint public constant PERMILLE_COEFFICIENT = 1000;
+
+    struct FeeSchedule {
+        bool isSet;
+        uint feePermille;
+        uint minFee;
+        uint paybackPermille;
+    }
+
+    /// Fee schedules by merchant identifier hash and token address
+    mapping (bytes32 => mapping (address => FeeSchedule)) public schedules;
+
+    event FeeScheduleSet(
+        bytes32 indexed merchantIdHash,
+        address indexed tokenAddress,
+        uint feePermille,
+        uint minFee,
+        uint paybackPermille
+    );
+
+    event FeeScheduleRemoved(bytes32 indexed merchantIdHash, address indexed tokenAddress);
+
+    /**
+     *  @param _feePermille Default fee permille
+     *  @param _paybackPermille Default payback permille
+     */
+    constructor(uint _feePermille, uint _paybackPermille) public {
+        setSchedule(bytes32(0), address(0), _feePermille, 0, _paybackPermille);
+    }
+
+    /**
+     *  setFeeSchedule allows Monetha to set fee schedule of the merchant.
+     *  @param _merchantIdHash Merchant identifier hash, 0x0 for default schedule
+     *  @param _tokenAddress Token address, 0x0 for base schedule
+     *  @param _feePermille Fee permille
+     *  @param _minFee Minimal fee (in wei or minimal units of the token)
+     *  @param _paybackPermille Payback permille
+     */
+    function setFeeSchedule(
+        bytes32 _merchantIdHash,
+        address _tokenAddress,
+        uint _feePermille,
+        uint _minFee,
+        uint _paybackPermille
+    )
+        external onlyMonetha
+    {
+        setSchedule(_merchantIdHash, _tokenAddress, _feePermille, _minFee, _paybackPermille);
+    }
+
+    /**
+     *  removeFeeSchedule allows Monetha to remove fee schedule of the merchant. Default base schedule can't be removed.
+     *  @param _merchantIdHash Merchant identifier hash, 0x0 for default schedule
+     *  @param _tokenAddress Token address, 0x0 for base schedule
+     */
+    function removeFeeSchedule(bytes32 _merchantIdHash, address _tokenAddress) external onlyMonetha {
+        require(_merchantIdHash != bytes32(0) || _tokenAddress != address(0));
+        require(schedules[_merchantIdHash][_tokenAddress].isSet);
+
+        delete schedules[_merchantIdHash][_tokenAddress];
+
+        emit FeeScheduleRemoved(_merchantIdHash, _tokenAddress);
+    }
+
+    /**
+     *  getFeeSchedule returns fee schedule, which is applied to payments of the merchant in the token.
+     *  @param _merchantIdHash Merchant identifier hash
+     *  @param _tokenAddress Token address, 0x0 for ether
+     */
+    function getFeeSchedule(bytes32 _merchantIdHash, address _tokenAddress)
+        public view returns (uint feePermille, uint minFee, uint paybackPermille)
+    {
+        FeeSchedule storage schedule = schedules[_merchantIdHash][_tokenAddress];
+        bool isTokenSchedule = true;
+        if (!schedule.isSet) {
+            schedule = schedules[_merchantIdHash][address(0)];
+            isTokenSchedule = false;
+        }
+        if (!schedule.isSet) {
+            schedule = schedules[bytes32(0)][_tokenAddress];
+            isTokenSchedule = true;
+        }
+        if (!schedule.isSet) {
+            schedule = schedules[bytes32(0)][address(0)];
+            isTokenSchedule = false;
+        }
+
+        feePermille = schedule.feePermille;
+        paybackPermille = schedule.paybackPermille;
+
+        // minimal fee of base schedule is in wei, so it's not applied to token payments
+        if (_tokenAddress == address(0) || isTokenSchedule) {
+            minFee = schedule.minFee;
+        }
+    }
+
+    /**
+     *  feeOf returns max. Monetha fee of the payment according to the fee schedule of the merchant.
+     *  @param _merchantIdHash Merchant identifier hash
+     *  @param _tokenAddress Token address, 0x0 for ether
+     *  @param _amount Payment amount
+     */
+    function feeOf(bytes32 _merchantIdHash, address _tokenAddress, uint _amount) public view returns (uint fee) {
+        uint feePermille;
+        uint minFee;
+        (feePermille, minFee, ) = getFeeSchedule(_merchantIdHash, _tokenAddress);
+
+        fee = _amount.mul(feePermille).div(PERMILLE_COEFFICIENT);
+        if (fee < minFee) {
+            fee = minFee;
+        }
+        if (fee > _amount) {
+            fee = _amount;
+        }
+    }
+
+    /**
+     *  isValidFee checks that Monetha fee of the payment is neither less than minimal fee of the merchant's
+     *  fee schedule (or the whole payment, if it's smaller) nor greater than feeOf.
+     *  @param _merchantIdHash Merchant identifier hash
+     *  @param _tokenAddress Token address, 0x0 for ether
+     *  @param _amount Payment amount
+     *  @param _fee Monetha fee of the payment
+     */
+    function isValidFee(bytes32 _merchantIdHash, address _tokenAddress, uint _amount, uint _fee) external view returns (bool) {
+        uint minFee;
+        (, minFee, ) = getFeeSchedule(_merchantIdHash, _tokenAddress);
+        if (minFee > _amount) {
+            minFee = _amount;
+        }
+
+        return _fee >= minFee && _fee <= feeOf(_merchantIdHash, _tokenAddress, _amount);
+    }
+
+    /**
+     *  paybackPermilleOf returns payback permille according to the fee schedule of the merchant.
+     *  @param _merchantIdHash Merchant identifier hash
+     *  @param _tokenAddress Token address, 0x0 for ether
+     */
+    function paybackPermilleOf(bytes32 _merchantIdHash, address _tokenAddress) external view returns (uint paybackPermille) {
+        (, , paybackPermille) = getFeeSchedule(_merchantIdHash, _tokenAddress);
+    }
+
+    /**
+     *  setSchedule stores fee schedule and logs the change.
+     */
+    function setSchedule(
+        bytes32 _merchantIdHash,
+        address _tokenAddress,
+        uint _feePermille,
+        uint _minFee,
+        uint _paybackPermille
+    )
+        internal
+    {
+        require(_feePermille <= PERMILLE_COEFFICIENT);
+        require(_paybackPermille <= PERMILLE_COEFFICIENT);
+
+        schedules[_merchantIdHash][_tokenAddress] = FeeSchedule({
+            isSet: true,
+            feePermille: _feePermille,
+            minFee: _minFee,
+            paybackPermille: _paybackPermille
+        });
+
+        emit FeeScheduleSet(_merchantIdHash, _tokenAddress, _feePermille, _minFee, _paybackPermille);
+    }
+}
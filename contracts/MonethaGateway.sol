@@ -7,6 +7,8 @@ import "openzeppelin-solidity/contracts/ownership/Contactable.sol";
 import "monetha-utility-contracts/contracts/Restricted.sol";
 import "monetha-loyalty-contracts/contracts/IMonethaVoucher.sol";
 import "./GenericERC20.sol";
+import "./MonethaFeeSchedule.sol";
+import "./MonethaSupportedTokens.sol";
 
 
 
@@ -14,12 +16,16 @@ import "./GenericERC20.sol";
  *  @title MonethaGateway
  *
  *  MonethaGateway forward funds from order payment to merchant's wallet and collects Monetha fee.
+ *
+ *  In pull-payment mode funds are not transferred to merchant's wallet, payees and Monetha vault,
+ *  but credited to them per token (0x0 for ether) and withdrawn by the recipients themselves,
+ *  so that a recipient, which rejects transfers, can't block processing of payments.
  */
 contract MonethaGateway is Pausable, Contactable, Destructible, Restricted {
 
     using SafeMath for uint256;
 
-    string constant VERSION = "0.6";
+    string constant VERSION = "0.8";
 
     /**
      *  Fee permille of Monetha fee.
@@ -52,6 +58,46 @@ contract MonethaGateway is Pausable, Contactable, Destructible, Restricted {
      */
     uint public MaxDiscountPermille;
 
+    /**
+     *  Token rates used to apply vouchers for token payments.
+     *  Rate is amount of wei, which is worth TOKEN_RATE_COEFFICIENT minimal units of the token.
+     *  If rate of the token is not set, discounts and paybacks are disabled for that token.
+     */
+    mapping (address => uint) public tokenRates;
+
+    uint public constant TOKEN_RATE_COEFFICIENT = 10 ** 18;
+
+    /**
+     *  Monetha fee schedule contract. If set, fees are not limited by FEE_PERMILLE, they are validated by payment
+     *  processors once, against the fee schedule of the merchant in force, when the order is created.
+     */
+    MonethaFeeSchedule public monethaFeeSchedule;
+
+    /**
+     *  Registry of tokens supported by Monetha. If set, only payments in registered and enabled tokens are accepted.
+     */
+    MonethaSupportedTokens public supportedTokens;
+
+    /**
+     *  If true, incomes and fees are credited to recipients instead of being transferred (pull-payment mode).
+     */
+    bool public pullPayments;
+
+    /**
+     *  Outstanding credits of recipients: recipient => token address (0x0 for ether) => amount
+     */
+    mapping (address => mapping (address => uint)) public credits;
+
+    /**
+     *  Total outstanding credits by token address (0x0 for ether), which are reserved in the gateway balance
+     */
+    mapping (address => uint) public totalCredits;
+
+    /**
+     *  Number of tokens (including ether), in which credits are outstanding. Gateway can't be destroyed, until it's 0.
+     */
+    uint public creditedTokensCount;
+
     event PaymentProcessedEther(address merchantWallet, uint merchantIncome, uint monethaIncome);
     event PaymentProcessedToken(address tokenAddress, address merchantWallet, uint merchantIncome, uint monethaIncome);
     event MonethaVoucherChanged(
@@ -59,6 +105,20 @@ contract MonethaGateway is Pausable, Contactable, Destructible, Restricted {
         address indexed newMonethaVoucher
     );
     event MaxDiscountPermilleChanged(uint prevPermilleValue, uint newPermilleValue);
+    event MonethaFeeScheduleChanged(
+        address indexed previousMonethaFeeSchedule,
+        address indexed newMonethaFeeSchedule
+    );
+    event SupportedTokensChanged(
+        address indexed previousSupportedTokens,
+        address indexed newSupportedTokens
+    );
+    event TokenRateChanged(address indexed tokenAddress, uint prevRate, uint newRate);
+    event PayeePaidEther(address indexed payee, uint payeeIncome);
+    event PayeePaidToken(address indexed tokenAddress, address indexed payee, uint payeeIncome);
+    event PullPaymentsChanged(bool pullPayments);
+    event PaymentCredited(address indexed recipient, address indexed tokenAddress, uint amount);
+    event CreditWithdrawn(address indexed recipient, address indexed tokenAddress, address beneficiary, uint amount);
 
     /**
      *  @param _monethaVault Address of Monetha Vault
@@ -77,12 +137,10 @@ contract MonethaGateway is Pausable, Contactable, Destructible, Restricted {
      *      and collects Monetha fee.
      *  @param _merchantWallet address of merchant's wallet for fund transfer
      *  @param _monethaFee is a fee collected by Monetha
-     */
-    /**
-     *  acceptPayment accept payment from PaymentAcceptor, forwards it to merchant's wallet
-     *      and collects Monetha fee.
-     *  @param _merchantWallet address of merchant's wallet for fund transfer
-     *  @param _monethaFee is a fee collected by Monetha
+     *  @param _customerAddress address of the customer, which vouchers are applied
+     *  @param _vouchersApply amount of vouchers to apply for discount
+     *  @param _paybackPermille payback permille
+     *  @return discount in wei
      */
     function acceptPayment(address _merchantWallet,
         uint _monethaFee,
@@ -92,35 +150,15 @@ contract MonethaGateway is Pausable, Contactable, Destructible, Restricted {
     external payable onlyMonetha whenNotPaused returns (uint discountWei){
         require(_merchantWallet != 0x0);
         uint price = msg.value;
-        // Monetha fee cannot be greater than 1.5% of payment
-        require(_monethaFee >= 0 && _monethaFee <= FEE_PERMILLE.mul(price).div(1000));
+        // Monetha fee cannot be greater than max. fee of the payment
+        require(_monethaFee >= 0 && _monethaFee <= maxMonethaFee(price));
 
-        discountWei = 0;
-        if (monethaVoucher != address(0)) {
-            if (_vouchersApply > 0 && MaxDiscountPermille > 0) {
-                uint maxDiscountWei = price.mul(MaxDiscountPermille).div(PERMILLE_COEFFICIENT);
-                uint maxVouchers = monethaVoucher.fromWei(maxDiscountWei);
-                // limit vouchers to apply
-                uint vouchersApply = _vouchersApply;
-                if (vouchersApply > maxVouchers) {
-                    vouchersApply = maxVouchers;
-                }
-
-                (, discountWei) = monethaVoucher.applyDiscount(_customerAddress, vouchersApply);
-            }
-
-            if (_paybackPermille > 0) {
-                uint paybackWei = price.sub(discountWei).mul(_paybackPermille).div(PERMILLE_COEFFICIENT);
-                if (paybackWei > 0) {
-                    monethaVoucher.applyPayback(_customerAddress, paybackWei);
-                }
-            }
-        }
+        discountWei = applyVouchers(_customerAddress, price, _vouchersApply, _paybackPermille);
 
         uint merchantIncome = price.sub(_monethaFee);
 
-        _merchantWallet.transfer(merchantIncome);
-        monethaVault.transfer(_monethaFee);
+        payOut(address(0), _merchantWallet, merchantIncome);
+        payOut(address(0), monethaVault, _monethaFee);
 
         emit PaymentProcessedEther(_merchantWallet, merchantIncome, _monethaFee);
     }
@@ -132,28 +170,165 @@ contract MonethaGateway is Pausable, Contactable, Destructible, Restricted {
      *  @param _monethaFee is a fee collected by Monetha
      *  @param _tokenAddress is the token address
      *  @param _value is the order value
+     *  @param _customerAddress address of the customer, which vouchers are applied
+     *  @param _vouchersApply amount of vouchers to apply for discount
+     *  @param _paybackPermille payback permille
+     *  @return discount in tokens
      */
     function acceptTokenPayment(
         address _merchantWallet,
         uint _monethaFee,
         address _tokenAddress,
-        uint _value
+        uint _value,
+        address _customerAddress,
+        uint _vouchersApply,
+        uint _paybackPermille
     )
-    external onlyMonetha whenNotPaused
+    external onlyMonetha whenNotPaused returns (uint discount)
     {
         require(_merchantWallet != 0x0);
+        require(isTokenSupported(_tokenAddress));
+
+        // Monetha fee cannot be greater than max. fee of the payment
+        require(_monethaFee >= 0 && _monethaFee <= maxMonethaFee(_value));
 
-        // Monetha fee cannot be greater than 1.5% of payment
-        require(_monethaFee >= 0 && _monethaFee <= FEE_PERMILLE.mul(_value).div(1000));
+        discount = applyTokenVouchers(_customerAddress, _tokenAddress, _value, _vouchersApply, _paybackPermille);
 
         uint merchantIncome = _value.sub(_monethaFee);
 
-        GenericERC20(_tokenAddress).transfer(_merchantWallet, merchantIncome);
-        GenericERC20(_tokenAddress).transfer(monethaVault, _monethaFee);
+        payOut(_tokenAddress, _merchantWallet, merchantIncome);
+        payOut(_tokenAddress, monethaVault, _monethaFee);
 
         emit PaymentProcessedToken(_tokenAddress, _merchantWallet, merchantIncome, _monethaFee);
     }
 
+    /**
+     *  acceptPaymentToPayees accept payment from PaymentAcceptor, splits it among several payees
+     *      according to their shares and collects Monetha fee.
+     *  @param _payees addresses of payees for fund transfer
+     *  @param _shares shares of payees in merchant income
+     *  @param _monethaFee is a fee collected by Monetha
+     *  @param _customerAddress address of the customer, which vouchers are applied
+     *  @param _vouchersApply amount of vouchers to apply for discount
+     *  @param _paybackPermille payback permille
+     *  @return discount in wei
+     */
+    function acceptPaymentToPayees(
+        address[] _payees,
+        uint[] _shares,
+        uint _monethaFee,
+        address _customerAddress,
+        uint _vouchersApply,
+        uint _paybackPermille
+    )
+    public payable onlyMonetha whenNotPaused returns (uint discountWei)
+    {
+        uint price = msg.value;
+        // Monetha fee cannot be greater than max. fee of the payment
+        require(_monethaFee >= 0 && _monethaFee <= maxMonethaFee(price));
+
+        discountWei = applyVouchers(_customerAddress, price, _vouchersApply, _paybackPermille);
+
+        splitIncome(address(0), _payees, _shares, price.sub(_monethaFee));
+        payOut(address(0), monethaVault, _monethaFee);
+    }
+
+    /**
+     *  acceptTokenPaymentToPayees accept token payment from PaymentAcceptor, splits it among several payees
+     *      according to their shares and collects Monetha fee.
+     *  @param _payees addresses of payees for token transfer
+     *  @param _shares shares of payees in merchant income
+     *  @param _monethaFee is a fee collected by Monetha
+     *  @param _tokenAddress is the token address
+     *  @param _value is the order value
+     *  @param _customerAddress address of the customer, which vouchers are applied
+     *  @param _vouchersApply amount of vouchers to apply for discount
+     *  @param _paybackPermille payback permille
+     *  @return discount in tokens
+     */
+    function acceptTokenPaymentToPayees(
+        address[] _payees,
+        uint[] _shares,
+        uint _monethaFee,
+        address _tokenAddress,
+        uint _value,
+        address _customerAddress,
+        uint _vouchersApply,
+        uint _paybackPermille
+    )
+    public onlyMonetha whenNotPaused returns (uint discount)
+    {
+        require(_tokenAddress != address(0));
+        require(isTokenSupported(_tokenAddress));
+        // Monetha fee cannot be greater than max. fee of the payment
+        require(_monethaFee >= 0 && _monethaFee <= maxMonethaFee(_value));
+
+        discount = applyTokenVouchers(_customerAddress, _tokenAddress, _value, _vouchersApply, _paybackPermille);
+
+        splitIncome(_tokenAddress, _payees, _shares, _value.sub(_monethaFee));
+        payOut(_tokenAddress, monethaVault, _monethaFee);
+    }
+
+    /**
+     *  destroy is not allowed, while credits are outstanding, so that recipients don't lose them.
+     */
+    function destroy() public onlyOwner {
+        require(creditedTokensCount == 0);
+        super.destroy();
+    }
+
+    /**
+     *  destroyAndSend is not allowed, while credits are outstanding, so that recipients don't lose them.
+     */
+    function destroyAndSend(address _recipient) public onlyOwner {
+        require(creditedTokensCount == 0);
+        super.destroyAndSend(_recipient);
+    }
+
+    /**
+     *  withdrawCredit transfers all credited ether or tokens of the sender to the beneficiary.
+     *  Credits stay withdrawable while the gateway is paused, pausing only stops new credits.
+     *  @param _tokenAddress Token address, 0x0 for ether
+     *  @param _beneficiary Address, where credit is transferred, e.g. the sender itself
+     */
+    function withdrawCredit(address _tokenAddress, address _beneficiary) external {
+        require(_beneficiary != address(0));
+
+        withdraw(msg.sender, _tokenAddress, _beneficiary);
+    }
+
+    /**
+     *  releaseCredit transfers all credited ether or tokens of the recipient to the recipient itself.
+     *  Can be called by anyone, e.g. for recipients like MerchantWallet, which can't withdraw credits themselves.
+     *  @param _recipient Address of the recipient
+     *  @param _tokenAddress Token address, 0x0 for ether
+     */
+    function releaseCredit(address _recipient, address _tokenAddress) external {
+        withdraw(_recipient, _tokenAddress, _recipient);
+    }
+
+    /**
+     *  @return outstanding credits of the recipient in the tokens (0x0 for ether)
+     */
+    function creditsOf(address _recipient, address[] _tokenAddresses) external view returns (uint[] amounts) {
+        amounts = new uint[](_tokenAddresses.length);
+        for (uint i = 0; i < _tokenAddresses.length; i++) {
+            amounts[i] = credits[_recipient][_tokenAddresses[i]];
+        }
+    }
+
+    /**
+     *  setPullPayments allows owner to switch pull-payment mode on or off.
+     *  Credits, accrued in pull-payment mode, stay withdrawable after it is switched off.
+     *  @param _pullPayments True to credit recipients instead of transferring funds to them
+     */
+    function setPullPayments(bool _pullPayments) public onlyOwner {
+        if (pullPayments != _pullPayments) {
+            pullPayments = _pullPayments;
+            emit PullPaymentsChanged(_pullPayments);
+        }
+    }
+
     /**
      *  changeMonethaVault allows owner to change address of Monetha Vault.
      *  @param newVault New address of Monetha Vault
@@ -193,6 +368,51 @@ contract MonethaGateway is Pausable, Contactable, Destructible, Restricted {
         }
     }
 
+    /**
+     *  setTokenRate allows admin or owner to change rate of the token, which is used to apply vouchers for token payments.
+     *  If set to 0, discounts and paybacks are disabled for the token.
+     *  @param _tokenAddress Address of the token
+     *  @param _rate Amount of wei, which is worth TOKEN_RATE_COEFFICIENT minimal units of the token
+     */
+    function setTokenRate(address _tokenAddress, uint _rate) external {
+        require(msg.sender == admin || msg.sender == owner);
+        require(_tokenAddress != address(0));
+
+        emit TokenRateChanged(_tokenAddress, tokenRates[_tokenAddress], _rate);
+        tokenRates[_tokenAddress] = _rate;
+    }
+
+    /**
+     *  setMonethaFeeSchedule allows owner to change address of Monetha fee schedule contract.
+     *  If set to 0x0 address, Monetha fee is limited by FEE_PERMILLE.
+     *  @param _monethaFeeSchedule New address of Monetha fee schedule contract
+     */
+    function setMonethaFeeSchedule(MonethaFeeSchedule _monethaFeeSchedule) public onlyOwner {
+        if (monethaFeeSchedule != _monethaFeeSchedule) {
+            emit MonethaFeeScheduleChanged(monethaFeeSchedule, _monethaFeeSchedule);
+            monethaFeeSchedule = _monethaFeeSchedule;
+        }
+    }
+
+    /**
+     *  setSupportedTokens allows owner to change address of Monetha supported tokens registry.
+     *  If set to 0x0 address, payments in any token are accepted (e.g. in emergency).
+     *  @param _supportedTokens New address of Monetha supported tokens registry
+     */
+    function setSupportedTokens(MonethaSupportedTokens _supportedTokens) public onlyOwner {
+        if (supportedTokens != _supportedTokens) {
+            emit SupportedTokensChanged(supportedTokens, _supportedTokens);
+            supportedTokens = _supportedTokens;
+        }
+    }
+
+    /**
+     *  @return true if payments in the token are accepted by the gateway
+     */
+    function isTokenSupported(address _tokenAddress) public view returns (bool) {
+        return supportedTokens == address(0) || supportedTokens.isTokenSupported(_tokenAddress);
+    }
+
     /**
      *  setMaxDiscountPermille allows Monetha to change max.discount percentage
      *  @param _maxDiscountPermille New value of max.discount (in permille)
@@ -202,4 +422,189 @@ contract MonethaGateway is Pausable, Contactable, Destructible, Restricted {
         emit MaxDiscountPermilleChanged(MaxDiscountPermille, _maxDiscountPermille);
         MaxDiscountPermille = _maxDiscountPermille;
     }
+
+    /**
+     *  applyVouchers applies customer's vouchers for discount, limited by max. discount percentage,
+     *      and grants payback vouchers for the rest of the payment.
+     *  @param _customerAddress address of the customer
+     *  @param _priceWei payment amount in wei
+     *  @param _vouchersApply amount of vouchers to apply for discount
+     *  @param _paybackPermille payback permille
+     *  @return discount in wei
+     */
+    function applyVouchers(
+        address _customerAddress,
+        uint _priceWei,
+        uint _vouchersApply,
+        uint _paybackPermille
+    )
+    internal returns (uint discountWei)
+    {
+        discountWei = 0;
+        if (monethaVoucher != address(0)) {
+            if (_vouchersApply > 0 && MaxDiscountPermille > 0) {
+                uint maxDiscountWei = _priceWei.mul(MaxDiscountPermille).div(PERMILLE_COEFFICIENT);
+                uint maxVouchers = monethaVoucher.fromWei(maxDiscountWei);
+                // limit vouchers to apply
+                uint vouchersApply = _vouchersApply;
+                if (vouchersApply > maxVouchers) {
+                    vouchersApply = maxVouchers;
+                }
+
+                (, discountWei) = monethaVoucher.applyDiscount(_customerAddress, vouchersApply);
+            }
+
+            if (_paybackPermille > 0) {
+                uint paybackWei = _priceWei.sub(discountWei).mul(_paybackPermille).div(PERMILLE_COEFFICIENT);
+                if (paybackWei > 0) {
+                    monethaVoucher.applyPayback(_customerAddress, paybackWei);
+                }
+            }
+        }
+    }
+
+    /**
+     *  maxMonethaFee returns max. Monetha fee, which can be collected from the payment:
+     *  FEE_PERMILLE of the payment or the whole payment, if fee schedule is set and the fee is already validated
+     *  by payment processor at order creation, so that a change of the fee schedule doesn't block paid orders.
+     *  @param _value payment amount
+     */
+    function maxMonethaFee(uint _value) internal view returns (uint) {
+        if (monethaFeeSchedule != address(0)) {
+            return _value;
+        }
+
+        return FEE_PERMILLE.mul(_value).div(PERMILLE_COEFFICIENT);
+    }
+
+    /**
+     *  applyTokenVouchers applies customer's vouchers for token payment, using rate of the token.
+     *  @param _customerAddress address of the customer
+     *  @param _tokenAddress is the token address
+     *  @param _value payment amount in tokens
+     *  @param _vouchersApply amount of vouchers to apply for discount
+     *  @param _paybackPermille payback permille
+     *  @return discount in tokens
+     */
+    function applyTokenVouchers(
+        address _customerAddress,
+        address _tokenAddress,
+        uint _value,
+        uint _vouchersApply,
+        uint _paybackPermille
+    )
+    internal returns (uint discount)
+    {
+        discount = 0;
+        uint rate = tokenRates[_tokenAddress];
+        if (rate > 0) {
+            uint discountWei = applyVouchers(
+                _customerAddress,
+                _value.mul(rate).div(TOKEN_RATE_COEFFICIENT),
+                _vouchersApply,
+                _paybackPermille);
+
+            discount = discountWei.mul(TOKEN_RATE_COEFFICIENT).div(rate);
+        }
+    }
+
+    /**
+     *  splitIncome transfers merchant income to payees proportionally to their shares.
+     *      Rounding remainder goes to the last payee.
+     *  @param _tokenAddress is the token address, 0x0 for ether
+     *  @param _payees addresses of payees
+     *  @param _shares shares of payees
+     *  @param _income merchant income to split
+     */
+    function splitIncome(address _tokenAddress, address[] _payees, uint[] _shares, uint _income) internal {
+        require(_payees.length > 0);
+        require(_payees.length == _shares.length);
+
+        uint totalShares = 0;
+        for (uint i = 0; i < _shares.length; i++) {
+            require(_payees[i] != address(0));
+            require(_shares[i] > 0);
+            totalShares = totalShares.add(_shares[i]);
+        }
+
+        uint rest = _income;
+        for (i = 0; i < _payees.length; i++) {
+            uint payeeIncome = rest;
+            if (i < _payees.length - 1) {
+                payeeIncome = _income.mul(_shares[i]).div(totalShares);
+                rest = rest.sub(payeeIncome);
+            }
+
+            payOut(_tokenAddress, _payees[i], payeeIncome);
+            if (_tokenAddress == address(0)) {
+                emit PayeePaidEther(_payees[i], payeeIncome);
+            } else {
+                emit PayeePaidToken(_tokenAddress, _payees[i], payeeIncome);
+            }
+        }
+    }
+
+    /**
+     *  withdraw transfers all credited ether or tokens of the recipient to the beneficiary.
+     *  @param _recipient Address of the recipient
+     *  @param _tokenAddress Token address, 0x0 for ether
+     *  @param _beneficiary Address, where credit is transferred
+     */
+    function withdraw(address _recipient, address _tokenAddress, address _beneficiary) internal {
+        uint amount = credits[_recipient][_tokenAddress];
+        require(amount > 0);
+
+        credits[_recipient][_tokenAddress] = 0;
+        totalCredits[_tokenAddress] = totalCredits[_tokenAddress].sub(amount);
+        if (totalCredits[_tokenAddress] == 0) {
+            creditedTokensCount--;
+        }
+
+        if (_tokenAddress == address(0)) {
+            _beneficiary.transfer(amount);
+        } else {
+            GenericERC20(_tokenAddress).transfer(_beneficiary, amount);
+        }
+
+        emit CreditWithdrawn(_recipient, _tokenAddress, _beneficiary, amount);
+    }
+
+    /**
+     *  payOut transfers ether or tokens to the recipient, or credits them in pull-payment mode.
+     *  Credits must be covered by ether or tokens, received by the gateway.
+     *  @param _tokenAddress is the token address, 0x0 for ether
+     *  @param _recipient address of the recipient
+     *  @param _amount amount of ether or tokens
+     */
+    function payOut(address _tokenAddress, address _recipient, uint _amount) internal {
+        if (pullPayments) {
+            if (_amount > 0) {
+                uint total = totalCredits[_tokenAddress].add(_amount);
+                require(balanceOf(_tokenAddress) >= total);
+
+                if (totalCredits[_tokenAddress] == 0) {
+                    creditedTokensCount++;
+                }
+                credits[_recipient][_tokenAddress] = credits[_recipient][_tokenAddress].add(_amount);
+                totalCredits[_tokenAddress] = total;
+                emit PaymentCredited(_recipient, _tokenAddress, _amount);
+            }
+        } else if (_tokenAddress == address(0)) {
+            _recipient.transfer(_amount);
+        } else {
+            GenericERC20(_tokenAddress).transfer(_recipient, _amount);
+        }
+    }
+
+    /**
+     *  balanceOf returns ether or token balance of the gateway.
+     *  @param _tokenAddress is the token address, 0x0 for ether
+     */
+    function balanceOf(address _tokenAddress) internal view returns (uint) {
+        if (_tokenAddress == address(0)) {
+            return address(this).balance;
+        }
+
+        return GenericERC20(_tokenAddress).balanceOf(address(this));
+    }
 }
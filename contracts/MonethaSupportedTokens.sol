@@ -5,56 +5,154 @@ import "monetha-utility-contracts/contracts/Restricted.sol";
 /**
  *  @title MonethaSupportedTokens
  *
- *  MonethaSupportedTokens stores all erc20 token supported by Monetha
+ *  MonethaSupportedTokens stores all erc20 token supported by Monetha, keyed by token address
  */
 contract MonethaSupportedTokens is Restricted {
-    
-    string constant VERSION = "0.1";
-    
+
+    string constant VERSION = "0.2";
+
     struct Token {
-        bytes32 token_acronym;
-        address token_address;
-    }
-    
-    mapping (uint => Token) public tokens;
-
-    uint public tokenId;
-    
-    address[] private allAddresses;
-    bytes32[] private allAccronym;
-    
-    function addToken(bytes32 _tokenAcronym, address _tokenAddress)
+        bytes32 acronym;
+        uint8 decimals;
+        bool isEnabled;
+        uint minOrderAmount;
+        uint maxOrderAmount; // 0 means no upper limit
+        uint position; // 1-based position in tokenAddresses, 0 if token is not registered
+    }
+
+    mapping (address=>Token) public tokens;
+
+    /// Token address by its acronym
+    mapping (bytes32=>address) public tokenAddressByAcronym;
+
+    address[] private tokenAddresses;
+
+    event TokenAdded(address indexed tokenAddress, bytes32 indexed acronym, uint8 decimals, uint minOrderAmount, uint maxOrderAmount);
+    event TokenUpdated(address indexed tokenAddress, bool isEnabled, uint minOrderAmount, uint maxOrderAmount);
+    event TokenRemoved(address indexed tokenAddress, bytes32 indexed acronym);
+
+    modifier tokenExists(address _tokenAddress) {
+        require(tokens[_tokenAddress].position != 0);
+        _;
+    }
+
+    /**
+     *  Adds enabled token to the registry. Token address and acronym must be unique.
+     */
+    function addToken(
+        bytes32 _acronym,
+        address _tokenAddress,
+        uint8 _decimals,
+        uint _minOrderAmount,
+        uint _maxOrderAmount
+    )
         external onlyMonetha
     {
         require(_tokenAddress != address(0));
+        require(_acronym != bytes32(0));
+        require(tokens[_tokenAddress].position == 0);
+        require(tokenAddressByAcronym[_acronym] == address(0));
+        require(_maxOrderAmount == 0 || _minOrderAmount <= _maxOrderAmount);
 
-        tokens[++tokenId] = Token({
-            token_acronym: bytes32(_tokenAcronym),
-            token_address: _tokenAddress
+        tokenAddresses.push(_tokenAddress);
+        tokens[_tokenAddress] = Token({
+            acronym: _acronym,
+            decimals: _decimals,
+            isEnabled: true,
+            minOrderAmount: _minOrderAmount,
+            maxOrderAmount: _maxOrderAmount,
+            position: tokenAddresses.length
         });
-        allAddresses.push(_tokenAddress);
-        allAccronym.push(bytes32(_tokenAcronym));
+        tokenAddressByAcronym[_acronym] = _tokenAddress;
+
+        emit TokenAdded(_tokenAddress, _acronym, _decimals, _minOrderAmount, _maxOrderAmount);
     }
-    
-    function deleteToken(uint _tokenId)
-        external onlyMonetha
+
+    /**
+     *  Enables or disables token and changes its order amount limits
+     */
+    function updateToken(address _tokenAddress, bool _isEnabled, uint _minOrderAmount, uint _maxOrderAmount)
+        external onlyMonetha tokenExists(_tokenAddress)
+    {
+        require(_maxOrderAmount == 0 || _minOrderAmount <= _maxOrderAmount);
+
+        Token storage token = tokens[_tokenAddress];
+        token.isEnabled = _isEnabled;
+        token.minOrderAmount = _minOrderAmount;
+        token.maxOrderAmount = _maxOrderAmount;
+
+        emit TokenUpdated(_tokenAddress, _isEnabled, _minOrderAmount, _maxOrderAmount);
+    }
+
+    /**
+     *  Removes token from the registry. Entries of other tokens are not affected.
+     */
+    function removeToken(address _tokenAddress)
+        external onlyMonetha tokenExists(_tokenAddress)
     {
-        
-        tokens[_tokenId].token_address = tokens[tokenId].token_address;
-        tokens[_tokenId].token_acronym = tokens[tokenId].token_acronym;
-
-        uint len = allAddresses.length;
-        allAddresses[_tokenId-1] = allAddresses[len-1];
-        allAccronym[_tokenId-1] = allAccronym[len-1];
-        allAddresses.length--;
-        allAccronym.length--;
-        delete tokens[tokenId];
-        tokenId--;
-    }
-    
+        uint position = tokens[_tokenAddress].position;
+        address lastAddress = tokenAddresses[tokenAddresses.length - 1];
+
+        tokenAddresses[position - 1] = lastAddress;
+        tokens[lastAddress].position = position;
+        tokenAddresses.length--;
+
+        bytes32 acronym = tokens[_tokenAddress].acronym;
+        delete tokenAddressByAcronym[acronym];
+        delete tokens[_tokenAddress];
+
+        emit TokenRemoved(_tokenAddress, acronym);
+    }
+
+    /**
+     *  @return true if token is registered and enabled
+     */
+    function isTokenSupported(address _tokenAddress) public view returns (bool) {
+        return tokens[_tokenAddress].isEnabled;
+    }
+
+    /**
+     *  @return true if token is registered, enabled and order amount is within its limits
+     */
+    function isValidOrderAmount(address _tokenAddress, uint _amount) external view returns (bool) {
+        Token storage token = tokens[_tokenAddress];
+
+        return token.isEnabled &&
+            _amount >= token.minOrderAmount &&
+            (token.maxOrderAmount == 0 || _amount <= token.maxOrderAmount);
+    }
+
+    /**
+     *  @return number of registered tokens
+     */
+    function tokensCount() external view returns (uint) {
+        return tokenAddresses.length;
+    }
+
+    /**
+     *  @return addresses and acronyms of at most _limit registered tokens starting from _offset
+     */
+    function getTokens(uint _offset, uint _limit) public view returns (address[] addresses, bytes32[] acronyms) {
+        uint end = _offset + _limit;
+        if (end > tokenAddresses.length || end < _offset) {
+            end = tokenAddresses.length;
+        }
+        uint count = end > _offset ? end - _offset : 0;
+
+        addresses = new address[](count);
+        acronyms = new bytes32[](count);
+        for (uint i = 0; i < count; i++) {
+            addresses[i] = tokenAddresses[_offset + i];
+            acronyms[i] = tokens[addresses[i]].acronym;
+        }
+    }
+
+    /**
+     *  @return addresses and acronyms of all registered tokens
+     */
     function getAll() external view returns (address[], bytes32[])
     {
-        return (allAddresses, allAccronym);
+        return getTokens(0, tokenAddresses.length);
     }
-    
+
 }
@@ -9,6 +9,10 @@ import "./MonethaGateway.sol";
 import "./MerchantDealsHistory.sol";
 import "./MerchantWallet.sol";
 import "./GenericERC20.sol";
+import "./MerchantProcessor.sol";
+import "./ClientReputation.sol";
+import "./MonethaSupportedTokens.sol";
+import "./SignedOrders.sol";
 
 
 /**
@@ -17,34 +21,41 @@ import "./GenericERC20.sol";
  *
  *  Payment Processor State Transitions:
  *  Null -(addOrder) -> Created
+ *  Null -(payForSignedOrder) -> Paid
  *  Created -(securePay) -> Paid
  *  Created -(cancelOrder) -> Cancelled
  *  Paid -(refundPayment) -> Refunding
  *  Paid -(processPayment) -> Finalized
+ *  Paid -(processPartialPayment) -> Refunding
+ *  Paid -(withdrawExpiredRefund) -> Expired
+ *  Paid -(openDispute) -> Disputed
+ *  Disputed -(resolveDispute) -> Finalized/Refunding
+ *  Disputed -(withdrawExpiredRefund) -> Expired
  *  Refunding -(withdrawRefund) -> Refunded
+ *
+ *  Paid -(processPaymentGroup) -> Finalized
+ *
+ *  Batches of orders are settled by PaymentProcessorBatch.
  */
 
 
-contract PaymentProcessor is Pausable, Destructible, Contactable, Restricted {
+contract PaymentProcessor is Pausable, Destructible, Contactable, Restricted, MerchantProcessor {
 
     using SafeMath for uint256;
 
-    string constant VERSION = "0.7";
+    string constant VERSION = "0.9";
 
     /**
-     *  Fee permille of Monetha fee.
-     *  1 permille = 0.1 %
-     *  15 permille = 1.5%
+     *  Period after payment, during which Monetha has to process or refund the order.
+     *  When it passes, client can take back paid funds/tokens himself.
      */
-    uint public constant FEE_PERMILLE = 15;
+    uint public settlementPeriod;
 
     /**
-     *  Payback permille.
-     *  1 permille = 0.1 %
+     *  Period after opening a dispute, during which arbiter has to resolve it.
+     *  When it passes, client can take back paid funds/tokens himself.
      */
-    uint public constant PAYBACK_PERMILLE = 2; // 0.2%
-
-    uint public constant PERMILLE_COEFFICIENT = 1000;
+    uint public disputePeriod;
 
     /// MonethaGateway contract for payment processing
     MonethaGateway public monethaGateway;
@@ -52,13 +63,16 @@ contract PaymentProcessor is Pausable, Destructible, Contactable, Restricted {
     /// MerchantDealsHistory contract of acceptor's merchant
     MerchantDealsHistory public merchantHistory;
 
-    /// Address of MerchantWallet, where merchant reputation and funds are stored
-    MerchantWallet public merchantWallet;
+    /// Address of arbiter, who resolves disputed orders
+    address public arbiter;
+
+    /// ClientReputation contract, where reputation of clients is stored (optional)
+    ClientReputation public clientReputation;
 
-    /// Merchant identifier hash, that associates with the acceptor
-    bytes32 public merchantIdHash;
+    /// MonethaSupportedTokens registry, orders are accepted in its enabled tokens only (optional)
+    MonethaSupportedTokens public supportedTokens;
 
-    enum State {Null, Created, Paid, Finalized, Refunding, Refunded, Cancelled}
+    enum State {Null, Created, Paid, Finalized, Refunding, Refunded, Cancelled, Expired, Disputed}
 
     struct Order {
         State state;
@@ -69,10 +83,36 @@ contract PaymentProcessor is Pausable, Destructible, Contactable, Restricted {
         address tokenAddress;
         uint vouchersApply;
         uint discount;
+        uint settlementDeadline;
+        uint refundAmount;
     }
 
     mapping(uint => Order) public orders;
 
+    /// Payees of the order, among which merchant income is split (for marketplace orders)
+    mapping(uint => address[]) public orderPayees;
+
+    /// Shares of the order payees in merchant income
+    mapping(uint => uint[]) public orderPayeeShares;
+
+    event SettlementPeriodChanged(uint prevSettlementPeriod, uint newSettlementPeriod);
+    event DisputePeriodChanged(uint prevDisputePeriod, uint newDisputePeriod);
+    event ArbiterChanged(address indexed previousArbiter, address indexed newArbiter);
+    event ClientReputationChanged(address indexed previousClientReputation, address indexed newClientReputation);
+    event SupportedTokensChanged(address indexed previousSupportedTokens, address indexed newSupportedTokens);
+    event DisputeOpened(uint indexed orderId, address indexed initiator, string reason);
+
+    event OrderCreated(
+        uint indexed orderId,
+        address indexed originAddress,
+        address indexed tokenAddress,
+        address paymentAcceptor,
+        uint price,
+        uint fee
+    );
+
+    event OrderStateChanged(uint indexed orderId, State indexed previousState, State indexed newState);
+
     /**
      *  Asserts current state.
      *  @param _state Expected state
@@ -83,6 +123,23 @@ contract PaymentProcessor is Pausable, Destructible, Contactable, Restricted {
         _;
     }
 
+    /**
+     *  Asserts that funds/tokens of the order are held in escrow, i.e. order is paid or disputed.
+     *  @param _orderId Order Id
+     */
+    modifier atEscrowState(uint _orderId) {
+        require(orders[_orderId].state == State.Paid || orders[_orderId].state == State.Disputed);
+        _;
+    }
+
+    /**
+     *  Restrict methods in such way, that they can be invoked only by arbiter.
+     */
+    modifier onlyArbiter() {
+        require(msg.sender == arbiter);
+        _;
+    }
+
     /**
      *  Performs a transition after function execution.
      *  @param _state Next state
@@ -90,7 +147,7 @@ contract PaymentProcessor is Pausable, Destructible, Contactable, Restricted {
      */
     modifier transition(uint _orderId, State _state) {
         _;
-        orders[_orderId].state = _state;
+        changeState(_orderId, _state);
     }
 
     /**
@@ -115,6 +172,8 @@ contract PaymentProcessor is Pausable, Destructible, Contactable, Restricted {
         setMonethaGateway(_monethaGateway);
         setMerchantWallet(_merchantWallet);
         setMerchantDealsHistory(_merchantHistory);
+        setSettlementPeriod(30 days);
+        setDisputePeriod(30 days);
     }
 
     /**
@@ -135,24 +194,116 @@ contract PaymentProcessor is Pausable, Destructible, Contactable, Restricted {
         uint _vouchersApply
     ) external whenNotPaused atState(_orderId, State.Null)
     {
-        require(_orderId > 0);
-        require(_price > 0);
-        require(_fee >= 0 && _fee <= FEE_PERMILLE.mul(_price).div(PERMILLE_COEFFICIENT));
-        // Monetha fee cannot be greater than 1.5% of price
-        require(_paymentAcceptor != address(0));
-        require(_originAddress != address(0));
-        require(orders[_orderId].price == 0 && orders[_orderId].fee == 0);
+        createOrder(_orderId, _price, _paymentAcceptor, _originAddress, _fee, _tokenAddress, _vouchersApply);
+    }
 
-        orders[_orderId] = Order({
-            state : State.Created,
-            price : _price,
-            fee : _fee,
-            paymentAcceptor : _paymentAcceptor,
-            originAddress : _originAddress,
-            tokenAddress : _tokenAddress,
-            vouchersApply : _vouchersApply,
-            discount: 0
-            });
+    /**
+     *  payForSignedOrder creates the order, signed off-chain by Monetha, and pays for it in a single transaction.
+     *  Order is signed as EIP-712 typed data (see signedOrderHash), sender becomes payment acceptor and origin address.
+     *  Token payment requires that token's approve method has been called prior to this.
+     *  @param _orderId Identifier of the order
+     *  @param _price Price of the order
+     *  @param _fee Monetha fee
+     *  @param _tokenAddress Token address, 0x0 for ether
+     *  @param _vouchersApply Amount of vouchers to apply
+     *  @param _expiry Timestamp, after which signed order can't be paid
+     *  @param _signature Monetha signature of the order
+     */
+    function payForSignedOrder(
+        uint _orderId,
+        uint _price,
+        uint _fee,
+        address _tokenAddress,
+        uint _vouchersApply,
+        uint _expiry,
+        bytes _signature
+    )
+    external payable whenNotPaused
+    atState(_orderId, State.Null) transition(_orderId, State.Paid)
+    {
+        require(now <= _expiry);
+        require(isMonethaAddress[signedOrderSigner(_orderId, _price, _fee, _tokenAddress, _vouchersApply, _expiry, _signature)]);
+
+        createOrder(_orderId, _price, msg.sender, msg.sender, _fee, _tokenAddress, _vouchersApply);
+        orders[_orderId].settlementDeadline = now.add(settlementPeriod);
+
+        if (_tokenAddress == address(0)) {
+            require(msg.value == _price);
+        } else {
+            require(msg.value == 0);
+            GenericERC20(_tokenAddress).transferFrom(msg.sender, address(this), _price);
+        }
+    }
+
+    /**
+     *  signedOrderHash returns EIP-712 hash of the order, which is signed by Monetha for payForSignedOrder (see SignedOrders).
+     *  @param _orderId Identifier of the order
+     *  @param _price Price of the order
+     *  @param _fee Monetha fee
+     *  @param _tokenAddress Token address, 0x0 for ether
+     *  @param _vouchersApply Amount of vouchers to apply
+     *  @param _expiry Timestamp, after which signed order can't be paid
+     */
+    function signedOrderHash(
+        uint _orderId,
+        uint _price,
+        uint _fee,
+        address _tokenAddress,
+        uint _vouchersApply,
+        uint _expiry
+    )
+    public view returns (bytes32)
+    {
+        return SignedOrders.hash(this, _orderId, _price, _fee, _tokenAddress, _vouchersApply, _expiry);
+    }
+
+    /**
+     *  signedOrderSigner returns address, which signed the order.
+     *  @param _orderId Identifier of the order
+     *  @param _price Price of the order
+     *  @param _fee Monetha fee
+     *  @param _tokenAddress Token address, 0x0 for ether
+     *  @param _vouchersApply Amount of vouchers to apply
+     *  @param _expiry Timestamp, after which signed order can't be paid
+     *  @param _signature Signature of the order
+     */
+    function signedOrderSigner(
+        uint _orderId,
+        uint _price,
+        uint _fee,
+        address _tokenAddress,
+        uint _vouchersApply,
+        uint _expiry,
+        bytes _signature
+    )
+    public view returns (address)
+    {
+        return SignedOrders.signer(this, _orderId, _price, _fee, _tokenAddress, _vouchersApply, _expiry, _signature);
+    }
+
+    /**
+     *  setOrderPayees splits merchant income of the order among several payees (when order is placed on marketplace).
+     *  Income of each payee is proportional to his share.
+     *  @param _orderId Identifier of the order
+     *  @param _payees Addresses of payees
+     *  @param _shares Shares of payees
+     */
+    function setOrderPayees(uint _orderId, address[] _payees, uint[] _shares)
+    external onlyMonetha whenNotPaused atState(_orderId, State.Created)
+    {
+        require(_payees.length > 0);
+        require(_payees.length == _shares.length);
+
+        orderPayees[_orderId] = _payees;
+        orderPayeeShares[_orderId] = _shares;
+    }
+
+    /**
+     *  getOrderPayees returns payees of the order together with their shares
+     *  @param _orderId Identifier of the order
+     */
+    function getOrderPayees(uint _orderId) external view returns (address[], uint[]) {
+        return (orderPayees[_orderId], orderPayeeShares[_orderId]);
     }
 
     /**
@@ -169,6 +320,8 @@ contract PaymentProcessor is Pausable, Destructible, Contactable, Restricted {
         require(order.tokenAddress == address(0));
         require(msg.sender == order.paymentAcceptor);
         require(msg.value == order.price);
+
+        order.settlementDeadline = now.add(settlementPeriod);
     }
 
     /**
@@ -185,6 +338,8 @@ contract PaymentProcessor is Pausable, Destructible, Contactable, Restricted {
         require(msg.sender == order.paymentAcceptor);
         require(order.tokenAddress != address(0));
 
+        order.settlementDeadline = now.add(settlementPeriod);
+
         GenericERC20(order.tokenAddress).transferFrom(msg.sender, address(this), order.price);
     }
 
@@ -208,24 +363,7 @@ contract PaymentProcessor is Pausable, Destructible, Contactable, Restricted {
     {
         require(bytes(_cancelReason).length > 0);
 
-        Order storage order = orders[_orderId];
-
-        updateDealConditions(
-            _orderId,
-            _clientReputation,
-            _merchantReputation,
-            false,
-            _dealHash
-        );
-
-        merchantHistory.recordDealCancelReason(
-            _orderId,
-            order.originAddress,
-            _clientReputation,
-            _merchantReputation,
-            _dealHash,
-            _cancelReason
-        );
+        recordCancellation(_orderId, _clientReputation, _merchantReputation, _dealHash, _cancelReason);
     }
 
     /**
@@ -249,24 +387,7 @@ contract PaymentProcessor is Pausable, Destructible, Contactable, Restricted {
     {
         require(bytes(_refundReason).length > 0);
 
-        Order storage order = orders[_orderId];
-
-        updateDealConditions(
-            _orderId,
-            _clientReputation,
-            _merchantReputation,
-            false,
-            _dealHash
-        );
-
-        merchantHistory.recordDealRefundReason(
-            _orderId,
-            order.originAddress,
-            _clientReputation,
-            _merchantReputation,
-            _dealHash,
-            _refundReason
-        );
+        recordRefund(_orderId, _clientReputation, _merchantReputation, _dealHash, _refundReason);
     }
 
     /**
@@ -280,7 +401,7 @@ contract PaymentProcessor is Pausable, Destructible, Contactable, Restricted {
         Order storage order = orders[_orderId];
         require(order.tokenAddress == address(0));
 
-        order.originAddress.transfer(order.price.sub(order.discount));
+        order.originAddress.transfer(order.refundAmount);
     }
 
     /**
@@ -293,7 +414,45 @@ contract PaymentProcessor is Pausable, Destructible, Contactable, Restricted {
     {
         require(orders[_orderId].tokenAddress != address(0));
 
-        GenericERC20(orders[_orderId].tokenAddress).transfer(orders[_orderId].originAddress, orders[_orderId].price);
+        GenericERC20(orders[_orderId].tokenAddress).transfer(orders[_orderId].originAddress, orders[_orderId].refundAmount);
+    }
+
+    /**
+     *  withdrawExpiredRefund allows client to take back paid funds,
+     *  when order was neither processed nor refunded till settlement deadline,
+     *  or when dispute of the order was not resolved till dispute deadline.
+     *  Works also when contract is paused, so that paid funds can't get stuck in it.
+     *  @param _orderId Identifier of the order
+     */
+    function withdrawExpiredRefund(uint _orderId)
+    external
+    atEscrowState(_orderId) transition(_orderId, State.Expired)
+    {
+        Order storage order = orders[_orderId];
+        require(order.tokenAddress == address(0));
+        require(msg.sender == order.originAddress);
+        require(now > order.settlementDeadline);
+
+        order.originAddress.transfer(order.price);
+    }
+
+    /**
+     *  withdrawExpiredTokenRefund allows client to take back paid tokens,
+     *  when order was neither processed nor refunded till settlement deadline,
+     *  or when dispute of the order was not resolved till dispute deadline.
+     *  Works also when contract is paused, so that paid tokens can't get stuck in it.
+     *  @param _orderId Identifier of the order
+     */
+    function withdrawExpiredTokenRefund(uint _orderId)
+    external
+    atEscrowState(_orderId) transition(_orderId, State.Expired)
+    {
+        Order storage order = orders[_orderId];
+        require(order.tokenAddress != address(0));
+        require(msg.sender == order.originAddress);
+        require(now > order.settlementDeadline);
+
+        GenericERC20(order.tokenAddress).transfer(order.originAddress, order.price);
     }
 
     /**
@@ -313,38 +472,107 @@ contract PaymentProcessor is Pausable, Destructible, Contactable, Restricted {
     atState(_orderId, State.Paid) transition(_orderId, State.Finalized)
     {
         Order storage order = orders[_orderId];
-        address fundAddress = merchantWallet.merchantFundAddress();
 
-        if (order.tokenAddress != address(0)) {
-            if (fundAddress != address(0)) {
-                GenericERC20(order.tokenAddress).transfer(address(monethaGateway), order.price);
-                monethaGateway.acceptTokenPayment(fundAddress, order.fee, order.tokenAddress, order.price);
-            } else {
-                GenericERC20(order.tokenAddress).transfer(address(monethaGateway), order.price);
-                monethaGateway.acceptTokenPayment(merchantWallet, order.fee, order.tokenAddress, order.price);
-            }
-        } else {
-            uint discountWei = 0;
-            if (fundAddress != address(0)) {
-                discountWei = monethaGateway.acceptPayment.value(order.price)(
-                    fundAddress,
-                    order.fee,
-                    order.originAddress,
-                    order.vouchersApply,
-                    PAYBACK_PERMILLE);
-            } else {
-                discountWei = monethaGateway.acceptPayment.value(order.price)(
-                    merchantWallet,
-                    order.fee,
-                    order.originAddress,
-                    order.vouchersApply,
-                    PAYBACK_PERMILLE);
-            }
+        forwardPayment(_orderId, order.price, order.fee);
 
-            if (discountWei > 0) {
-                order.discount = discountWei;
-            }
+        updateDealConditions(
+            _orderId,
+            _clientReputation,
+            _merchantReputation,
+            true,
+            _dealHash
+        );
+    }
+
+    /**
+     *  processPaymentGroup completes several paid orders in the same token at once (see PaymentProcessorBatch):
+     *  their payments are forwarded to MonethaGateway with one transfer and one gateway call.
+     *  Orders must be groupable (see isGroupable), otherwise the whole group is reverted.
+     *  @param _orderIds Identifiers of the orders
+     *  @param _clientReputations Updated reputations of the clients
+     *  @param _merchantReputations Updated reputations of the merchant
+     *  @param _dealHashes Hashcodes of the deals, describing the orders
+     *  @param _tokenAddress Token address of the orders, 0x0 for ether
+     */
+    function processPaymentGroup(
+        uint[] _orderIds,
+        uint32[] _clientReputations,
+        uint32[] _merchantReputations,
+        uint[] _dealHashes,
+        address _tokenAddress
+    )
+    external onlyMonetha whenNotPaused
+    {
+        require(_orderIds.length == _clientReputations.length);
+        require(_orderIds.length == _merchantReputations.length);
+        require(_orderIds.length == _dealHashes.length);
+
+        uint amount = 0;
+        uint fee = 0;
+        for (uint i = 0; i < _orderIds.length; i++) {
+            Order storage order = orders[_orderIds[i]];
+            require(order.state == State.Paid);
+            require(order.tokenAddress == _tokenAddress);
+            require(isGroupable(_orderIds[i]));
+
+            amount = amount.add(order.price);
+            fee = fee.add(order.fee);
+
+            updateDealConditions(_orderIds[i], _clientReputations[i], _merchantReputations[i], true, _dealHashes[i]);
+            changeState(_orderIds[i], State.Finalized);
+        }
+
+        // vouchers are not applied to grouped orders, so customer address doesn't matter
+        if (_tokenAddress != address(0)) {
+            GenericERC20(_tokenAddress).transfer(address(monethaGateway), amount);
+            monethaGateway.acceptTokenPayment(fundAddress(), fee, _tokenAddress, amount, address(0), 0, 0);
+        } else {
+            monethaGateway.acceptPayment.value(amount)(fundAddress(), fee, address(0), 0, 0);
         }
+    }
+
+    /**
+     *  isGroupable checks whether payment of the order can be forwarded together with payments of other orders
+     *  (see processPaymentGroup): order has no payees, and neither vouchers discount nor payback is applied to it,
+     *  as they are applied by MonethaGateway per client.
+     *  @param _orderId Identifier of the order
+     */
+    function isGroupable(uint _orderId) public view returns (bool) {
+        return orderPayees[_orderId].length == 0 && (monethaGateway.monethaVoucher() == address(0) ||
+            orders[_orderId].vouchersApply == 0 && paybackPermille(orders[_orderId].tokenAddress) == 0);
+    }
+
+    /**
+     *  processPartialPayment used in case order can be processed only partially.
+     *  This function transfers settled part of funds/tokens to MonethaGateway
+     *  and initiates process of refunding the rest to the client.
+     *  Monetha fee is recalculated proportionally to the settled part.
+     *  @param _orderId Identifier of the order
+     *  @param _refundAmount Part of the price to be refunded to the client
+     *  @param _clientReputation Updated reputation of the client
+     *  @param _merchantReputation Updated reputation of the merchant
+     *  @param _dealHash Hashcode of the deal, describing the order (used for deal verification)
+     *  @param _refundReason Partial refund reason
+     */
+    function processPartialPayment(
+        uint _orderId,
+        uint _refundAmount,
+        uint32 _clientReputation,
+        uint32 _merchantReputation,
+        uint _dealHash,
+        string _refundReason
+    )
+    external onlyMonetha whenNotPaused
+    atState(_orderId, State.Paid) transition(_orderId, State.Refunding)
+    {
+        require(bytes(_refundReason).length > 0);
+
+        Order storage order = orders[_orderId];
+        require(_refundAmount > 0 && _refundAmount < order.price);
+
+        uint settledAmount = order.price.sub(_refundAmount);
+        forwardPayment(_orderId, settledAmount, order.fee.mul(settledAmount).div(order.price));
+        order.refundAmount = _refundAmount;
 
         updateDealConditions(
             _orderId,
@@ -353,6 +581,86 @@ contract PaymentProcessor is Pausable, Destructible, Contactable, Restricted {
             true,
             _dealHash
         );
+
+        recordPartialRefund(
+            _orderId,
+            _clientReputation,
+            _merchantReputation,
+            _dealHash,
+            _refundReason
+        );
+    }
+
+    /**
+     *  openDispute allows client or merchant to contest paid order before it's processed.
+     *  Disputed order can be finalized or refunded only by arbiter, if arbiter doesn't resolve the dispute
+     *  during dispute period, client can take back paid funds/tokens (see withdrawExpiredRefund).
+     *  @param _orderId Identifier of the order
+     *  @param _reason Dispute reason
+     */
+    function openDispute(uint _orderId, string _reason)
+    external whenNotPaused
+    atState(_orderId, State.Paid) transition(_orderId, State.Disputed)
+    {
+        require(bytes(_reason).length > 0);
+        require(arbiter != address(0));
+        require(msg.sender == orders[_orderId].originAddress || msg.sender == merchantWallet.merchantAccount());
+
+        orders[_orderId].settlementDeadline = now.add(disputePeriod);
+
+        emit DisputeOpened(_orderId, msg.sender, _reason);
+    }
+
+    /**
+     *  resolveDispute is used by arbiter to resolve disputed order.
+     *  Ruling can be full refund (_refundAmount equals price), full release (_refundAmount is zero)
+     *  or split between merchant and client. Released part is transferred to MonethaGateway,
+     *  refunded part can be withdrawn by client.
+     *  @param _orderId Identifier of the order
+     *  @param _refundAmount Part of the price to be refunded to the client
+     *  @param _clientReputation Updated reputation of the client
+     *  @param _merchantReputation Updated reputation of the merchant
+     *  @param _dealHash Hashcode of the deal, describing the order (used for deal verification)
+     *  @param _ruling Arbiter's ruling
+     */
+    function resolveDispute(
+        uint _orderId,
+        uint _refundAmount,
+        uint32 _clientReputation,
+        uint32 _merchantReputation,
+        uint _dealHash,
+        string _ruling
+    )
+    external onlyArbiter whenNotPaused
+    atState(_orderId, State.Disputed)
+    {
+        require(bytes(_ruling).length > 0);
+
+        Order storage order = orders[_orderId];
+        require(_refundAmount <= order.price);
+
+        uint settledAmount = order.price.sub(_refundAmount);
+        if (settledAmount > 0) {
+            forwardPayment(_orderId, settledAmount, order.fee.mul(settledAmount).div(order.price));
+        }
+        order.refundAmount = _refundAmount;
+        changeState(_orderId, _refundAmount > 0 ? State.Refunding : State.Finalized);
+
+        updateDealConditions(
+            _orderId,
+            _clientReputation,
+            _merchantReputation,
+            settledAmount > 0,
+            _dealHash
+        );
+
+        recordDisputeRuling(
+            _orderId,
+            _clientReputation,
+            _merchantReputation,
+            _dealHash,
+            _ruling
+        );
     }
 
     /**
@@ -388,8 +696,342 @@ contract PaymentProcessor is Pausable, Destructible, Contactable, Restricted {
     }
 
     /**
-     *  updateDealConditions record finalized deal and updates merchant reputation
-     *  in future: update Client reputation
+     *  setClientReputation allows owner to change address of ClientReputation.
+     *  If set to 0x0 address, client reputation is only recorded in MerchantDealsHistory.
+     *  @param _clientReputation Address of new ClientReputation contract
+     */
+    function setClientReputation(ClientReputation _clientReputation) public onlyOwner {
+        if (clientReputation != _clientReputation) {
+            emit ClientReputationChanged(clientReputation, _clientReputation);
+            clientReputation = _clientReputation;
+        }
+    }
+
+    /**
+     *  setSupportedTokens allows owner to change address of MonethaSupportedTokens.
+     *  If set to 0x0 address, orders in any token are accepted (e.g. in emergency).
+     *  @param _supportedTokens Address of new MonethaSupportedTokens contract
+     */
+    function setSupportedTokens(MonethaSupportedTokens _supportedTokens) public onlyOwner {
+        if (supportedTokens != _supportedTokens) {
+            emit SupportedTokensChanged(supportedTokens, _supportedTokens);
+            supportedTokens = _supportedTokens;
+        }
+    }
+
+    /**
+     *  setSettlementPeriod allows owner to change settlement period of orders, paid after the change.
+     *  @param _settlementPeriod New settlement period (in seconds)
+     */
+    function setSettlementPeriod(uint _settlementPeriod) public onlyOwner {
+        require(_settlementPeriod > 0);
+        emit SettlementPeriodChanged(settlementPeriod, _settlementPeriod);
+        settlementPeriod = _settlementPeriod;
+    }
+
+    /**
+     *  setDisputePeriod allows owner to change dispute period of orders, disputed after the change.
+     *  @param _disputePeriod New dispute period (in seconds)
+     */
+    function setDisputePeriod(uint _disputePeriod) public onlyOwner {
+        require(_disputePeriod > 0);
+        emit DisputePeriodChanged(disputePeriod, _disputePeriod);
+        disputePeriod = _disputePeriod;
+    }
+
+    /**
+     *  forwardPayment transfers funds/tokens of the order to MonethaGateway,
+     *  which forwards them to merchant's fund address (or wallet) or order payees and collects Monetha fee.
+     *  @param _orderId Identifier of the order
+     *  @param _amount Amount of funds/tokens to transfer
+     *  @param _fee Monetha fee of the amount
+     */
+    function forwardPayment(uint _orderId, uint _amount, uint _fee) internal {
+        if (orders[_orderId].tokenAddress != address(0)) {
+            GenericERC20(orders[_orderId].tokenAddress).transfer(address(monethaGateway), _amount);
+        }
+
+        acceptPayment(_orderId, _amount, _fee);
+    }
+
+    /**
+     *  acceptPayment makes MonethaGateway forward payment of the order to merchant's fund address (or wallet)
+     *  or order payees and collect Monetha fee. Tokens must be already transferred to MonethaGateway.
+     *  @param _orderId Identifier of the order
+     *  @param _amount Amount of funds/tokens to forward
+     *  @param _fee Monetha fee of the amount
+     */
+    function acceptPayment(uint _orderId, uint _amount, uint _fee) internal {
+        Order storage order = orders[_orderId];
+
+        uint discount = 0;
+        if (orderPayees[_orderId].length > 0) {
+            discount = acceptPaymentToPayees(_orderId, _amount, _fee);
+        } else {
+            if (order.tokenAddress != address(0)) {
+                discount = monethaGateway.acceptTokenPayment(
+                    fundAddress(),
+                    _fee,
+                    order.tokenAddress,
+                    _amount,
+                    order.originAddress,
+                    order.vouchersApply,
+                    paybackPermille(order.tokenAddress));
+            } else {
+                discount = monethaGateway.acceptPayment.value(_amount)(
+                    fundAddress(),
+                    _fee,
+                    order.originAddress,
+                    order.vouchersApply,
+                    paybackPermille(order.tokenAddress));
+            }
+        }
+
+        if (discount > 0) {
+            order.discount = discount;
+        }
+    }
+
+    /**
+     *  acceptPaymentToPayees makes MonethaGateway split payment of the order among order payees
+     *  and collect Monetha fee.
+     *  @param _orderId Identifier of the order
+     *  @param _amount Amount of funds/tokens to split
+     *  @param _fee Monetha fee of the amount
+     *  @return discount
+     */
+    function acceptPaymentToPayees(uint _orderId, uint _amount, uint _fee) internal returns (uint) {
+        Order storage order = orders[_orderId];
+
+        if (order.tokenAddress != address(0)) {
+            return monethaGateway.acceptTokenPaymentToPayees(
+                orderPayees[_orderId],
+                orderPayeeShares[_orderId],
+                _fee,
+                order.tokenAddress,
+                _amount,
+                order.originAddress,
+                order.vouchersApply,
+                paybackPermille(order.tokenAddress));
+        }
+
+        return monethaGateway.acceptPaymentToPayees.value(_amount)(
+            orderPayees[_orderId],
+            orderPayeeShares[_orderId],
+            _fee,
+            order.originAddress,
+            order.vouchersApply,
+            paybackPermille(order.tokenAddress));
+    }
+
+    /**
+     *  recordPartialRefund records settled and refunded amounts of partially processed order
+     *  @param _orderId Identifier of the order
+     *  @param _clientReputation Updated reputation of the client
+     *  @param _merchantReputation Updated reputation of the merchant
+     *  @param _dealHash Hashcode of the deal, describing the order (used for deal verification)
+     *  @param _refundReason Partial refund reason
+     */
+    function recordPartialRefund(
+        uint _orderId,
+        uint32 _clientReputation,
+        uint32 _merchantReputation,
+        uint _dealHash,
+        string _refundReason
+    )
+    internal
+    {
+        Order storage order = orders[_orderId];
+
+        merchantHistory.recordDealPartialRefund(
+            _orderId,
+            order.originAddress,
+            _clientReputation,
+            _merchantReputation,
+            _dealHash,
+            order.price.sub(order.refundAmount),
+            order.refundAmount,
+            _refundReason
+        );
+    }
+
+    /**
+     *  setArbiter allows owner to change address of arbiter.
+     *  @param _arbiter New address of arbiter
+     */
+    function setArbiter(address _arbiter) public onlyOwner {
+        if (arbiter != _arbiter) {
+            emit ArbiterChanged(arbiter, _arbiter);
+            arbiter = _arbiter;
+        }
+    }
+
+    /**
+     *  recordDisputeRuling records arbiter's ruling together with released and refunded amounts of disputed order
+     *  @param _orderId Identifier of the order
+     *  @param _clientReputation Updated reputation of the client
+     *  @param _merchantReputation Updated reputation of the merchant
+     *  @param _dealHash Hashcode of the deal, describing the order (used for deal verification)
+     *  @param _ruling Arbiter's ruling
+     */
+    function recordDisputeRuling(
+        uint _orderId,
+        uint32 _clientReputation,
+        uint32 _merchantReputation,
+        uint _dealHash,
+        string _ruling
+    )
+    internal
+    {
+        Order storage order = orders[_orderId];
+
+        merchantHistory.recordDealDisputeRuling(
+            _orderId,
+            order.originAddress,
+            _clientReputation,
+            _merchantReputation,
+            _dealHash,
+            order.price.sub(order.refundAmount),
+            order.refundAmount,
+            _ruling
+        );
+    }
+
+    /**
+     *  recordCancellation records cancelled deal and its cancel reason
+     *  @param _orderId Identifier of the order
+     *  @param _clientReputation Updated reputation of the client
+     *  @param _merchantReputation Updated reputation of the merchant
+     *  @param _dealHash Hashcode of the deal, describing the order (used for deal verification)
+     *  @param _cancelReason Order cancel reason
+     */
+    function recordCancellation(
+        uint _orderId,
+        uint32 _clientReputation,
+        uint32 _merchantReputation,
+        uint _dealHash,
+        string _cancelReason
+    )
+    internal
+    {
+        updateDealConditions(
+            _orderId,
+            _clientReputation,
+            _merchantReputation,
+            false,
+            _dealHash
+        );
+
+        merchantHistory.recordDealCancelReason(
+            _orderId,
+            orders[_orderId].originAddress,
+            _clientReputation,
+            _merchantReputation,
+            _dealHash,
+            _cancelReason
+        );
+    }
+
+    /**
+     *  recordRefund sets refund amount of the order and records refunded deal with its refund reason
+     *  @param _orderId Identifier of the order
+     *  @param _clientReputation Updated reputation of the client
+     *  @param _merchantReputation Updated reputation of the merchant
+     *  @param _dealHash Hashcode of the deal, describing the order (used for deal verification)
+     *  @param _refundReason Order refund reason
+     */
+    function recordRefund(
+        uint _orderId,
+        uint32 _clientReputation,
+        uint32 _merchantReputation,
+        uint _dealHash,
+        string _refundReason
+    )
+    internal
+    {
+        Order storage order = orders[_orderId];
+        // paid order is refunded before its payment is forwarded to the gateway, so no discount is applied yet
+        order.refundAmount = order.price;
+
+        updateDealConditions(
+            _orderId,
+            _clientReputation,
+            _merchantReputation,
+            false,
+            _dealHash
+        );
+
+        merchantHistory.recordDealRefundReason(
+            _orderId,
+            order.originAddress,
+            _clientReputation,
+            _merchantReputation,
+            _dealHash,
+            _refundReason
+        );
+    }
+
+    /**
+     *  createOrder validates and stores new order.
+     *  @param _orderId Identifier of the order
+     *  @param _price Price of the order
+     *  @param _paymentAcceptor order payment acceptor
+     *  @param _originAddress buyer address
+     *  @param _fee Monetha fee
+     *  @param _tokenAddress Token address, 0x0 for ether
+     *  @param _vouchersApply Amount of vouchers to apply
+     */
+    function createOrder(
+        uint _orderId,
+        uint _price,
+        address _paymentAcceptor,
+        address _originAddress,
+        uint _fee,
+        address _tokenAddress,
+        uint _vouchersApply
+    )
+    internal
+    {
+        require(_orderId > 0);
+        require(_price > 0);
+        // Monetha fee must be within merchant's fee schedule (not greater than 1.5% of price by default)
+        checkFee(_tokenAddress, _price, _fee);
+        require(_paymentAcceptor != address(0));
+        require(_originAddress != address(0));
+        require(orders[_orderId].price == 0 && orders[_orderId].fee == 0);
+        if (_tokenAddress != address(0) && supportedTokens != address(0)) {
+            require(supportedTokens.isValidOrderAmount(_tokenAddress, _price));
+        }
+
+        orders[_orderId] = Order({
+            state : State.Created,
+            price : _price,
+            fee : _fee,
+            paymentAcceptor : _paymentAcceptor,
+            originAddress : _originAddress,
+            tokenAddress : _tokenAddress,
+            vouchersApply : _vouchersApply,
+            discount: 0,
+            settlementDeadline: 0,
+            refundAmount: 0
+            });
+
+        emit OrderCreated(_orderId, _originAddress, _tokenAddress, _paymentAcceptor, _price, _fee);
+        emit OrderStateChanged(_orderId, State.Null, State.Created);
+    }
+
+    /**
+     *  changeState moves the order to the next state and logs the transition
+     *  @param _orderId Identifier of the order
+     *  @param _state Next state
+     */
+    function changeState(uint _orderId, State _state) internal {
+        emit OrderStateChanged(_orderId, orders[_orderId].state, _state);
+        orders[_orderId].state = _state;
+    }
+
+    /**
+     *  updateDealConditions record finalized deal and updates merchant and client reputation
      *  @param _orderId Identifier of the order
      *  @param _clientReputation Updated reputation of the client
      *  @param _merchantReputation Updated reputation of the merchant
@@ -416,5 +1058,8 @@ contract PaymentProcessor is Pausable, Destructible, Contactable, Restricted {
 
         //update parties Reputation
         merchantWallet.setCompositeReputation("total", _merchantReputation);
+        if (clientReputation != address(0)) {
+            clientReputation.setCompositeReputation(orders[_orderId].originAddress, "total", _clientReputation);
+        }
     }
 }
@@ -0,0 +1,333 @@
+pragma solidity ^0.4.24;
+
+import "./PaymentProcessor.sol";
+
+
+/**
+ *  @title PaymentProcessorBatch
+ *
+ *  PaymentProcessorBatch settles many orders of a PaymentProcessor in one transaction: processes paid orders,
+ *  cancels unpaid orders and initiates refunds of paid orders. It must be a Monetha address of the processor
+ *  (MerchantFactory registers it in deployed processors) and can be used only by Monetha addresses of the processor.
+ *
+ *  Each order is settled in a separate message call to the processor, so that failing order reverts only its own changes
+ *  and is skipped (see OrderSkipped event) instead of reverting the batch.
+ *  Paid orders in the same token are finalized together with processPaymentGroup, so that their payments are forwarded
+ *  to MonethaGateway with one transfer and one gateway call. If the group fails, its orders are processed one by one.
+ */
+contract PaymentProcessorBatch {
+
+    string constant VERSION = "0.1";
+
+    /// Reasons of skipping orders
+    enum SkipReason {InvalidState, EmptyReason, UnsupportedToken, Failed}
+
+    /// Orders of a batch with their deal conditions
+    struct Batch {
+        uint[] orderIds;
+        uint32[] clientReputations;
+        uint32[] merchantReputations;
+        uint[] dealHashes;
+    }
+
+    event OrderSkipped(address indexed paymentProcessor, uint indexed orderId, SkipReason reason);
+
+    /**
+     *  Restricts methods to Monetha addresses of the processor.
+     *  @param _processor PaymentProcessor of the orders
+     */
+    modifier onlyMonethaOf(PaymentProcessor _processor) {
+        require(_processor.isMonethaAddress(msg.sender));
+        _;
+    }
+
+    /**
+     *  processPaymentBatch completes several paid orders at once.
+     *  Orders, which are not in Paid state or whose token is not accepted by MonethaGateway, are skipped.
+     *  Payments of orders in the same token are forwarded together, if the orders are groupable (see PaymentProcessor.isGroupable).
+     *  @param _processor PaymentProcessor of the orders
+     *  @param _orderIds Identifiers of the orders
+     *  @param _clientReputations Updated reputations of the clients
+     *  @param _merchantReputations Updated reputations of the merchant
+     *  @param _dealHashes Hashcodes of the deals, describing the orders
+     *  @return number of finalized orders
+     */
+    function processPaymentBatch(
+        PaymentProcessor _processor,
+        uint[] _orderIds,
+        uint32[] _clientReputations,
+        uint32[] _merchantReputations,
+        uint[] _dealHashes
+    )
+    public onlyMonethaOf(_processor)
+    returns (uint processed)
+    {
+        Batch memory batch = toBatch(_orderIds, _clientReputations, _merchantReputations, _dealHashes);
+
+        // token of each order and whether the order waits to be processed in a group
+        address[] memory tokens = new address[](_orderIds.length);
+        bool[] memory isGrouped = new bool[](_orderIds.length);
+
+        for (uint i = 0; i < _orderIds.length; i++) {
+            bool isPayable;
+            (isPayable, tokens[i]) = canProcess(_processor, _orderIds[i]);
+            if (!isPayable) {
+                continue;
+            }
+
+            if (_processor.isGroupable(_orderIds[i])) {
+                isGrouped[i] = true;
+            } else if (processOrder(_processor, batch, i)) {
+                processed++;
+            }
+        }
+
+        for (i = 0; i < _orderIds.length; i++) {
+            if (isGrouped[i]) {
+                processed += processGroup(_processor, batch, tokens, isGrouped, i);
+            }
+        }
+    }
+
+    /**
+     *  cancelOrderBatch cancels several unpaid orders at once.
+     *  Orders, which are not in Created state or have empty cancel reason, are skipped.
+     *  @param _processor PaymentProcessor of the orders
+     *  @param _orderIds Identifiers of the orders
+     *  @param _clientReputations Updated reputations of the clients
+     *  @param _merchantReputations Updated reputations of the merchant
+     *  @param _dealHashes Hashcodes of the deals, describing the orders
+     *  @param _cancelReasons Cancel reason codes of the orders (UTF-8 strings up to 32 bytes, padded with zeros)
+     *  @return number of cancelled orders
+     */
+    function cancelOrderBatch(
+        PaymentProcessor _processor,
+        uint[] _orderIds,
+        uint32[] _clientReputations,
+        uint32[] _merchantReputations,
+        uint[] _dealHashes,
+        bytes32[] _cancelReasons
+    )
+    public onlyMonethaOf(_processor)
+    returns (uint cancelled)
+    {
+        Batch memory batch = toBatch(_orderIds, _clientReputations, _merchantReputations, _dealHashes);
+        require(_orderIds.length == _cancelReasons.length);
+
+        for (uint i = 0; i < _orderIds.length; i++) {
+            if (transitionOrder(_processor, _processor.cancelOrder.selector, PaymentProcessor.State.Created, batch, i, _cancelReasons[i])) {
+                cancelled++;
+            }
+        }
+    }
+
+    /**
+     *  refundPaymentBatch initiates refunding of several paid orders at once.
+     *  Orders, which are not in Paid state or have empty refund reason, are skipped.
+     *  @param _processor PaymentProcessor of the orders
+     *  @param _orderIds Identifiers of the orders
+     *  @param _clientReputations Updated reputations of the clients
+     *  @param _merchantReputations Updated reputations of the merchant
+     *  @param _dealHashes Hashcodes of the deals, describing the orders
+     *  @param _refundReasons Refund reason codes of the orders (UTF-8 strings up to 32 bytes, padded with zeros)
+     *  @return number of orders moved to Refunding state
+     */
+    function refundPaymentBatch(
+        PaymentProcessor _processor,
+        uint[] _orderIds,
+        uint32[] _clientReputations,
+        uint32[] _merchantReputations,
+        uint[] _dealHashes,
+        bytes32[] _refundReasons
+    )
+    public onlyMonethaOf(_processor)
+    returns (uint refunded)
+    {
+        Batch memory batch = toBatch(_orderIds, _clientReputations, _merchantReputations, _dealHashes);
+        require(_orderIds.length == _refundReasons.length);
+
+        for (uint i = 0; i < _orderIds.length; i++) {
+            if (transitionOrder(_processor, _processor.refundPayment.selector, PaymentProcessor.State.Paid, batch, i, _refundReasons[i])) {
+                refunded++;
+            }
+        }
+    }
+
+    /**
+     *  toBatch asserts that batch parameters have a value for each order and combines them.
+     */
+    function toBatch(
+        uint[] _orderIds,
+        uint32[] _clientReputations,
+        uint32[] _merchantReputations,
+        uint[] _dealHashes
+    )
+    internal pure returns (Batch)
+    {
+        require(_orderIds.length == _clientReputations.length);
+        require(_orderIds.length == _merchantReputations.length);
+        require(_orderIds.length == _dealHashes.length);
+
+        return Batch(_orderIds, _clientReputations, _merchantReputations, _dealHashes);
+    }
+
+    /**
+     *  canProcess checks whether the order can be processed, otherwise logs why it is skipped.
+     *  @param _processor PaymentProcessor of the order
+     *  @param _orderId Identifier of the order
+     *  @return whether the order can be processed and token address of the order
+     */
+    function canProcess(PaymentProcessor _processor, uint _orderId) internal returns (bool, address tokenAddress) {
+        PaymentProcessor.State state;
+        (state, , , , , tokenAddress, , , , ) = _processor.orders(_orderId);
+
+        if (state != PaymentProcessor.State.Paid) {
+            emit OrderSkipped(_processor, _orderId, SkipReason.InvalidState);
+            return (false, tokenAddress);
+        }
+        if (tokenAddress != address(0) && !_processor.monethaGateway().isTokenSupported(tokenAddress)) {
+            emit OrderSkipped(_processor, _orderId, SkipReason.UnsupportedToken);
+            return (false, tokenAddress);
+        }
+        return (true, tokenAddress);
+    }
+
+    /**
+     *  processGroup processes grouped orders of the batch in the same token as the order at _first position
+     *  and removes them from the group.
+     *  @param _tokens Token addresses of the orders
+     *  @param _isGrouped Whether the order waits to be processed in a group
+     *  @param _first Position of the first order of the group in the batch
+     *  @return number of finalized orders
+     */
+    function processGroup(
+        PaymentProcessor _processor,
+        Batch _batch,
+        address[] _tokens,
+        bool[] _isGrouped,
+        uint _first
+    )
+    internal returns (uint processed)
+    {
+        uint[] memory positions = new uint[](_tokens.length);
+        uint count = 0;
+        for (uint i = _first; i < _tokens.length; i++) {
+            if (_isGrouped[i] && _tokens[i] == _tokens[_first]) {
+                _isGrouped[i] = false;
+                positions[count++] = i;
+            }
+        }
+
+        Batch memory group = Batch(new uint[](count), new uint32[](count), new uint32[](count), new uint[](count));
+        for (i = 0; i < count; i++) {
+            group.orderIds[i] = _batch.orderIds[positions[i]];
+            group.clientReputations[i] = _batch.clientReputations[positions[i]];
+            group.merchantReputations[i] = _batch.merchantReputations[positions[i]];
+            group.dealHashes[i] = _batch.dealHashes[positions[i]];
+        }
+
+        if (count > 1 && address(_processor).call(abi.encodeWithSelector(
+            _processor.processPaymentGroup.selector,
+            group.orderIds,
+            group.clientReputations,
+            group.merchantReputations,
+            group.dealHashes,
+            _tokens[_first]
+        ))) {
+            return count;
+        }
+
+        // group is rejected, process its orders one by one (state is checked again, in case order is repeated in batch)
+        for (i = 0; i < count; i++) {
+            bool isPayable;
+            (isPayable, ) = canProcess(_processor, group.orderIds[i]);
+            if (isPayable && processOrder(_processor, group, i)) {
+                processed++;
+            }
+        }
+    }
+
+    /**
+     *  processOrder processes the order at position _i of the batch alone.
+     *  @return true if the order is finalized
+     */
+    function processOrder(PaymentProcessor _processor, Batch _batch, uint _i) internal returns (bool) {
+        return settle(_processor, _batch.orderIds[_i], abi.encodeWithSelector(
+            _processor.processPayment.selector,
+            _batch.orderIds[_i],
+            _batch.clientReputations[_i],
+            _batch.merchantReputations[_i],
+            _batch.dealHashes[_i]
+        ));
+    }
+
+    /**
+     *  transitionOrder cancels or refunds the order at position _i of the batch, otherwise logs why it is skipped.
+     *  @param _selector Selector of PaymentProcessor.cancelOrder or PaymentProcessor.refundPayment
+     *  @param _state Expected state of the order
+     *  @param _reason Cancel or refund reason code
+     *  @return true if the order is cancelled or refunded
+     */
+    function transitionOrder(
+        PaymentProcessor _processor,
+        bytes4 _selector,
+        PaymentProcessor.State _state,
+        Batch _batch,
+        uint _i,
+        bytes32 _reason
+    )
+    internal returns (bool)
+    {
+        PaymentProcessor.State state;
+        (state, , , , , , , , , ) = _processor.orders(_batch.orderIds[_i]);
+
+        if (state != _state) {
+            emit OrderSkipped(_processor, _batch.orderIds[_i], SkipReason.InvalidState);
+            return false;
+        }
+        if (_reason == bytes32(0)) {
+            emit OrderSkipped(_processor, _batch.orderIds[_i], SkipReason.EmptyReason);
+            return false;
+        }
+
+        return settle(_processor, _batch.orderIds[_i], abi.encodeWithSelector(
+            _selector,
+            _batch.orderIds[_i],
+            _batch.clientReputations[_i],
+            _batch.merchantReputations[_i],
+            _batch.dealHashes[_i],
+            reasonOf(_reason)
+        ));
+    }
+
+    /**
+     *  settle calls the processor to settle the order, otherwise logs that it is skipped, because settlement failed.
+     *  @param _data Encoded call of the processor
+     *  @return true if the order is settled
+     */
+    function settle(PaymentProcessor _processor, uint _orderId, bytes _data) internal returns (bool) {
+        if (address(_processor).call(_data)) {
+            return true;
+        }
+
+        emit OrderSkipped(_processor, _orderId, SkipReason.Failed);
+        return false;
+    }
+
+    /**
+     *  @return reason code as a string without trailing zeros
+     */
+    function reasonOf(bytes32 _code) internal pure returns (string) {
+        uint length = 0;
+        while (length < 32 && _code[length] != 0) {
+            length++;
+        }
+
+        bytes memory result = new bytes(length);
+        for (uint i = 0; i < length; i++) {
+            result[i] = _code[i];
+        }
+
+        return string(result);
+    }
+}
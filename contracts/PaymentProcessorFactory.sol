@@ -0,0 +1,28 @@
+pragma solidity ^0.4.24;
+
+import "./PaymentProcessor.sol";
+
+
+/**
+ *  @title PaymentProcessorFactory
+ *  Deploys PaymentProcessor contracts on behalf of MerchantFactory, ownership is transferred to the caller.
+ */
+contract PaymentProcessorFactory {
+
+    string constant VERSION = "0.1";
+
+    /**
+     *  create deploys new PaymentProcessor and transfers its ownership to the caller
+     */
+    function create(
+        string _merchantId,
+        MerchantDealsHistory _merchantHistory,
+        MonethaGateway _monethaGateway,
+        MerchantWallet _merchantWallet
+    )
+        public returns (PaymentProcessor processor)
+    {
+        processor = new PaymentProcessor(_merchantId, _merchantHistory, _monethaGateway, _merchantWallet);
+        processor.transferOwnership(msg.sender);
+    }
+}
@@ -8,18 +8,14 @@ import "monetha-utility-contracts/contracts/Restricted.sol";
 import "./MonethaGateway.sol";
 import "./MerchantWallet.sol";
 import "./GenericERC20.sol";
+import "./MerchantProcessor.sol";
+import "./MonethaSupportedTokens.sol";
 
-contract PrivatePaymentProcessor is Pausable, Destructible, Contactable, Restricted {
+contract PrivatePaymentProcessor is Pausable, Destructible, Contactable, Restricted, MerchantProcessor {
 
     using SafeMath for uint256;
 
-    string constant VERSION = "0.6";
-
-    /**
-      *  Payback permille.
-      *  1 permille = 0.1 %
-      */
-    uint public constant PAYBACK_PERMILLE = 2; // 0.2%
+    string constant VERSION = "0.8";
 
     // Order paid event
     event OrderPaidInEther(
@@ -35,7 +31,8 @@ contract PrivatePaymentProcessor is Pausable, Destructible, Contactable, Restric
         address indexed _originAddress,
         address indexed _tokenAddress,
         uint _price,
-        uint _monethaFee
+        uint _monethaFee,
+        uint _discount
     );
 
     // Payments have been processed event
@@ -60,14 +57,17 @@ contract PrivatePaymentProcessor is Pausable, Destructible, Contactable, Restric
         uint amount
     );
 
+    // SupportedTokensChanged event is fired when MonethaSupportedTokens registry is changed
+    event SupportedTokensChanged(
+        address indexed _previousSupportedTokens,
+        address indexed _newSupportedTokens
+    );
+
     /// MonethaGateway contract for payment processing
     MonethaGateway public monethaGateway;
 
-    /// Address of MerchantWallet, where merchant reputation and funds are stored
-    MerchantWallet public merchantWallet;
-
-    /// Merchant identifier hash, that associates with the acceptor
-    bytes32 public merchantIdHash;
+    /// MonethaSupportedTokens registry, payments are accepted in its enabled tokens only (optional)
+    MonethaSupportedTokens public supportedTokens;
 
     enum WithdrawState {Null, Pending, Withdrawn}
 
@@ -80,6 +80,21 @@ contract PrivatePaymentProcessor is Pausable, Destructible, Contactable, Restric
 
     mapping(uint => Withdraw) public withdrawals;
 
+    struct Payment {
+        address tokenAddress;
+        uint amount;
+        uint discount;
+    }
+
+    /// Payments of the orders, paid through the processor, which are refunded less voucher discount
+    mapping(uint => Payment) public payments;
+
+    /// Payees of the order, among which merchant income is split (for marketplace orders)
+    mapping(uint => address[]) public orderPayees;
+
+    /// Shares of the order payees in merchant income
+    mapping(uint => uint[]) public orderPayeeShares;
+
     /**
      *  Private Payment Processor sets Monetha Gateway and Merchant Wallet.
      *  @param _merchantId Merchant of the acceptor
@@ -118,26 +133,17 @@ contract PrivatePaymentProcessor is Pausable, Destructible, Contactable, Restric
         require(_orderId > 0);
         require(_originAddress != 0x0);
         require(msg.value > 0);
+        require(orderPayees[_orderId].length == 0);
+        checkFee(address(0), msg.value, _monethaFee);
 
-        address fundAddress;
-        fundAddress = merchantWallet.merchantFundAddress();
-
-        uint discountWei = 0;
-        if (fundAddress != address(0)) {
-            discountWei = monethaGateway.acceptPayment.value(msg.value)(
-                fundAddress,
-                _monethaFee,
-                _originAddress,
-                _vouchersApply,
-                PAYBACK_PERMILLE);
-        } else {
-            discountWei = monethaGateway.acceptPayment.value(msg.value)(
-                merchantWallet,
-                _monethaFee,
-                _originAddress,
-                _vouchersApply,
-                PAYBACK_PERMILLE);
-        }
+        uint discountWei = monethaGateway.acceptPayment.value(msg.value)(
+            fundAddress(),
+            _monethaFee,
+            _originAddress,
+            _vouchersApply,
+            paybackPermille(address(0)));
+
+        recordPayment(_orderId, address(0), msg.value, discountWei);
 
         // log payment event
         emit OrderPaidInEther(_orderId, _originAddress, msg.value, _monethaFee, discountWei);
@@ -151,13 +157,15 @@ contract PrivatePaymentProcessor is Pausable, Destructible, Contactable, Restric
      *  @param _monethaFee is fee collected by Monetha
      *  @param _tokenAddress is tokens address
      *  @param _orderValue is order amount
+     *  @param _vouchersApply is amount of buyer's vouchers to apply for discount
      */
     function payForOrderInTokens(
         uint _orderId,
         address _originAddress,
         uint _monethaFee,
         address _tokenAddress,
-        uint _orderValue
+        uint _orderValue,
+        uint _vouchersApply
     )
     external whenNotPaused
     {
@@ -165,27 +173,145 @@ contract PrivatePaymentProcessor is Pausable, Destructible, Contactable, Restric
         require(_originAddress != 0x0);
         require(_orderValue > 0);
         require(_tokenAddress != address(0));
+        require(orderPayees[_orderId].length == 0);
+        checkToken(_tokenAddress, _orderValue);
+        checkFee(_tokenAddress, _orderValue, _monethaFee);
+
+        GenericERC20(_tokenAddress).transferFrom(msg.sender, address(this), _orderValue);
+
+        GenericERC20(_tokenAddress).transfer(address(monethaGateway), _orderValue);
+
+        uint discount = monethaGateway.acceptTokenPayment(
+            fundAddress(),
+            _monethaFee,
+            _tokenAddress,
+            _orderValue,
+            _originAddress,
+            _vouchersApply,
+            paybackPermille(_tokenAddress));
+
+        recordPayment(_orderId, _tokenAddress, _orderValue, discount);
+
+        // log payment event
+        emit OrderPaidInToken(_orderId, _originAddress, _tokenAddress, _orderValue, _monethaFee, discount);
+    }
+
+    /**
+     *  setOrderPayees splits merchant income of the order among several payees (when order is placed on marketplace).
+     *  Income of each payee is proportional to his share. Order with payees can be paid only with
+     *  payForOrderToPayees or payForOrderInTokensToPayees, payees are removed after the payment.
+     *  @param _orderId Identifier of the order
+     *  @param _payees Addresses of payees
+     *  @param _shares Shares of payees
+     */
+    function setOrderPayees(uint _orderId, address[] _payees, uint[] _shares)
+    external onlyMonetha whenNotPaused
+    {
+        require(_orderId > 0);
+        require(_payees.length > 0);
+        require(_payees.length == _shares.length);
+
+        orderPayees[_orderId] = _payees;
+        orderPayeeShares[_orderId] = _shares;
+    }
+
+    /**
+     *  getOrderPayees returns payees of the order together with their shares
+     *  @param _orderId Identifier of the order
+     */
+    function getOrderPayees(uint _orderId) external view returns (address[], uint[]) {
+        return (orderPayees[_orderId], orderPayeeShares[_orderId]);
+    }
+
+    /**
+     *  payForOrderToPayees is used by order wallet/client to pay for the marketplace order,
+     *  which merchant income is split among payees, set by Monetha with setOrderPayees
+     *  @param _orderId Identifier of the order
+     *  @param _originAddress buyer address
+     *  @param _monethaFee is fee collected by Monetha
+     *  @param _vouchersApply is amount of buyer's vouchers to apply for discount
+     */
+    function payForOrderToPayees(
+        uint _orderId,
+        address _originAddress,
+        uint _monethaFee,
+        uint _vouchersApply
+    )
+    external payable whenNotPaused
+    {
+        require(_originAddress != 0x0);
+        require(msg.value > 0);
+        require(orderPayees[_orderId].length > 0);
+        checkFee(address(0), msg.value, _monethaFee);
+
+        uint discountWei = monethaGateway.acceptPaymentToPayees.value(msg.value)(
+            orderPayees[_orderId],
+            orderPayeeShares[_orderId],
+            _monethaFee,
+            _originAddress,
+            _vouchersApply,
+            paybackPermille(address(0)));
+        deleteOrderPayees(_orderId);
+
+        recordPayment(_orderId, address(0), msg.value, discountWei);
+
+        // log payment event
+        emit OrderPaidInEther(_orderId, _originAddress, msg.value, _monethaFee, discountWei);
+    }
 
-        address fundAddress;
-        fundAddress = merchantWallet.merchantFundAddress();
+    /**
+     *  payForOrderInTokensToPayees is used by order wallet/client to pay in tokens for the marketplace order,
+     *  which merchant income is split among payees, set by Monetha with setOrderPayees
+     *  This call requires that token's approve method has been called prior to this.
+     *  @param _orderId Identifier of the order
+     *  @param _originAddress buyer address
+     *  @param _monethaFee is fee collected by Monetha
+     *  @param _tokenAddress is tokens address
+     *  @param _orderValue is order amount
+     *  @param _vouchersApply is amount of buyer's vouchers to apply for discount
+     */
+    function payForOrderInTokensToPayees(
+        uint _orderId,
+        address _originAddress,
+        uint _monethaFee,
+        address _tokenAddress,
+        uint _orderValue,
+        uint _vouchersApply
+    )
+    external whenNotPaused
+    {
+        require(_originAddress != 0x0);
+        require(_orderValue > 0);
+        require(_tokenAddress != address(0));
+        require(orderPayees[_orderId].length > 0);
+        checkToken(_tokenAddress, _orderValue);
+        checkFee(_tokenAddress, _orderValue, _monethaFee);
 
         GenericERC20(_tokenAddress).transferFrom(msg.sender, address(this), _orderValue);
 
         GenericERC20(_tokenAddress).transfer(address(monethaGateway), _orderValue);
 
-        if (fundAddress != address(0)) {
-            monethaGateway.acceptTokenPayment(fundAddress, _monethaFee, _tokenAddress, _orderValue);
-        } else {
-            monethaGateway.acceptTokenPayment(merchantWallet, _monethaFee, _tokenAddress, _orderValue);
-        }
+        uint discount = monethaGateway.acceptTokenPaymentToPayees(
+            orderPayees[_orderId],
+            orderPayeeShares[_orderId],
+            _monethaFee,
+            _tokenAddress,
+            _orderValue,
+            _originAddress,
+            _vouchersApply,
+            paybackPermille(_tokenAddress));
+        deleteOrderPayees(_orderId);
+
+        recordPayment(_orderId, _tokenAddress, _orderValue, discount);
 
         // log payment event
-        emit OrderPaidInToken(_orderId, _originAddress, _tokenAddress, _orderValue, _monethaFee);
+        emit OrderPaidInToken(_orderId, _originAddress, _tokenAddress, _orderValue, _monethaFee, discount);
     }
 
     /**
      *  refundPayment used in case order cannot be processed and funds need to be returned
      *  This function initiate process of funds refunding to the client.
+     *  Refund of the order, paid through the processor, must be equal to its price less voucher discount.
      *  @param _orderId Identifier of the order
      *  @param _clientAddress is an address of client
      *  @param _refundReason Order refund reason
@@ -201,6 +327,7 @@ contract PrivatePaymentProcessor is Pausable, Destructible, Contactable, Restric
         require(_clientAddress != 0x0);
         require(msg.value > 0);
         require(WithdrawState.Null == withdrawals[_orderId].state);
+        checkRefund(_orderId, address(0), msg.value);
 
         // create withdraw
         withdrawals[_orderId] = Withdraw({
@@ -218,6 +345,7 @@ contract PrivatePaymentProcessor is Pausable, Destructible, Contactable, Restric
      *  refundTokenPayment used in case order cannot be processed and tokens need to be returned
      *  This call requires that token's approve method has been called prior to this.
      *  This function initiate process of refunding tokens to the client.
+     *  Refund of the order, paid through the processor, must be equal to its price less voucher discount.
      *  @param _orderId Identifier of the order
      *  @param _clientAddress is an address of client
      *  @param _refundReason Order refund reason
@@ -238,6 +366,7 @@ contract PrivatePaymentProcessor is Pausable, Destructible, Contactable, Restric
         require(_orderValue > 0);
         require(_tokenAddress != address(0));
         require(WithdrawState.Null == withdrawals[_orderId].state);
+        checkRefund(_orderId, _tokenAddress, _orderValue);
 
         GenericERC20(_tokenAddress).transferFrom(msg.sender, address(this), _orderValue);
 
@@ -324,4 +453,66 @@ contract PrivatePaymentProcessor is Pausable, Destructible, Contactable, Restric
 
         merchantWallet = _newWallet;
     }
-}
\ No newline at end of file
+
+    /**
+     *  setSupportedTokens allows owner to change address of MonethaSupportedTokens.
+     *  If set to 0x0 address, payments in any token are accepted (e.g. in emergency).
+     *  @param _supportedTokens Address of new MonethaSupportedTokens contract
+     */
+    function setSupportedTokens(MonethaSupportedTokens _supportedTokens) public onlyOwner {
+        if (supportedTokens != _supportedTokens) {
+            emit SupportedTokensChanged(supportedTokens, _supportedTokens);
+            supportedTokens = _supportedTokens;
+        }
+    }
+
+    /**
+     *  checkToken ensures, that token is supported by Monetha and payment amount is within its limits.
+     *  @param _tokenAddress Token address of the payment
+     *  @param _value Payment amount
+     */
+    function checkToken(address _tokenAddress, uint _value) internal view {
+        if (supportedTokens != address(0)) {
+            require(supportedTokens.isValidOrderAmount(_tokenAddress, _value));
+        }
+    }
+
+    /**
+     *  recordPayment stores payment of the order, so that it's refunded less voucher discount.
+     *  @param _orderId Identifier of the order
+     *  @param _tokenAddress Token address of the payment, 0x0 for ether
+     *  @param _amount Payment amount
+     *  @param _discount Discount of the payment in ether or tokens
+     */
+    function recordPayment(uint _orderId, address _tokenAddress, uint _amount, uint _discount) internal {
+        payments[_orderId] = Payment({
+            tokenAddress: _tokenAddress,
+            amount: _amount,
+            discount: _discount
+        });
+    }
+
+    /**
+     *  checkRefund ensures, that refund of the order, paid through the processor, is in the token of the payment
+     *  and equals to the payment amount less voucher discount.
+     *  @param _orderId Identifier of the order
+     *  @param _tokenAddress Token address of the refund, 0x0 for ether
+     *  @param _amount Refund amount
+     */
+    function checkRefund(uint _orderId, address _tokenAddress, uint _amount) internal view {
+        Payment storage payment = payments[_orderId];
+        if (payment.amount > 0) {
+            require(payment.tokenAddress == _tokenAddress);
+            require(_amount == payment.amount.sub(payment.discount));
+        }
+    }
+
+    /**
+     *  deleteOrderPayees removes payees of the paid order, so that they are not paid again.
+     *  @param _orderId Identifier of the order
+     */
+    function deleteOrderPayees(uint _orderId) internal {
+        delete orderPayees[_orderId];
+        delete orderPayeeShares[_orderId];
+    }
+}
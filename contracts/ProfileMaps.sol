@@ -0,0 +1,178 @@
+pragma solidity ^0.4.24;
+
+
+/**
+ *  @title ProfileMaps
+ *
+ *  ProfileMaps stores profile, payment settings and composite reputation of MerchantWallet in string-keyed maps,
+ *  which keys can be enumerated, and sets their values one by one or in batches.
+ *  It's a linked library, so that its code is deployed once and not with each MerchantWallet.
+ */
+library ProfileMaps {
+
+    /// KeySet keeps keys, which are set in string-keyed map, so that they can be enumerated
+    struct KeySet {
+        string[] keys;
+        mapping (string=>uint) positions; // 1-based position of the key in keys
+    }
+
+    /// StringMap is a string-keyed map of strings with enumerable keys
+    struct StringMap {
+        mapping (string=>string) values;
+        KeySet keySet;
+    }
+
+    /// Uint32Map is a string-keyed map of uint32 values with enumerable keys
+    struct Uint32Map {
+        mapping (string=>uint32) values;
+        KeySet keySet;
+    }
+
+    /// Events of MerchantWallet, logged on behalf of the wallet
+    event ProfileChanged(string key, string value);
+    event PaymentSettingChanged(string key, string value);
+    event CompositeReputationChanged(string key, uint32 value);
+
+    /**
+     *  Set profile info by string key. Empty value removes the key.
+     */
+    function setProfile(StringMap storage _profile, string _key, string _value) public {
+        setString(_profile, _key, _value, true);
+    }
+
+    /**
+     *  Set payment setting by string key. Empty value removes the key.
+     */
+    function setPaymentSetting(StringMap storage _paymentSettings, string _key, string _value) public {
+        setString(_paymentSettings, _key, _value, false);
+    }
+
+    /**
+     *  Set composite reputation value by string key. Zero value removes the key.
+     */
+    function setCompositeReputation(Uint32Map storage _compositeReputation, string _key, uint32 _value) public {
+        _compositeReputation.values[_key] = _value;
+        updateKeySet(_compositeReputation.keySet, _key, _value != 0);
+
+        emit CompositeReputationChanged(_key, _value);
+    }
+
+    /**
+     *  Set several profile values at once. Keys and values are passed concatenated together with their lengths.
+     */
+    function setProfileBatch(
+        StringMap storage _profile,
+        string _keys,
+        uint[] _keyLengths,
+        string _values,
+        uint[] _valueLengths
+    )
+        public
+    {
+        setStrings(_profile, _keys, _keyLengths, _values, _valueLengths, true);
+    }
+
+    /**
+     *  Set several payment settings at once. Keys and values are passed concatenated together with their lengths.
+     */
+    function setPaymentSettingsBatch(
+        StringMap storage _paymentSettings,
+        string _keys,
+        uint[] _keyLengths,
+        string _values,
+        uint[] _valueLengths
+    )
+        public
+    {
+        setStrings(_paymentSettings, _keys, _keyLengths, _values, _valueLengths, false);
+    }
+
+    /**
+     *  Set several composite reputation values at once. Keys are passed concatenated together with their lengths.
+     */
+    function setCompositeReputationBatch(
+        Uint32Map storage _compositeReputation,
+        string _keys,
+        uint[] _keyLengths,
+        uint32[] _values
+    )
+        public
+    {
+        require(_keyLengths.length == _values.length);
+
+        uint keyOffset = 0;
+        for (uint i = 0; i < _keyLengths.length; i++) {
+            setCompositeReputation(_compositeReputation, substring(_keys, keyOffset, _keyLengths[i]), _values[i]);
+            keyOffset += _keyLengths[i];
+        }
+
+        require(keyOffset == bytes(_keys).length);
+    }
+
+    function setStrings(
+        StringMap storage _map,
+        string _keys,
+        uint[] _keyLengths,
+        string _values,
+        uint[] _valueLengths,
+        bool _isProfile
+    )
+        private
+    {
+        require(_keyLengths.length == _valueLengths.length);
+
+        uint keyOffset = 0;
+        uint valueOffset = 0;
+        for (uint i = 0; i < _keyLengths.length; i++) {
+            setString(_map, substring(_keys, keyOffset, _keyLengths[i]), substring(_values, valueOffset, _valueLengths[i]), _isProfile);
+            keyOffset += _keyLengths[i];
+            valueOffset += _valueLengths[i];
+        }
+
+        require(keyOffset == bytes(_keys).length && valueOffset == bytes(_values).length);
+    }
+
+    function setString(StringMap storage _map, string _key, string _value, bool _isProfile) private {
+        _map.values[_key] = _value;
+        updateKeySet(_map.keySet, _key, bytes(_value).length != 0);
+
+        if (_isProfile) {
+            emit ProfileChanged(_key, _value);
+        } else {
+            emit PaymentSettingChanged(_key, _value);
+        }
+    }
+
+    /**
+     *  Adds the key to the set or removes it (by moving the last key to its position)
+     */
+    function updateKeySet(KeySet storage _set, string _key, bool _isSet) private {
+        uint position = _set.positions[_key];
+
+        if (_isSet && position == 0) {
+            _set.positions[_key] = _set.keys.push(_key);
+        } else if (!_isSet && position != 0) {
+            string storage lastKey = _set.keys[_set.keys.length - 1];
+            _set.keys[position - 1] = lastKey;
+            _set.positions[lastKey] = position;
+
+            _set.keys.length--;
+            delete _set.positions[_key];
+        }
+    }
+
+    /**
+     *  @return part of the string
+     */
+    function substring(string _str, uint _start, uint _length) private pure returns (string) {
+        bytes memory strBytes = bytes(_str);
+        require(_start + _length >= _start && _start + _length <= strBytes.length);
+
+        bytes memory result = new bytes(_length);
+        for (uint i = 0; i < _length; i++) {
+            result[i] = strBytes[_start + i];
+        }
+
+        return string(result);
+    }
+}
@@ -0,0 +1,96 @@
+pragma solidity ^0.4.24;
+
+import "openzeppelin-solidity/contracts/ECRecovery.sol";
+
+
+/**
+ *  @title SignedOrders
+ *
+ *  SignedOrders hashes orders, signed off-chain by Monetha as EIP-712 typed data, and recovers their signers
+ *  (see PaymentProcessor.payForSignedOrder).
+ *  It's a linked library, so that its code is deployed once and not with each PaymentProcessor.
+ */
+library SignedOrders {
+
+    /// EIP-712 domain of orders signed by Monetha
+    string public constant DOMAIN_NAME = "Monetha PaymentProcessor";
+    string public constant DOMAIN_VERSION = "1";
+
+    bytes32 public constant EIP712_DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,address verifyingContract)"
+    );
+
+    bytes32 public constant ORDER_TYPEHASH = keccak256(
+        "Order(uint256 orderId,uint256 price,uint256 fee,address token,uint256 vouchersApply,uint256 expiry)"
+    );
+
+    /**
+     *  hash returns EIP-712 hash of the order, which is signed by Monetha.
+     *  @param _processor Address of PaymentProcessor, where the order is paid (verifying contract of the domain)
+     *  @param _orderId Identifier of the order
+     *  @param _price Price of the order
+     *  @param _fee Monetha fee
+     *  @param _tokenAddress Token address, 0x0 for ether
+     *  @param _vouchersApply Amount of vouchers to apply
+     *  @param _expiry Timestamp, after which signed order can't be paid
+     */
+    function hash(
+        address _processor,
+        uint _orderId,
+        uint _price,
+        uint _fee,
+        address _tokenAddress,
+        uint _vouchersApply,
+        uint _expiry
+    )
+    public pure returns (bytes32)
+    {
+        bytes32 domainSeparator = keccak256(abi.encode(
+            EIP712_DOMAIN_TYPEHASH,
+            keccak256(abi.encodePacked(DOMAIN_NAME)),
+            keccak256(abi.encodePacked(DOMAIN_VERSION)),
+            _processor
+        ));
+
+        bytes32 orderHash = keccak256(abi.encode(
+            ORDER_TYPEHASH,
+            _orderId,
+            _price,
+            _fee,
+            _tokenAddress,
+            _vouchersApply,
+            _expiry
+        ));
+
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator, orderHash));
+    }
+
+    /**
+     *  signer returns address, which signed the order.
+     *  @param _processor Address of PaymentProcessor, where the order is paid (verifying contract of the domain)
+     *  @param _orderId Identifier of the order
+     *  @param _price Price of the order
+     *  @param _fee Monetha fee
+     *  @param _tokenAddress Token address, 0x0 for ether
+     *  @param _vouchersApply Amount of vouchers to apply
+     *  @param _expiry Timestamp, after which signed order can't be paid
+     *  @param _signature Signature of the order
+     */
+    function signer(
+        address _processor,
+        uint _orderId,
+        uint _price,
+        uint _fee,
+        address _tokenAddress,
+        uint _vouchersApply,
+        uint _expiry,
+        bytes _signature
+    )
+    public pure returns (address)
+    {
+        return ECRecovery.recover(
+            hash(_processor, _orderId, _price, _fee, _tokenAddress, _vouchersApply, _expiry),
+            _signature
+        );
+    }
+}
@@ -0,0 +1,267 @@
+pragma solidity ^0.4.24;
+
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+import "openzeppelin-solidity/contracts/lifecycle/Pausable.sol";
+import "openzeppelin-solidity/contracts/lifecycle/Destructible.sol";
+import "openzeppelin-solidity/contracts/ownership/Contactable.sol";
+import "monetha-utility-contracts/contracts/Restricted.sol";
+import "./MonethaGateway.sol";
+import "./MerchantWallet.sol";
+import "./GenericERC20.sol";
+import "./MerchantProcessor.sol";
+
+
+/**
+ *  @title SubscriptionProcessor
+ *  Each Merchant selling subscriptions has one SubscriptionProcessor, which charges recurring payments
+ *  of subscribers through MonethaGateway.
+ *
+ *  Subscriber of ether plan prefunds the subscription, subscriber of token plan approves
+ *  token allowance to SubscriptionProcessor. Monetha or merchant charges each period when it's due.
+ *  Terms of the plan (token, amount, period and fee) are fixed in the subscription, when subscriber joins the plan.
+ */
+contract SubscriptionProcessor is Pausable, Destructible, Contactable, Restricted, MerchantProcessor {
+
+    using SafeMath for uint256;
+
+    string constant VERSION = "0.1";
+
+    /// MonethaGateway contract for payment processing
+    MonethaGateway public monethaGateway;
+
+    struct Plan {
+        bool isActive;
+        address tokenAddress;
+        uint amount;
+        uint period;
+        uint fee;
+    }
+
+    struct Subscription {
+        bool isActive;
+        uint planId;
+        address subscriber;
+        uint nextChargeTime;
+        uint balance;
+        address tokenAddress;
+        uint amount;
+        uint period;
+        uint fee;
+    }
+
+    mapping(uint => Plan) public plans;
+
+    mapping(uint => Subscription) public subscriptions;
+
+    /// Number of created subscriptions, used as identifier of the next subscription
+    uint public subscriptionsCount;
+
+    event PlanSet(uint indexed planId, address indexed tokenAddress, uint amount, uint period, uint fee, bool isActive);
+
+    event Subscribed(uint indexed subscriptionId, uint indexed planId, address indexed subscriber);
+
+    event SubscriptionFunded(uint indexed subscriptionId, uint amount);
+
+    event SubscriptionCharged(uint indexed subscriptionId, uint amount, uint monethaFee, uint discount, uint nextChargeTime);
+
+    event SubscriptionCancelled(uint indexed subscriptionId, uint refundedAmount);
+
+    /**
+     *  Restrict methods in such way, that they can be invoked only by Monetha or merchant.
+     */
+    modifier onlyMerchantOrMonetha() {
+        require(isMonethaAddress[msg.sender] || msg.sender == merchantWallet.merchantAccount());
+        _;
+    }
+
+    /**
+     *  Subscription Processor sets Monetha Gateway and Merchant Wallet.
+     *  @param _merchantId Merchant of the acceptor
+     *  @param _monethaGateway Address of MonethaGateway contract for payment processing
+     *  @param _merchantWallet Address of MerchantWallet, where merchant reputation and funds are stored
+     */
+    constructor(
+        string _merchantId,
+        MonethaGateway _monethaGateway,
+        MerchantWallet _merchantWallet
+    )
+    public
+    {
+        require(bytes(_merchantId).length > 0);
+
+        merchantIdHash = keccak256(abi.encodePacked(_merchantId));
+
+        setMonethaGateway(_monethaGateway);
+        setMerchantWallet(_merchantWallet);
+    }
+
+    /**
+     *  setPlan allows Monetha or merchant to create or update subscription plan.
+     *  Updated amount, fee and period are applied to new subscriptions only, existing subscriptions
+     *  are charged according to the terms of the plan at the moment of subscription.
+     *  @param _planId Identifier of the plan
+     *  @param _tokenAddress Token address, 0x0 for ether
+     *  @param _amount Amount charged each period
+     *  @param _period Period in seconds
+     *  @param _fee Monetha fee of each charge
+     *  @param _isActive Whether new subscriptions to the plan are allowed
+     */
+    function setPlan(
+        uint _planId,
+        address _tokenAddress,
+        uint _amount,
+        uint _period,
+        uint _fee,
+        bool _isActive
+    )
+    external onlyMerchantOrMonetha whenNotPaused
+    {
+        require(_planId > 0);
+        require(_amount > 0);
+        require(_period > 0);
+        checkFee(_tokenAddress, _amount, _fee);
+
+        Plan storage plan = plans[_planId];
+        require(plan.period == 0 || plan.tokenAddress == _tokenAddress);
+
+        plan.isActive = _isActive;
+        plan.tokenAddress = _tokenAddress;
+        plan.amount = _amount;
+        plan.period = _period;
+        plan.fee = _fee;
+
+        emit PlanSet(_planId, _tokenAddress, _amount, _period, _fee, _isActive);
+    }
+
+    /**
+     *  subscribe is used by client to subscribe to the plan. First period is due immediately.
+     *  Ether sent with the call prefunds the subscription (ether plans only).
+     *  @param _planId Identifier of the plan
+     *  @return subscriptionId
+     */
+    function subscribe(uint _planId) external payable whenNotPaused returns (uint subscriptionId) {
+        Plan storage plan = plans[_planId];
+        require(plan.isActive);
+        require(plan.tokenAddress == address(0) || msg.value == 0);
+
+        subscriptionsCount = subscriptionsCount.add(1);
+        subscriptionId = subscriptionsCount;
+
+        subscriptions[subscriptionId] = Subscription({
+            isActive: true,
+            planId: _planId,
+            subscriber: msg.sender,
+            nextChargeTime: now,
+            balance: msg.value,
+            tokenAddress: plan.tokenAddress,
+            amount: plan.amount,
+            period: plan.period,
+            fee: plan.fee
+        });
+
+        emit Subscribed(subscriptionId, _planId, msg.sender);
+
+        if (msg.value > 0) {
+            emit SubscriptionFunded(subscriptionId, msg.value);
+        }
+    }
+
+    /**
+     *  fund allows to top up ether balance of the subscription.
+     *  @param _subscriptionId Identifier of the subscription
+     */
+    function fund(uint _subscriptionId) external payable whenNotPaused {
+        Subscription storage subscription = subscriptions[_subscriptionId];
+        require(subscription.isActive);
+        require(subscription.tokenAddress == address(0));
+        require(msg.value > 0);
+
+        subscription.balance = subscription.balance.add(msg.value);
+
+        emit SubscriptionFunded(_subscriptionId, msg.value);
+    }
+
+    /**
+     *  charge transfers payment for the due period of the subscription to MonethaGateway.
+     *  Ether is taken from subscription balance, tokens are taken from subscriber's allowance.
+     *  Next period starts at the charge, so missed periods are not charged in a row.
+     *  @param _subscriptionId Identifier of the subscription
+     */
+    function charge(uint _subscriptionId) external onlyMerchantOrMonetha whenNotPaused {
+        Subscription storage subscription = subscriptions[_subscriptionId];
+        require(subscription.isActive);
+        require(now >= subscription.nextChargeTime);
+
+        // charge is due, so now isn't earlier than nextChargeTime
+        subscription.nextChargeTime = now.add(subscription.period);
+
+        uint discount;
+        if (subscription.tokenAddress == address(0)) {
+            require(subscription.balance >= subscription.amount);
+            subscription.balance = subscription.balance.sub(subscription.amount);
+
+            discount = monethaGateway.acceptPayment.value(subscription.amount)(
+                fundAddress(),
+                subscription.fee,
+                subscription.subscriber,
+                0,
+                paybackPermille(address(0)));
+        } else {
+            GenericERC20(subscription.tokenAddress).transferFrom(subscription.subscriber, address(monethaGateway), subscription.amount);
+
+            discount = monethaGateway.acceptTokenPayment(
+                fundAddress(),
+                subscription.fee,
+                subscription.tokenAddress,
+                subscription.amount,
+                subscription.subscriber,
+                0,
+                paybackPermille(subscription.tokenAddress));
+        }
+
+        emit SubscriptionCharged(_subscriptionId, subscription.amount, subscription.fee, discount, subscription.nextChargeTime);
+    }
+
+    /**
+     *  cancel is used by subscriber to cancel the subscription. Remaining ether balance is refunded.
+     *  @param _subscriptionId Identifier of the subscription
+     */
+    function cancel(uint _subscriptionId) external {
+        Subscription storage subscription = subscriptions[_subscriptionId];
+        require(subscription.isActive);
+        require(msg.sender == subscription.subscriber);
+
+        uint balance = subscription.balance;
+
+        // changing subscription state before transfer
+        subscription.isActive = false;
+        subscription.balance = 0;
+
+        if (balance > 0) {
+            subscription.subscriber.transfer(balance);
+        }
+
+        emit SubscriptionCancelled(_subscriptionId, balance);
+    }
+
+    /**
+     *  setMonethaGateway allows owner to change address of MonethaGateway.
+     *  @param _newGateway Address of new MonethaGateway contract
+     */
+    function setMonethaGateway(MonethaGateway _newGateway) public onlyOwner {
+        require(address(_newGateway) != 0x0);
+
+        monethaGateway = _newGateway;
+    }
+
+    /**
+     *  setMerchantWallet allows owner to change address of MerchantWallet.
+     *  @param _newWallet Address of new MerchantWallet contract
+     */
+    function setMerchantWallet(MerchantWallet _newWallet) public onlyOwner {
+        require(address(_newWallet) != 0x0);
+        require(_newWallet.merchantIdHash() == merchantIdHash);
+
+        merchantWallet = _newWallet;
+    }
+}
@@ -0,0 +1,42 @@
+pragma solidity ^0.4.24;
+
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+
+
+/**
+ * @title MonethaVoucherMock
+ * @dev Simplified Monetha voucher with fixed voucher price, used for testing discounts and paybacks
+ */
+contract MonethaVoucherMock {
+    using SafeMath for uint256;
+
+    uint256 public constant VOUCHER_PRICE_WEI = 10;
+
+    mapping (address => uint256) public balanceOf;
+
+    function mint(address _to, uint256 _vouchers) external {
+        balanceOf[_to] = balanceOf[_to].add(_vouchers);
+    }
+
+    function toWei(uint256 _value) external pure returns (uint256) {
+        return _value.mul(VOUCHER_PRICE_WEI);
+    }
+
+    function fromWei(uint256 _value) external pure returns (uint256) {
+        return _value.div(VOUCHER_PRICE_WEI);
+    }
+
+    function applyDiscount(address _for, uint256 _vouchers) external returns (uint256 amountVouchers, uint256 amountWei) {
+        amountVouchers = _vouchers;
+        if (amountVouchers > balanceOf[_for]) {
+            amountVouchers = balanceOf[_for];
+        }
+        balanceOf[_for] = balanceOf[_for].sub(amountVouchers);
+        amountWei = amountVouchers.mul(VOUCHER_PRICE_WEI);
+    }
+
+    function applyPayback(address _for, uint256 _amountWei) external returns (uint256 amountVouchers) {
+        amountVouchers = _amountWei.div(VOUCHER_PRICE_WEI);
+        balanceOf[_for] = balanceOf[_for].add(amountVouchers);
+    }
+}
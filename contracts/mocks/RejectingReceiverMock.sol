@@ -0,0 +1,12 @@
+pragma solidity ^0.4.24;
+
+
+/**
+ * @title RejectingReceiverMock
+ * @dev Contract, which rejects ether transfers, used for testing pull payments
+ */
+contract RejectingReceiverMock {
+    function () external payable {
+        revert();
+    }
+}
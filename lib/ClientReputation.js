@@ -0,0 +1,52 @@
+/**
+ *  rebuildClientReputation replays ClientReputationChanged events of ClientReputation contract
+ *  and returns current composite reputation of clients together with history of its changes.
+ *
+ *  Usage (web3 0.20.x, e.g. injected by truffle):
+ *
+ *      const { rebuildClientReputation } = require('./lib/ClientReputation')
+ *      const clients = await rebuildClientReputation(web3, ClientReputation.abi, registryAddress, { clientAddress })
+ *      clients[clientAddress].reputation.total
+ */
+
+/**
+ *  @param web3 web3 0.20.x instance
+ *  @param abi ABI of ClientReputation contract
+ *  @param address Address of ClientReputation contract
+ *  @param options.fromBlock Block to start replay from (usually deployment block of the contract)
+ *  @param options.clientAddress Rebuild reputation of the single client only
+ */
+async function rebuildClientReputation(web3, abi, address, options = {}) {
+    const registry = web3.eth.contract(abi).at(address)
+    const filter = options.clientAddress ? { clientAddress: options.clientAddress } : {}
+
+    const events = await new Promise((resolve, reject) => {
+        registry.ClientReputationChanged(filter, { fromBlock: options.fromBlock || 0, toBlock: 'latest' }).get((err, res) => {
+            return err ? reject(err) : resolve(res)
+        })
+    })
+
+    const clients = {}
+    events
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+        .forEach(event => {
+            const clientAddress = event.args.clientAddress
+            const client = clients[clientAddress] = clients[clientAddress] || { reputation: {}, history: [] }
+            const value = event.args.value.toNumber()
+
+            client.reputation[event.args.key] = value
+            client.history.push({
+                key: event.args.key,
+                value,
+                updatedBy: event.args.updatedBy,
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash
+            })
+        })
+
+    return clients
+}
+
+module.exports = {
+    rebuildClientReputation,
+}
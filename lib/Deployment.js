@@ -0,0 +1,156 @@
+/**
+ *  Helpers for truffle migrations: per-network deployment config and manifest of deployed contracts.
+ *
+ *  Config (config/deployment.json) is keyed by network name of truffle.js and contains:
+ *      vault               Address of Monetha vault, where Monetha fees are transferred
+ *      admin               Address of MonethaGateway admin, or "MerchantFactory" to make the factory an admin
+ *      voucher             Address of MonethaVoucher contract, 0x0 to disable vouchers
+ *      supportedTokens     Tokens to register in MonethaSupportedTokens:
+ *                          [{ acronym, address, decimals, minOrderAmount, maxOrderAmount }]
+ *      enforceSupportedTokens  Accept token payments in MonethaGateway only in supported tokens
+ *      monethaAddresses    Monetha addresses of MonethaSupportedTokens and MerchantFactory
+ *      defaultToDeployer   Use deployer account, when vault, admin or monethaAddresses are not set (local networks)
+ *
+ *  Manifest (deployments/<network>.json) maps contract names to addresses. Contracts are deployed only when they
+ *  are missing in the manifest or there is no code at their address, so migrations can be rerun idempotently.
+ *  Contracts of merchants, onboarded with scripts/onboard-merchant.js, are recorded by merchant id.
+ */
+const fs = require('fs')
+const path = require('path')
+
+const CONFIG_PATH = path.join(__dirname, '..', 'config', 'deployment.json')
+const MANIFEST_DIR = path.join(__dirname, '..', 'deployments')
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+/**
+ *  loadConfig reads and validates deployment config of the network.
+ *  @param network Network name from truffle.js
+ *  @param deployer Address of the account, which deploys contracts
+ *  @param configPath Path to the config file
+ */
+function loadConfig(network, deployer, configPath = CONFIG_PATH) {
+    const networks = JSON.parse(fs.readFileSync(configPath, 'utf8'))
+    const config = networks[network]
+    if (!config) {
+        throw new Error(`deployment config for network "${network}" is not found in ${configPath}`)
+    }
+
+    const defaultAddress = name => {
+        if (config[name]) {
+            return config[name]
+        }
+        if (config.defaultToDeployer) {
+            return deployer
+        }
+        throw new Error(`"${name}" is not configured for network "${network}"`)
+    }
+
+    const monethaAddresses = config.monethaAddresses || []
+
+    return {
+        vault: defaultAddress('vault'),
+        admin: defaultAddress('admin'),
+        voucher: config.voucher || ZERO_ADDRESS,
+        supportedTokens: config.supportedTokens || [],
+        enforceSupportedTokens: !!config.enforceSupportedTokens,
+        monethaAddresses: monethaAddresses.length === 0 && config.defaultToDeployer ? [deployer] : monethaAddresses
+    }
+}
+
+/**
+ *  Manifest stores addresses of contracts, deployed to the network.
+ */
+class Manifest {
+    /**
+     *  @param network Network name from truffle.js
+     *  @param dir Directory of manifest files
+     */
+    constructor(network, dir = MANIFEST_DIR) {
+        this.network = network
+        this.path = path.join(dir, `${network}.json`)
+
+        const manifest = fs.existsSync(this.path) ? JSON.parse(fs.readFileSync(this.path, 'utf8')) : {}
+        this.contracts = manifest.contracts || {}
+        this.merchants = manifest.merchants || {}
+    }
+
+    get(name) {
+        return this.contracts[name]
+    }
+
+    set(name, address) {
+        this.contracts[name] = address
+        this.save()
+    }
+
+    /**
+     *  @return addresses of merchant contracts (merchantWallet, merchantHistory, paymentProcessor) by merchant id
+     */
+    getMerchant(merchantId) {
+        return this.merchants[merchantId]
+    }
+
+    setMerchant(merchantId, contracts) {
+        this.merchants[merchantId] = contracts
+        this.save()
+    }
+
+    save() {
+        if (!fs.existsSync(path.dirname(this.path))) {
+            fs.mkdirSync(path.dirname(this.path))
+        }
+        const manifest = { network: this.network, contracts: this.contracts, merchants: this.merchants }
+        fs.writeFileSync(this.path, JSON.stringify(manifest, null, 2) + '\n')
+    }
+}
+
+/**
+ *  deployOnce returns contract recorded in the manifest, or deploys and records it when it is missing.
+ *  Address of the contract is also set to its truffle artifact, so that `Contract.deployed()` can be used afterwards.
+ *  @param web3 web3 0.20.x instance
+ *  @param manifest Manifest of the network
+ *  @param contract Truffle contract abstraction
+ *  @param args Constructor arguments
+ */
+async function deployOnce(web3, manifest, contract, ...args) {
+    const name = contract.contractName
+    const address = manifest.get(name)
+
+    if (address && await hasCode(web3, address)) {
+        contract.address = address
+        return contract.at(address)
+    }
+
+    const instance = await contract.new(...args)
+    manifest.set(name, instance.address)
+    contract.address = instance.address
+    return instance
+}
+
+/**
+ *  setMonethaAddresses registers addresses as Monetha addresses of the contract, if they are not registered yet.
+ *  @param contract Contract instance, that inherits Restricted
+ *  @param addresses Addresses to register
+ *  @param options Transaction options
+ */
+async function setMonethaAddresses(contract, addresses, options = {}) {
+    for (const address of addresses) {
+        if (!await contract.isMonethaAddress(address)) {
+            await contract.setMonethaAddress(address, true, options)
+        }
+    }
+}
+
+function hasCode(web3, address) {
+    return new Promise((resolve, reject) => {
+        web3.eth.getCode(address, (err, code) => err ? reject(err) : resolve(code !== '0x' && code !== '0x0'))
+    })
+}
+
+module.exports = {
+    ZERO_ADDRESS,
+    loadConfig,
+    Manifest,
+    deployOnce,
+    setMonethaAddresses,
+}
@@ -0,0 +1,75 @@
+/**
+ *  Helpers for merchant profile, payment settings and composite reputation stored in MerchantWallet.
+ *
+ *  Usage (web3 0.20.x, e.g. injected by truffle):
+ *
+ *      const MerchantProfile = require('./lib/MerchantProfile')
+ *      const profile = await MerchantProfile.readMerchantProfile(web3, MerchantWallet.abi, walletAddress)
+ *      console.log(JSON.stringify(profile, null, 2))
+ *
+ *      const batch = MerchantProfile.encodeBatch({ name: 'Merchant', country: 'LT' })
+ *      await wallet.setProfileBatch(batch.keys, batch.keyLengths, batch.values, batch.valueLengths)
+ */
+
+const { call } = require('./sdk/transactions')
+
+/**
+ *  encodeBatch encodes key/value object into concatenated keys and values with their lengths (in bytes),
+ *  as expected by batch setters of MerchantWallet.
+ *  @param map Object with string keys and string values
+ */
+function encodeBatch(map) {
+    const keys = Object.keys(map)
+    const values = keys.map(key => map[key])
+
+    return {
+        keys: keys.join(''),
+        keyLengths: keys.map(key => Buffer.byteLength(key, 'utf8')),
+        values: values.join(''),
+        valueLengths: values.map(value => Buffer.byteLength(value, 'utf8'))
+    }
+}
+
+/**
+ *  readMerchantProfile reads complete profile, payment settings and composite reputation of the merchant.
+ *  @param web3 web3 0.20.x instance
+ *  @param abi ABI of MerchantWallet contract
+ *  @param address Address of MerchantWallet contract
+ */
+async function readMerchantProfile(web3, abi, address) {
+    const wallet = web3.eth.contract(abi).at(address)
+
+    const [merchantAccount, merchantFundAddress, merchantIdHash] = await Promise.all([
+        call(wallet.merchantAccount),
+        call(wallet.merchantFundAddress),
+        call(wallet.merchantIdHash)
+    ])
+
+    return {
+        address,
+        merchantIdHash,
+        merchantAccount,
+        merchantFundAddress,
+        profile: await readMap(wallet, 'profileKeysCount', 'profileKey', 'profile'),
+        paymentSettings: await readMap(wallet, 'paymentSettingsKeysCount', 'paymentSettingsKey', 'paymentSettings'),
+        compositeReputation: await readMap(wallet, 'compositeReputationKeysCount', 'compositeReputationKey', 'compositeReputation',
+            value => value.toNumber())
+    }
+}
+
+async function readMap(wallet, countMethod, keyMethod, valueMethod, format = value => value) {
+    const count = (await call(wallet[countMethod])).toNumber()
+
+    const result = {}
+    for (let i = 0; i < count; i++) {
+        const key = await call(wallet[keyMethod], i)
+        result[key] = format(await call(wallet[valueMethod], key))
+    }
+
+    return result
+}
+
+module.exports = {
+    encodeBatch,
+    readMerchantProfile,
+}
@@ -0,0 +1,307 @@
+/**
+ *  Operator CLI for administration of orders, merchants and shared Monetha contracts.
+ *
+ *  Contract addresses are read from the deployment manifest of the network (see Deployment), merchant contracts
+ *  are found by merchant id (--merchant), any address can be given explicitly with --at.
+ *  With --dryRun transactions are not sent: encoded transactions with estimated gas are returned instead.
+ *
+ *  Usage (scripts/operator-cli.js):
+ *
+ *      const cli = new OperatorCli(web3, { manifest: new Manifest(network), from: operator })
+ *      const result = await cli.run(['order', 'show', '42', '--merchant', 'merchantId'])
+ */
+
+const { MonethaSDK } = require('./sdk')
+const { Transactor, call, isZeroAddress } = require('./sdk/transactions')
+
+const USAGE = `Usage: <command> [arguments] [--network <network>] [--from <address>] [--dryRun]
+
+Orders of PaymentProcessor (--merchant <merchantId> | --at <processor>):
+    order show <orderId>
+    order process <orderId> --clientReputation <n> --merchantReputation <n> [--dealHash <hash>]
+    order cancel <orderId> --clientReputation <n> --merchantReputation <n> [--dealHash <hash>] [--reason <reason>]
+    order refund <orderId> --clientReputation <n> --merchantReputation <n> [--dealHash <hash>] [--reason <reason>]
+
+PaymentProcessor (--merchant <merchantId> | --at <processor>):
+    processor show
+    processor pause
+    processor unpause
+
+MerchantWallet (--merchant <merchantId> | --at <wallet>):
+    wallet show
+
+MonethaSupportedTokens ([--at <registry>]):
+    tokens list
+    tokens add <acronym> <tokenAddress> <decimals> [--minOrderAmount <n>] [--maxOrderAmount <n>]
+    tokens update <tokenAddress> <true|false> [--minOrderAmount <n>] [--maxOrderAmount <n>]
+    tokens remove <tokenAddress>
+
+Monetha addresses of a contract from the manifest (--merchant <merchantId> for merchant contracts, or --at <address>):
+    monetha-address show <contractName> <address>
+    monetha-address set <contractName> <address> <true|false>`
+
+const BOOLEAN_FLAGS = ['dryRun']
+
+/// Names of merchant contracts in the manifest (see MerchantFactory.MerchantDeployed)
+const MERCHANT_CONTRACTS = {
+    MerchantWallet: 'merchantWallet',
+    MerchantDealsHistory: 'merchantHistory',
+    PaymentProcessor: 'paymentProcessor'
+}
+
+/**
+ *  parseArgs splits command line arguments to positional arguments and `--name value` options.
+ *  @param argv Command line arguments
+ *  @return { args: [...], options: { name: value } }
+ */
+function parseArgs(argv) {
+    const args = []
+    const options = {}
+
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            args.push(argv[i])
+            continue
+        }
+
+        const name = argv[i].substr(2)
+        if (BOOLEAN_FLAGS.includes(name)) {
+            options[name] = true
+        } else if (i + 1 < argv.length) {
+            options[name] = argv[++i]
+        } else {
+            throw new Error(`value of --${name} is missing`)
+        }
+    }
+
+    return { args, options }
+}
+
+function parseBool(value, name) {
+    if (value === 'true' || value === 'false') {
+        return value === 'true'
+    }
+    throw new Error(`${name} must be true or false, got "${value}"`)
+}
+
+function required(value, name) {
+    if (value === undefined) {
+        throw new Error(`${name} is required\n\n${USAGE}`)
+    }
+    return value
+}
+
+class OperatorCli {
+    /**
+     *  @param web3 web3 0.20.x instance
+     *  @param options.manifest Deployment manifest of the network
+     *  @param options.from Sender of transactions
+     *  @param options.abis ABIs of contracts by name. Compiled truffle artifacts (build/contracts) are used by default.
+     */
+    constructor(web3, options) {
+        this.web3 = web3
+        this.manifest = options.manifest
+        this.from = options.from
+        this.abis = Object.assign({}, options.abis)
+    }
+
+    /**
+     *  run executes the command.
+     *  @param argv Command line arguments
+     *  @return result of the command, which can be printed as JSON
+     */
+    async run(argv) {
+        const { args, options } = parseArgs(argv)
+        const [group, command, ...params] = args
+        const handler = {
+            'order': this.order,
+            'processor': this.processor,
+            'wallet': this.wallet,
+            'tokens': this.tokens,
+            'monetha-address': this.monethaAddress
+        }[group]
+
+        if (!handler) {
+            throw new Error(group ? `unknown command "${group}"\n\n${USAGE}` : USAGE)
+        }
+
+        this.sdk = new MonethaSDK(this.web3, { from: options.from || this.from, dryRun: !!options.dryRun, abis: this.abis })
+        return handler.call(this, command, params, options)
+    }
+
+    async order(command, [orderId], options) {
+        required(orderId, 'orderId')
+        const processor = this.sdk.paymentProcessor(this.resolve('PaymentProcessor', options))
+
+        if (command === 'show') {
+            return processor.getOrder(orderId)
+        }
+
+        const method = { process: 'processPayment', cancel: 'cancelOrder', refund: 'refundPayment' }[command]
+        if (!method) {
+            throw new Error(`unknown order command "${command}"\n\n${USAGE}`)
+        }
+
+        return processor[method](orderId, {
+            clientReputation: required(options.clientReputation, '--clientReputation'),
+            merchantReputation: required(options.merchantReputation, '--merchantReputation'),
+            dealHash: options.dealHash,
+            reason: options.reason
+        })
+    }
+
+    async processor(command, params, options) {
+        const address = this.resolve('PaymentProcessor', options)
+        const processor = this.contract('PaymentProcessor', address)
+
+        if (command === 'show') {
+            const [paused, owner, merchantWallet, monethaGateway] = await Promise.all([
+                call(processor.paused),
+                call(processor.owner),
+                call(processor.merchantWallet),
+                call(processor.monethaGateway)
+            ])
+            return { address, paused, owner, merchantWallet, monethaGateway }
+        }
+
+        if (command !== 'pause' && command !== 'unpause') {
+            throw new Error(`unknown processor command "${command}"\n\n${USAGE}`)
+        }
+
+        return this.transactor(processor).send(command, [])
+    }
+
+    async wallet(command, params, options) {
+        if (command !== 'show') {
+            throw new Error(`unknown wallet command "${command}"\n\n${USAGE}`)
+        }
+
+        const wallet = this.sdk.merchantWallet(this.resolve('MerchantWallet', options))
+
+        const tokens = {}
+        const registryAddress = this.manifest.get('MonethaSupportedTokens')
+        if (registryAddress) {
+            const [addresses, acronyms] = await call(this.contract('MonethaSupportedTokens', registryAddress).getAll)
+            for (let i = 0; i < addresses.length; i++) {
+                tokens[this.web3.toUtf8(acronyms[i])] = {
+                    address: addresses[i],
+                    balance: await wallet.tokenBalance(addresses[i])
+                }
+            }
+        }
+
+        return {
+            address: wallet.address,
+            balance: await wallet.balance(),
+            tokens,
+            profile: await wallet.profile()
+        }
+    }
+
+    async tokens(command, params, options) {
+        const registry = this.contract('MonethaSupportedTokens', this.resolve('MonethaSupportedTokens', options))
+
+        switch (command) {
+            case 'list': {
+                const [addresses] = await call(registry.getAll)
+                const tokens = []
+                for (const address of addresses) {
+                    tokens.push(Object.assign({ address }, await this.token(registry, address)))
+                }
+                return tokens
+            }
+            case 'add': {
+                const [acronym, tokenAddress, decimals] = params
+                return this.transactor(registry).send('addToken', [
+                    required(acronym, 'acronym'),
+                    required(tokenAddress, 'tokenAddress'),
+                    required(decimals, 'decimals'),
+                    options.minOrderAmount || 0,
+                    options.maxOrderAmount || 0
+                ])
+            }
+            case 'update': {
+                const [tokenAddress, isEnabled] = params
+                const token = await this.token(registry, required(tokenAddress, 'tokenAddress'))
+                return this.transactor(registry).send('updateToken', [
+                    tokenAddress,
+                    parseBool(required(isEnabled, 'isEnabled'), 'isEnabled'),
+                    options.minOrderAmount || token.minOrderAmount,
+                    options.maxOrderAmount || token.maxOrderAmount
+                ])
+            }
+            case 'remove': {
+                const [tokenAddress] = params
+                return this.transactor(registry).send('removeToken', [required(tokenAddress, 'tokenAddress')])
+            }
+            default:
+                throw new Error(`unknown tokens command "${command}"\n\n${USAGE}`)
+        }
+    }
+
+    async monethaAddress(command, [contractName, address, isMonethaAddress], options) {
+        const contract = this.contract(required(contractName, 'contractName'), this.resolve(contractName, options))
+        required(address, 'address')
+
+        if (command === 'show') {
+            return { contract: contract.address, address, isMonethaAddress: await call(contract.isMonethaAddress, address) }
+        }
+        if (command !== 'set') {
+            throw new Error(`unknown monetha-address command "${command}"\n\n${USAGE}`)
+        }
+
+        const isMonetha = parseBool(required(isMonethaAddress, 'isMonethaAddress'), 'isMonethaAddress')
+        return this.transactor(contract).send('setMonethaAddress', [address, isMonetha])
+    }
+
+    async token(registry, address) {
+        const token = await call(registry.tokens, address)
+        return {
+            acronym: this.web3.toUtf8(token[0]),
+            decimals: token[1].toNumber(),
+            isEnabled: token[2],
+            minOrderAmount: token[3],
+            maxOrderAmount: token[4]
+        }
+    }
+
+    /**
+     *  resolve returns address of the contract: given with --at, of the merchant given with --merchant,
+     *  or recorded in the manifest.
+     */
+    resolve(contractName, options) {
+        if (options.at) {
+            return options.at
+        }
+
+        let address
+        if (MERCHANT_CONTRACTS[contractName] && options.merchant) {
+            const merchant = this.manifest.getMerchant(options.merchant)
+            if (!merchant) {
+                throw new Error(`merchant "${options.merchant}" is not found in ${this.manifest.path}`)
+            }
+            address = merchant[MERCHANT_CONTRACTS[contractName]]
+        } else {
+            address = this.manifest.get(contractName)
+        }
+
+        if (isZeroAddress(address)) {
+            throw new Error(`address of ${contractName} is not found in ${this.manifest.path}, use --merchant or --at`)
+        }
+        return address
+    }
+
+    contract(contractName, address) {
+        return this.web3.eth.contract(this.sdk.abi(contractName)).at(address)
+    }
+
+    transactor(contract) {
+        return new Transactor(this.web3, contract, this.sdk.options)
+    }
+}
+
+module.exports = {
+    USAGE,
+    OperatorCli,
+    parseArgs,
+}
@@ -0,0 +1,178 @@
+/**
+ *  OrderIndexer replays OrderCreated/OrderStateChanged events of PaymentProcessor
+ *  into in-memory order-state store, so that backend doesn't have to poll `orders(id)`.
+ *
+ *  Usage (web3 0.20.x, e.g. injected by truffle):
+ *
+ *      const { OrderIndexer, State } = require('./lib/OrderIndexer')
+ *      const indexer = new OrderIndexer(web3, PaymentProcessor.abi, processorAddress)
+ *      await indexer.sync()
+ *      const stale = await indexer.getOrdersOlderThan(State.Paid, 5760)
+ */
+
+const State = Object.freeze({
+    Null: 0,
+    Created: 1,
+    Paid: 2,
+    Finalized: 3,
+    Refunding: 4,
+    Refunded: 5,
+    Cancelled: 6,
+    Expired: 7,
+    Disputed: 8
+})
+
+/**
+ *  OrderStore keeps last known state of each order together with its transition history.
+ */
+class OrderStore {
+    constructor() {
+        this.orders = new Map()
+    }
+
+    /**
+     *  apply updates the store with decoded PaymentProcessor event. Unrelated events are ignored.
+     *  @param event Decoded event, as returned by web3 filter
+     */
+    apply(event) {
+        const orderId = event.args.orderId && event.args.orderId.toString()
+
+        switch (event.event) {
+            case 'OrderCreated':
+                this.orders.set(orderId, {
+                    orderId,
+                    state: State.Created,
+                    originAddress: event.args.originAddress,
+                    tokenAddress: event.args.tokenAddress,
+                    paymentAcceptor: event.args.paymentAcceptor,
+                    price: event.args.price,
+                    fee: event.args.fee,
+                    createdBlock: event.blockNumber,
+                    stateBlock: event.blockNumber,
+                    history: []
+                })
+                break
+            case 'OrderStateChanged': {
+                const order = this.orders.get(orderId)
+                if (!order) {
+                    return
+                }
+                order.state = event.args.newState.toNumber()
+                order.stateBlock = event.blockNumber
+                order.history.push({
+                    state: order.state,
+                    blockNumber: event.blockNumber,
+                    transactionHash: event.transactionHash
+                })
+                break
+            }
+            case 'DisputeOpened': {
+                const order = this.orders.get(orderId)
+                if (order) {
+                    order.disputeReason = event.args.reason
+                }
+                break
+            }
+        }
+    }
+
+    get(orderId) {
+        return this.orders.get(orderId.toString())
+    }
+
+    all() {
+        return Array.from(this.orders.values())
+    }
+
+    byState(state) {
+        return this.all().filter(order => order.state === state)
+    }
+
+    /**
+     *  olderThan returns orders, which are in the state for at least `blocks` blocks.
+     *  @param state Order state
+     *  @param blocks Number of blocks
+     *  @param currentBlock Current block number
+     */
+    olderThan(state, blocks, currentBlock) {
+        return this.byState(state).filter(order => order.stateBlock + blocks <= currentBlock)
+    }
+}
+
+/**
+ *  OrderIndexer fetches events of PaymentProcessor from the node and feeds them into OrderStore.
+ */
+class OrderIndexer {
+    /**
+     *  @param web3 web3 0.20.x instance connected to the node
+     *  @param abi ABI of PaymentProcessor contract
+     *  @param address Address of PaymentProcessor contract
+     *  @param options.fromBlock Block to start replay from (usually deployment block of the processor)
+     *  @param options.store Store to feed events into
+     */
+    constructor(web3, abi, address, options = {}) {
+        this.web3 = web3
+        this.contract = web3.eth.contract(abi).at(address)
+        this.nextBlock = options.fromBlock || 0
+        this.store = options.store || new OrderStore()
+    }
+
+    /**
+     *  sync replays events, which were emitted since last sync, and returns number of applied events.
+     *  @param toBlock Last block to replay (latest block by default)
+     */
+    async sync(toBlock) {
+        if (toBlock === undefined) {
+            toBlock = await this.blockNumber()
+        }
+        if (toBlock < this.nextBlock) {
+            return 0
+        }
+
+        const events = await new Promise((resolve, reject) => {
+            this.contract.allEvents({ fromBlock: this.nextBlock, toBlock }).get((err, res) => {
+                return err ? reject(err) : resolve(res)
+            })
+        })
+
+        events
+            .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+            .forEach(event => this.store.apply(event))
+
+        this.nextBlock = toBlock + 1
+
+        return events.length
+    }
+
+    getOrder(orderId) {
+        return this.store.get(orderId)
+    }
+
+    getOrdersByState(state) {
+        return this.store.byState(state)
+    }
+
+    /**
+     *  getOrdersOlderThan returns orders, which are in the state for at least `blocks` blocks
+     *  according to the latest block of the node.
+     *  @param state Order state
+     *  @param blocks Number of blocks
+     */
+    async getOrdersOlderThan(state, blocks) {
+        return this.store.olderThan(state, blocks, await this.blockNumber())
+    }
+
+    blockNumber() {
+        return new Promise((resolve, reject) => {
+            this.web3.eth.getBlockNumber((err, res) => {
+                return err ? reject(err) : resolve(res)
+            })
+        })
+    }
+}
+
+module.exports = {
+    State,
+    OrderStore,
+    OrderIndexer,
+}
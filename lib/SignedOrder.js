@@ -0,0 +1,158 @@
+/**
+ *  Helpers for signed-order checkout (PaymentProcessor.payForSignedOrder).
+ *
+ *  Monetha signs the order as EIP-712 typed data, buyer submits it together with payment:
+ *
+ *      const SignedOrder = require('./lib/SignedOrder')
+ *      const order = { orderId, price, fee, token, vouchersApply, expiry }
+ *      const signature = await SignedOrder.signOrder(web3, monethaAccount, processorAddress, order)
+ *      await processor.payForSignedOrder(orderId, price, fee, token, vouchersApply, expiry, signature, { from: buyer, value: price })
+ *
+ *  Works with web3 0.20.x (e.g. injected by truffle) and a node supporting `eth_signTypedData`.
+ */
+
+const { call } = require('./sdk/transactions')
+
+const DOMAIN_NAME = 'Monetha PaymentProcessor'
+const DOMAIN_VERSION = '1'
+
+const TYPES = {
+    EIP712Domain: [
+        { name: 'name', type: 'string' },
+        { name: 'version', type: 'string' },
+        { name: 'verifyingContract', type: 'address' }
+    ],
+    Order: [
+        { name: 'orderId', type: 'uint256' },
+        { name: 'price', type: 'uint256' },
+        { name: 'fee', type: 'uint256' },
+        { name: 'token', type: 'address' },
+        { name: 'vouchersApply', type: 'uint256' },
+        { name: 'expiry', type: 'uint256' }
+    ]
+}
+
+/**
+ *  typedData returns EIP-712 typed data of the order, as expected by `eth_signTypedData`.
+ *  @param processorAddress Address of PaymentProcessor contract
+ *  @param order Order with orderId, price, fee, token, vouchersApply and expiry fields
+ */
+function typedData(processorAddress, order) {
+    return {
+        types: TYPES,
+        primaryType: 'Order',
+        domain: {
+            name: DOMAIN_NAME,
+            version: DOMAIN_VERSION,
+            verifyingContract: processorAddress
+        },
+        message: {
+            orderId: order.orderId.toString(10),
+            price: order.price.toString(10),
+            fee: order.fee.toString(10),
+            token: order.token || '0x0000000000000000000000000000000000000000',
+            vouchersApply: (order.vouchersApply || 0).toString(10),
+            expiry: order.expiry.toString(10)
+        }
+    }
+}
+
+/**
+ *  hashOrder returns EIP-712 hash of the order, the same as PaymentProcessor.signedOrderHash.
+ *  @param web3 web3 0.20.x instance
+ *  @param processorAddress Address of PaymentProcessor contract
+ *  @param order Order with orderId, price, fee, token, vouchersApply and expiry fields
+ */
+function hashOrder(web3, processorAddress, order) {
+    const data = typedData(processorAddress, order)
+
+    return keccak(web3, '0x1901' +
+        hashStruct(web3, 'EIP712Domain', data.domain).slice(2) +
+        hashStruct(web3, 'Order', data.message).slice(2))
+}
+
+/**
+ *  signOrder asks the node to sign the order by the signer account (must be Monetha address of the processor).
+ *  @param web3 web3 0.20.x instance
+ *  @param signer Signer account, unlocked on the node
+ *  @param processorAddress Address of PaymentProcessor contract
+ *  @param order Order with orderId, price, fee, token, vouchersApply and expiry fields
+ *  @return signature
+ */
+function signOrder(web3, signer, processorAddress, order) {
+    return new Promise((resolve, reject) => {
+        web3.currentProvider.sendAsync({
+            jsonrpc: '2.0',
+            method: 'eth_signTypedData',
+            params: [signer, typedData(processorAddress, order)],
+            id: Date.now()
+        }, (err, res) => {
+            if (err || res.error) {
+                return reject(err || new Error(res.error.message))
+            }
+            resolve(res.result)
+        })
+    })
+}
+
+/**
+ *  verifyOrder checks that the order is signed by Monetha address of the processor and is not expired.
+ *  @param processor PaymentProcessor contract instance (web3 0.20.x)
+ *  @param order Order with orderId, price, fee, token, vouchersApply and expiry fields
+ *  @param signature Signature of the order
+ *  @param now Current timestamp in seconds (defaults to local time)
+ */
+async function verifyOrder(processor, order, signature, now) {
+    if (now === undefined) {
+        now = Math.floor(Date.now() / 1000)
+    }
+    if (Number(order.expiry) < now) {
+        return false
+    }
+
+    const message = typedData(processor.address, order).message
+    const signer = await call(processor.signedOrderSigner,
+        message.orderId, message.price, message.fee, message.token, message.vouchersApply, message.expiry, signature)
+
+    return call(processor.isMonethaAddress, signer)
+}
+
+function hashStruct(web3, type, value) {
+    const encoded = TYPES[type].map(field => {
+        const v = value[field.name]
+        switch (field.type) {
+            case 'string':
+                return web3.sha3(v).slice(2)
+            case 'address':
+                return pad(v)
+            default:
+                return pad(web3.toHex(web3.toBigNumber(v)))
+        }
+    })
+
+    return keccak(web3, typeHash(web3, type) + encoded.join(''))
+}
+
+function typeHash(web3, type) {
+    const fields = TYPES[type].map(field => field.type + ' ' + field.name).join(',')
+
+    return web3.sha3(type + '(' + fields + ')')
+}
+
+function keccak(web3, hex) {
+    return web3.sha3(hex, { encoding: 'hex' })
+}
+
+function pad(hex) {
+    return hex.replace(/^0x/, '').toLowerCase().padStart(64, '0')
+}
+
+module.exports = {
+    DOMAIN_NAME,
+    DOMAIN_VERSION,
+    TYPES,
+    typedData,
+    hashOrder,
+    signOrder,
+    verifyOrder,
+}
@@ -0,0 +1,75 @@
+const { readMerchantProfile } = require('../MerchantProfile')
+const { Transactor, ERC20_ABI, call } = require('./transactions')
+
+/**
+ *  MerchantWalletClient reads balances and profile of MerchantWallet and withdraws merchant funds.
+ */
+class MerchantWalletClient {
+    /**
+     *  @param web3 web3 0.20.x instance
+     *  @param abi ABI of MerchantWallet contract
+     *  @param address Address of MerchantWallet contract
+     *  @param options Transactor options (from, gasPrice, pollInterval, timeout)
+     */
+    constructor(web3, abi, address, options = {}) {
+        this.web3 = web3
+        this.abi = abi
+        this.address = address
+        this.contract = web3.eth.contract(abi).at(address)
+        this.transactor = new Transactor(web3, this.contract, options)
+    }
+
+    /**
+     *  @return ether balance of the wallet (BigNumber)
+     */
+    balance() {
+        return new Promise((resolve, reject) => {
+            this.web3.eth.getBalance(this.address, (err, res) => err ? reject(err) : resolve(res))
+        })
+    }
+
+    /**
+     *  @return token balance of the wallet (BigNumber)
+     */
+    tokenBalance(tokenAddress) {
+        return call(this.web3.eth.contract(ERC20_ABI).at(tokenAddress).balanceOf, this.address)
+    }
+
+    /**
+     *  @return profile, payment settings and composite reputation of the merchant (see MerchantProfile)
+     */
+    profile() {
+        return readMerchantProfile(this.web3, this.abi, this.address)
+    }
+
+    /**
+     *  withdraw transfers ether to the beneficiary, or to merchant's account by default (merchant only).
+     *  Withdrawals exceeding the daily threshold of withdrawal policy are queued.
+     *  @param amount Amount of wei
+     *  @param beneficiary Address of the beneficiary (optional)
+     *  @param txOptions Transaction options
+     */
+    withdraw(amount, beneficiary, txOptions) {
+        if (beneficiary) {
+            return this.transactor.send('withdrawTo', [beneficiary, amount], txOptions)
+        }
+        return this.transactor.send('withdraw', [amount], txOptions)
+    }
+
+    /**
+     *  withdrawToken transfers tokens to the beneficiary, or to merchant's account by default (merchant only).
+     *  Withdrawals exceeding the daily threshold of the token in withdrawal policy are queued.
+     *  @param tokenAddress Address of the token
+     *  @param amount Amount of tokens
+     *  @param beneficiary Address of the beneficiary (optional)
+     *  @param txOptions Transaction options
+     */
+    withdrawToken(tokenAddress, amount, beneficiary, txOptions) {
+        if (beneficiary) {
+            return this.transactor.send('withdrawTokenTo', [tokenAddress, beneficiary, amount], txOptions)
+        }
+        return this.transactor.send('withdrawToken', [tokenAddress, amount], txOptions)
+    }
+}
+
+module.exports = MerchantWalletClient
@@ -0,0 +1,88 @@
+const { ZERO_ADDRESS, ValidationError, Transactor, isZeroAddress, call } = require('./transactions')
+
+/**
+ *  MonethaGatewayClient reads fee limits and token support of MonethaGateway, reads and withdraws pull-payment credits.
+ */
+class MonethaGatewayClient {
+    /**
+     *  @param web3 web3 0.20.x instance
+     *  @param abi ABI of MonethaGateway contract
+     *  @param address Address of MonethaGateway contract
+     *  @param options Transactor options (from, gasPrice, pollInterval, timeout)
+     */
+    constructor(web3, abi, address, options = {}) {
+        this.web3 = web3
+        this.address = address
+        this.options = options
+        this.contract = web3.eth.contract(abi).at(address)
+        this.transactor = new Transactor(web3, this.contract, options)
+    }
+
+    /**
+     *  maxMonethaFee returns max. Monetha fee, accepted by the gateway for the payment according to FEE_PERMILLE,
+     *  or null if fee is limited by fee schedule of the merchant (validated by payment processor at order creation).
+     *  @param value Payment amount
+     *  @return BigNumber or null
+     */
+    async maxMonethaFee(value) {
+        const amount = this.web3.toBigNumber(value)
+        if (!isZeroAddress(await call(this.contract.monethaFeeSchedule))) {
+            return null
+        }
+
+        const [feePermille, coefficient] = await Promise.all([
+            call(this.contract.FEE_PERMILLE),
+            call(this.contract.PERMILLE_COEFFICIENT)
+        ])
+
+        return feePermille.mul(amount).div(coefficient).floor()
+    }
+
+    /**
+     *  validateFee throws ValidationError, if Monetha fee exceeds FEE_PERMILLE of the payment.
+     *  Fee, limited by fee schedule of the merchant, is validated by payment processor itself.
+     *  @param value Payment amount
+     *  @param fee Monetha fee
+     */
+    async validateFee(value, fee) {
+        const maxFee = await this.maxMonethaFee(value)
+        if (maxFee !== null && maxFee.lessThan(fee)) {
+            throw new ValidationError(`fee ${fee} exceeds max. Monetha fee ${maxFee} of the payment ${value}`)
+        }
+    }
+
+    /**
+     *  @return true if token payments in the token are accepted by the gateway
+     */
+    isTokenSupported(tokenAddress) {
+        return call(this.contract.isTokenSupported, tokenAddress)
+    }
+
+    /**
+     *  credits returns amounts credited to the recipient in pull-payment mode and not withdrawn yet.
+     *  @param recipient Address of the payee
+     *  @param tokenAddresses Addresses of tokens, 0x0 for ether
+     *  @return BigNumber amounts in the order of tokenAddresses
+     */
+    credits(recipient, tokenAddresses = [ZERO_ADDRESS]) {
+        return call(this.contract.creditsOf, recipient, tokenAddresses)
+    }
+
+    /**
+     *  withdrawCredit transfers ether or tokens, credited to the sender, to the beneficiary, or to the sender by default.
+     *  @param tokenAddress Address of the token, 0x0 for ether
+     *  @param beneficiary Address of the beneficiary (optional)
+     *  @param txOptions Transaction options
+     */
+    async withdrawCredit(tokenAddress = ZERO_ADDRESS, beneficiary, txOptions = {}) {
+        const from = txOptions.from || this.options.from
+        const [credit] = await this.credits(from, [tokenAddress])
+        if (credit.isZero()) {
+            throw new ValidationError(`nothing is credited to ${from} in ${isZeroAddress(tokenAddress) ? 'ether' : tokenAddress}`)
+        }
+
+        return this.transactor.send('withdrawCredit', [tokenAddress, beneficiary || from], txOptions)
+    }
+}
+
+module.exports = MonethaGatewayClient
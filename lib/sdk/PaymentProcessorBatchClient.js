@@ -0,0 +1,87 @@
+const { Transactor, ValidationError } = require('./transactions')
+
+/// Reasons of skipping orders in batch operations (PaymentProcessorBatch.SkipReason)
+const SKIP_REASONS = ['InvalidState', 'EmptyReason', 'UnsupportedToken', 'Failed']
+
+/**
+ *  PaymentProcessorBatchClient settles many orders of a PaymentProcessor in one transaction through PaymentProcessorBatch.
+ *  Orders, which cannot be settled, are skipped by the contract and returned as `skipped`: [{ orderId, reason }].
+ */
+class PaymentProcessorBatchClient {
+    /**
+     *  @param web3 web3 0.20.x instance
+     *  @param abi ABI of PaymentProcessorBatch contract
+     *  @param address Address of PaymentProcessorBatch contract
+     *  @param options Transactor options (from, gasPrice, pollInterval, timeout)
+     */
+    constructor(web3, abi, address, options = {}) {
+        this.web3 = web3
+        this.address = address
+        this.options = options
+        this.contract = web3.eth.contract(abi).at(address)
+        this.transactor = new Transactor(web3, this.contract, options)
+    }
+
+    /**
+     *  processPaymentBatch processes several paid orders (Monetha only).
+     *  Payments of orders in the same token are forwarded to MonethaGateway together.
+     *  @param processorAddress Address of PaymentProcessor of the orders
+     *  @param deals Array of { orderId, clientReputation, merchantReputation, dealHash }
+     *  @param txOptions Transaction options
+     */
+    processPaymentBatch(processorAddress, deals, txOptions) {
+        return this.sendBatch('processPaymentBatch', [processorAddress].concat(batchArgs(deals)), txOptions)
+    }
+
+    /**
+     *  cancelOrderBatch cancels several unpaid orders (Monetha only).
+     *  @param processorAddress Address of PaymentProcessor of the orders
+     *  @param deals Array of { orderId, clientReputation, merchantReputation, dealHash, reason }, reason up to 32 bytes
+     *  @param txOptions Transaction options
+     */
+    async cancelOrderBatch(processorAddress, deals, txOptions) {
+        return this.sendBatch('cancelOrderBatch', [processorAddress].concat(batchArgs(deals), [this.reasonCodes(deals)]), txOptions)
+    }
+
+    /**
+     *  refundPaymentBatch starts refunding of several paid orders (Monetha only).
+     *  @param processorAddress Address of PaymentProcessor of the orders
+     *  @param deals Array of { orderId, clientReputation, merchantReputation, dealHash, reason }, reason up to 32 bytes
+     *  @param txOptions Transaction options
+     */
+    async refundPaymentBatch(processorAddress, deals, txOptions) {
+        return this.sendBatch('refundPaymentBatch', [processorAddress].concat(batchArgs(deals), [this.reasonCodes(deals)]), txOptions)
+    }
+
+    async sendBatch(method, args, txOptions) {
+        const result = await this.transactor.send(method, args, txOptions)
+        if (result.events) {
+            result.skipped = result.events
+                .filter(event => event.event === 'OrderSkipped')
+                .map(event => ({ orderId: event.args.orderId, reason: SKIP_REASONS[event.args.reason.toNumber()] }))
+        }
+        return result
+    }
+
+    /// Reasons are passed as UTF-8 encoded bytes32 codes, padded with zeros
+    reasonCodes(deals) {
+        return deals.map(deal => {
+            const reason = deal.reason || ''
+            if (Buffer.byteLength(reason, 'utf8') > 32) {
+                throw new ValidationError(`reason of order ${deal.orderId} is longer than 32 bytes`)
+            }
+            return '0x' + Buffer.from(reason, 'utf8').toString('hex').padEnd(64, '0')
+        })
+    }
+}
+
+function batchArgs(deals) {
+    return [
+        deals.map(deal => deal.orderId),
+        deals.map(deal => deal.clientReputation),
+        deals.map(deal => deal.merchantReputation),
+        deals.map(deal => deal.dealHash || 0)
+    ]
+}
+
+module.exports = PaymentProcessorBatchClient
@@ -0,0 +1,216 @@
+const { State } = require('../OrderIndexer')
+const { Transactor, ValidationError, ZERO_ADDRESS, ensureAllowance, isZeroAddress, call } = require('./transactions')
+
+const STATE_NAMES = Object.keys(State)
+
+/**
+ *  PaymentProcessorClient wraps order lifecycle of PaymentProcessor:
+ *  addOrder -> pay -> processPayment, or cancelOrder / refundPayment -> withdrawRefund.
+ */
+class PaymentProcessorClient {
+    /**
+     *  @param web3 web3 0.20.x instance
+     *  @param abi ABI of PaymentProcessor contract
+     *  @param address Address of PaymentProcessor contract
+     *  @param options Transactor options (from, gasPrice, pollInterval, timeout)
+     */
+    constructor(web3, abi, address, options = {}) {
+        this.web3 = web3
+        this.address = address
+        this.options = options
+        this.contract = web3.eth.contract(abi).at(address)
+        this.transactor = new Transactor(web3, this.contract, options)
+    }
+
+    /**
+     *  getOrder reads and decodes the order.
+     *  @param orderId Identifier of the order
+     *  @return order with `state` (see State) and `stateName`, amounts are BigNumbers
+     */
+    async getOrder(orderId) {
+        const order = await call(this.contract.orders, orderId)
+        const state = order[0].toNumber()
+
+        return {
+            orderId: this.web3.toBigNumber(orderId),
+            state,
+            stateName: STATE_NAMES[state],
+            price: order[1],
+            fee: order[2],
+            paymentAcceptor: order[3],
+            originAddress: order[4],
+            tokenAddress: order[5],
+            vouchersApply: order[6],
+            discount: order[7],
+            settlementDeadline: order[8],
+            refundAmount: order[9]
+        }
+    }
+
+    /**
+     *  maxFee returns max. Monetha fee of the order price according to FEE_PERMILLE,
+     *  or null if fee is limited by merchant's fee schedule.
+     *  @param price Price of the order
+     *  @return BigNumber or null
+     */
+    async maxFee(price) {
+        if (!isZeroAddress(await call(this.contract.monethaFeeSchedule))) {
+            return null
+        }
+
+        const [feePermille, coefficient] = await Promise.all([
+            call(this.contract.FEE_PERMILLE),
+            call(this.contract.PERMILLE_COEFFICIENT)
+        ])
+
+        return feePermille.mul(price).div(coefficient).floor()
+    }
+
+    /**
+     *  addOrder validates fee and adds the order (Monetha only).
+     *  @param order.orderId Identifier of the order
+     *  @param order.price Price of the order
+     *  @param order.paymentAcceptor Address, which pays for the order
+     *  @param order.originAddress Address of the client, where refunds are sent
+     *  @param order.fee Monetha fee
+     *  @param order.tokenAddress Token address, 0x0 (default) for ether
+     *  @param order.vouchersApply Amount of vouchers to apply for discount (0 by default)
+     *  @param txOptions Transaction options
+     */
+    async addOrder(order, txOptions) {
+        const maxFee = await this.maxFee(order.price)
+        if (maxFee !== null && maxFee.lessThan(order.fee)) {
+            throw new ValidationError(`fee ${order.fee} exceeds max. fee ${maxFee} of the order ${order.orderId}`)
+        }
+
+        return this.transactor.send('addOrder', [
+            order.orderId,
+            order.price,
+            order.paymentAcceptor,
+            order.originAddress,
+            order.fee,
+            order.tokenAddress || ZERO_ADDRESS,
+            order.vouchersApply || 0
+        ], txOptions)
+    }
+
+    /**
+     *  pay pays for the order in ether or tokens. Tokens are approved to the processor if needed.
+     *  In dry-run mode encoded approvals are returned instead, when tokens have to be approved first.
+     *  @param orderId Identifier of the order
+     *  @param txOptions Transaction options, `from` must be payment acceptor of the order
+     */
+    async pay(orderId, txOptions = {}) {
+        const order = await this.expectState(orderId, State.Created)
+        const options = this.txOptions(txOptions)
+
+        if (isZeroAddress(order.tokenAddress)) {
+            return this.transactor.send('securePay', [orderId], Object.assign({ value: order.price }, options))
+        }
+
+        const approvals = await ensureAllowance(this.web3, order.tokenAddress, this.address, order.price, options, this.options)
+        if (approvals.length > 0 && this.transactor.dryRun) {
+            // the transaction can't be estimated, until tokens are approved
+            return { dryRun: true, approvals: approvals.map(tx => tx.transaction) }
+        }
+
+        return this.transactor.send('secureTokenPay', [orderId], options)
+    }
+
+    /**
+     *  processPayment transfers funds of the paid order to the merchant (Monetha only).
+     *  @param orderId Identifier of the order
+     *  @param deal.clientReputation Updated reputation of the client
+     *  @param deal.merchantReputation Updated reputation of the merchant
+     *  @param deal.dealHash Hashcode of the deal, describing the order (0 by default)
+     *  @param txOptions Transaction options
+     */
+    async processPayment(orderId, deal, txOptions) {
+        await this.expectState(orderId, State.Paid)
+
+        return this.transactor.send('processPayment', [
+            orderId,
+            deal.clientReputation,
+            deal.merchantReputation,
+            deal.dealHash || 0
+        ], txOptions)
+    }
+
+    /**
+     *  cancelOrder cancels unpaid order (Monetha only).
+     *  @param orderId Identifier of the order
+     *  @param deal Reputation and dealHash, as in processPayment, and `reason` of cancellation
+     *  @param txOptions Transaction options
+     */
+    async cancelOrder(orderId, deal, txOptions) {
+        await this.expectState(orderId, State.Created)
+
+        return this.transactor.send('cancelOrder', [
+            orderId,
+            deal.clientReputation,
+            deal.merchantReputation,
+            deal.dealHash || 0,
+            deal.reason || ''
+        ], txOptions)
+    }
+
+    /**
+     *  refundPayment starts refunding of the paid order (Monetha only).
+     *  @param orderId Identifier of the order
+     *  @param deal Reputation and dealHash, as in processPayment, and `reason` of refund
+     *  @param txOptions Transaction options
+     */
+    async refundPayment(orderId, deal, txOptions) {
+        await this.expectState(orderId, State.Paid)
+
+        return this.transactor.send('refundPayment', [
+            orderId,
+            deal.clientReputation,
+            deal.merchantReputation,
+            deal.dealHash || 0,
+            deal.reason || ''
+        ], txOptions)
+    }
+
+    /**
+     *  withdrawRefund transfers refunded ether or tokens to the client.
+     *  @param orderId Identifier of the order
+     *  @param txOptions Transaction options
+     */
+    async withdrawRefund(orderId, txOptions) {
+        const order = await this.expectState(orderId, State.Refunding)
+        const method = isZeroAddress(order.tokenAddress) ? 'withdrawRefund' : 'withdrawTokenRefund'
+
+        return this.transactor.send(method, [orderId], txOptions)
+    }
+
+    /**
+     *  withdrawExpiredRefund refunds the client, whose order was not processed in time.
+     *  @param orderId Identifier of the order
+     *  @param txOptions Transaction options
+     */
+    async withdrawExpiredRefund(orderId, txOptions) {
+        const order = await this.expectState(orderId, State.Paid)
+        const method = isZeroAddress(order.tokenAddress) ? 'withdrawExpiredRefund' : 'withdrawExpiredTokenRefund'
+
+        return this.transactor.send(method, [orderId], txOptions)
+    }
+
+    async expectState(orderId, state) {
+        const order = await this.getOrder(orderId)
+        if (order.state !== state) {
+            throw new ValidationError(`order ${orderId} is ${order.stateName}, expected ${STATE_NAMES[state]}`)
+        }
+        return order
+    }
+
+    txOptions(txOptions) {
+        const options = Object.assign({}, txOptions)
+        if (!options.from) {
+            options.from = this.options.from
+        }
+        return options
+    }
+}
+
+module.exports = PaymentProcessorClient
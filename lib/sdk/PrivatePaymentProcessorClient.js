@@ -0,0 +1,154 @@
+const MonethaGatewayClient = require('./MonethaGatewayClient')
+const { Transactor, ValidationError, ZERO_ADDRESS, ensureAllowance, isZeroAddress, call } = require('./transactions')
+
+const WITHDRAW_STATE_NAMES = ['Null', 'Pending', 'Withdrawn']
+
+/**
+ *  PrivatePaymentProcessorClient wraps payments and refunds of PrivatePaymentProcessor.
+ */
+class PrivatePaymentProcessorClient {
+    /**
+     *  @param web3 web3 0.20.x instance
+     *  @param abi ABI of PrivatePaymentProcessor contract
+     *  @param address Address of PrivatePaymentProcessor contract
+     *  @param gatewayAbi ABI of MonethaGateway contract, used to validate Monetha fee
+     *  @param options Transactor options (from, gasPrice, pollInterval, timeout)
+     */
+    constructor(web3, abi, address, gatewayAbi, options = {}) {
+        this.web3 = web3
+        this.address = address
+        this.gatewayAbi = gatewayAbi
+        this.options = options
+        this.contract = web3.eth.contract(abi).at(address)
+        this.transactor = new Transactor(web3, this.contract, options)
+    }
+
+    /**
+     *  @return MonethaGatewayClient of the gateway, used by the processor
+     */
+    async gateway() {
+        return new MonethaGatewayClient(this.web3, this.gatewayAbi, await call(this.contract.monethaGateway))
+    }
+
+    /**
+     *  payForOrder validates fee and pays for the order in ether or tokens. Tokens are approved to the processor if needed.
+     *  In dry-run mode encoded approvals are returned instead, when tokens have to be approved first.
+     *  @param order.orderId Identifier of the order
+     *  @param order.originAddress Address of the client, where refunds are sent
+     *  @param order.price Amount of the payment
+     *  @param order.fee Monetha fee
+     *  @param order.tokenAddress Token address, 0x0 (default) for ether
+     *  @param order.vouchersApply Amount of vouchers to apply for discount (0 by default)
+     *  @param txOptions Transaction options
+     */
+    async payForOrder(order, txOptions = {}) {
+        const options = this.txOptions(txOptions)
+        await (await this.gateway()).validateFee(order.price, order.fee)
+
+        if (isZeroAddress(order.tokenAddress)) {
+            return this.transactor.send('payForOrder', [
+                order.orderId,
+                order.originAddress,
+                order.fee,
+                order.vouchersApply || 0
+            ], Object.assign({ value: order.price }, options))
+        }
+
+        const approvals = await ensureAllowance(this.web3, order.tokenAddress, this.address, order.price, options, this.options)
+        if (approvals.length > 0 && this.transactor.dryRun) {
+            // the transaction can't be estimated, until tokens are approved
+            return { dryRun: true, approvals: approvals.map(tx => tx.transaction) }
+        }
+
+        return this.transactor.send('payForOrderInTokens', [
+            order.orderId,
+            order.originAddress,
+            order.fee,
+            order.tokenAddress,
+            order.price,
+            order.vouchersApply || 0
+        ], options)
+    }
+
+    /**
+     *  getWithdrawal reads and decodes refund of the order.
+     *  @param orderId Identifier of the order
+     */
+    async getWithdrawal(orderId) {
+        const withdrawal = await call(this.contract.withdrawals, orderId)
+        const state = withdrawal[0].toNumber()
+
+        return {
+            orderId: this.web3.toBigNumber(orderId),
+            state,
+            stateName: WITHDRAW_STATE_NAMES[state],
+            amount: withdrawal[1],
+            clientAddress: withdrawal[2],
+            tokenAddress: withdrawal[3]
+        }
+    }
+
+    /**
+     *  refundPayment deposits refund of the order in ether or tokens (Monetha only).
+     *  Tokens are approved to the processor if needed.
+     *  In dry-run mode encoded approvals are returned instead, when tokens have to be approved first.
+     *  @param refund.orderId Identifier of the order
+     *  @param refund.clientAddress Address of the client
+     *  @param refund.amount Refund amount
+     *  @param refund.tokenAddress Token address, 0x0 (default) for ether
+     *  @param refund.reason Refund reason
+     *  @param txOptions Transaction options
+     */
+    async refundPayment(refund, txOptions = {}) {
+        const options = this.txOptions(txOptions)
+
+        if (isZeroAddress(refund.tokenAddress)) {
+            return this.transactor.send('refundPayment', [
+                refund.orderId,
+                refund.clientAddress,
+                refund.reason || ''
+            ], Object.assign({ value: refund.amount }, options))
+        }
+
+        const approvals = await ensureAllowance(this.web3, refund.tokenAddress, this.address, refund.amount, options, this.options)
+        if (approvals.length > 0 && this.transactor.dryRun) {
+            // the transaction can't be estimated, until tokens are approved
+            return { dryRun: true, approvals: approvals.map(tx => tx.transaction) }
+        }
+
+        return this.transactor.send('refundTokenPayment', [
+            refund.orderId,
+            refund.clientAddress,
+            refund.reason || '',
+            refund.amount,
+            refund.tokenAddress
+        ], options)
+    }
+
+    /**
+     *  withdrawRefund transfers refunded ether or tokens to the client.
+     *  @param orderId Identifier of the order
+     *  @param txOptions Transaction options
+     */
+    async withdrawRefund(orderId, txOptions) {
+        const withdrawal = await this.getWithdrawal(orderId)
+        if (withdrawal.stateName !== 'Pending') {
+            throw new ValidationError(`refund of order ${orderId} is ${withdrawal.stateName}, expected Pending`)
+        }
+
+        if (isZeroAddress(withdrawal.tokenAddress)) {
+            return this.transactor.send('withdrawRefund', [orderId], txOptions)
+        }
+        return this.transactor.send('withdrawTokenRefund', [orderId, withdrawal.tokenAddress], txOptions)
+    }
+
+    txOptions(txOptions) {
+        const options = Object.assign({}, txOptions)
+        if (!options.from) {
+            options.from = this.options.from
+        }
+        return options
+    }
+}
+
+module.exports = PrivatePaymentProcessorClient
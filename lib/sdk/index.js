@@ -0,0 +1,82 @@
+/**
+ *  Client SDK for Monetha payment contracts (web3 0.20.x).
+ *
+ *  Usage:
+ *
+ *      const { MonethaSDK, State } = require('./lib/sdk')
+ *      const sdk = new MonethaSDK(web3, { from: monethaAccount })
+ *
+ *      const processor = sdk.paymentProcessor(processorAddress)
+ *      await processor.addOrder({ orderId, price, paymentAcceptor, originAddress, fee, tokenAddress })
+ *      await processor.pay(orderId, { from: paymentAcceptor }) // approves tokens if needed
+ *      const { events } = await processor.processPayment(orderId, { clientReputation, merchantReputation })
+ *      (await processor.getOrder(orderId)).state === State.Finalized
+ *
+ *  Transactions, which are known to fail, are rejected with ValidationError before sending,
+ *  reverted transactions are rejected with RevertError.
+ */
+
+const path = require('path')
+const { State } = require('../OrderIndexer')
+const { ValidationError, RevertError, decodeRevertReason, ensureAllowance } = require('./transactions')
+const PaymentProcessorClient = require('./PaymentProcessorClient')
+const PaymentProcessorBatchClient = require('./PaymentProcessorBatchClient')
+const PrivatePaymentProcessorClient = require('./PrivatePaymentProcessorClient')
+const MerchantWalletClient = require('./MerchantWalletClient')
+const MonethaGatewayClient = require('./MonethaGatewayClient')
+
+class MonethaSDK {
+    /**
+     *  @param web3 web3 0.20.x instance
+     *  @param options Transactor options (from, gasPrice, pollInterval, timeout, dryRun)
+     *  @param options.abis ABIs of contracts by name. Compiled truffle artifacts (build/contracts) are used by default.
+     */
+    constructor(web3, options = {}) {
+        this.web3 = web3
+        this.options = Object.assign({}, options)
+        this.abis = Object.assign({}, options.abis)
+        delete this.options.abis
+    }
+
+    abi(contractName) {
+        if (!this.abis[contractName]) {
+            this.abis[contractName] = require(path.join(__dirname, '..', '..', 'build', 'contracts', `${contractName}.json`)).abi
+        }
+        return this.abis[contractName]
+    }
+
+    paymentProcessor(address) {
+        return new PaymentProcessorClient(this.web3, this.abi('PaymentProcessor'), address, this.options)
+    }
+
+    paymentProcessorBatch(address) {
+        return new PaymentProcessorBatchClient(this.web3, this.abi('PaymentProcessorBatch'), address, this.options)
+    }
+
+    privatePaymentProcessor(address) {
+        return new PrivatePaymentProcessorClient(this.web3, this.abi('PrivatePaymentProcessor'), address,
+            this.abi('MonethaGateway'), this.options)
+    }
+
+    merchantWallet(address) {
+        return new MerchantWalletClient(this.web3, this.abi('MerchantWallet'), address, this.options)
+    }
+
+    monethaGateway(address) {
+        return new MonethaGatewayClient(this.web3, this.abi('MonethaGateway'), address, this.options)
+    }
+}
+
+module.exports = {
+    State,
+    MonethaSDK,
+    PaymentProcessorClient,
+    PaymentProcessorBatchClient,
+    PrivatePaymentProcessorClient,
+    MerchantWalletClient,
+    MonethaGatewayClient,
+    ValidationError,
+    RevertError,
+    decodeRevertReason,
+    ensureAllowance,
+}
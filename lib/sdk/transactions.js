@@ -0,0 +1,270 @@
+/**
+ *  Transaction helpers shared by SDK clients: sending transactions with web3 0.20.x, waiting for receipts,
+ *  decoding events and revert reasons, and token approvals.
+ */
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+/// Selector of `Error(string)`, which prefixes revert data of `require(condition, reason)`
+const ERROR_SELECTOR = '0x08c379a0'
+
+const GAS_MARGIN = 1.25
+
+const ERC20_ABI = [
+    { constant: true, inputs: [{ name: 'owner', type: 'address' }, { name: 'spender', type: 'address' }], name: 'allowance', outputs: [{ name: '', type: 'uint256' }], type: 'function' },
+    { constant: false, inputs: [{ name: 'spender', type: 'address' }, { name: 'value', type: 'uint256' }], name: 'approve', outputs: [{ name: '', type: 'bool' }], type: 'function' },
+    { constant: true, inputs: [{ name: 'who', type: 'address' }], name: 'balanceOf', outputs: [{ name: '', type: 'uint256' }], type: 'function' },
+    { anonymous: false, inputs: [{ indexed: true, name: 'owner', type: 'address' }, { indexed: true, name: 'spender', type: 'address' }, { indexed: false, name: 'value', type: 'uint256' }], name: 'Approval', type: 'event' }
+]
+
+/**
+ *  ValidationError is thrown when transaction is not sent, because it is known to fail.
+ */
+class ValidationError extends Error {
+    constructor(message) {
+        super(message)
+        // keeps instanceof working, when classes are transpiled to ES5
+        Object.setPrototypeOf(this, ValidationError.prototype)
+        this.name = 'ValidationError'
+    }
+}
+
+/**
+ *  RevertError is thrown when transaction is reverted (or would be reverted) by the contract.
+ *  `reason` holds revert reason, if the node provided one.
+ */
+class RevertError extends Error {
+    constructor(method, reason, transactionHash, receipt) {
+        super(`${method} reverted` + (reason ? `: ${reason}` : ''))
+        Object.setPrototypeOf(this, RevertError.prototype)
+        this.name = 'RevertError'
+        this.method = method
+        this.reason = reason
+        this.transactionHash = transactionHash
+        this.receipt = receipt
+    }
+}
+
+/**
+ *  decodeRevertReason decodes reason string from revert data (`Error(string)` ABI encoding).
+ *  @param data Hex-encoded revert data
+ *  @return reason string, or null when data doesn't contain it
+ */
+function decodeRevertReason(data) {
+    if (typeof data !== 'string' || !data.startsWith(ERROR_SELECTOR)) {
+        return null
+    }
+
+    const payload = data.slice(ERROR_SELECTOR.length)
+    const offset = parseInt(payload.slice(0, 64), 16) * 2
+    const length = parseInt(payload.slice(offset, offset + 64), 16) * 2
+
+    return Buffer.from(payload.slice(offset + 64, offset + 64 + length), 'hex').toString('utf8')
+}
+
+/**
+ *  revertReasonOf extracts revert reason from an error returned by the node.
+ *  @return reason string, empty string if transaction reverted without reason, or null if error is not a revert
+ */
+function revertReasonOf(err) {
+    const data = err.data || (err.error && err.error.data)
+    if (typeof data === 'string') {
+        return decodeRevertReason(data) || ''
+    }
+
+    // ganache: "VM Exception while processing transaction: revert <reason>"
+    const match = /VM Exception while processing transaction: (revert|invalid opcode) ?(.*)$/.exec(err.message || '')
+    if (match) {
+        return match[2] || ''
+    }
+
+    return /revert/i.test(err.message || '') ? '' : null
+}
+
+function promisify(fn) {
+    return new Promise((resolve, reject) => {
+        fn((err, res) => err ? reject(err) : resolve(res))
+    })
+}
+
+function call(method, ...args) {
+    return promisify(cb => method.call(...args, cb))
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ *  Transactor sends transactions to a single contract and returns their receipts with decoded events.
+ */
+class Transactor {
+    /**
+     *  @param web3 web3 0.20.x instance
+     *  @param contract web3 contract instance
+     *  @param options.from Default sender of transactions
+     *  @param options.gasPrice Default gas price
+     *  @param options.pollInterval Interval of polling for transaction receipt (ms)
+     *  @param options.timeout Max. time of waiting for transaction receipt (ms)
+     *  @param options.dryRun Don't send transactions, return them encoded with estimated gas instead
+     */
+    constructor(web3, contract, options = {}) {
+        this.web3 = web3
+        this.contract = contract
+        this.defaults = {}
+        if (options.from) {
+            this.defaults.from = options.from
+        }
+        if (options.gasPrice) {
+            this.defaults.gasPrice = options.gasPrice
+        }
+        this.pollInterval = options.pollInterval || 1000
+        this.timeout = options.timeout || 10 * 60 * 1000
+        this.dryRun = !!options.dryRun
+    }
+
+    /**
+     *  send estimates gas of the transaction (reverting transactions are rejected without sending them),
+     *  sends it and waits for the receipt.
+     *  @param method Name of contract method
+     *  @param args Arguments of the method
+     *  @param txOptions Transaction options (from, value, gas, gasPrice)
+     *  @return { transactionHash, receipt, events }, or { dryRun: true, transaction } in dry-run mode
+     */
+    async send(method, args, txOptions = {}) {
+        const options = Object.assign({}, this.defaults, txOptions)
+        const fn = this.contract[method]
+
+        if (this.dryRun) {
+            return { dryRun: true, transaction: await this.encode(method, args, options) }
+        }
+
+        if (!options.gas) {
+            try {
+                const estimate = await promisify(cb => fn.estimateGas(...args, options, cb))
+                options.gas = Math.ceil(estimate * GAS_MARGIN)
+            } catch (err) {
+                throw toRevertError(method, err)
+            }
+        }
+
+        let transactionHash
+        try {
+            transactionHash = await promisify(cb => fn.sendTransaction(...args, options, cb))
+        } catch (err) {
+            throw toRevertError(method, err)
+        }
+
+        const receipt = await this.waitForReceipt(transactionHash)
+        if (receipt.status !== undefined && receipt.status !== null && parseInt(receipt.status, 16) === 0) {
+            throw new RevertError(method, null, transactionHash, receipt)
+        }
+
+        return {
+            transactionHash,
+            receipt,
+            events: await this.events(receipt)
+        }
+    }
+
+    /**
+     *  encode returns the transaction with encoded call data and estimated gas, without sending it.
+     */
+    async encode(method, args, options) {
+        const fn = this.contract[method]
+
+        let estimatedGas
+        try {
+            estimatedGas = await promisify(cb => fn.estimateGas(...args, options, cb))
+        } catch (err) {
+            throw toRevertError(method, err)
+        }
+
+        return {
+            method,
+            from: options.from,
+            to: this.contract.address,
+            value: options.value ? this.web3.toBigNumber(options.value).toString(10) : '0',
+            data: fn.getData(...args),
+            estimatedGas
+        }
+    }
+
+    async waitForReceipt(transactionHash) {
+        const deadline = Date.now() + this.timeout
+        for (;;) {
+            const receipt = await promisify(cb => this.web3.eth.getTransactionReceipt(transactionHash, cb))
+            if (receipt && receipt.blockNumber) {
+                return receipt
+            }
+            if (Date.now() > deadline) {
+                throw new Error(`transaction ${transactionHash} is not mined in ${this.timeout} ms`)
+            }
+            await sleep(this.pollInterval)
+        }
+    }
+
+    /**
+     *  events returns decoded events of the contract, logged by the transaction.
+     */
+    async events(receipt) {
+        const events = await promisify(cb => {
+            this.contract.allEvents({ fromBlock: receipt.blockNumber, toBlock: receipt.blockNumber }).get(cb)
+        })
+
+        return events
+            .filter(event => event.transactionHash === receipt.transactionHash)
+            .sort((a, b) => a.logIndex - b.logIndex)
+            .map(event => ({ event: event.event, args: event.args, logIndex: event.logIndex }))
+    }
+}
+
+function toRevertError(method, err) {
+    const reason = revertReasonOf(err)
+    return reason === null ? err : new RevertError(method, reason)
+}
+
+/**
+ *  ensureAllowance approves spending of tokens by the spender, if current allowance is not enough.
+ *  Allowance is reset to zero first, as required by some tokens to change non-zero allowance.
+ *  @param web3 web3 0.20.x instance
+ *  @param tokenAddress Address of ERC20 token
+ *  @param spender Address of the spender
+ *  @param amount Required allowance
+ *  @param txOptions Transaction options, `from` is the owner of the tokens
+ *  @param transactorOptions Transactor options (gasPrice, pollInterval, timeout, dryRun)
+ *  @return array of sent approval transactions, or of encoded ones in dry-run mode
+ */
+async function ensureAllowance(web3, tokenAddress, spender, amount, txOptions, transactorOptions = {}) {
+    const token = web3.eth.contract(ERC20_ABI).at(tokenAddress)
+    const transactor = new Transactor(web3, token, transactorOptions)
+    const allowance = await call(token.allowance, txOptions.from, spender)
+    const required = web3.toBigNumber(amount)
+
+    const txs = []
+    if (allowance.lessThan(required)) {
+        if (!allowance.isZero()) {
+            txs.push(await transactor.send('approve', [spender, 0], txOptions))
+        }
+        txs.push(await transactor.send('approve', [spender, required], txOptions))
+    }
+
+    return txs
+}
+
+function isZeroAddress(address) {
+    return !address || /^0x0*$/.test(address)
+}
+
+module.exports = {
+    ZERO_ADDRESS,
+    ERC20_ABI,
+    ValidationError,
+    RevertError,
+    decodeRevertReason,
+    revertReasonOf,
+    Transactor,
+    ensureAllowance,
+    isZeroAddress,
+    call,
+}
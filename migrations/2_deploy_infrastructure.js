@@ -0,0 +1,47 @@
+const { loadConfig, Manifest, deployOnce, setMonethaAddresses } = require('../lib/Deployment')
+
+const MonethaSupportedTokens = artifacts.require("./MonethaSupportedTokens.sol")
+const MonethaGateway = artifacts.require("./MonethaGateway.sol")
+
+module.exports = function (deployer, network, accounts) {
+    deployer.then(async () => {
+        const owner = accounts[0]
+        const config = loadConfig(network, owner)
+        const manifest = new Manifest(network)
+
+        const supportedTokens = await deployOnce(web3, manifest, MonethaSupportedTokens)
+        await addSupportedTokens(supportedTokens, config, owner)
+
+        // admin is changed to MerchantFactory after it is deployed
+        const admin = config.admin === 'MerchantFactory' ? owner : config.admin
+        const gateway = await deployOnce(web3, manifest, MonethaGateway, config.vault, admin, config.voucher)
+
+        const gatewaySupportedTokens = config.enforceSupportedTokens ? supportedTokens.address : '0x0000000000000000000000000000000000000000'
+        if (await gateway.supportedTokens() !== gatewaySupportedTokens) {
+            await gateway.setSupportedTokens(gatewaySupportedTokens)
+        }
+    })
+}
+
+async function addSupportedTokens(supportedTokens, config, owner) {
+    const isOwnerMonetha = await supportedTokens.isMonethaAddress(owner)
+    await setMonethaAddresses(supportedTokens, [owner])
+
+    for (const token of config.supportedTokens) {
+        const registered = await supportedTokens.tokens(token.address)
+        if (registered[5].isZero()) {
+            await supportedTokens.addToken(
+                token.acronym,
+                token.address,
+                token.decimals,
+                token.minOrderAmount || 0,
+                token.maxOrderAmount || 0
+            )
+        }
+    }
+
+    await setMonethaAddresses(supportedTokens, config.monethaAddresses)
+    if (!isOwnerMonetha && config.monethaAddresses.indexOf(owner) < 0) {
+        await supportedTokens.setMonethaAddress(owner, false)
+    }
+}
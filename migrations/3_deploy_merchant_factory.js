@@ -0,0 +1,54 @@
+const { loadConfig, Manifest, deployOnce, setMonethaAddresses } = require('../lib/Deployment')
+
+const MonethaGateway = artifacts.require("./MonethaGateway.sol")
+const ProfileMaps = artifacts.require("./ProfileMaps.sol")
+const MerchantWallet = artifacts.require("./MerchantWallet.sol")
+const SignedOrders = artifacts.require("./SignedOrders.sol")
+const PaymentProcessor = artifacts.require("./PaymentProcessor.sol")
+const MerchantWalletFactory = artifacts.require("./MerchantWalletFactory.sol")
+const MerchantDealsHistoryFactory = artifacts.require("./MerchantDealsHistoryFactory.sol")
+const PaymentProcessorFactory = artifacts.require("./PaymentProcessorFactory.sol")
+const PaymentProcessorBatch = artifacts.require("./PaymentProcessorBatch.sol")
+const MerchantFactory = artifacts.require("./MerchantFactory.sol")
+
+module.exports = function (deployer, network, accounts) {
+    deployer.then(async () => {
+        const config = loadConfig(network, accounts[0])
+        const manifest = new Manifest(network)
+
+        const gateway = MonethaGateway.at(manifest.get('MonethaGateway'))
+
+        // merchant contracts and factories deploying them are linked with libraries
+        await deployOnce(web3, manifest, ProfileMaps)
+        MerchantWallet.link(ProfileMaps)
+        MerchantWalletFactory.link(ProfileMaps)
+        await deployOnce(web3, manifest, SignedOrders)
+        PaymentProcessor.link(SignedOrders)
+        PaymentProcessorFactory.link(SignedOrders)
+
+        const walletFactory = await deployOnce(web3, manifest, MerchantWalletFactory)
+        const historyFactory = await deployOnce(web3, manifest, MerchantDealsHistoryFactory)
+        const processorFactory = await deployOnce(web3, manifest, PaymentProcessorFactory)
+        const processorBatch = await deployOnce(web3, manifest, PaymentProcessorBatch)
+
+        const factory = await deployOnce(web3, manifest, MerchantFactory,
+            gateway.address,
+            processorBatch.address,
+            walletFactory.address,
+            historyFactory.address,
+            processorFactory.address
+        )
+
+        if (await factory.monethaGateway() !== gateway.address) {
+            await factory.setMonethaGateway(gateway.address)
+        }
+        if (await factory.paymentProcessorBatch() !== processorBatch.address) {
+            await factory.setPaymentProcessorBatch(processorBatch.address)
+        }
+        await setMonethaAddresses(factory, config.monethaAddresses)
+
+        if (config.admin === 'MerchantFactory' && await gateway.admin() !== factory.address) {
+            await gateway.setAdmin(factory.address)
+        }
+    })
+}
@@ -0,0 +1,78 @@
+/**
+ *  Deploys and wires contracts of the merchant with MerchantFactory.
+ *
+ *  Usage:
+ *
+ *      truffle exec scripts/onboard-merchant.js --network <network> \
+ *          --merchantId <id> --merchantAccount <address> --fundAddress <address> \
+ *          [--processorOperator <address>] [--factory <address>] [--from <address>]
+ *
+ *  If --factory is omitted, MerchantFactory deployed by migrations to the network is used.
+ *  Transactions are sent from the first account of the node, unless --from is given; it must be a Monetha address of the factory.
+ *  Addresses of deployed contracts are recorded by merchant id in the deployment manifest of the network.
+ */
+const { Manifest } = require('../lib/Deployment')
+const MerchantFactory = artifacts.require("MerchantFactory")
+
+const DEPLOY_GAS = 7900000
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+
+function parseArgs(argv) {
+    const args = {}
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--') && i + 1 < argv.length) {
+            args[argv[i].substr(2)] = argv[++i]
+        }
+    }
+    return args
+}
+
+async function onboardMerchant(args) {
+    for (const name of ['merchantId', 'merchantAccount', 'fundAddress']) {
+        if (!args[name]) {
+            throw new Error(`--${name} is required`)
+        }
+    }
+
+    const factory = args.factory ? MerchantFactory.at(args.factory) : await MerchantFactory.deployed()
+    const from = args.from || web3.eth.accounts[0]
+
+    if (await factory.isMerchantDeployed(web3.sha3(args.merchantId))) {
+        throw new Error(`merchant ${args.merchantId} is already deployed`)
+    }
+
+    const tx = await factory.deployMerchant(
+        args.merchantId,
+        args.merchantAccount,
+        args.fundAddress,
+        args.processorOperator || ZERO_ADDRESS,
+        { from, gas: DEPLOY_GAS }
+    )
+
+    const deployed = tx.logs.find(log => log.event === 'MerchantDeployed')
+    if (!deployed) {
+        throw new Error(`MerchantDeployed event is not found in transaction ${tx.tx}`)
+    }
+
+    const contracts = {
+        merchantWallet: deployed.args.merchantWallet,
+        merchantHistory: deployed.args.merchantHistory,
+        paymentProcessor: deployed.args.paymentProcessor
+    }
+    new Manifest(args.network || 'development').setMerchant(args.merchantId, contracts)
+
+    return Object.assign({
+        merchantId: args.merchantId,
+        merchantIdHash: deployed.args.merchantIdHash,
+        transactionHash: tx.tx
+    }, contracts)
+}
+
+module.exports = function (callback) {
+    onboardMerchant(parseArgs(process.argv))
+        .then(result => {
+            console.log(JSON.stringify(result, null, 2))
+            callback()
+        })
+        .catch(callback)
+}
@@ -0,0 +1,36 @@
+/**
+ *  Operator CLI: inspects and administers orders, merchant contracts and shared Monetha contracts.
+ *
+ *  Usage:
+ *
+ *      truffle exec scripts/operator-cli.js <command> [arguments] --network <network> [--from <address>] [--dryRun]
+ *
+ *  Addresses of contracts are read from the deployment manifest of the network (deployments/<network>.json),
+ *  run without a command to list all commands. Transactions are sent from the first account of the node,
+ *  unless --from is given. With --dryRun encoded transactions and estimated gas are printed instead of sending them.
+ */
+const { Manifest } = require('../lib/Deployment')
+const { OperatorCli, parseArgs } = require('../lib/OperatorCli')
+
+/// Arguments following the script path
+function scriptArgs(argv) {
+    const index = argv.findIndex(arg => arg.endsWith('operator-cli.js'))
+    return argv.slice(index + 1)
+}
+
+module.exports = function (callback) {
+    const argv = scriptArgs(process.argv)
+    const { options } = parseArgs(argv)
+
+    const cli = new OperatorCli(web3, {
+        manifest: new Manifest(options.network || 'development'),
+        from: web3.eth.accounts[0]
+    })
+
+    cli.run(argv)
+        .then(result => {
+            console.log(JSON.stringify(result, null, 2))
+            callback()
+        })
+        .catch(callback)
+}
@@ -0,0 +1,55 @@
+import Revert from "./helpers/VMExceptionRevert";
+const {BigNumber} = require('./helpers/setup');
+const expectEvent = require('./helpers/expectEvent');
+const { rebuildClientReputation } = require('../lib/ClientReputation');
+const ClientReputation = artifacts.require("ClientReputation")
+
+contract('ClientReputation', function (accounts) {
+
+    const MONETHA = accounts[1]
+    const CLIENT = accounts[2]
+    const CLIENT2 = accounts[3]
+    const UNKNOWN = accounts[4]
+
+    let registry
+
+    before(async () => {
+        registry = await ClientReputation.new()
+        await registry.setMonethaAddress(MONETHA, true)
+    })
+
+    it('should set composite reputation by Monetha only', async () => {
+        const tx = await registry.setCompositeReputation(CLIENT, "total", 10, { from: MONETHA })
+        expectEvent.inLogs(tx.logs, 'ClientReputationChanged', { clientAddress: CLIENT, updatedBy: MONETHA, key: "total", value: 10 })
+
+        await registry.setCompositeReputation(CLIENT, "total", 20, { from: UNKNOWN }).should.be.rejectedWith(Revert)
+
+        const total = await registry.compositeReputation(CLIENT, "total")
+        total.should.be.bignumber.equal(10)
+    })
+
+    it('should store history of reputation changes', async () => {
+        await registry.setCompositeReputation(CLIENT, "total", 30, { from: MONETHA })
+        await registry.setCompositeReputation(CLIENT2, "total", 5, { from: MONETHA })
+
+        const length = await registry.reputationHistoryLength(CLIENT)
+        length.should.be.bignumber.equal(2)
+
+        const change = await registry.reputationHistory(CLIENT, 1)
+        change[0].should.equal("total")
+        change[1].should.be.bignumber.equal(30)
+        change[2].should.equal(MONETHA)
+        change[3].should.be.bignumber.equal(web3.eth.getBlock(web3.eth.blockNumber - 1).timestamp)
+    })
+
+    it('should rebuild reputation from events', async () => {
+        const clients = await rebuildClientReputation(web3, ClientReputation.abi, registry.address)
+
+        clients[CLIENT].reputation.should.deep.equal({ total: 30 })
+        clients[CLIENT].history.map(change => change.value).should.deep.equal([10, 30])
+        clients[CLIENT2].reputation.should.deep.equal({ total: 5 })
+
+        const filtered = await rebuildClientReputation(web3, ClientReputation.abi, registry.address, { clientAddress: CLIENT2 })
+        Object.keys(filtered).should.deep.equal([CLIENT2])
+    })
+})
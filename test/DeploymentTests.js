@@ -0,0 +1,58 @@
+require('./helpers/setup');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, Manifest, deployOnce } = require('../lib/Deployment');
+const MonethaGateway = artifacts.require("MonethaGateway")
+const MonethaSupportedTokens = artifacts.require("MonethaSupportedTokens")
+const MerchantFactory = artifacts.require("MerchantFactory")
+
+contract('Deployment', function (accounts) {
+
+    const OWNER = accounts[0]
+    const UNKNOWN = accounts[5]
+
+    it('should deploy and wire infrastructure by migrations', async () => {
+        const manifest = new Manifest('development')
+
+        const gateway = await MonethaGateway.deployed()
+        gateway.address.should.equal(manifest.get('MonethaGateway'))
+        const factory = await MerchantFactory.deployed()
+        factory.address.should.equal(manifest.get('MerchantFactory'))
+
+        const vault = await gateway.monethaVault()
+        vault.should.equal(OWNER)
+        const admin = await gateway.admin()
+        admin.should.equal(factory.address)
+
+        const factoryGateway = await factory.monethaGateway()
+        factoryGateway.should.equal(gateway.address)
+        const isMonetha = await factory.isMonethaAddress(OWNER)
+        isMonetha.should.be.true
+    })
+
+    it('should not redeploy contracts recorded in manifest', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deployments-'))
+        const manifest = new Manifest('test', dir)
+
+        const registry1 = await deployOnce(web3, manifest, MonethaSupportedTokens)
+        const registry2 = await deployOnce(web3, new Manifest('test', dir), MonethaSupportedTokens)
+        registry2.address.should.equal(registry1.address)
+
+        manifest.set('MonethaSupportedTokens', UNKNOWN)
+        const registry3 = await deployOnce(web3, manifest, MonethaSupportedTokens)
+        registry3.address.should.not.equal(registry1.address)
+        new Manifest('test', dir).get('MonethaSupportedTokens').should.equal(registry3.address)
+    })
+
+    it('should load network config', async () => {
+        const config = loadConfig('development', OWNER)
+        config.vault.should.equal(OWNER)
+        config.monethaAddresses.should.deep.equal([OWNER])
+
+        const loadLive = () => loadConfig('live', OWNER)
+        loadLive.should.throw(/"vault" is not configured/)
+        const loadUnknown = () => loadConfig('unknown', OWNER)
+        loadUnknown.should.throw(/is not found/)
+    })
+})
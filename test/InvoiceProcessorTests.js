@@ -0,0 +1,154 @@
+import Revert from "./helpers/VMExceptionRevert";
+import increaseTimeAndMine from "./helpers/increaseTime";
+const {BigNumber} = require('./helpers/setup');
+const expectEvent = require('./helpers/expectEvent');
+const InvoiceProcessor = artifacts.require("InvoiceProcessor")
+const MonethaGateway = artifacts.require("MonethaGateway")
+const MerchantWallet = artifacts.require("MerchantWallet")
+const Token = artifacts.require("ERC20Mintable")
+const MonethaFeeSchedule = artifacts.require("MonethaFeeSchedule")
+
+contract('InvoiceProcessor', function (accounts) {
+
+    const State = {
+        Null: 0,
+        Open: 1,
+        Paid: 2,
+        Expired: 3,
+        Voided: 4
+    }
+
+    const OWNER = accounts[0]
+    const PROCESSOR = accounts[1]
+    const CLIENT = accounts[2]
+    const FUND_ADDRESS = accounts[3]
+    const ADMIN = accounts[4]
+    const UNKNOWN = accounts[5]
+    const VAULT = accounts[8]
+    const MERCHANT = accounts[9]
+
+    const AMOUNT = 1000
+    const FEE = 15
+    const INVOICE_ID = 123
+    const INVOICE_ID2 = 456
+    const INVOICE_ID3 = 789
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+    const MONETHA_VOUCHER_CONTRACT = "0x0000000000000000000000000000000000000000"
+
+    let processor, gateway, wallet, token
+
+    before(async () => {
+        gateway = await MonethaGateway.new(VAULT, ADMIN, MONETHA_VOUCHER_CONTRACT)
+        wallet = await MerchantWallet.new(MERCHANT, "merchantId", FUND_ADDRESS)
+
+        processor = await InvoiceProcessor.new(
+            "merchantId",
+            gateway.address,
+            wallet.address
+        )
+
+        await processor.setMonethaAddress(PROCESSOR, true)
+        await gateway.setMonethaAddress(processor.address, true, { from: ADMIN })
+
+        token = await Token.new()
+        await token.mint(CLIENT, AMOUNT)
+    })
+
+    function expiry(seconds) {
+        return web3.eth.getBlock(web3.eth.blockNumber).timestamp + seconds
+    }
+
+    it('should create invoice by Monetha or merchant only', async () => {
+        const invoiceExpiry = expiry(3600)
+        const tx = await processor.createInvoice(INVOICE_ID, ZERO_ADDRESS, AMOUNT, FEE, invoiceExpiry, { from: PROCESSOR })
+        expectEvent.inLogs(tx.logs, 'InvoiceCreated', { invoiceId: INVOICE_ID, amount: AMOUNT, fee: FEE, expiry: invoiceExpiry })
+
+        await processor.createInvoice(INVOICE_ID2, token.address, AMOUNT, FEE, expiry(3600), { from: MERCHANT })
+
+        await processor.createInvoice(INVOICE_ID3, ZERO_ADDRESS, AMOUNT, FEE, expiry(3600), { from: UNKNOWN })
+            .should.be.rejectedWith(Revert)
+        await processor.createInvoice(INVOICE_ID, ZERO_ADDRESS, AMOUNT, FEE, expiry(3600), { from: PROCESSOR })
+            .should.be.rejectedWith(Revert)
+
+        const state = await processor.invoiceState(INVOICE_ID)
+        state.should.be.bignumber.equal(State.Open)
+    })
+
+    it('should pay invoice in ether only once', async () => {
+        const fundBalance = new BigNumber(web3.eth.getBalance(FUND_ADDRESS))
+
+        await processor.payInvoice(INVOICE_ID, { from: UNKNOWN, value: AMOUNT - 1 }).should.be.rejectedWith(Revert)
+
+        const tx = await processor.payInvoice(INVOICE_ID, { from: UNKNOWN, value: AMOUNT })
+        expectEvent.inLogs(tx.logs, 'InvoicePaid', { invoiceId: INVOICE_ID, payer: UNKNOWN, amount: AMOUNT, monethaFee: FEE })
+
+        new BigNumber(web3.eth.getBalance(FUND_ADDRESS)).should.be.bignumber.equal(fundBalance.plus(AMOUNT - FEE))
+
+        const invoice = await processor.invoices(INVOICE_ID)
+        invoice[0].should.be.bignumber.equal(State.Paid)
+        invoice[5].should.equal(UNKNOWN)
+
+        await processor.payInvoice(INVOICE_ID, { from: CLIENT, value: AMOUNT }).should.be.rejectedWith(Revert)
+        await processor.voidInvoice(INVOICE_ID, { from: PROCESSOR }).should.be.rejectedWith(Revert)
+    })
+
+    it('should pay invoice in tokens', async () => {
+        await processor.payInvoice(INVOICE_ID2, { from: CLIENT, value: AMOUNT }).should.be.rejectedWith(Revert)
+
+        await token.approve(processor.address, AMOUNT, { from: CLIENT })
+        await processor.payInvoiceInTokens(INVOICE_ID2, { from: CLIENT })
+
+        const fundBalance = await token.balanceOf(FUND_ADDRESS)
+        fundBalance.should.be.bignumber.equal(AMOUNT - FEE)
+        const vaultBalance = await token.balanceOf(VAULT)
+        vaultBalance.should.be.bignumber.equal(FEE)
+
+        const state = await processor.invoiceState(INVOICE_ID2)
+        state.should.be.bignumber.equal(State.Paid)
+    })
+
+    it('should void invoice by Monetha or merchant only', async () => {
+        await processor.createInvoice(INVOICE_ID3, ZERO_ADDRESS, AMOUNT, FEE, expiry(3600), { from: PROCESSOR })
+
+        await processor.voidInvoice(INVOICE_ID3, { from: UNKNOWN }).should.be.rejectedWith(Revert)
+
+        const tx = await processor.voidInvoice(INVOICE_ID3, { from: MERCHANT })
+        expectEvent.inLogs(tx.logs, 'InvoiceVoided', { invoiceId: INVOICE_ID3 })
+
+        await processor.payInvoice(INVOICE_ID3, { from: CLIENT, value: AMOUNT }).should.be.rejectedWith(Revert)
+    })
+
+    it('should not pay invoice after expiry', async () => {
+        const invoiceId = 1000
+        await processor.createInvoice(invoiceId, ZERO_ADDRESS, AMOUNT, FEE, expiry(3600), { from: PROCESSOR })
+
+        await processor.expireInvoice(invoiceId).should.be.rejectedWith(Revert)
+
+        await increaseTimeAndMine(3601)
+
+        let state = await processor.invoiceState(invoiceId)
+        state.should.be.bignumber.equal(State.Expired)
+
+        await processor.payInvoice(invoiceId, { from: CLIENT, value: AMOUNT }).should.be.rejectedWith(Revert)
+
+        const tx = await processor.expireInvoice(invoiceId, { from: UNKNOWN })
+        expectEvent.inLogs(tx.logs, 'InvoiceExpired', { invoiceId })
+
+        const invoice = await processor.invoices(invoiceId)
+        invoice[0].should.be.bignumber.equal(State.Expired)
+    })
+
+    it('should validate invoice fee according to fee schedule set by owner', async () => {
+        const feeSchedule = await MonethaFeeSchedule.new(10, 2)
+
+        await processor.setMonethaFeeSchedule(feeSchedule.address, { from: PROCESSOR }).should.be.rejectedWith(Revert)
+        const tx = await processor.setMonethaFeeSchedule(feeSchedule.address, { from: OWNER })
+        expectEvent.inLogs(tx.logs, 'MonethaFeeScheduleSet', { monethaFeeSchedule: feeSchedule.address })
+
+        await processor.createInvoice(1001, ZERO_ADDRESS, AMOUNT, 11, expiry(3600), { from: PROCESSOR }).should.be.rejectedWith(Revert)
+        await processor.createInvoice(1001, ZERO_ADDRESS, AMOUNT, 10, expiry(3600), { from: PROCESSOR })
+
+        await processor.setMonethaFeeSchedule(ZERO_ADDRESS, { from: OWNER })
+        await processor.createInvoice(1002, ZERO_ADDRESS, AMOUNT, FEE + 1, expiry(3600), { from: PROCESSOR }).should.be.rejectedWith(Revert)
+    })
+})
@@ -0,0 +1,103 @@
+import Revert from "./helpers/VMExceptionRevert";
+const {BigNumber} = require('./helpers/setup');
+const MerchantDealsHistory = artifacts.require("MerchantDealsHistory")
+
+contract('MerchantDealsHistory', function (accounts) {
+
+    const Outcome = {
+        Null: 0,
+        Successful: 1,
+        Unsuccessful: 2,
+        Cancelled: 3,
+        Refunded: 4,
+        PartiallyRefunded: 5
+    }
+
+    const MONETHA = accounts[1]
+    const CLIENT = accounts[2]
+    const UNKNOWN = accounts[3]
+
+    let history
+
+    beforeEach(async () => {
+        history = await MerchantDealsHistory.new("merchantId")
+        await history.setMonethaAddress(MONETHA, true)
+    })
+
+    it('should store deal record', async () => {
+        await history.recordDeal(1, CLIENT, 10, 20, true, 0x1234, { from: MONETHA })
+
+        const deal = await history.deals(1)
+        deal[0].should.be.bignumber.equal(Outcome.Successful)
+        deal[1].should.equal(CLIENT)
+        deal[2].should.be.bignumber.equal(10)
+        deal[3].should.be.bignumber.equal(20)
+        deal[4].should.be.bignumber.equal(0x1234)
+        deal[5].should.be.bignumber.equal(web3.eth.getBlock(web3.eth.blockNumber).timestamp)
+
+        const isSuccessful = await history.isDealSuccessful(1)
+        isSuccessful.should.be.true
+    })
+
+    it('should not record deal by other accounts', async () => {
+        await history.recordDeal(1, CLIENT, 10, 20, true, 0x1234, { from: UNKNOWN }).should.be.rejectedWith(Revert)
+    })
+
+    it('should store deal outcome and count deals', async () => {
+        await history.recordDeal(1, CLIENT, 10, 20, true, 0, { from: MONETHA })
+
+        await history.recordDeal(2, CLIENT, 10, 20, false, 0, { from: MONETHA })
+        await history.recordDealCancelReason(2, CLIENT, 10, 20, 0, "cancelled", { from: MONETHA })
+
+        await history.recordDeal(3, CLIENT, 10, 20, false, 0, { from: MONETHA })
+        await history.recordDealRefundReason(3, CLIENT, 10, 20, 0, "refunded", { from: MONETHA })
+
+        await history.recordDeal(4, CLIENT, 10, 20, true, 0, { from: MONETHA })
+        await history.recordDealPartialRefund(4, CLIENT, 10, 20, 0, 60, 40, "partially refunded", { from: MONETHA })
+
+        await history.recordDeal(5, CLIENT, 10, 20, false, 0, { from: MONETHA })
+        await history.recordDealDisputeRuling(5, CLIENT, 10, 20, 0, 0, 100, "refund", { from: MONETHA })
+
+        const outcomes = []
+        for (let orderId = 1; orderId <= 6; orderId++) {
+            outcomes.push((await history.dealOutcome(orderId)).toNumber())
+        }
+        outcomes.should.deep.equal([
+            Outcome.Successful,
+            Outcome.Cancelled,
+            Outcome.Refunded,
+            Outcome.PartiallyRefunded,
+            Outcome.Refunded,
+            Outcome.Null
+        ])
+
+        const isSuccessful = await history.isDealSuccessful(4)
+        isSuccessful.should.be.true
+        const isRefundSuccessful = await history.isDealSuccessful(3)
+        isRefundSuccessful.should.be.false
+
+        const dealsCount = await history.dealsCount()
+        dealsCount.should.be.bignumber.equal(5)
+        const successfulDealsCount = await history.successfulDealsCount()
+        successfulDealsCount.should.be.bignumber.equal(2)
+        const cancelledDealsCount = await history.cancelledDealsCount()
+        cancelledDealsCount.should.be.bignumber.equal(1)
+        const refundedDealsCount = await history.refundedDealsCount()
+        refundedDealsCount.should.be.bignumber.equal(2)
+    })
+
+    it('should not count deal twice, when it is recorded again', async () => {
+        await history.recordDeal(1, CLIENT, 10, 20, true, 0, { from: MONETHA })
+        await history.recordDeal(1, CLIENT, 10, 20, true, 0, { from: MONETHA })
+        await history.recordDealRefundReason(1, CLIENT, 10, 20, 0, "refunded", { from: MONETHA })
+        await history.recordDealRefundReason(1, CLIENT, 10, 20, 0, "refunded", { from: MONETHA })
+        await history.recordDealDisputeRuling(1, CLIENT, 10, 20, 0, 0, 100, "refund", { from: MONETHA })
+
+        const dealsCount = await history.dealsCount()
+        dealsCount.should.be.bignumber.equal(1)
+        const successfulDealsCount = await history.successfulDealsCount()
+        successfulDealsCount.should.be.bignumber.equal(0)
+        const refundedDealsCount = await history.refundedDealsCount()
+        refundedDealsCount.should.be.bignumber.equal(1)
+    })
+})
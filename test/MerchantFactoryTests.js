@@ -0,0 +1,108 @@
+import Revert from "./helpers/VMExceptionRevert";
+const {BigNumber} = require('./helpers/setup');
+const expectEvent = require('./helpers/expectEvent');
+const MerchantFactory = artifacts.require("MerchantFactory")
+const MerchantWalletFactory = artifacts.require("MerchantWalletFactory")
+const MerchantDealsHistoryFactory = artifacts.require("MerchantDealsHistoryFactory")
+const PaymentProcessorFactory = artifacts.require("PaymentProcessorFactory")
+const PaymentProcessorBatch = artifacts.require("PaymentProcessorBatch")
+const PaymentProcessor = artifacts.require("PaymentProcessor")
+const MerchantDealsHistory = artifacts.require("MerchantDealsHistory")
+const MerchantWallet = artifacts.require("MerchantWallet")
+const MonethaGateway = artifacts.require("MonethaGateway")
+
+contract('MerchantFactory', function (accounts) {
+
+    const OWNER = accounts[0]
+    const MONETHA = accounts[1]
+    const PROCESSOR = accounts[2]
+    const ADMIN = accounts[3]
+    const UNKNOWN = accounts[4]
+    const ACCEPTOR = accounts[5]
+    const FUND_ADDRESS = accounts[6]
+    const VAULT = accounts[8]
+    const MERCHANT = accounts[9]
+    const MONETHA_VOUCHER_CONTRACT = "0x0000000000000000000000000000000000000000"
+    const GAS_LIMIT = 7900000
+
+    let factory, gateway, batch
+
+    before(async () => {
+        gateway = await MonethaGateway.new(VAULT, ADMIN, MONETHA_VOUCHER_CONTRACT)
+        batch = await PaymentProcessorBatch.new()
+
+        factory = await MerchantFactory.new(
+            gateway.address,
+            batch.address,
+            (await MerchantWalletFactory.new()).address,
+            (await MerchantDealsHistoryFactory.new()).address,
+            (await PaymentProcessorFactory.new()).address
+        )
+        await factory.setMonethaAddress(MONETHA, true)
+        await gateway.setAdmin(factory.address)
+    })
+
+    it('should not deploy merchant by other accounts', async () => {
+        await factory.deployMerchant("merchantId", MERCHANT, FUND_ADDRESS, PROCESSOR, { from: UNKNOWN, gas: GAS_LIMIT })
+            .should.be.rejectedWith(Revert)
+    })
+
+    it('should deploy and wire merchant contracts', async () => {
+        const tx = await factory.deployMerchant("merchantId", MERCHANT, FUND_ADDRESS, PROCESSOR, { from: MONETHA, gas: GAS_LIMIT })
+        expectEvent.inLogs(tx.logs, 'MerchantDeployed', { merchantIdHash: web3.sha3("merchantId") })
+        const deployed = tx.logs.find(e => e.event === 'MerchantDeployed').args
+
+        const isDeployed = await factory.isMerchantDeployed(web3.sha3("merchantId"))
+        isDeployed.should.be.true
+        await factory.deployMerchant("merchantId", MERCHANT, FUND_ADDRESS, PROCESSOR, { from: MONETHA, gas: GAS_LIMIT })
+            .should.be.rejectedWith(Revert)
+
+        const processor = PaymentProcessor.at(deployed.paymentProcessor)
+        const wallet = MerchantWallet.at(deployed.merchantWallet)
+        const history = MerchantDealsHistory.at(deployed.merchantHistory)
+
+        const processorWallet = await processor.merchantWallet()
+        processorWallet.should.equal(wallet.address)
+        const processorHistory = await processor.merchantHistory()
+        processorHistory.should.equal(history.address)
+        const processorGateway = await processor.monethaGateway()
+        processorGateway.should.equal(gateway.address)
+
+        const merchantAccount = await wallet.merchantAccount()
+        merchantAccount.should.equal(MERCHANT)
+        const fundAddress = await wallet.merchantFundAddress()
+        fundAddress.should.equal(FUND_ADDRESS)
+
+        for (const contract of [processor, wallet, history]) {
+            const owner = await contract.owner()
+            owner.should.equal(OWNER)
+        }
+
+        const isWalletMonetha = await wallet.isMonethaAddress(processor.address)
+        isWalletMonetha.should.be.true
+        const isHistoryMonetha = await history.isMonethaAddress(processor.address)
+        isHistoryMonetha.should.be.true
+        const isGatewayMonetha = await gateway.isMonethaAddress(processor.address)
+        isGatewayMonetha.should.be.true
+        const isOperator = await processor.isMonethaAddress(PROCESSOR)
+        isOperator.should.be.true
+        const isBatchMonetha = await processor.isMonethaAddress(batch.address)
+        isBatchMonetha.should.be.true
+    })
+
+    it('should process payment through deployed contracts', async () => {
+        const price = 1000
+        const fee = 15
+        const tx = await factory.deployMerchant("merchantId2", MERCHANT, FUND_ADDRESS, PROCESSOR, { from: MONETHA, gas: GAS_LIMIT })
+        const processor = PaymentProcessor.at(tx.logs.find(e => e.event === 'MerchantDeployed').args.paymentProcessor)
+
+        await processor.addOrder(1, price, ACCEPTOR, ACCEPTOR, fee, 0x0, 0, { from: PROCESSOR })
+        await processor.securePay(1, { from: ACCEPTOR, value: price })
+
+        const fundBalance1 = new BigNumber(web3.eth.getBalance(FUND_ADDRESS))
+        await processor.processPayment(1, 1, 1, 0x1234, { from: PROCESSOR })
+        const fundBalance2 = new BigNumber(web3.eth.getBalance(FUND_ADDRESS))
+
+        fundBalance2.minus(fundBalance1).should.be.bignumber.equal(price - fee)
+    })
+})
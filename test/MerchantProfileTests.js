@@ -0,0 +1,46 @@
+const {BigNumber} = require('./helpers/setup');
+const MerchantProfile = require('../lib/MerchantProfile');
+const MerchantWallet = artifacts.require("MerchantWallet")
+
+contract('MerchantProfile', function (accounts) {
+
+    const OWNER = accounts[0]
+    const MONETHA = accounts[1]
+    const MERCHANT = accounts[2]
+    const FUND_ADDRESS = accounts[3]
+
+    let wallet
+
+    before(async () => {
+        wallet = await MerchantWallet.new(MERCHANT, "merchantId", FUND_ADDRESS)
+        await wallet.setMonethaAddress(MONETHA, true)
+    })
+
+    it('should encode batch with lengths in bytes', () => {
+        const batch = MerchantProfile.encodeBatch({ name: "Ąžuolas", country: "LT" })
+
+        batch.keys.should.equal("namecountry")
+        batch.keyLengths.should.deep.equal([4, 7])
+        batch.values.should.equal("ĄžuolasLT")
+        batch.valueLengths.should.deep.equal([9, 2])
+    })
+
+    it('should read complete merchant profile', async () => {
+        const profile = MerchantProfile.encodeBatch({ name: "Ąžuolas", country: "LT" })
+        await wallet.setProfileBatch(profile.keys, profile.keyLengths, profile.values, profile.valueLengths, { from: OWNER })
+        await wallet.setPaymentSettings("currency", "EUR", { from: OWNER })
+        await wallet.setCompositeReputation("Total", 42, { from: MONETHA })
+
+        const res = await MerchantProfile.readMerchantProfile(web3, MerchantWallet.abi, wallet.address)
+
+        res.should.deep.equal({
+            address: wallet.address,
+            merchantIdHash: web3.sha3("merchantId"),
+            merchantAccount: MERCHANT,
+            merchantFundAddress: FUND_ADDRESS,
+            profile: { name: "Ąžuolas", country: "LT" },
+            paymentSettings: { currency: "EUR" },
+            compositeReputation: { Total: 42 }
+        })
+    })
+})
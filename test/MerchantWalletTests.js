@@ -1,7 +1,11 @@
+import Revert from "./helpers/VMExceptionRevert";
+import increaseTimeAndMine from "./helpers/increaseTime";
 const {BigNumber} = require('./helpers/setup');
+const expectEvent = require('./helpers/expectEvent');
 
 const Wallet = artifacts.require("./MerchantWallet.sol")
 const Token = artifacts.require("ERC20Mintable")
+const MonethaSupportedTokens = artifacts.require("MonethaSupportedTokens")
 
 contract('MerchantWallet', function (accounts) {
 
@@ -15,13 +19,18 @@ contract('MerchantWallet', function (accounts) {
     const FUND_ADDRESS2 = accounts[7]
     const BINANCE_ADDRESS = accounts[8]
     const PRICE = 1000
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
 
     let wallet, token
 
     before(async () => {
         wallet = await Wallet.new(MERCHANT, "merchantId", FUND_ADDRESS)
         await wallet.setMonethaAddress(PAYMENT_PROCESSOR_CONTRACT, true)
+        await wallet.setExchangeDepositAddress(SAFE_ACCOUNT, true, { from: MERCHANT })
+        await wallet.setExchangeDepositAddress(BINANCE_ADDRESS, true, { from: MERCHANT })
+        await wallet.setMonethaDailyLimit(ZERO_ADDRESS, PRICE * 10, { from: MERCHANT })
         token = await Token.new()
+        await wallet.setMonethaDailyLimit(token.address, PRICE * 10, { from: MERCHANT })
        
     });
 
@@ -65,6 +74,66 @@ contract('MerchantWallet', function (accounts) {
         return Promise.all(promises)
     })
 
+    it('should enumerate keys and log changes of profile, payment settings and reputation', async () => {
+        const enumWallet = await Wallet.new(MERCHANT, "merchantId", FUND_ADDRESS)
+        await enumWallet.setMonethaAddress(PAYMENT_PROCESSOR_CONTRACT, true)
+
+        let tx = await enumWallet.setProfile("name", "Merchant", "Total", 5, { from: OWNER })
+        expectEvent.inLogs(tx.logs, 'ProfileChanged', { key: "name", value: "Merchant" })
+        expectEvent.inLogs(tx.logs, 'CompositeReputationChanged', { key: "Total", value: 5 })
+
+        tx = await enumWallet.setPaymentSettings("fee", "0.005", { from: OWNER })
+        expectEvent.inLogs(tx.logs, 'PaymentSettingChanged', { key: "fee", value: "0.005" })
+
+        await enumWallet.setProfile("name", "Merchant 2", "", 0, { from: OWNER })
+        await enumWallet.setProfile("country", "LT", "", 0, { from: OWNER })
+
+        let count = await enumWallet.profileKeysCount()
+        count.should.bignumber.equal(2)
+        const keys = [await enumWallet.profileKey(0), await enumWallet.profileKey(1)]
+        keys.should.deep.equal(["name", "country"])
+
+        const settingsKey = await enumWallet.paymentSettingsKey(0)
+        settingsKey.should.equal("fee")
+        const reputationKey = await enumWallet.compositeReputationKey(0)
+        reputationKey.should.equal("Total")
+
+        // empty value removes the key
+        await enumWallet.setProfile("name", "", "", 0, { from: OWNER })
+
+        count = await enumWallet.profileKeysCount()
+        count.should.bignumber.equal(1)
+        const lastKey = await enumWallet.profileKey(0)
+        lastKey.should.equal("country")
+    })
+
+    it('should set profile, payment settings and reputation in batches', async () => {
+        const batchWallet = await Wallet.new(MERCHANT, "merchantId", FUND_ADDRESS)
+        await batchWallet.setMonethaAddress(PAYMENT_PROCESSOR_CONTRACT, true)
+
+        await batchWallet.setProfileBatch("namecountry", [4, 7], "MerchantLT", [8, 2], { from: OWNER })
+        await batchWallet.setPaymentSettingsBatch("feecurrency", [3, 8], "0.005EUR", [5, 3], { from: OWNER })
+        await batchWallet.setCompositeReputationBatch("TotalDelivery", [5, 8], [5, 7], { from: PAYMENT_PROCESSOR_CONTRACT })
+
+        const name = await batchWallet.profile("name")
+        name.should.equal("Merchant")
+        const country = await batchWallet.profile("country")
+        country.should.equal("LT")
+        const currency = await batchWallet.paymentSettings("currency")
+        currency.should.equal("EUR")
+        const rep = await batchWallet.compositeReputation("Delivery")
+        rep.should.bignumber.equal(7)
+        const repCount = await batchWallet.compositeReputationKeysCount()
+        repCount.should.bignumber.equal(2)
+
+        await batchWallet.setProfileBatch("namecountry", [4, 6], "MerchantLT", [8, 2], { from: OWNER })
+            .should.be.rejectedWith(Revert)
+        await batchWallet.setProfileBatch("name", [4], "Merchant", [8], { from: UNKNOWN })
+            .should.be.rejectedWith(Revert)
+        await batchWallet.setCompositeReputationBatch("Total", [5], [1], { from: OWNER })
+            .should.be.rejectedWith(Revert)
+    })
+
     it('should change merchant account correctly', async () => {
         await wallet.changeMerchantAccount(MERCHANT2, { from: MERCHANT })
         const res = await wallet.merchantAccount()
@@ -214,22 +283,351 @@ contract('MerchantWallet', function (accounts) {
         return notRejected
     })
 
-    it('should change merchant fund address correctly', async () => {
-        await wallet.changeFundAddress(FUND_ADDRESS2, { from: MERCHANT2 })
-        const res = await wallet.merchantFundAddress()
+    it('should change merchant fund address after delay', async () => {
+        const delay = await wallet.fundAddressChangeDelay()
 
+        const tx = await wallet.proposeFundAddress(FUND_ADDRESS2, { from: MERCHANT2 })
+        expectEvent.inLogs(tx.logs, 'FundAddressChangeProposed', { newFundAddress: FUND_ADDRESS2 })
+
+        await wallet.confirmFundAddress({ from: MERCHANT2 }).should.be.rejectedWith(Revert)
+        let res = await wallet.merchantFundAddress()
+        res.should.equal(FUND_ADDRESS)
+
+        await increaseTimeAndMine(delay.toNumber())
+
+        await wallet.confirmFundAddress({ from: UNKNOWN }).should.be.rejectedWith(Revert)
+        const confirmTx = await wallet.confirmFundAddress({ from: MERCHANT2 })
+        expectEvent.inLogs(confirmTx.logs, 'FundAddressChanged', { previousFundAddress: FUND_ADDRESS, newFundAddress: FUND_ADDRESS2 })
+
+        res = await wallet.merchantFundAddress()
+        res.should.equal(FUND_ADDRESS2)
+    })
+
+    it('should not change merchant fund address vetoed by Monetha', async () => {
+        await wallet.proposeFundAddress(FUND_ADDRESS, { from: MERCHANT2 })
+
+        await wallet.vetoFundAddress({ from: MERCHANT2 }).should.be.rejectedWith(Revert)
+        const tx = await wallet.vetoFundAddress({ from: PAYMENT_PROCESSOR_CONTRACT })
+        expectEvent.inLogs(tx.logs, 'FundAddressChangeVetoed', { newFundAddress: FUND_ADDRESS, vetoedBy: PAYMENT_PROCESSOR_CONTRACT })
+
+        await increaseTimeAndMine((await wallet.fundAddressChangeDelay()).toNumber())
+
+        await wallet.confirmFundAddress({ from: MERCHANT2 }).should.be.rejectedWith(Revert)
+        const res = await wallet.merchantFundAddress()
         res.should.equal(FUND_ADDRESS2)
     })
 
-    it('should not change merchant fund address by other account', async () => {
-        const rejected = await wallet.changeFundAddress(FUND_ADDRESS2, { from: MERCHANT }).should.be.rejected
+    it('should not propose merchant fund address by other account', async () => {
+        const rejected = await wallet.proposeFundAddress(FUND_ADDRESS, { from: MERCHANT }).should.be.rejected
 
         return rejected
     })
 
-    it('should not change merchant fund address if fund address is a contract', async () => {
-        const rejected = await wallet.changeFundAddress(PAYMENT_PROCESSOR_CONTRACT, { from: MERCHANT }).should.be.rejected
+    it('should not propose merchant fund address if fund address is a contract', async () => {
+        const rejected = await wallet.proposeFundAddress(token.address, { from: MERCHANT2 }).should.be.rejected
 
         return rejected
     })
+
+    it('should set fund address change delay by owner only', async () => {
+        const minDelay = await wallet.MIN_FUND_ADDRESS_CHANGE_DELAY()
+
+        await wallet.setFundAddressChangeDelay(minDelay, { from: MERCHANT2 }).should.be.rejectedWith(Revert)
+        await wallet.setFundAddressChangeDelay(minDelay.minus(1), { from: OWNER }).should.be.rejectedWith(Revert)
+        await wallet.setFundAddressChangeDelay(minDelay, { from: OWNER })
+
+        const delay = await wallet.fundAddressChangeDelay()
+        delay.should.bignumber.equal(minDelay)
+    })
+
+    it('should not shorten delay of pending fund address change', async () => {
+        const newWallet = await Wallet.new(MERCHANT, "merchantId", FUND_ADDRESS)
+        const delay = await newWallet.fundAddressChangeDelay()
+        const minDelay = await newWallet.MIN_FUND_ADDRESS_CHANGE_DELAY()
+
+        await newWallet.proposeFundAddress(FUND_ADDRESS2, { from: MERCHANT })
+        await newWallet.setFundAddressChangeDelay(minDelay, { from: OWNER })
+
+        await increaseTimeAndMine(minDelay.toNumber())
+        await newWallet.confirmFundAddress({ from: MERCHANT }).should.be.rejectedWith(Revert)
+
+        await increaseTimeAndMine(delay.minus(minDelay).toNumber())
+        await newWallet.confirmFundAddress({ from: MERCHANT })
+        const res = await newWallet.merchantFundAddress()
+        res.should.equal(FUND_ADDRESS2)
+    })
+
+    it('should withdraw specific amount of tokens correctly', async () => {
+        await token.mint(wallet.address, PRICE)
+
+        const tx = await wallet.withdrawTokenTo(token.address, SAFE_ACCOUNT, PRICE / 4, { from: MERCHANT2 })
+        expectEvent.inLogs(tx.logs, 'TokenWithdrawn', { tokenAddress: token.address, beneficiary: SAFE_ACCOUNT, amount: PRICE / 4 })
+
+        await wallet.withdrawToken(token.address, PRICE / 4, { from: MERCHANT2 })
+
+        const walletBalance = await token.balanceOf(wallet.address)
+        walletBalance.should.bignumber.equal(PRICE / 2)
+        const merchantBalance = await token.balanceOf(MERCHANT2)
+        merchantBalance.should.bignumber.equal(PRICE / 4)
+
+        await wallet.withdrawTokenTo(token.address, SAFE_ACCOUNT, PRICE / 4, { from: UNKNOWN }).should.be.rejectedWith(Revert)
+        await wallet.withdrawToken(token.address, PRICE / 4, { from: PAYMENT_PROCESSOR_CONTRACT }).should.be.rejectedWith(Revert)
+    })
+
+    it('should log ether withdrawals', async () => {
+        const amount = 100
+        await wallet.sendTransaction({ from: OWNER, value: amount })
+
+        const tx = await wallet.withdrawToExchange(SAFE_ACCOUNT, amount, { from: PAYMENT_PROCESSOR_CONTRACT })
+        expectEvent.inLogs(tx.logs, 'EtherWithdrawn', { beneficiary: SAFE_ACCOUNT, amount })
+    })
+
+    it('should report balances of supported tokens', async () => {
+        const token2 = await Token.new()
+        await token2.mint(wallet.address, 42)
+
+        const supportedTokens = await MonethaSupportedTokens.new()
+        await supportedTokens.setMonethaAddress(OWNER, true)
+        await supportedTokens.addToken("ABC", token.address, 18, 0, 0)
+        await supportedTokens.addToken("DEF", token2.address, 18, 0, 0)
+
+        await wallet.setSupportedTokens(supportedTokens.address, { from: MERCHANT2 }).should.be.rejectedWith(Revert)
+        const tx = await wallet.setSupportedTokens(supportedTokens.address, { from: OWNER })
+        expectEvent.inLogs(tx.logs, 'SupportedTokensChanged', { newSupportedTokens: supportedTokens.address })
+
+        const [tokens, balances] = await wallet.tokenBalances()
+        tokens.should.deep.equal([token.address, token2.address])
+        balances[0].should.bignumber.equal(await token.balanceOf(wallet.address))
+        balances[1].should.bignumber.equal(42)
+    })
+
+    describe('withdrawal policy', () => {
+        const SIGNER1 = accounts[7]
+        const SIGNER2 = accounts[8]
+        const SIGNER3 = accounts[9]
+        const THRESHOLD = 1000
+        const DELAY = 24 * 60 * 60
+
+        let policyWallet
+
+        beforeEach(async () => {
+            policyWallet = await Wallet.new(MERCHANT, "merchantId", FUND_ADDRESS)
+            await policyWallet.setMonethaAddress(PAYMENT_PROCESSOR_CONTRACT, true)
+            await policyWallet.setWithdrawalPolicy([SIGNER1, SIGNER2, SIGNER3], 2, THRESHOLD, DELAY, { from: MERCHANT })
+            await policyWallet.setExchangeDepositAddress(SAFE_ACCOUNT, true, { from: MERCHANT })
+            await policyWallet.setMonethaDailyLimit(ZERO_ADDRESS, THRESHOLD * 2, { from: MERCHANT })
+            await policyWallet.sendTransaction({ from: OWNER, value: THRESHOLD * 2 })
+        })
+
+        it('should withdraw amount below threshold immediately', async () => {
+            await policyWallet.withdrawTo(SAFE_ACCOUNT, THRESHOLD, { from: MERCHANT })
+
+            const balance = new BigNumber(web3.eth.getBalance(policyWallet.address))
+            balance.should.bignumber.equal(THRESHOLD)
+        })
+
+        it('should queue withdrawals, when their total per day exceeds threshold', async () => {
+            await policyWallet.withdrawTo(SAFE_ACCOUNT, THRESHOLD / 2, { from: MERCHANT })
+            await policyWallet.withdrawTo(SAFE_ACCOUNT, THRESHOLD / 2, { from: MERCHANT })
+
+            const tx = await policyWallet.withdrawTo(SAFE_ACCOUNT, 1, { from: MERCHANT })
+            expectEvent.inLogs(tx.logs, 'WithdrawalQueued', { withdrawalId: 0, beneficiary: SAFE_ACCOUNT, amount: 1 })
+            new BigNumber(web3.eth.getBalance(policyWallet.address)).should.bignumber.equal(THRESHOLD)
+
+            await increaseTimeAndMine(24 * 60 * 60)
+
+            await policyWallet.withdrawTo(SAFE_ACCOUNT, THRESHOLD / 2, { from: MERCHANT })
+            new BigNumber(web3.eth.getBalance(policyWallet.address)).should.bignumber.equal(THRESHOLD / 2)
+        })
+
+        it('should reserve amount of queued withdrawal', async () => {
+            await policyWallet.withdrawTo(SAFE_ACCOUNT, THRESHOLD + 1, { from: MERCHANT })
+
+            const reserved = await policyWallet.reservedAmount(ZERO_ADDRESS)
+            reserved.should.bignumber.equal(THRESHOLD + 1)
+            const available = await policyWallet.availableBalance(ZERO_ADDRESS)
+            available.should.bignumber.equal(THRESHOLD - 1)
+
+            await policyWallet.withdrawTo(SAFE_ACCOUNT, THRESHOLD, { from: MERCHANT }).should.be.rejectedWith(Revert)
+            await policyWallet.withdrawAllToExchange(SAFE_ACCOUNT, 0, { from: MERCHANT })
+            new BigNumber(web3.eth.getBalance(policyWallet.address)).should.bignumber.equal(THRESHOLD + 1)
+
+            await policyWallet.cancelWithdrawal(0, { from: MERCHANT })
+            const available2 = await policyWallet.availableBalance(ZERO_ADDRESS)
+            available2.should.bignumber.equal(THRESHOLD + 1)
+        })
+
+        it('should queue token withdrawals, when their total per day exceeds token threshold', async () => {
+            const policyToken = await Token.new()
+            await policyToken.mint(policyWallet.address, THRESHOLD * 2)
+
+            // tokens without threshold are always queued
+            const tx = await policyWallet.withdrawTokenTo(policyToken.address, SAFE_ACCOUNT, 1, { from: MERCHANT })
+            expectEvent.inLogs(tx.logs, 'WithdrawalQueued', { withdrawalId: 0, tokenAddress: policyToken.address, beneficiary: SAFE_ACCOUNT, amount: 1 })
+
+            const proposeTx = await policyWallet.setTokenWithdrawalThreshold(policyToken.address, THRESHOLD, { from: MERCHANT })
+            expectEvent.inLogs(proposeTx.logs, 'TokenWithdrawalThresholdProposed', { tokenAddress: policyToken.address, threshold: THRESHOLD })
+            await policyWallet.applyTokenWithdrawalThreshold(policyToken.address, { from: MERCHANT }).should.be.rejectedWith(Revert)
+
+            await increaseTimeAndMine(DELAY)
+
+            const applyTx = await policyWallet.applyTokenWithdrawalThreshold(policyToken.address, { from: MERCHANT })
+            expectEvent.inLogs(applyTx.logs, 'TokenWithdrawalThresholdChanged', { tokenAddress: policyToken.address, threshold: THRESHOLD })
+
+            await policyWallet.withdrawToken(policyToken.address, THRESHOLD, { from: MERCHANT })
+            await policyWallet.withdrawAllTokensToExchange(policyToken.address, SAFE_ACCOUNT, 0, { from: MERCHANT })
+
+            // reserved tokens stay in the wallet
+            const walletBalance = await policyToken.balanceOf(policyWallet.address)
+            walletBalance.should.bignumber.equal(THRESHOLD)
+            const available = await policyWallet.availableBalance(policyToken.address)
+            available.should.bignumber.equal(0)
+
+            await policyWallet.approveWithdrawal(0, { from: SIGNER1 })
+            await policyWallet.approveWithdrawal(0, { from: SIGNER2 })
+            const executeTx = await policyWallet.executeWithdrawal(0, { from: MERCHANT })
+            expectEvent.inLogs(executeTx.logs, 'TokenWithdrawn', { tokenAddress: policyToken.address, beneficiary: SAFE_ACCOUNT, amount: 1 })
+
+            const reserved = await policyWallet.reservedAmount(policyToken.address)
+            reserved.should.bignumber.equal(THRESHOLD - 1)
+        })
+
+        it('should not set policy with duplicate signers', async () => {
+            await policyWallet.setWithdrawalPolicy([SIGNER1, SIGNER1, SIGNER2], 2, THRESHOLD, DELAY, { from: MERCHANT })
+                .should.be.rejectedWith(Revert)
+        })
+
+        it('should queue withdrawal above threshold and execute it after approvals and delay', async () => {
+            const tx = await policyWallet.withdrawAllToExchange(SAFE_ACCOUNT, 0, { from: PAYMENT_PROCESSOR_CONTRACT })
+            expectEvent.inLogs(tx.logs, 'WithdrawalQueued', { withdrawalId: 0, beneficiary: SAFE_ACCOUNT, amount: THRESHOLD * 2 })
+
+            new BigNumber(web3.eth.getBalance(policyWallet.address)).should.bignumber.equal(THRESHOLD * 2)
+
+            await policyWallet.approveWithdrawal(0, { from: UNKNOWN }).should.be.rejectedWith(Revert)
+            await policyWallet.approveWithdrawal(0, { from: SIGNER1 })
+
+            await increaseTimeAndMine(DELAY)
+
+            // not enough approvals
+            await policyWallet.executeWithdrawal(0, { from: MERCHANT }).should.be.rejectedWith(Revert)
+
+            const approveTx = await policyWallet.approveWithdrawal(0, { from: SIGNER2 })
+            expectEvent.inLogs(approveTx.logs, 'WithdrawalApproved', { withdrawalId: 0, signer: SIGNER2 })
+
+            const balance1 = new BigNumber(web3.eth.getBalance(SAFE_ACCOUNT))
+            const executeTx = await policyWallet.executeWithdrawal(0, { from: PAYMENT_PROCESSOR_CONTRACT })
+            expectEvent.inLogs(executeTx.logs, 'WithdrawalExecuted', { withdrawalId: 0, amount: THRESHOLD * 2 })
+
+            new BigNumber(web3.eth.getBalance(SAFE_ACCOUNT)).should.bignumber.equal(balance1.plus(THRESHOLD * 2))
+
+            await policyWallet.executeWithdrawal(0, { from: MERCHANT }).should.be.rejectedWith(Revert)
+        })
+
+        it('should not execute queued withdrawal before delay', async () => {
+            await policyWallet.withdrawTo(SAFE_ACCOUNT, THRESHOLD + 1, { from: MERCHANT })
+            await policyWallet.approveWithdrawal(0, { from: SIGNER1 })
+            await policyWallet.approveWithdrawal(0, { from: SIGNER3 })
+
+            await policyWallet.executeWithdrawal(0, { from: MERCHANT }).should.be.rejectedWith(Revert)
+        })
+
+        it('should cancel queued withdrawal by merchant or signer', async () => {
+            await policyWallet.withdrawToExchange(SAFE_ACCOUNT, THRESHOLD + 1, { from: MERCHANT })
+
+            await policyWallet.cancelWithdrawal(0, { from: UNKNOWN }).should.be.rejectedWith(Revert)
+
+            const tx = await policyWallet.cancelWithdrawal(0, { from: SIGNER3 })
+            expectEvent.inLogs(tx.logs, 'WithdrawalCancelled', { withdrawalId: 0, cancelledBy: SIGNER3 })
+
+            await policyWallet.approveWithdrawal(0, { from: SIGNER1 }).should.be.rejectedWith(Revert)
+        })
+
+        it('should change active policy only after delay', async () => {
+            const tx = await policyWallet.setWithdrawalPolicy([], 0, 0, 0, { from: MERCHANT })
+            expectEvent.inLogs(tx.logs, 'WithdrawalPolicyProposed', { threshold: 0 })
+
+            const threshold = await policyWallet.withdrawalThreshold()
+            threshold.should.bignumber.equal(THRESHOLD)
+            await policyWallet.applyWithdrawalPolicy({ from: MERCHANT }).should.be.rejectedWith(Revert)
+
+            await increaseTimeAndMine(DELAY)
+
+            const applyTx = await policyWallet.applyWithdrawalPolicy({ from: MERCHANT })
+            expectEvent.inLogs(applyTx.logs, 'WithdrawalPolicyChanged', { threshold: 0, requiredApprovals: 0, delay: 0 })
+
+            const isSigner = await policyWallet.isWithdrawalSigner(SIGNER1)
+            isSigner.should.be.false
+
+            await policyWallet.withdrawTo(SAFE_ACCOUNT, THRESHOLD * 2, { from: MERCHANT })
+            new BigNumber(web3.eth.getBalance(policyWallet.address)).should.bignumber.equal(0)
+        })
+    })
+    describe('Monetha withdrawal restrictions', () => {
+        const EXCHANGE = accounts[7]
+        const DAILY_LIMIT = 1000
+
+        let restrictedWallet
+
+        beforeEach(async () => {
+            restrictedWallet = await Wallet.new(MERCHANT, "merchantId", FUND_ADDRESS)
+            await restrictedWallet.setMonethaAddress(PAYMENT_PROCESSOR_CONTRACT, true)
+            await restrictedWallet.setExchangeDepositAddress(EXCHANGE, true, { from: MERCHANT })
+            await restrictedWallet.setMonethaDailyLimit(ZERO_ADDRESS, DAILY_LIMIT, { from: MERCHANT })
+            await restrictedWallet.setMonethaDailyLimit(token.address, DAILY_LIMIT, { from: MERCHANT })
+            await restrictedWallet.sendTransaction({ from: OWNER, value: DAILY_LIMIT * 2 })
+        })
+
+        it('should set restrictions by merchant only', async () => {
+            await restrictedWallet.setExchangeDepositAddress(SAFE_ACCOUNT, true, { from: PAYMENT_PROCESSOR_CONTRACT }).should.be.rejectedWith(Revert)
+            await restrictedWallet.setMonethaDailyLimit(ZERO_ADDRESS, DAILY_LIMIT * 10, { from: PAYMENT_PROCESSOR_CONTRACT }).should.be.rejectedWith(Revert)
+        })
+
+        it('should not allow Monetha to withdraw without whitelisted addresses', async () => {
+            const newWallet = await Wallet.new(MERCHANT, "merchantId", FUND_ADDRESS)
+            await newWallet.setMonethaAddress(PAYMENT_PROCESSOR_CONTRACT, true)
+            await newWallet.sendTransaction({ from: OWNER, value: 100 })
+
+            await newWallet.withdrawToExchange(SAFE_ACCOUNT, 100, { from: PAYMENT_PROCESSOR_CONTRACT }).should.be.rejectedWith(Revert)
+            await newWallet.withdrawAllToExchange(SAFE_ACCOUNT, 0, { from: PAYMENT_PROCESSOR_CONTRACT }).should.be.rejectedWith(Revert)
+
+            await newWallet.withdrawAllToExchange(SAFE_ACCOUNT, 0, { from: MERCHANT })
+        })
+
+        it('should not allow Monetha to withdraw to not whitelisted address', async () => {
+            await restrictedWallet.withdrawToExchange(SAFE_ACCOUNT, 100, { from: PAYMENT_PROCESSOR_CONTRACT }).should.be.rejectedWith(Revert)
+
+            await restrictedWallet.withdrawToExchange(EXCHANGE, 100, { from: PAYMENT_PROCESSOR_CONTRACT })
+        })
+
+        it('should not allow Monetha to exceed daily limit', async () => {
+            await restrictedWallet.withdrawToExchange(EXCHANGE, DAILY_LIMIT - 100, { from: PAYMENT_PROCESSOR_CONTRACT })
+            await restrictedWallet.withdrawToExchange(EXCHANGE, 101, { from: PAYMENT_PROCESSOR_CONTRACT }).should.be.rejectedWith(Revert)
+            await restrictedWallet.withdrawAllToExchange(EXCHANGE, 0, { from: PAYMENT_PROCESSOR_CONTRACT }).should.be.rejectedWith(Revert)
+            await restrictedWallet.withdrawToExchange(EXCHANGE, 100, { from: PAYMENT_PROCESSOR_CONTRACT })
+
+            await increaseTimeAndMine(24 * 60 * 60)
+
+            await restrictedWallet.withdrawToExchange(EXCHANGE, DAILY_LIMIT, { from: PAYMENT_PROCESSOR_CONTRACT })
+            new BigNumber(web3.eth.getBalance(restrictedWallet.address)).should.bignumber.equal(0)
+        })
+
+        it('should apply daily limit to Monetha token withdrawals', async () => {
+            await token.mint(restrictedWallet.address, DAILY_LIMIT + 1)
+
+            await restrictedWallet.withdrawAllTokensToExchange(token.address, EXCHANGE, 0, { from: PAYMENT_PROCESSOR_CONTRACT })
+                .should.be.rejectedWith(Revert)
+
+            await restrictedWallet.withdrawTokenTo(token.address, MERCHANT, 1, { from: MERCHANT })
+            await restrictedWallet.withdrawAllTokensToExchange(token.address, EXCHANGE, 0, { from: PAYMENT_PROCESSOR_CONTRACT })
+
+            const balance = await token.balanceOf(EXCHANGE)
+            balance.should.bignumber.equal(DAILY_LIMIT)
+        })
+
+        it('should not restrict merchant-initiated withdrawals', async () => {
+            await restrictedWallet.withdrawAllToExchange(SAFE_ACCOUNT, 0, { from: MERCHANT })
+
+            new BigNumber(web3.eth.getBalance(restrictedWallet.address)).should.bignumber.equal(0)
+        })
+    })
 });
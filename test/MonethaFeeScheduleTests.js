@@ -0,0 +1,125 @@
+import Revert from "./helpers/VMExceptionRevert";
+
+const {BigNumber} = require('./helpers/setup');
+const expectEvent = require('./helpers/expectEvent');
+
+const MonethaFeeSchedule = artifacts.require("MonethaFeeSchedule")
+
+contract('MonethaFeeSchedule', function (accounts) {
+
+    const OWNER = accounts[0]
+    const MONETHA = accounts[1]
+    const UNKNOWN = accounts[2]
+    const TOKEN = accounts[3]
+    const TOKEN2 = accounts[4]
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+    const DEFAULT_MERCHANT = "0x0"
+    const MERCHANT_ID_HASH = web3.sha3("merchantId")
+    const MERCHANT2_ID_HASH = web3.sha3("merchant2")
+
+    let schedule
+
+    beforeEach(async () => {
+        schedule = await MonethaFeeSchedule.new(15, 2)
+        await schedule.setMonethaAddress(MONETHA, true, { from: OWNER })
+    })
+
+    it('should use default schedule for merchants without own schedule', async () => {
+        const res = await schedule.getFeeSchedule(MERCHANT_ID_HASH, ZERO_ADDRESS)
+
+        res[0].should.bignumber.equal(15)
+        res[1].should.bignumber.equal(0)
+        res[2].should.bignumber.equal(2)
+    })
+
+    it('should set fee schedule of the merchant correctly', async () => {
+        const tx = await schedule.setFeeSchedule(MERCHANT_ID_HASH, ZERO_ADDRESS, 10, 100, 5, { from: MONETHA })
+
+        expectEvent.inLogs(tx.logs, "FeeScheduleSet", {
+            merchantIdHash: MERCHANT_ID_HASH,
+            tokenAddress: ZERO_ADDRESS,
+        })
+
+        const res = await schedule.getFeeSchedule(MERCHANT_ID_HASH, ZERO_ADDRESS)
+        res[0].should.bignumber.equal(10)
+        res[1].should.bignumber.equal(100)
+        res[2].should.bignumber.equal(5)
+
+        const other = await schedule.getFeeSchedule(MERCHANT2_ID_HASH, ZERO_ADDRESS)
+        other[0].should.bignumber.equal(15)
+    })
+
+    it('should prefer token override over base schedule', async () => {
+        await schedule.setFeeSchedule(MERCHANT_ID_HASH, ZERO_ADDRESS, 10, 100, 5, { from: MONETHA })
+        await schedule.setFeeSchedule(MERCHANT_ID_HASH, TOKEN, 20, 7, 1, { from: MONETHA })
+
+        const res = await schedule.getFeeSchedule(MERCHANT_ID_HASH, TOKEN)
+        res[0].should.bignumber.equal(20)
+        res[1].should.bignumber.equal(7)
+        res[2].should.bignumber.equal(1)
+    })
+
+    it('should not apply min. fee of base schedule to token payments', async () => {
+        await schedule.setFeeSchedule(MERCHANT_ID_HASH, ZERO_ADDRESS, 10, 100, 5, { from: MONETHA })
+
+        const res = await schedule.getFeeSchedule(MERCHANT_ID_HASH, TOKEN2)
+        res[0].should.bignumber.equal(10)
+        res[1].should.bignumber.equal(0)
+    })
+
+    it('should use default token override for merchants without own schedule', async () => {
+        await schedule.setFeeSchedule(DEFAULT_MERCHANT, TOKEN, 12, 3, 0, { from: MONETHA })
+
+        const res = await schedule.getFeeSchedule(MERCHANT_ID_HASH, TOKEN)
+        res[0].should.bignumber.equal(12)
+        res[1].should.bignumber.equal(3)
+    })
+
+    it('should calculate fee with minimal fee correctly', async () => {
+        await schedule.setFeeSchedule(MERCHANT_ID_HASH, ZERO_ADDRESS, 10, 100, 5, { from: MONETHA })
+
+        new BigNumber(await schedule.feeOf(MERCHANT_ID_HASH, ZERO_ADDRESS, 1000)).should.bignumber.equal(100)
+        new BigNumber(await schedule.feeOf(MERCHANT_ID_HASH, ZERO_ADDRESS, 100000)).should.bignumber.equal(1000)
+        new BigNumber(await schedule.feeOf(MERCHANT_ID_HASH, ZERO_ADDRESS, 50)).should.bignumber.equal(50)
+        new BigNumber(await schedule.paybackPermilleOf(MERCHANT_ID_HASH, ZERO_ADDRESS)).should.bignumber.equal(5)
+    })
+
+    it('should validate fee between minimal fee and max. fee', async () => {
+        await schedule.setFeeSchedule(MERCHANT_ID_HASH, ZERO_ADDRESS, 10, 100, 5, { from: MONETHA })
+
+        const belowMinFee = await schedule.isValidFee(MERCHANT_ID_HASH, ZERO_ADDRESS, 100000, 99)
+        belowMinFee.should.be.false
+        const minFee = await schedule.isValidFee(MERCHANT_ID_HASH, ZERO_ADDRESS, 100000, 100)
+        minFee.should.be.true
+        const maxFee = await schedule.isValidFee(MERCHANT_ID_HASH, ZERO_ADDRESS, 100000, 1000)
+        maxFee.should.be.true
+        const aboveMaxFee = await schedule.isValidFee(MERCHANT_ID_HASH, ZERO_ADDRESS, 100000, 1001)
+        aboveMaxFee.should.be.false
+        // minimal fee is limited by the payment amount
+        const wholePayment = await schedule.isValidFee(MERCHANT_ID_HASH, ZERO_ADDRESS, 50, 50)
+        wholePayment.should.be.true
+    })
+
+    it('should remove fee schedule correctly', async () => {
+        await schedule.setFeeSchedule(MERCHANT_ID_HASH, ZERO_ADDRESS, 10, 100, 5, { from: MONETHA })
+
+        const tx = await schedule.removeFeeSchedule(MERCHANT_ID_HASH, ZERO_ADDRESS, { from: MONETHA })
+
+        expectEvent.inLogs(tx.logs, "FeeScheduleRemoved")
+
+        const res = await schedule.getFeeSchedule(MERCHANT_ID_HASH, ZERO_ADDRESS)
+        res[0].should.bignumber.equal(15)
+    })
+
+    it('should not remove default base schedule', async () => {
+        await schedule.removeFeeSchedule(DEFAULT_MERCHANT, ZERO_ADDRESS, { from: MONETHA }).should.be.rejectedWith(Revert)
+    })
+
+    it('should not set fee schedule by other accounts', async () => {
+        await schedule.setFeeSchedule(MERCHANT_ID_HASH, ZERO_ADDRESS, 10, 100, 5, { from: UNKNOWN }).should.be.rejectedWith(Revert)
+    })
+
+    it('should not set fee permille greater than 100%', async () => {
+        await schedule.setFeeSchedule(MERCHANT_ID_HASH, ZERO_ADDRESS, 1001, 0, 0, { from: MONETHA }).should.be.rejectedWith(Revert)
+    })
+})
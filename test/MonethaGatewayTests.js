@@ -6,6 +6,16 @@ const MonethaGateway = artifacts.require("./MonethaGateway.sol")
 
 const Token = artifacts.require("ERC20Mintable")
 
+const MonethaVoucher = artifacts.require("MonethaVoucherMock")
+
+const MonethaSupportedTokens = artifacts.require("MonethaSupportedTokens")
+
+const MonethaFeeSchedule = artifacts.require("MonethaFeeSchedule")
+
+const RejectingReceiver = artifacts.require("RejectingReceiverMock")
+
+const expectEvent = require('./helpers/expectEvent');
+
 contract('MonethaGateway', function (accounts) {
 
     const OWNER = accounts[0]
@@ -56,6 +66,9 @@ contract('MonethaGateway', function (accounts) {
             feeValue,
             token.address,
             value,
+            CUSTOMER,
+            0,
+            0,
             {
                 from: PAYMENT_PROCESSOR_CONTRACT
             }
@@ -76,6 +89,9 @@ contract('MonethaGateway', function (accounts) {
             feeValue,
             token.address,
             value,
+            CUSTOMER,
+            0,
+            0,
             {
                 from: PAYMENT_PROCESSOR_CONTRACT
             }
@@ -115,6 +131,288 @@ contract('MonethaGateway', function (accounts) {
         await gateway.acceptPayment(MERCHANT, feeValue, CUSTOMER, vouchersApply, paybackPermille, { value: value, from: PAYMENT_PROCESSOR_CONTRACT }).should.be.rejectedWith(Revert);
     })
 
+    it('should not set token rate by other accounts', async () => {
+        await gateway.setTokenRate(token.address, new BigNumber('1e18'), { from: CUSTOMER }).should.be.rejectedWith(Revert);
+    })
+
+    it('should apply vouchers for token payment correctly', async () => {
+        const voucher = await MonethaVoucher.new()
+        const voucherGateway = await MonethaGateway.new(VAULT, ADMIN, voucher.address)
+        await voucherGateway.setMonethaAddress(PAYMENT_PROCESSOR_CONTRACT, true, {from: ADMIN})
+        // 1 minimal token unit is worth 2 wei
+        await voucherGateway.setTokenRate(token.address, new BigNumber('2e18'), { from: ADMIN })
+        await voucher.mint(CUSTOMER, 1000)
+
+        const value = new BigNumber('1000')
+        const feeValue = new BigNumber('15')
+        await token.mint(voucherGateway.address, value)
+
+        const args = [MERCHANT, feeValue, token.address, value, CUSTOMER, 1000, 20]
+
+        // max discount is 70% of 2000 wei, i.e. 140 vouchers worth 1400 wei or 700 tokens
+        const discount = await voucherGateway.acceptTokenPayment.call(...args, { from: PAYMENT_PROCESSOR_CONTRACT })
+        discount.should.bignumber.equal(700)
+
+        const tx = await voucherGateway.acceptTokenPayment(...args, { from: PAYMENT_PROCESSOR_CONTRACT }).should.be.fulfilled;
+
+        const event = tx.logs.find(e => e.event === "PaymentProcessedToken");
+        event.args.merchantIncome.should.bignumber.equal(value.sub(feeValue))
+
+        // 140 vouchers applied, payback is 2% of (2000 - 1400) wei, i.e. 12 wei or 1 voucher
+        const vouchers = await voucher.balanceOf(CUSTOMER)
+        vouchers.should.bignumber.equal(1000 - 140 + 1)
+    })
+
+    it('should not apply vouchers for token payment without token rate', async () => {
+        const voucher = await MonethaVoucher.new()
+        const voucherGateway = await MonethaGateway.new(VAULT, ADMIN, voucher.address)
+        await voucherGateway.setMonethaAddress(PAYMENT_PROCESSOR_CONTRACT, true, {from: ADMIN})
+        await voucher.mint(CUSTOMER, 1000)
+
+        const value = new BigNumber('1000')
+        await token.mint(voucherGateway.address, value)
+
+        await voucherGateway.acceptTokenPayment(MERCHANT, 0, token.address, value, CUSTOMER, 1000, 2, { from: PAYMENT_PROCESSOR_CONTRACT })
+
+        const vouchers = await voucher.balanceOf(CUSTOMER)
+        vouchers.should.bignumber.equal(1000)
+    })
+
+    it('should split payment among payees correctly', async () => {
+        const PAYEE1 = accounts[6]
+        const PAYEE2 = accounts[7]
+        const value = new BigNumber('1e9')
+        const feeValue = new BigNumber(await gateway.FEE_PERMILLE()).mul(value).div(1000)
+        const income = value.sub(feeValue)
+
+        const payee1Balance1 = new BigNumber(web3.eth.getBalance(PAYEE1))
+        const payee2Balance1 = new BigNumber(web3.eth.getBalance(PAYEE2))
+        const vaultBalance1 = new BigNumber(web3.eth.getBalance(VAULT))
+
+        const tx = await gateway.acceptPaymentToPayees([PAYEE1, PAYEE2], [3, 7], feeValue, CUSTOMER, 0, 0, { value: value, from: PAYMENT_PROCESSOR_CONTRACT })
+
+        const payee1Balance2 = new BigNumber(web3.eth.getBalance(PAYEE1))
+        const payee2Balance2 = new BigNumber(web3.eth.getBalance(PAYEE2))
+        const vaultBalance2 = new BigNumber(web3.eth.getBalance(VAULT))
+
+        payee1Balance2.minus(payee1Balance1).should.bignumber.equal(income.mul(3).div(10))
+        payee2Balance2.minus(payee2Balance1).should.bignumber.equal(income.mul(7).div(10))
+        vaultBalance2.minus(vaultBalance1).should.bignumber.equal(feeValue)
+
+        const events = tx.logs.filter(e => e.event === "PayeePaidEther")
+        events.length.should.equal(2)
+        events[0].args.payee.should.equal(PAYEE1)
+        events[1].args.payee.should.equal(PAYEE2)
+    })
+
+    it('should split token payment among payees correctly', async () => {
+        const PAYEE1 = accounts[6]
+        const PAYEE2 = accounts[7]
+        const value = new BigNumber('1000')
+        const feeValue = new BigNumber('10')
+        await token.mint(gateway.address, value)
+
+        const tx = await gateway.acceptTokenPaymentToPayees([PAYEE1, PAYEE2], [1, 1], feeValue, token.address, value, CUSTOMER, 0, 0, { from: PAYMENT_PROCESSOR_CONTRACT })
+
+        const events = tx.logs.filter(e => e.event === "PayeePaidToken")
+        events.length.should.equal(2)
+        events[0].args.payeeIncome.should.bignumber.equal(495)
+        events[1].args.payeeIncome.should.bignumber.equal(495)
+    })
+
+    it('should not split payment with zero share', async () => {
+        const value = new BigNumber('1e9')
+
+        await gateway.acceptPaymentToPayees([accounts[6], accounts[7]], [1, 0], 0, CUSTOMER, 0, 0, { value: value, from: PAYMENT_PROCESSOR_CONTRACT }).should.be.rejectedWith(Revert);
+    })
+
+    it('should not limit fee by FEE_PERMILLE, when fee schedule is set', async () => {
+        const scheduledGateway = await MonethaGateway.new(VAULT, ADMIN, MONETHA_VOUCHER_CONTRACT)
+        await scheduledGateway.setMonethaAddress(PAYMENT_PROCESSOR_CONTRACT, true, { from: ADMIN })
+        const value = new BigNumber('1000')
+        const feeValue = new BigNumber('20')
+
+        await scheduledGateway.acceptPayment(MERCHANT, feeValue, CUSTOMER, 0, 0, { value: value, from: PAYMENT_PROCESSOR_CONTRACT })
+            .should.be.rejectedWith(Revert)
+
+        const feeSchedule = await MonethaFeeSchedule.new(10, 2)
+        await scheduledGateway.setMonethaFeeSchedule(feeSchedule.address, { from: OWNER })
+
+        // fee is validated by payment processor, so any Monetha address can pay
+        const vaultBalance1 = new BigNumber(web3.eth.getBalance(VAULT))
+        await scheduledGateway.acceptPayment(MERCHANT, feeValue, CUSTOMER, 0, 0, { value: value, from: PAYMENT_PROCESSOR_CONTRACT })
+        const vaultBalance2 = new BigNumber(web3.eth.getBalance(VAULT))
+        vaultBalance2.minus(vaultBalance1).should.be.bignumber.equal(feeValue)
+
+        await scheduledGateway.acceptPayment(MERCHANT, value.plus(1), CUSTOMER, 0, 0, { value: value, from: PAYMENT_PROCESSOR_CONTRACT })
+            .should.be.rejectedWith(Revert)
+    })
+
+    it('should accept token payment in supported tokens only', async () => {
+        const value = new BigNumber('1000')
+        const feeValue = new BigNumber('10')
+        const otherToken = await Token.new()
+        await token.mint(gateway.address, value)
+        await otherToken.mint(gateway.address, value)
+
+        const supportedTokens = await MonethaSupportedTokens.new()
+        await supportedTokens.setMonethaAddress(OWNER, true)
+        await supportedTokens.addToken("ABC", token.address, 18, 0, 0)
+
+        await gateway.setSupportedTokens(supportedTokens.address, { from: ADMIN }).should.be.rejectedWith(Revert)
+        const tx = await gateway.setSupportedTokens(supportedTokens.address, { from: OWNER })
+        expectEvent.inLogs(tx.logs, 'SupportedTokensChanged', { newSupportedTokens: supportedTokens.address })
+
+        await gateway.acceptTokenPayment(MERCHANT, feeValue, otherToken.address, value, CUSTOMER, 0, 0, { from: PAYMENT_PROCESSOR_CONTRACT })
+            .should.be.rejectedWith(Revert)
+        await gateway.acceptTokenPaymentToPayees([accounts[6]], [1], feeValue, otherToken.address, value, CUSTOMER, 0, 0, { from: PAYMENT_PROCESSOR_CONTRACT })
+            .should.be.rejectedWith(Revert)
+
+        await supportedTokens.updateToken(token.address, false, 0, 0)
+        await gateway.acceptTokenPayment(MERCHANT, feeValue, token.address, value, CUSTOMER, 0, 0, { from: PAYMENT_PROCESSOR_CONTRACT })
+            .should.be.rejectedWith(Revert)
+
+        await supportedTokens.updateToken(token.address, true, 0, 0)
+        await gateway.acceptTokenPayment(MERCHANT, feeValue, token.address, value, CUSTOMER, 0, 0, { from: PAYMENT_PROCESSOR_CONTRACT })
+            .should.be.fulfilled
+
+        await gateway.setSupportedTokens(0x0, { from: OWNER })
+        await gateway.acceptTokenPayment(MERCHANT, feeValue, otherToken.address, value, CUSTOMER, 0, 0, { from: PAYMENT_PROCESSOR_CONTRACT })
+            .should.be.fulfilled
+    })
+
+    it('should credit payments to recipients in pull-payment mode', async () => {
+        const pullGateway = await MonethaGateway.new(VAULT, ADMIN, MONETHA_VOUCHER_CONTRACT)
+        await pullGateway.setMonethaAddress(PAYMENT_PROCESSOR_CONTRACT, true, { from: ADMIN })
+        const merchantWallet = await RejectingReceiver.new()
+        const value = new BigNumber('1000')
+        const feeValue = new BigNumber('15')
+
+        await pullGateway.acceptPayment(merchantWallet.address, feeValue, CUSTOMER, 0, 0, { value: value, from: PAYMENT_PROCESSOR_CONTRACT })
+            .should.be.rejectedWith(Revert)
+
+        await pullGateway.setPullPayments(true, { from: ADMIN }).should.be.rejectedWith(Revert)
+        const modeTx = await pullGateway.setPullPayments(true, { from: OWNER })
+        expectEvent.inLogs(modeTx.logs, 'PullPaymentsChanged', { pullPayments: true })
+
+        const tx = await pullGateway.acceptPayment(merchantWallet.address, feeValue, CUSTOMER, 0, 0, { value: value, from: PAYMENT_PROCESSOR_CONTRACT })
+        const credited = tx.logs.filter(e => e.event === 'PaymentCredited')
+        credited.length.should.equal(2)
+        credited[0].args.recipient.should.equal(merchantWallet.address)
+        credited[0].args.amount.should.be.bignumber.equal(value.sub(feeValue))
+        credited[1].args.recipient.should.equal(VAULT)
+
+        await token.mint(pullGateway.address, value)
+        await pullGateway.acceptTokenPaymentToPayees([MERCHANT, VAULT], [1, 1], feeValue, token.address, value, CUSTOMER, 0, 0, { from: PAYMENT_PROCESSOR_CONTRACT })
+
+        const merchantCredits = await pullGateway.creditsOf(MERCHANT, [0x0, token.address])
+        merchantCredits[0].should.be.bignumber.equal(0)
+        merchantCredits[1].should.be.bignumber.equal(492)
+        const vaultCredit = await pullGateway.credits(VAULT, token.address)
+        vaultCredit.should.be.bignumber.equal(493 + 15)
+        const totalEtherCredits = await pullGateway.totalCredits(0x0)
+        totalEtherCredits.should.be.bignumber.equal(value)
+    })
+
+    it('should withdraw credits in pull-payment mode', async () => {
+        const pullGateway = await MonethaGateway.new(VAULT, ADMIN, MONETHA_VOUCHER_CONTRACT)
+        await pullGateway.setMonethaAddress(PAYMENT_PROCESSOR_CONTRACT, true, { from: ADMIN })
+        await pullGateway.setPullPayments(true, { from: OWNER })
+        const value = new BigNumber('1000')
+        const feeValue = new BigNumber('15')
+
+        await pullGateway.acceptPayment(MERCHANT, feeValue, CUSTOMER, 0, 0, { value: value, from: PAYMENT_PROCESSOR_CONTRACT })
+        await token.mint(pullGateway.address, value)
+        await pullGateway.acceptTokenPayment(MERCHANT, feeValue, token.address, value, CUSTOMER, 0, 0, { from: PAYMENT_PROCESSOR_CONTRACT })
+
+        const beneficiaryBalance1 = new BigNumber(web3.eth.getBalance(CUSTOMER))
+        const tx = await pullGateway.withdrawCredit(0x0, CUSTOMER, { from: MERCHANT })
+        expectEvent.inLogs(tx.logs, 'CreditWithdrawn', { recipient: MERCHANT, beneficiary: CUSTOMER })
+        const beneficiaryBalance2 = new BigNumber(web3.eth.getBalance(CUSTOMER))
+        beneficiaryBalance2.minus(beneficiaryBalance1).should.be.bignumber.equal(value.sub(feeValue))
+
+        await pullGateway.withdrawCredit(0x0, MERCHANT, { from: MERCHANT }).should.be.rejectedWith(Revert)
+
+        // credits stay withdrawable after pull-payment mode is switched off
+        await pullGateway.setPullPayments(false, { from: OWNER })
+        const merchantTokens1 = await token.balanceOf(MERCHANT)
+        await pullGateway.releaseCredit(MERCHANT, token.address, { from: CUSTOMER })
+        const merchantTokens2 = await token.balanceOf(MERCHANT)
+        merchantTokens2.minus(merchantTokens1).should.be.bignumber.equal(value.sub(feeValue))
+
+        const merchantCredit = await pullGateway.credits(MERCHANT, token.address)
+        merchantCredit.should.be.bignumber.equal(0)
+        const totalTokenCredits = await pullGateway.totalCredits(token.address)
+        totalTokenCredits.should.be.bignumber.equal(feeValue)
+    })
+
+    it('should withdraw credits while gateway is paused', async () => {
+        const pullGateway = await MonethaGateway.new(VAULT, ADMIN, MONETHA_VOUCHER_CONTRACT)
+        await pullGateway.setMonethaAddress(PAYMENT_PROCESSOR_CONTRACT, true, { from: ADMIN })
+        await pullGateway.setPullPayments(true, { from: OWNER })
+        const value = new BigNumber('1000')
+        const feeValue = new BigNumber('15')
+
+        await token.mint(pullGateway.address, value)
+        await pullGateway.acceptTokenPayment(MERCHANT, feeValue, token.address, value, CUSTOMER, 0, 0, { from: PAYMENT_PROCESSOR_CONTRACT })
+        await pullGateway.pause({ from: OWNER })
+
+        await token.mint(pullGateway.address, value)
+        await pullGateway.acceptTokenPayment(MERCHANT, feeValue, token.address, value, CUSTOMER, 0, 0, { from: PAYMENT_PROCESSOR_CONTRACT })
+            .should.be.rejectedWith(Revert)
+
+        const merchantTokens1 = await token.balanceOf(MERCHANT)
+        await pullGateway.withdrawCredit(token.address, MERCHANT, { from: MERCHANT })
+        const merchantTokens2 = await token.balanceOf(MERCHANT)
+        merchantTokens2.minus(merchantTokens1).should.be.bignumber.equal(value.sub(feeValue))
+
+        await pullGateway.releaseCredit(VAULT, token.address, { from: CUSTOMER })
+        const vaultCredit = await pullGateway.credits(VAULT, token.address)
+        vaultCredit.should.be.bignumber.equal(0)
+    })
+
+    it('should not credit tokens, which are not received by gateway', async () => {
+        const pullGateway = await MonethaGateway.new(VAULT, ADMIN, MONETHA_VOUCHER_CONTRACT)
+        await pullGateway.setMonethaAddress(PAYMENT_PROCESSOR_CONTRACT, true, { from: ADMIN })
+        await pullGateway.setPullPayments(true, { from: OWNER })
+        const value = new BigNumber('1000')
+        const feeValue = new BigNumber('15')
+
+        await token.mint(pullGateway.address, value.sub(1))
+        await pullGateway.acceptTokenPayment(MERCHANT, feeValue, token.address, value, CUSTOMER, 0, 0, { from: PAYMENT_PROCESSOR_CONTRACT })
+            .should.be.rejectedWith(Revert)
+
+        await token.mint(pullGateway.address, 1)
+        await pullGateway.acceptTokenPayment(MERCHANT, feeValue, token.address, value, CUSTOMER, 0, 0, { from: PAYMENT_PROCESSOR_CONTRACT })
+
+        // received tokens are already reserved by credits
+        await pullGateway.acceptTokenPayment(MERCHANT, feeValue, token.address, value, CUSTOMER, 0, 0, { from: PAYMENT_PROCESSOR_CONTRACT })
+            .should.be.rejectedWith(Revert)
+    })
+
+    it('should not destroy gateway while credits are outstanding', async () => {
+        const pullGateway = await MonethaGateway.new(VAULT, ADMIN, MONETHA_VOUCHER_CONTRACT)
+        await pullGateway.setMonethaAddress(PAYMENT_PROCESSOR_CONTRACT, true, { from: ADMIN })
+        await pullGateway.setPullPayments(true, { from: OWNER })
+        const value = new BigNumber('1000')
+        const feeValue = new BigNumber('15')
+
+        await token.mint(pullGateway.address, value)
+        await pullGateway.acceptTokenPayment(MERCHANT, feeValue, token.address, value, CUSTOMER, 0, 0, { from: PAYMENT_PROCESSOR_CONTRACT })
+        const creditedTokensCount = await pullGateway.creditedTokensCount()
+        creditedTokensCount.should.be.bignumber.equal(1)
+
+        await pullGateway.destroy({ from: OWNER }).should.be.rejectedWith(Revert)
+        await pullGateway.destroyAndSend(OWNER, { from: OWNER }).should.be.rejectedWith(Revert)
+
+        await pullGateway.withdrawCredit(token.address, MERCHANT, { from: MERCHANT })
+        await pullGateway.withdrawCredit(token.address, VAULT, { from: VAULT })
+
+        await pullGateway.destroy({ from: OWNER })
+        const code = web3.eth.getCode(pullGateway.address)
+        code.should.equal('0x')
+    })
+
     it('should not accept payment when contract is paused', async () => {
         const value = new BigNumber('1e9')
         const feeValue = new BigNumber(await gateway.FEE_PERMILLE()).mul(value).div(1000)
@@ -0,0 +1,236 @@
+const {BigNumber, should} = require('./helpers/setup');
+const { MonethaSDK, State, ValidationError, RevertError, decodeRevertReason } = require('../lib/sdk');
+const PaymentProcessor = artifacts.require("PaymentProcessor")
+const PaymentProcessorBatch = artifacts.require("PaymentProcessorBatch")
+const PrivatePaymentProcessor = artifacts.require("PrivatePaymentProcessor")
+const MerchantDealsHistory = artifacts.require("MerchantDealsHistory")
+const MonethaGateway = artifacts.require("MonethaGateway")
+const MerchantWallet = artifacts.require("MerchantWallet")
+const Token = artifacts.require("ERC20Mintable")
+
+contract('MonethaSDK', function (accounts) {
+
+    const PROCESSOR = accounts[1]
+    const CLIENT = accounts[2]
+    const ADMIN = accounts[3]
+    const UNKNOWN = accounts[5]
+    const ORIGIN = accounts[6]
+    const ACCEPTOR = accounts[7]
+    const VAULT = accounts[8]
+    const MERCHANT = accounts[9]
+    const FUND_ADDRESS = accounts[4]
+    const PRICE = 1000
+    const FEE = 15
+    const MONETHA_VOUCHER_CONTRACT = "0x0000000000000000000000000000000000000000"
+
+    const ABIS = {
+        PaymentProcessor: PaymentProcessor.abi,
+        PaymentProcessorBatch: PaymentProcessorBatch.abi,
+        PrivatePaymentProcessor: PrivatePaymentProcessor.abi,
+        MerchantWallet: MerchantWallet.abi,
+        MonethaGateway: MonethaGateway.abi
+    }
+
+    let sdk, processor, batch, privateProcessor, wallet, token
+
+    before(async () => {
+        const gateway = await MonethaGateway.new(VAULT, ADMIN, MONETHA_VOUCHER_CONTRACT)
+        const merchantWallet = await MerchantWallet.new(MERCHANT, "merchantId", FUND_ADDRESS)
+        const history = await MerchantDealsHistory.new("merchantId")
+
+        const paymentProcessor = await PaymentProcessor.new("merchantId", history.address, gateway.address, merchantWallet.address)
+        const privatePaymentProcessor = await PrivatePaymentProcessor.new("merchantId", gateway.address, merchantWallet.address)
+
+        for (const contract of [paymentProcessor, privatePaymentProcessor]) {
+            await contract.setMonethaAddress(PROCESSOR, true)
+            await merchantWallet.setMonethaAddress(contract.address, true)
+            await gateway.setMonethaAddress(contract.address, true, { from: ADMIN })
+        }
+        await history.setMonethaAddress(paymentProcessor.address, true)
+        const paymentProcessorBatch = await PaymentProcessorBatch.new()
+        await paymentProcessor.setMonethaAddress(paymentProcessorBatch.address, true)
+
+        sdk = new MonethaSDK(web3, { from: PROCESSOR, abis: ABIS })
+        processor = sdk.paymentProcessor(paymentProcessor.address)
+        batch = sdk.paymentProcessorBatch(paymentProcessorBatch.address)
+        privateProcessor = sdk.privatePaymentProcessor(privatePaymentProcessor.address)
+        wallet = sdk.merchantWallet(merchantWallet.address)
+
+        token = await Token.new()
+    })
+
+    it('should process ether order', async () => {
+        await processor.addOrder({ orderId: 1, price: PRICE, paymentAcceptor: ACCEPTOR, originAddress: ORIGIN, fee: FEE })
+        await processor.pay(1, { from: ACCEPTOR })
+
+        const fundBalance1 = new BigNumber(web3.eth.getBalance(FUND_ADDRESS))
+        const { events } = await processor.processPayment(1, { clientReputation: 10, merchantReputation: 20, dealHash: 0x1234 })
+        const fundBalance2 = new BigNumber(web3.eth.getBalance(FUND_ADDRESS))
+        fundBalance2.minus(fundBalance1).should.be.bignumber.equal(PRICE - FEE)
+
+        const stateChanged = events.find(e => e.event === 'OrderStateChanged')
+        stateChanged.args.newState.should.be.bignumber.equal(State.Finalized)
+
+        const order = await processor.getOrder(1)
+        order.state.should.equal(State.Finalized)
+        order.stateName.should.equal('Finalized')
+        order.price.should.be.bignumber.equal(PRICE)
+        order.originAddress.should.equal(ORIGIN)
+    })
+
+    it('should approve tokens and refund token order', async () => {
+        await token.mint(ACCEPTOR, PRICE)
+        await processor.addOrder({ orderId: 2, price: PRICE, paymentAcceptor: ACCEPTOR, originAddress: ORIGIN, fee: FEE, tokenAddress: token.address })
+        await processor.pay(2, { from: ACCEPTOR })
+        const paidOrder = await processor.getOrder(2)
+        paidOrder.state.should.equal(State.Paid)
+
+        await processor.refundPayment(2, { clientReputation: 10, merchantReputation: 20, reason: "refund" })
+        await processor.withdrawRefund(2, { from: UNKNOWN })
+
+        const order = await processor.getOrder(2)
+        order.state.should.equal(State.Refunded)
+        const originBalance = await token.balanceOf(ORIGIN)
+        originBalance.should.be.bignumber.equal(PRICE)
+    })
+
+    it('should not send token approvals in dry-run mode', async () => {
+        await token.mint(ACCEPTOR, PRICE)
+        await processor.addOrder({ orderId: 4, price: PRICE, paymentAcceptor: ACCEPTOR, originAddress: ORIGIN, fee: FEE, tokenAddress: token.address })
+
+        const dryRunProcessor = new MonethaSDK(web3, { from: PROCESSOR, dryRun: true, abis: ABIS }).paymentProcessor(processor.address)
+        const result = await dryRunProcessor.pay(4, { from: ACCEPTOR })
+        result.dryRun.should.be.true
+        result.approvals.length.should.equal(1)
+        result.approvals[0].method.should.equal('approve')
+        result.approvals[0].to.should.equal(token.address)
+
+        const allowance = await token.allowance(ACCEPTOR, processor.address)
+        allowance.should.be.bignumber.equal(0)
+        const order = await processor.getOrder(4)
+        order.state.should.equal(State.Created)
+    })
+
+    it('should process and cancel orders in batch', async () => {
+        for (const orderId of [10, 11, 12]) {
+            await processor.addOrder({ orderId, price: PRICE, paymentAcceptor: ACCEPTOR, originAddress: ORIGIN, fee: FEE })
+        }
+        await processor.pay(10, { from: ACCEPTOR })
+
+        const processed = await batch.processPaymentBatch(processor.address, [
+            { orderId: 10, clientReputation: 1, merchantReputation: 2 },
+            { orderId: 11, clientReputation: 1, merchantReputation: 2 }
+        ])
+        processed.skipped.length.should.equal(1)
+        processed.skipped[0].orderId.should.be.bignumber.equal(11)
+        processed.skipped[0].reason.should.equal('InvalidState')
+
+        const cancelled = await batch.cancelOrderBatch(processor.address, [
+            { orderId: 11, clientReputation: 1, merchantReputation: 2, reason: 'expired' },
+            { orderId: 12, clientReputation: 1, merchantReputation: 2, reason: 'ąčę' }
+        ])
+        cancelled.skipped.length.should.equal(0)
+
+        await batch.cancelOrderBatch(processor.address, [
+            { orderId: 12, clientReputation: 1, merchantReputation: 2, reason: 'a reason, which is longer than 32 bytes' }
+        ]).should.be.rejectedWith(ValidationError)
+
+        const order = await processor.getOrder(12)
+        order.state.should.equal(State.Cancelled)
+    })
+
+    it('should not send transactions, which are known to fail', async () => {
+        await processor.addOrder({ orderId: 3, price: PRICE, paymentAcceptor: ACCEPTOR, originAddress: ORIGIN, fee: FEE + 1 })
+            .should.be.rejectedWith(ValidationError)
+        const order = await processor.getOrder(3)
+        order.state.should.equal(State.Null)
+
+        await processor.addOrder({ orderId: 3, price: PRICE, paymentAcceptor: ACCEPTOR, originAddress: ORIGIN, fee: FEE })
+        await processor.processPayment(3, { clientReputation: 10, merchantReputation: 20 })
+            .should.be.rejectedWith(ValidationError, /order 3 is Created, expected Paid/)
+    })
+
+    it('should reject reverted transactions with RevertError', async () => {
+        const err = await processor.addOrder({ orderId: 1, price: PRICE, paymentAcceptor: ACCEPTOR, originAddress: ORIGIN, fee: FEE })
+            .should.be.rejectedWith(RevertError)
+        err.method.should.equal('addOrder')
+    })
+
+    it('should decode revert reason', async () => {
+        const reason = Buffer.from('order is expired').toString('hex')
+        const data = '0x08c379a0' +
+            '0000000000000000000000000000000000000000000000000000000000000020' +
+            '0000000000000000000000000000000000000000000000000000000000000010' +
+            reason + '0'.repeat(64 - reason.length)
+
+        decodeRevertReason(data).should.equal('order is expired')
+        const emptyReason = decodeRevertReason('0x')
+        should.not.exist(emptyReason)
+    })
+
+    it('should pay for private order in tokens and refund it', async () => {
+        await privateProcessor.payForOrder({ orderId: 5, originAddress: ORIGIN, price: PRICE, fee: FEE + 1 }, { from: CLIENT })
+            .should.be.rejectedWith(ValidationError)
+
+        await token.mint(CLIENT, PRICE)
+        const fundBalance1 = await token.balanceOf(FUND_ADDRESS)
+        await privateProcessor.payForOrder({ orderId: 5, originAddress: ORIGIN, price: PRICE, fee: FEE, tokenAddress: token.address }, { from: CLIENT })
+        const fundBalance2 = await token.balanceOf(FUND_ADDRESS)
+        fundBalance2.minus(fundBalance1).should.be.bignumber.equal(PRICE - FEE)
+
+        await token.mint(PROCESSOR, PRICE)
+        await privateProcessor.refundPayment({ orderId: 5, clientAddress: CLIENT, amount: PRICE, tokenAddress: token.address, reason: "refund" })
+        const withdrawal = await privateProcessor.getWithdrawal(5)
+        withdrawal.stateName.should.equal('Pending')
+
+        await privateProcessor.withdrawRefund(5)
+        const withdrawn = await privateProcessor.getWithdrawal(5)
+        withdrawn.stateName.should.equal('Withdrawn')
+        const clientBalance = await token.balanceOf(CLIENT)
+        clientBalance.should.be.bignumber.equal(PRICE)
+    })
+
+    it('should read wallet balance and withdraw', async () => {
+        web3.eth.sendTransaction({ from: UNKNOWN, to: wallet.address, value: PRICE })
+        const balance = await wallet.balance()
+        balance.should.be.bignumber.equal(PRICE)
+
+        await wallet.withdraw(PRICE, UNKNOWN, { from: PROCESSOR }).should.be.rejectedWith(RevertError)
+        const { events } = await wallet.withdraw(PRICE, UNKNOWN, { from: MERCHANT })
+        events.find(e => e.event === 'EtherWithdrawn').args.beneficiary.should.equal(UNKNOWN)
+
+        const profile = await wallet.profile()
+        profile.merchantAccount.should.equal(MERCHANT)
+    })
+
+    it('should read pull-payment credits of gateway', async () => {
+        const gateway = await MonethaGateway.new(VAULT, ADMIN, MONETHA_VOUCHER_CONTRACT)
+        await gateway.setMonethaAddress(PROCESSOR, true, { from: ADMIN })
+        await gateway.setPullPayments(true)
+        await gateway.acceptPayment(MERCHANT, FEE, ORIGIN, 0, 0, { value: PRICE, from: PROCESSOR })
+
+        const client = sdk.monethaGateway(gateway.address)
+        const [merchantCredit] = await client.credits(MERCHANT)
+        merchantCredit.should.be.bignumber.equal(PRICE - FEE)
+        const [vaultCredit, tokenCredit] = await client.credits(VAULT, ['0x0', token.address])
+        vaultCredit.should.be.bignumber.equal(FEE)
+        tokenCredit.should.be.bignumber.equal(0)
+    })
+    it('should withdraw pull-payment credit of gateway', async () => {
+        const gateway = await MonethaGateway.new(VAULT, ADMIN, MONETHA_VOUCHER_CONTRACT)
+        await gateway.setMonethaAddress(PROCESSOR, true, { from: ADMIN })
+        await gateway.setPullPayments(true)
+        await gateway.acceptPayment(MERCHANT, FEE, ORIGIN, 0, 0, { value: PRICE, from: PROCESSOR })
+
+        const client = sdk.monethaGateway(gateway.address)
+        await client.withdrawCredit('0x0', UNKNOWN, { from: ORIGIN }).should.be.rejectedWith(ValidationError)
+
+        const beneficiaryBalance = web3.eth.getBalance(UNKNOWN)
+        const { events } = await client.withdrawCredit('0x0', UNKNOWN, { from: MERCHANT })
+        events.find(e => e.event === 'CreditWithdrawn').args.beneficiary.should.equal(UNKNOWN)
+        web3.eth.getBalance(UNKNOWN).should.be.bignumber.equal(beneficiaryBalance.add(PRICE - FEE))
+
+        const [merchantCredit] = await client.credits(MERCHANT)
+        merchantCredit.should.be.bignumber.equal(0)
+    })
+})
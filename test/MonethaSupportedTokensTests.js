@@ -3,13 +3,20 @@ import log from "./helpers/logger";
 import Revert from "./helpers/VMExceptionRevert";
 
 require('./helpers/setup');
+const expectEvent = require('./helpers/expectEvent');
 
 const MonethaSupportedTokens = artifacts.require("MonethaSupportedTokens");
 
 contract("MonethaSupportedTokens", function (accounts) {
   const token_acronym = "abc";
+  const token_acronym2 = "def";
   const token_address = accounts[2];
   const token_address2 = accounts[3];
+  const token_address3 = accounts[4];
+  const decimals = 18;
+  const min_order_amount = 10;
+  const max_order_amount = 1000;
+  const zero_address = "0x0000000000000000000000000000000000000000";
 
   let monethaSupportedToken;
 
@@ -30,71 +37,118 @@ contract("MonethaSupportedTokens", function (accounts) {
       const tx = await monethaSupportedToken.addToken(
         token_acronym,
         token_address,
+        decimals,
+        min_order_amount,
+        max_order_amount,
         {
           from: accounts[0]
         }
       ).should.be.fulfilled;
 
-      const tokenInfo = await monethaSupportedToken.tokens(1);
+      expectEvent.inLogs(tx.logs, "TokenAdded", { tokenAddress: token_address, decimals: decimals });
 
-      tokenInfo[1].should.be.equal(token_address);
+      const tokenInfo = await monethaSupportedToken.tokens(token_address);
+
+      web3.toUtf8(tokenInfo[0]).should.be.equal(token_acronym);
+      tokenInfo[1].should.be.bignumber.equal(decimals);
+      tokenInfo[2].should.be.true;
+      tokenInfo[3].should.be.bignumber.equal(min_order_amount);
+      tokenInfo[4].should.be.bignumber.equal(max_order_amount);
+
+      (await monethaSupportedToken.tokenAddressByAcronym(token_acronym)).should.be.equal(token_address);
+      (await monethaSupportedToken.isTokenSupported(token_address)).should.be.true;
     });
 
     it("should not add token by other accounts", async function () {
       await monethaSupportedToken
-        .addToken(token_acronym, token_address, {
+        .addToken(token_acronym, token_address, decimals, 0, 0, {
           from: accounts[1]
         })
         .should.be.rejectedWith(Revert);
     });
 
+    it("should not add duplicate token address or acronym", async function () {
+      await monethaSupportedToken.addToken(token_acronym, token_address, decimals, 0, 0);
+
+      await monethaSupportedToken.addToken(token_acronym2, token_address, decimals, 0, 0)
+        .should.be.rejectedWith(Revert);
+      await monethaSupportedToken.addToken(token_acronym, token_address2, decimals, 0, 0)
+        .should.be.rejectedWith(Revert);
+    });
+
+    it("should not add token with invalid order amount limits", async function () {
+      await monethaSupportedToken.addToken(token_acronym, token_address, decimals, max_order_amount, min_order_amount)
+        .should.be.rejectedWith(Revert);
+    });
+
   });
 
-  describe("deleteToken", function () {
-    it("should delete token correctly", async function () {
+  describe("updateToken", function () {
+    it("should disable token and change order amount limits", async function () {
+      await monethaSupportedToken.addToken(token_acronym, token_address, decimals, min_order_amount, max_order_amount);
+      (await monethaSupportedToken.isValidOrderAmount(token_address, min_order_amount - 1)).should.be.false;
+      (await monethaSupportedToken.isValidOrderAmount(token_address, max_order_amount)).should.be.true;
+      (await monethaSupportedToken.isValidOrderAmount(token_address, max_order_amount + 1)).should.be.false;
+
+      let tx = await monethaSupportedToken.updateToken(token_address, true, 0, 0);
+      expectEvent.inLogs(tx.logs, "TokenUpdated", { tokenAddress: token_address, isEnabled: true });
+      (await monethaSupportedToken.isValidOrderAmount(token_address, max_order_amount + 1)).should.be.true;
+
+      tx = await monethaSupportedToken.updateToken(token_address, false, 0, 0);
+      expectEvent.inLogs(tx.logs, "TokenUpdated", { tokenAddress: token_address, isEnabled: false });
+      (await monethaSupportedToken.isTokenSupported(token_address)).should.be.false;
+      (await monethaSupportedToken.isValidOrderAmount(token_address, max_order_amount)).should.be.false;
+    });
 
-      const tx = await monethaSupportedToken.addToken(
-        token_acronym,
-        token_address,
-        {
-          from: accounts[0]
-        }
-      ).should.be.fulfilled;
+    it("should not update unknown token or by other accounts", async function () {
+      await monethaSupportedToken.addToken(token_acronym, token_address, decimals, 0, 0);
 
-      const tokenInfo = await monethaSupportedToken.tokens(1);
+      await monethaSupportedToken.updateToken(token_address2, false, 0, 0)
+        .should.be.rejectedWith(Revert);
+      await monethaSupportedToken.updateToken(token_address, false, 0, 0, { from: accounts[1] })
+        .should.be.rejectedWith(Revert);
+    });
 
-      tokenInfo[1].should.be.equal(token_address);
+  });
 
-      const tx1 = await monethaSupportedToken.addToken(
-        token_acronym,
-        token_address2,
-        {
-          from: accounts[0]
-        }
-      ).should.be.fulfilled;
+  describe("removeToken", function () {
+    it("should remove token correctly", async function () {
 
-      const tokenInfo1 = await monethaSupportedToken.tokens(2);
-      tokenInfo1[1].should.be.equal(token_address2);
+      await monethaSupportedToken.addToken(token_acronym, token_address, decimals, 0, 0).should.be.fulfilled;
+      await monethaSupportedToken.addToken(token_acronym2, token_address2, decimals, 0, 0).should.be.fulfilled;
 
-      const tx2 = await monethaSupportedToken.deleteToken(
-       1,
+      const tx = await monethaSupportedToken.removeToken(
+        token_address,
         {
           from: accounts[0]
         }
       ).should.be.fulfilled;
 
+      expectEvent.inLogs(tx.logs, "TokenRemoved", { tokenAddress: token_address });
 
-      const tokenInfo2 = await monethaSupportedToken.tokens(1);
-      const tokenInfo3 = await monethaSupportedToken.tokens(2);
+      const tokenInfo = await monethaSupportedToken.tokens(token_address);
+      const tokenInfo2 = await monethaSupportedToken.tokens(token_address2);
 
-      tokenInfo2[1].should.be.equal(token_address2);
-      tokenInfo3[1].should.be.equal("0x0000000000000000000000000000000000000000");
+      tokenInfo[5].should.be.bignumber.equal(0);
+      web3.toUtf8(tokenInfo2[0]).should.be.equal(token_acronym2);
+      (await monethaSupportedToken.tokenAddressByAcronym(token_acronym)).should.be.equal(zero_address);
+      (await monethaSupportedToken.isTokenSupported(token_address)).should.be.false;
+      (await monethaSupportedToken.tokensCount()).should.be.bignumber.equal(1);
 
+      await monethaSupportedToken.addToken(token_acronym, token_address, decimals, 0, 0).should.be.fulfilled;
     });
 
-    it("should not delete token by other accounts", async function () {
+    it("should not remove unknown token", async function () {
       await monethaSupportedToken
-        .deleteToken(1, {
+        .removeToken(token_address)
+        .should.be.rejectedWith(Revert);
+    });
+
+    it("should not remove token by other accounts", async function () {
+      await monethaSupportedToken.addToken(token_acronym, token_address, decimals, 0, 0);
+
+      await monethaSupportedToken
+        .removeToken(token_address, {
           from: accounts[1]
         })
         .should.be.rejectedWith(Revert);
@@ -102,23 +156,41 @@ contract("MonethaSupportedTokens", function (accounts) {
 
   });
 
-  describe("getAll", function () {
+  describe("getTokens", function () {
     it("should get all tokens info correctly", async function () {
 
       const tx = await monethaSupportedToken.addToken(
           token_acronym,
           token_address,
+          decimals,
+          0,
+          0,
           {
             from: accounts[0]
           }
         ).should.be.fulfilled;
-  
+
       const tx1 = await monethaSupportedToken.getAll.call();
 
       tx1[0][0].should.be.equal(token_address);
+      web3.toUtf8(tx1[1][0]).should.be.equal(token_acronym);
+    });
+
+    it("should list tokens by pages", async function () {
+      await monethaSupportedToken.addToken(token_acronym, token_address, decimals, 0, 0);
+      await monethaSupportedToken.addToken(token_acronym2, token_address2, decimals, 0, 0);
+      await monethaSupportedToken.addToken("ghi", token_address3, decimals, 0, 0);
+
+      const page1 = await monethaSupportedToken.getTokens(0, 2);
+      page1[0].should.be.deep.equal([token_address, token_address2]);
+
+      const page2 = await monethaSupportedToken.getTokens(2, 2);
+      page2[0].should.be.deep.equal([token_address3]);
+
+      const page3 = await monethaSupportedToken.getTokens(4, 2);
+      page3[0].should.be.deep.equal([]);
     });
 
   });
 
-  
 });
@@ -0,0 +1,151 @@
+require('./helpers/setup');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Manifest } = require('../lib/Deployment');
+const { OperatorCli, parseArgs } = require('../lib/OperatorCli');
+const { MonethaSDK, State, RevertError } = require('../lib/sdk');
+const PaymentProcessor = artifacts.require("PaymentProcessor")
+const MerchantDealsHistory = artifacts.require("MerchantDealsHistory")
+const MonethaGateway = artifacts.require("MonethaGateway")
+const MerchantWallet = artifacts.require("MerchantWallet")
+const MonethaSupportedTokens = artifacts.require("MonethaSupportedTokens")
+const Token = artifacts.require("ERC20Mintable")
+
+contract('OperatorCli', function (accounts) {
+
+    const OWNER = accounts[0]
+    const OPERATOR = accounts[1]
+    const ADMIN = accounts[3]
+    const UNKNOWN = accounts[5]
+    const ORIGIN = accounts[6]
+    const ACCEPTOR = accounts[7]
+    const VAULT = accounts[8]
+    const MERCHANT = accounts[9]
+    const FUND_ADDRESS = accounts[4]
+    const PRICE = 1000
+    const FEE = 15
+    const MONETHA_VOUCHER_CONTRACT = "0x0000000000000000000000000000000000000000"
+
+    let cli, sdk, processor, wallet, registry, token
+
+    before(async () => {
+        const gateway = await MonethaGateway.new(VAULT, ADMIN, MONETHA_VOUCHER_CONTRACT)
+        wallet = await MerchantWallet.new(MERCHANT, "merchantId", FUND_ADDRESS)
+        const history = await MerchantDealsHistory.new("merchantId")
+        processor = await PaymentProcessor.new("merchantId", history.address, gateway.address, wallet.address)
+
+        await processor.setMonethaAddress(OPERATOR, true)
+        await wallet.setMonethaAddress(processor.address, true)
+        await history.setMonethaAddress(processor.address, true)
+        await gateway.setMonethaAddress(processor.address, true, { from: ADMIN })
+
+        registry = await MonethaSupportedTokens.new()
+        await registry.setMonethaAddress(OWNER, true)
+        token = await Token.new()
+
+        const manifest = new Manifest('test', fs.mkdtempSync(path.join(os.tmpdir(), 'deployments-')))
+        manifest.set('MonethaGateway', gateway.address)
+        manifest.set('MonethaSupportedTokens', registry.address)
+        manifest.setMerchant('merchantId', {
+            merchantWallet: wallet.address,
+            merchantHistory: history.address,
+            paymentProcessor: processor.address
+        })
+
+        const abis = {
+            PaymentProcessor: PaymentProcessor.abi,
+            MerchantDealsHistory: MerchantDealsHistory.abi,
+            MonethaGateway: MonethaGateway.abi,
+            MerchantWallet: MerchantWallet.abi,
+            MonethaSupportedTokens: MonethaSupportedTokens.abi
+        }
+        cli = new OperatorCli(web3, { manifest, from: OPERATOR, abis })
+        sdk = new MonethaSDK(web3, { from: OPERATOR, abis })
+    })
+
+    it('should parse positional arguments, options and flags', () => {
+        const { args, options } = parseArgs(['order', 'show', '1', '--merchant', 'merchantId', '--dryRun'])
+
+        args.should.deep.equal(['order', 'show', '1'])
+        options.should.deep.equal({ merchant: 'merchantId', dryRun: true })
+    })
+
+    it('should show and process order of the merchant', async () => {
+        const client = sdk.paymentProcessor(processor.address)
+        await client.addOrder({ orderId: 1, price: PRICE, paymentAcceptor: ACCEPTOR, originAddress: ORIGIN, fee: FEE })
+        await client.pay(1, { from: ACCEPTOR })
+
+        const order = await cli.run(['order', 'show', '1', '--merchant', 'merchantId'])
+        order.stateName.should.equal('Paid')
+        order.price.should.be.bignumber.equal(PRICE)
+
+        const { events } = await cli.run(['order', 'process', '1', '--merchant', 'merchantId',
+            '--clientReputation', '10', '--merchantReputation', '20'])
+        events.find(e => e.event === 'OrderStateChanged').args.newState.should.be.bignumber.equal(State.Finalized)
+    })
+
+    it('should print encoded transaction with estimated gas in dry-run mode', async () => {
+        const client = sdk.paymentProcessor(processor.address)
+        await client.addOrder({ orderId: 2, price: PRICE, paymentAcceptor: ACCEPTOR, originAddress: ORIGIN, fee: FEE })
+
+        const result = await cli.run(['order', 'cancel', '2', '--merchant', 'merchantId',
+            '--clientReputation', '10', '--merchantReputation', '20', '--reason', 'cancel', '--dryRun'])
+
+        result.dryRun.should.be.true
+        result.transaction.from.should.equal(OPERATOR)
+        result.transaction.to.should.equal(processor.address)
+        result.transaction.data.should.equal(processor.contract.cancelOrder.getData(2, 10, 20, 0, 'cancel'))
+        result.transaction.estimatedGas.should.be.above(0)
+
+        const order = await client.getOrder(2)
+        order.state.should.equal(State.Created)
+    })
+
+    it('should pause and unpause processor', async () => {
+        await cli.run(['processor', 'pause', '--merchant', 'merchantId']).should.be.rejectedWith(RevertError)
+
+        await cli.run(['processor', 'pause', '--at', processor.address, '--from', OWNER])
+        const paused = await cli.run(['processor', 'show', '--merchant', 'merchantId'])
+        paused.paused.should.be.true
+
+        await cli.run(['processor', 'unpause', '--merchant', 'merchantId', '--from', OWNER])
+        const unpaused = await processor.paused()
+        unpaused.should.be.false
+    })
+
+    it('should manage supported tokens and show wallet balances', async () => {
+        await cli.run(['tokens', 'add', 'ABC', token.address, '18', '--maxOrderAmount', '5000', '--from', OWNER])
+        await cli.run(['tokens', 'update', token.address, 'false', '--from', OWNER])
+
+        const tokens = await cli.run(['tokens', 'list'])
+        tokens.length.should.equal(1)
+        tokens[0].acronym.should.equal('ABC')
+        tokens[0].isEnabled.should.be.false
+        tokens[0].maxOrderAmount.should.be.bignumber.equal(5000)
+
+        await token.mint(wallet.address, PRICE)
+        const walletInfo = await cli.run(['wallet', 'show', '--merchant', 'merchantId'])
+        walletInfo.tokens.ABC.balance.should.be.bignumber.equal(PRICE)
+        walletInfo.profile.merchantAccount.should.equal(MERCHANT)
+
+        await cli.run(['tokens', 'remove', token.address, '--from', OWNER])
+        const empty = await cli.run(['tokens', 'list'])
+        empty.length.should.equal(0)
+    })
+
+    it('should set Monetha address of contract', async () => {
+        await cli.run(['monetha-address', 'set', 'PaymentProcessor', UNKNOWN, 'true', '--merchant', 'merchantId', '--from', OWNER])
+        const shown = await cli.run(['monetha-address', 'show', 'PaymentProcessor', UNKNOWN, '--merchant', 'merchantId'])
+        shown.isMonethaAddress.should.be.true
+
+        await cli.run(['monetha-address', 'set', 'MonethaGateway', UNKNOWN, 'true', '--from', ADMIN])
+        const isMonetha = await cli.run(['monetha-address', 'show', 'MonethaGateway', UNKNOWN])
+        isMonetha.isMonethaAddress.should.be.true
+    })
+
+    it('should reject unknown commands and contracts', async () => {
+        await cli.run(['orders', 'show']).should.be.rejectedWith(/unknown command "orders"/)
+        await cli.run(['wallet', 'show', '--merchant', 'unknown']).should.be.rejectedWith(/merchant "unknown" is not found/)
+    })
+})
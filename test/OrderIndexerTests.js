@@ -0,0 +1,98 @@
+import { advanceBlock } from "./helpers/advanceToBlock";
+const {BigNumber} = require('./helpers/setup');
+const { OrderIndexer, State } = require('../lib/OrderIndexer');
+const PaymentProcessor = artifacts.require("PaymentProcessor")
+const MerchantDealsHistory = artifacts.require("MerchantDealsHistory")
+const MonethaGateway = artifacts.require("MonethaGateway")
+const MerchantWallet = artifacts.require("MerchantWallet")
+
+contract('OrderIndexer', function (accounts) {
+
+    const ADMIN = accounts[3]
+    const PROCESSOR = accounts[1]
+    const ORIGIN = accounts[6]
+    const ACCEPTOR = accounts[7]
+    const VAULT = accounts[8]
+    const MERCHANT = accounts[9]
+    const FUND_ADDRESS = accounts[2]
+    const TOKEN_ADDRESS = "0x0000000000000000000000000000000000000000"
+    const MONETHA_VOUCHER_CONTRACT = "0x0000000000000000000000000000000000000000"
+    const PRICE = 1000
+    const FEE = 15
+    const ORDER_ID = 123
+    const ORDER_ID2 = 456
+    const ORDER_ID3 = 789
+
+    let processor, fromBlock
+
+    before(async () => {
+        const gateway = await MonethaGateway.new(VAULT, ADMIN, MONETHA_VOUCHER_CONTRACT)
+        const wallet = await MerchantWallet.new(MERCHANT, "merchantId", FUND_ADDRESS)
+        const history = await MerchantDealsHistory.new("merchantId")
+
+        processor = await PaymentProcessor.new(
+            "merchantId",
+            history.address,
+            gateway.address,
+            wallet.address
+        )
+        fromBlock = web3.eth.getTransactionReceipt(processor.transactionHash).blockNumber
+
+        await processor.setMonethaAddress(PROCESSOR, true)
+        await gateway.setMonethaAddress(processor.address, true, { from: ADMIN })
+        await wallet.setMonethaAddress(processor.address, true)
+        await history.setMonethaAddress(processor.address, true)
+    })
+
+    it('should index created and paid orders', async () => {
+        await processor.addOrder(ORDER_ID, PRICE, ACCEPTOR, ORIGIN, FEE, TOKEN_ADDRESS, 0, { from: PROCESSOR })
+        await processor.addOrder(ORDER_ID2, PRICE, ACCEPTOR, ORIGIN, FEE, TOKEN_ADDRESS, 0, { from: PROCESSOR })
+        await processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+
+        const indexer = new OrderIndexer(web3, PaymentProcessor.abi, processor.address, { fromBlock })
+        await indexer.sync()
+
+        const order = indexer.getOrder(ORDER_ID)
+        order.state.should.equal(State.Paid)
+        order.originAddress.should.equal(ORIGIN)
+        order.paymentAcceptor.should.equal(ACCEPTOR)
+        order.tokenAddress.should.equal(TOKEN_ADDRESS)
+        order.price.should.be.bignumber.equal(PRICE)
+        order.fee.should.be.bignumber.equal(FEE)
+        order.history.map(h => h.state).should.deep.equal([State.Created, State.Paid])
+
+        indexer.getOrder(ORDER_ID2).state.should.equal(State.Created)
+        indexer.getOrdersByState(State.Paid).map(o => o.orderId).should.deep.equal([ORDER_ID.toString()])
+    })
+
+    it('should apply only new events on subsequent syncs', async () => {
+        const indexer = new OrderIndexer(web3, PaymentProcessor.abi, processor.address, { fromBlock })
+        await indexer.sync()
+
+        await processor.cancelOrder(ORDER_ID2, 1234, 1234, 0, "cancel from test", { from: PROCESSOR })
+        await processor.addOrder(ORDER_ID3, PRICE, ACCEPTOR, ORIGIN, FEE, TOKEN_ADDRESS, 0, { from: PROCESSOR })
+
+        const count = await indexer.sync()
+
+        count.should.equal(3)
+        indexer.getOrder(ORDER_ID2).state.should.equal(State.Cancelled)
+        indexer.getOrder(ORDER_ID3).state.should.equal(State.Created)
+        indexer.getOrder(ORDER_ID3).history.length.should.equal(1)
+    })
+
+    it('should return orders which are in the state for at least N blocks', async () => {
+        const indexer = new OrderIndexer(web3, PaymentProcessor.abi, processor.address, { fromBlock })
+        await processor.securePay(ORDER_ID3, { from: ACCEPTOR, value: PRICE })
+        await indexer.sync()
+
+        const paidBlock = indexer.getOrder(ORDER_ID3).stateBlock
+        const currentBlock = web3.eth.blockNumber
+        let stale = await indexer.getOrdersOlderThan(State.Paid, currentBlock - paidBlock + 1)
+        stale.map(o => o.orderId).should.deep.equal([ORDER_ID.toString()])
+
+        await advanceBlock()
+
+        stale = await indexer.getOrdersOlderThan(State.Paid, currentBlock - paidBlock + 1)
+        stale.map(o => o.orderId).should.deep.equal([ORDER_ID.toString(), ORDER_ID3.toString()])
+    })
+})
@@ -0,0 +1,258 @@
+import Revert from "./helpers/VMExceptionRevert";
+const {BigNumber} = require('./helpers/setup');
+const PaymentProcessor = artifacts.require("PaymentProcessor")
+const PaymentProcessorBatch = artifacts.require("PaymentProcessorBatch")
+const MerchantDealsHistory = artifacts.require("MerchantDealsHistory")
+const MonethaGateway = artifacts.require("MonethaGateway")
+const MerchantWallet = artifacts.require("MerchantWallet")
+const Token = artifacts.require("ERC20Mintable")
+const MonethaFeeSchedule = artifacts.require("MonethaFeeSchedule")
+const MonethaSupportedTokens = artifacts.require("MonethaSupportedTokens")
+
+contract('PaymentProcessorBatch', function (accounts) {
+
+    const State = {
+        Null: 0,
+        Created: 1,
+        Paid: 2,
+        Finalized: 3,
+        Refunding: 4,
+        Refunded: 5,
+        Cancelled: 6,
+        Expired: 7,
+        Disputed: 8
+    }
+
+    const SkipReason = {
+        InvalidState: 0,
+        EmptyReason: 1,
+        UnsupportedToken: 2,
+        Failed: 3
+    }
+
+    const OWNER = accounts[0]
+    const PROCESSOR = accounts[1]
+    const ADMIN = accounts[3]
+    const UNKNOWN = accounts[5]
+    const ORIGIN = accounts[6]
+    const ACCEPTOR = accounts[7]
+    const VAULT = accounts[8]
+    const MERCHANT = accounts[9]
+    const FUND_ADDRESS = accounts[2]
+    const ETHER = "0x0000000000000000000000000000000000000000"
+    const PRICE = 1000
+    const FEE = 15
+    const MONETHA_VOUCHER_CONTRACT = "0x0000000000000000000000000000000000000000"
+    const NO_REASON = "0x" + "0".repeat(64)
+
+    let batch, token
+
+    before(async () => {
+        batch = await PaymentProcessorBatch.new()
+        token = await Token.new()
+    })
+
+    it('should process payments in batch with one transfer per token', async () => {
+        const { processor, wallet } = await setupNew()
+        await payOrder(processor, 1, ETHER)
+        await payOrder(processor, 2, token.address)
+        await payOrder(processor, 3, token.address)
+        await processor.addOrder(4, PRICE, ACCEPTOR, ORIGIN, FEE, ETHER, 0, { from: PROCESSOR })
+
+        const etherBalance1 = new BigNumber(web3.eth.getBalance(FUND_ADDRESS))
+        const tokenBalance1 = await token.balanceOf(FUND_ADDRESS)
+
+        const processed = await batch.processPaymentBatch.call(processor.address, [1, 2, 3, 4], [1, 2, 3, 4], [5, 6, 7, 8], [0, 0, 0, 0], { from: PROCESSOR })
+        processed.should.be.bignumber.equal(3)
+        const tx = await batch.processPaymentBatch(processor.address, [1, 2, 3, 4, 1], [1, 2, 3, 4, 5], [5, 6, 7, 8, 9], [0, 0, 0, 0, 0], { from: PROCESSOR })
+
+        skippedOrders(tx.logs).should.deep.equal([[4, SkipReason.InvalidState], [1, SkipReason.InvalidState]])
+        await checkState(processor, 1, State.Finalized)
+        await checkState(processor, 2, State.Finalized)
+        await checkState(processor, 3, State.Finalized)
+        await checkState(processor, 4, State.Created)
+
+        const etherBalance2 = new BigNumber(web3.eth.getBalance(FUND_ADDRESS))
+        etherBalance2.minus(etherBalance1).should.be.bignumber.equal(PRICE - FEE)
+        const tokenBalance2 = await token.balanceOf(FUND_ADDRESS)
+        tokenBalance2.minus(tokenBalance1).should.be.bignumber.equal(2 * (PRICE - FEE))
+
+        const transfers = logsOf(tx, "Transfer(address,address,uint256)")
+            .filter(log => log.topics[1] === '0x' + processor.address.substr(2).padStart(64, '0'))
+        transfers.length.should.equal(1)
+        new BigNumber(transfers[0].data).should.be.bignumber.equal(2 * PRICE)
+        logsOf(tx, "PaymentProcessedToken(address,address,uint256,uint256)").length.should.equal(1)
+
+        const merchantReputation = await wallet.compositeReputation("total")
+        merchantReputation.should.be.bignumber.equal(7)
+    })
+
+    it('should process orders with payees one by one', async () => {
+        const { processor } = await setupNew()
+        await processor.addOrder(1, PRICE, ACCEPTOR, ORIGIN, FEE, ETHER, 0, { from: PROCESSOR })
+        await processor.setOrderPayees(1, [MERCHANT, FUND_ADDRESS], [1, 1], { from: PROCESSOR })
+        await processor.securePay(1, { from: ACCEPTOR, value: PRICE })
+        await payOrder(processor, 2, ETHER)
+
+        const tx = await batch.processPaymentBatch(processor.address, [1, 2], [1, 2], [3, 4], [0, 0], { from: PROCESSOR })
+
+        skippedOrders(tx.logs).should.deep.equal([])
+        await checkState(processor, 1, State.Finalized)
+        await checkState(processor, 2, State.Finalized)
+        logsOf(tx, "PaymentProcessedEther(address,uint256,uint256)").length.should.equal(1)
+    })
+
+    it('should skip orders in tokens, which are not accepted by gateway, in batch', async () => {
+        const { processor, gateway } = await setupNew()
+        await payOrder(processor, 1, ETHER)
+        await payOrder(processor, 2, token.address)
+
+        const supportedTokens = await MonethaSupportedTokens.new()
+        await gateway.setSupportedTokens(supportedTokens.address)
+        const tx = await batch.processPaymentBatch(processor.address, [2, 1], [1, 1], [1, 1], [0, 0], { from: PROCESSOR })
+
+        skippedOrders(tx.logs).should.deep.equal([[2, SkipReason.UnsupportedToken]])
+        await checkState(processor, 1, State.Finalized)
+        await checkState(processor, 2, State.Paid)
+        const processorBalance = await token.balanceOf(processor.address)
+        processorBalance.should.be.bignumber.equal(PRICE)
+    })
+
+    it('should process orders one by one, when their group is rejected by gateway', async () => {
+        const { processor, wallet } = await setupNew()
+        await payOrder(processor, 1, ETHER)
+        await payOrder(processor, 2, ETHER, 10)
+
+        // gateway without fee schedule rejects orders with fee above FEE_PERMILLE, which fee schedule of processor allows
+        const feeSchedule = await MonethaFeeSchedule.new(20, 2)
+        await processor.setMonethaFeeSchedule(feeSchedule.address, { from: OWNER })
+        await payOrder(processor, 3, token.address, 20)
+        await payOrder(processor, 4, token.address)
+
+        const fundBalance1 = new BigNumber(web3.eth.getBalance(FUND_ADDRESS))
+        const tokenBalance1 = await token.balanceOf(FUND_ADDRESS)
+        const tx = await batch.processPaymentBatch(processor.address, [1, 2, 3, 4], [1, 2, 3, 4], [5, 6, 7, 8], [0, 0, 0, 0], { from: PROCESSOR })
+
+        skippedOrders(tx.logs).should.deep.equal([[3, SkipReason.Failed]])
+        await checkState(processor, 1, State.Finalized)
+        await checkState(processor, 2, State.Finalized)
+        await checkState(processor, 3, State.Paid)
+        await checkState(processor, 4, State.Finalized)
+
+        const fundBalance2 = new BigNumber(web3.eth.getBalance(FUND_ADDRESS))
+        fundBalance2.minus(fundBalance1).should.be.bignumber.equal(2 * PRICE - FEE - 10)
+        const tokenBalance2 = await token.balanceOf(FUND_ADDRESS)
+        tokenBalance2.minus(tokenBalance1).should.be.bignumber.equal(PRICE - FEE)
+        const processorBalance = await token.balanceOf(processor.address)
+        processorBalance.should.be.bignumber.equal(PRICE)
+        const merchantReputation = await wallet.compositeReputation("total")
+        merchantReputation.should.be.bignumber.equal(8)
+    })
+
+    it('should cancel and refund orders in batch with reason codes', async () => {
+        const { processor, history } = await setupNew()
+        await processor.addOrder(1, PRICE, ACCEPTOR, ORIGIN, FEE, ETHER, 0, { from: PROCESSOR })
+        await payOrder(processor, 2, ETHER)
+        await processor.addOrder(3, PRICE, ACCEPTOR, ORIGIN, FEE, ETHER, 0, { from: PROCESSOR })
+
+        const cancelTx = await batch.cancelOrderBatch(
+            processor.address, [1, 2, 3], [1, 2, 3], [4, 5, 6], [0x12, 0x34, 0x56], [reason("out of stock"), reason("paid"), NO_REASON], { from: PROCESSOR })
+        skippedOrders(cancelTx.logs).should.deep.equal([[2, SkipReason.InvalidState], [3, SkipReason.EmptyReason]])
+        await checkState(processor, 1, State.Cancelled)
+        await checkState(processor, 3, State.Created)
+
+        const cancellations = await eventsOf(history.DealCancelationReason, cancelTx)
+        cancellations.map(e => e.args.cancelReason).should.deep.equal(["out of stock"])
+
+        const refundTx = await batch.refundPaymentBatch(
+            processor.address, [2, 1], [1, 2], [3, 4], [0, 0], [reason("refund"), reason("again")], { from: PROCESSOR })
+        skippedOrders(refundTx.logs).should.deep.equal([[1, SkipReason.InvalidState]])
+        await checkState(processor, 2, State.Refunding)
+        const order = await processor.orders(2)
+        order[9].should.be.bignumber.equal(PRICE)
+
+        const refunds = await eventsOf(history.DealRefundReason, refundTx)
+        refunds.map(e => e.args.refundReason).should.deep.equal(["refund"])
+    })
+
+    it('should skip orders of processor, which batch is not registered in', async () => {
+        const { processor } = await setupNew()
+        await processor.setMonethaAddress(batch.address, false)
+        await payOrder(processor, 1, ETHER)
+        await payOrder(processor, 2, ETHER)
+
+        const tx = await batch.processPaymentBatch(processor.address, [1, 2], [1, 1], [1, 1], [0, 0], { from: PROCESSOR })
+
+        skippedOrders(tx.logs).should.deep.equal([[1, SkipReason.Failed], [2, SkipReason.Failed]])
+        await checkState(processor, 1, State.Paid)
+        await checkState(processor, 2, State.Paid)
+    })
+
+    it('should not accept malformed batches or batches from other accounts', async () => {
+        const { processor } = await setupNew()
+        await processor.addOrder(1, PRICE, ACCEPTOR, ORIGIN, FEE, ETHER, 0, { from: PROCESSOR })
+
+        await batch.cancelOrderBatch(processor.address, [1], [1], [1], [0], [reason("cancel")], { from: UNKNOWN })
+            .should.be.rejectedWith(Revert)
+        await batch.cancelOrderBatch(processor.address, [1], [1], [1], [0, 0], [reason("cancel")], { from: PROCESSOR })
+            .should.be.rejectedWith(Revert)
+        await batch.cancelOrderBatch(processor.address, [1], [1], [1], [0], [reason("cancel"), reason("cancel")], { from: PROCESSOR })
+            .should.be.rejectedWith(Revert)
+        await batch.refundPaymentBatch(processor.address, [1], [1], [1], [0], [], { from: PROCESSOR })
+            .should.be.rejectedWith(Revert)
+        await batch.processPaymentBatch(processor.address, [1], [1, 2], [1], [0], { from: PROCESSOR })
+            .should.be.rejectedWith(Revert)
+
+        await checkState(processor, 1, State.Created)
+    })
+
+    function reason(text) {
+        return web3.fromAscii(text).padEnd(66, "0")
+    }
+
+    function skippedOrders(logs) {
+        return logs.filter(e => e.event === 'OrderSkipped').map(e => [e.args.orderId.toNumber(), e.args.reason.toNumber()])
+    }
+
+    function logsOf(tx, signature) {
+        return tx.receipt.logs.filter(log => log.topics[0] === web3.sha3(signature))
+    }
+
+    function eventsOf(event, tx) {
+        return new Promise((resolve, reject) => {
+            event({}, { fromBlock: tx.receipt.blockNumber, toBlock: tx.receipt.blockNumber })
+                .get((err, res) => err ? reject(err) : resolve(res))
+        })
+    }
+
+    async function payOrder(processor, orderId, tokenAddress, fee = FEE) {
+        await processor.addOrder(orderId, PRICE, ACCEPTOR, ORIGIN, fee, tokenAddress, 0, { from: PROCESSOR })
+        if (tokenAddress === ETHER) {
+            await processor.securePay(orderId, { from: ACCEPTOR, value: PRICE })
+        } else {
+            await token.mint(ACCEPTOR, PRICE)
+            await token.approve(processor.address, PRICE, { from: ACCEPTOR })
+            await processor.secureTokenPay(orderId, { from: ACCEPTOR })
+        }
+    }
+
+    async function checkState(processor, orderId, expected) {
+        const order = await processor.orders(orderId)
+        new BigNumber(order[0]).should.be.bignumber.equal(expected)
+    }
+
+    async function setupNew() {
+        const gateway = await MonethaGateway.new(VAULT, ADMIN, MONETHA_VOUCHER_CONTRACT)
+        const wallet = await MerchantWallet.new(MERCHANT, "merchantId", FUND_ADDRESS)
+        const history = await MerchantDealsHistory.new("merchantId")
+        const processor = await PaymentProcessor.new("merchantId", history.address, gateway.address, wallet.address)
+
+        await processor.setMonethaAddress(PROCESSOR, true)
+        await processor.setMonethaAddress(batch.address, true)
+        await gateway.setMonethaAddress(processor.address, true, { from: ADMIN })
+        await wallet.setMonethaAddress(processor.address, true)
+        await history.setMonethaAddress(processor.address, true)
+
+        return { processor, wallet, history, gateway }
+    }
+})
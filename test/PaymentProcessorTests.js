@@ -1,10 +1,17 @@
 import Revert from "./helpers/VMExceptionRevert";
+import increaseTimeAndMine from "./helpers/increaseTime";
+const expectEvent = require('./helpers/expectEvent');
+const SignedOrder = require('../lib/SignedOrder');
 const {BigNumber} = require('./helpers/setup');
 const PaymentProcessor = artifacts.require("PaymentProcessor")
 const MerchantDealsHistory = artifacts.require("MerchantDealsHistory")
 const MonethaGateway = artifacts.require("MonethaGateway")
 const MerchantWallet = artifacts.require("MerchantWallet")
 const Token = artifacts.require("ERC20Mintable")
+const MonethaVoucher = artifacts.require("MonethaVoucherMock")
+const MonethaFeeSchedule = artifacts.require("MonethaFeeSchedule")
+const ClientReputation = artifacts.require("ClientReputation")
+const MonethaSupportedTokens = artifacts.require("MonethaSupportedTokens")
 let merchantId;
 
 contract('PaymentProcessor', function (accounts) {
@@ -16,7 +23,9 @@ contract('PaymentProcessor', function (accounts) {
         Finalized: 3,
         Refunding: 4,
         Refunded: 5,
-        Cancelled: 6
+        Cancelled: 6,
+        Expired: 7,
+        Disputed: 8
     }
 
     const OWNER = accounts[0]
@@ -30,6 +39,7 @@ contract('PaymentProcessor', function (accounts) {
     const VAULT = accounts[8]
     const MERCHANT = accounts[9]
     const FUND_ADDRESS = accounts[2]
+    const ARBITER = accounts[3]
     var TOKEN_ADDRESS = "0x0000000000000000000000000000000000000000"
     const PRICE = 1000
     const FEE = 15
@@ -285,6 +295,428 @@ contract('PaymentProcessor', function (accounts) {
         await processor.addOrder(ORDER_ID, PRICE, ACCEPTOR, ORIGIN, FEE, TOKEN_ADDRESS, VOUCHERS_APPLY, { from: PROCESSOR }).should.be.rejected
     })
 
+    it('should set settlement deadline on payment', async () => {
+        const created = await setupNewWithOrder()
+        const period = new BigNumber(await created.processor.settlementPeriod())
+
+        await created.processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+
+        const now = new BigNumber(web3.eth.getBlock(web3.eth.blockNumber).timestamp)
+        const order = await created.processor.orders(ORDER_ID)
+        new BigNumber(order[8]).should.bignumber.equal(now.add(period))
+    })
+
+    it('should not allow to withdraw expired refund before settlement deadline', async () => {
+        const created = await setupNewWithOrder()
+        await created.processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+
+        await created.processor.withdrawExpiredRefund(ORDER_ID, { from: ORIGIN }).should.be.rejectedWith(Revert)
+    })
+
+    it('should not allow to withdraw expired refund by other accounts', async () => {
+        const created = await setupNewWithOrder()
+        await created.processor.setSettlementPeriod(1, { from: OWNER })
+        await created.processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+        await increaseTimeAndMine(2)
+
+        await created.processor.withdrawExpiredRefund(ORDER_ID, { from: UNKNOWN }).should.be.rejectedWith(Revert)
+    })
+
+    it('should withdraw expired refund correctly, even when contract is paused', async () => {
+        const created = await setupNewWithOrder()
+        const processor = created.processor
+        await processor.setSettlementPeriod(1, { from: OWNER })
+        await processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+        await increaseTimeAndMine(2)
+        await processor.pause({ from: OWNER })
+
+        const processorBalance1 = new BigNumber(web3.eth.getBalance(processor.address))
+
+        await processor.withdrawExpiredRefund(ORDER_ID, { from: ORIGIN, gasPrice: 0 })
+
+        const processorBalance2 = new BigNumber(web3.eth.getBalance(processor.address))
+        processorBalance1.minus(processorBalance2).should.bignumber.equal(PRICE)
+
+        await checkState(processor, ORDER_ID, State.Expired)
+        await processor.unpause({ from: OWNER })
+        await processor.processPayment(ORDER_ID, 1, 1, 0x1234, { from: PROCESSOR }).should.be.rejectedWith(Revert)
+    })
+
+    it('should withdraw expired token refund correctly', async () => {
+        const created = await setupNewWithOrder()
+        const processor = created.processor
+        await processor.setSettlementPeriod(1, { from: OWNER })
+        await processor.addOrder(ORDER_ID2, PRICE, ACCEPTOR, ORIGIN, FEE, token.address, VOUCHERS_APPLY, { from: PROCESSOR })
+        await token.mint(ACCEPTOR, PRICE)
+        await token.approve(processor.address, PRICE, { from: ACCEPTOR })
+        await processor.secureTokenPay(ORDER_ID2, { from: ACCEPTOR })
+
+        await processor.withdrawExpiredRefund(ORDER_ID2, { from: ORIGIN }).should.be.rejectedWith(Revert)
+        await increaseTimeAndMine(2)
+
+        const clientBalance1 = await token.balanceOf(ORIGIN)
+
+        await processor.withdrawExpiredTokenRefund(ORDER_ID2, { from: ORIGIN })
+
+        const clientBalance2 = await token.balanceOf(ORIGIN)
+        clientBalance2.minus(clientBalance1).should.bignumber.equal(PRICE)
+
+        await checkState(processor, ORDER_ID2, State.Expired)
+    })
+
+    it('should not set settlement period by other accounts', async () => {
+        await processor.setSettlementPeriod(1, { from: UNKNOWN }).should.be.rejectedWith(Revert)
+    })
+
+    it('should process partial payment correctly', async () => {
+        const refundAmount = 400
+        const settledAmount = PRICE - refundAmount
+        const settledFee = FEE * settledAmount / PRICE
+
+        const created = await setupNewWithOrder()
+        const processor = created.processor
+        await processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+
+        const vaultBalance1 = new BigNumber(web3.eth.getBalance(VAULT))
+        const fundBalance1 = new BigNumber(web3.eth.getBalance(FUND_ADDRESS))
+
+        const tx = await processor.processPartialPayment(
+            ORDER_ID,
+            refundAmount,
+            1,
+            1,
+            0x1234,
+            "partially shipped",
+            { from: PROCESSOR }
+        )
+
+        const vaultBalance2 = new BigNumber(web3.eth.getBalance(VAULT))
+        const fundBalance2 = new BigNumber(web3.eth.getBalance(FUND_ADDRESS))
+        vaultBalance2.minus(vaultBalance1).should.bignumber.equal(settledFee)
+        fundBalance2.minus(fundBalance1).should.bignumber.equal(settledAmount - settledFee)
+
+        const processorBalance = new BigNumber(web3.eth.getBalance(processor.address))
+        processorBalance.should.bignumber.equal(refundAmount)
+
+        const event = created.history.DealPartialRefund({}, { fromBlock: tx.receipt.blockNumber, toBlock: tx.receipt.blockNumber })
+        const logs = await new Promise((resolve, reject) => event.get((err, res) => err ? reject(err) : resolve(res)))
+        logs.length.should.equal(1)
+        logs[0].args.settledAmount.should.bignumber.equal(settledAmount)
+        logs[0].args.refundedAmount.should.bignumber.equal(refundAmount)
+
+        await checkState(processor, ORDER_ID, State.Refunding)
+
+        const clientBalance1 = new BigNumber(web3.eth.getBalance(ORIGIN))
+        await processor.withdrawRefund(ORDER_ID, { from: UNKNOWN })
+        const clientBalance2 = new BigNumber(web3.eth.getBalance(ORIGIN))
+        clientBalance2.minus(clientBalance1).should.bignumber.equal(refundAmount)
+
+        await checkState(processor, ORDER_ID, State.Refunded)
+    })
+
+    it('should process partial token payment correctly', async () => {
+        const refundAmount = 200
+        const settledAmount = PRICE - refundAmount
+        const settledFee = FEE * settledAmount / PRICE
+
+        const created = await setupNewWithOrder()
+        const processor = created.processor
+        await processor.addOrder(ORDER_ID2, PRICE, ACCEPTOR, ORIGIN, FEE, token.address, VOUCHERS_APPLY, { from: PROCESSOR })
+        await token.mint(ACCEPTOR, PRICE)
+        await token.approve(processor.address, PRICE, { from: ACCEPTOR })
+        await processor.secureTokenPay(ORDER_ID2, { from: ACCEPTOR })
+
+        const vaultBalance1 = await token.balanceOf(VAULT)
+        const fundBalance1 = await token.balanceOf(FUND_ADDRESS)
+
+        await processor.processPartialPayment(ORDER_ID2, refundAmount, 1, 1, 0x1234, "partially shipped", { from: PROCESSOR })
+
+        const vaultBalance2 = await token.balanceOf(VAULT)
+        const fundBalance2 = await token.balanceOf(FUND_ADDRESS)
+        vaultBalance2.minus(vaultBalance1).should.bignumber.equal(settledFee)
+        fundBalance2.minus(fundBalance1).should.bignumber.equal(settledAmount - settledFee)
+
+        const clientBalance1 = await token.balanceOf(ORIGIN)
+        await processor.withdrawTokenRefund(ORDER_ID2, { from: UNKNOWN })
+        const clientBalance2 = await token.balanceOf(ORIGIN)
+        clientBalance2.minus(clientBalance1).should.bignumber.equal(refundAmount)
+
+        await checkState(processor, ORDER_ID2, State.Refunded)
+    })
+
+    it('should not process partial payment when refund amount is not less than price', async () => {
+        const created = await setupNewWithOrder()
+        await created.processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+
+        await created.processor.processPartialPayment(ORDER_ID, PRICE, 1, 1, 0x1234, "partially shipped", { from: PROCESSOR }).should.be.rejectedWith(Revert)
+        await created.processor.processPartialPayment(ORDER_ID, 0, 1, 1, 0x1234, "partially shipped", { from: PROCESSOR }).should.be.rejectedWith(Revert)
+    })
+
+    it('should open dispute by client correctly', async () => {
+        const created = await setupNewWithOrder()
+        await created.processor.setArbiter(ARBITER, { from: OWNER })
+        await created.processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+
+        const tx = await created.processor.openDispute(ORDER_ID, "not delivered", { from: ORIGIN })
+
+        const event = tx.logs.find(e => e.event === "DisputeOpened")
+        event.args.initiator.should.equal(ORIGIN)
+        await checkState(created.processor, ORDER_ID, State.Disputed)
+    })
+
+    it('should open dispute by merchant correctly', async () => {
+        const created = await setupNewWithOrder()
+        await created.processor.setArbiter(ARBITER, { from: OWNER })
+        await created.processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+
+        await created.processor.openDispute(ORDER_ID, "client is not responding", { from: MERCHANT })
+
+        await checkState(created.processor, ORDER_ID, State.Disputed)
+    })
+
+    it('should not open dispute by other accounts or for not paid order', async () => {
+        const created = await setupNewWithOrder()
+        await created.processor.setArbiter(ARBITER, { from: OWNER })
+
+        await created.processor.openDispute(ORDER_ID, "not delivered", { from: ORIGIN }).should.be.rejectedWith(Revert)
+
+        await created.processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+
+        await created.processor.openDispute(ORDER_ID, "not delivered", { from: UNKNOWN }).should.be.rejectedWith(Revert)
+    })
+
+    it('should not open dispute when arbiter is not set', async () => {
+        const created = await setupNewWithOrder()
+        await created.processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+
+        await created.processor.openDispute(ORDER_ID, "not delivered", { from: ORIGIN }).should.be.rejectedWith(Revert)
+    })
+
+    it('should withdraw refund of disputed order after dispute deadline', async () => {
+        const created = await setupNewWithOrder()
+        const processor = created.processor
+        await processor.setArbiter(ARBITER, { from: OWNER })
+        await processor.setDisputePeriod(0, { from: OWNER }).should.be.rejectedWith(Revert)
+        const tx = await processor.setDisputePeriod(1, { from: OWNER })
+        expectEvent.inLogs(tx.logs, 'DisputePeriodChanged', { newDisputePeriod: 1 })
+        await processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+        await processor.openDispute(ORDER_ID, "not delivered", { from: MERCHANT })
+
+        await processor.withdrawExpiredRefund(ORDER_ID, { from: ORIGIN }).should.be.rejectedWith(Revert)
+        await increaseTimeAndMine(2)
+
+        const processorBalance1 = new BigNumber(web3.eth.getBalance(processor.address))
+        await processor.withdrawExpiredRefund(ORDER_ID, { from: ORIGIN })
+        const processorBalance2 = new BigNumber(web3.eth.getBalance(processor.address))
+        processorBalance1.minus(processorBalance2).should.bignumber.equal(PRICE)
+
+        await checkState(processor, ORDER_ID, State.Expired)
+        await processor.resolveDispute(ORDER_ID, 0, 1, 1, 0x1234, "delivered", { from: ARBITER }).should.be.rejectedWith(Revert)
+    })
+
+    it('should not process disputed order', async () => {
+        const created = await setupNewWithOrder()
+        await created.processor.setArbiter(ARBITER, { from: OWNER })
+        await created.processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+        await created.processor.openDispute(ORDER_ID, "not delivered", { from: ORIGIN })
+
+        await created.processor.processPayment(ORDER_ID, 1, 1, 0x1234, { from: PROCESSOR }).should.be.rejectedWith(Revert)
+        await created.processor.refundPayment(ORDER_ID, 1, 1, 0x1234, "refund", { from: PROCESSOR }).should.be.rejectedWith(Revert)
+    })
+
+    it('should not resolve dispute by other accounts', async () => {
+        const created = await setupNewWithOrder()
+        await created.processor.setArbiter(ARBITER, { from: OWNER })
+        await created.processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+        await created.processor.openDispute(ORDER_ID, "not delivered", { from: ORIGIN })
+
+        await created.processor.resolveDispute(ORDER_ID, PRICE, 1, 1, 0x1234, "refund", { from: PROCESSOR }).should.be.rejectedWith(Revert)
+    })
+
+    it('should resolve dispute with full release correctly', async () => {
+        const created = await setupNewWithOrder()
+        const processor = created.processor
+        await processor.setArbiter(ARBITER, { from: OWNER })
+        await processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+        await processor.openDispute(ORDER_ID, "not delivered", { from: ORIGIN })
+
+        const vaultBalance1 = new BigNumber(web3.eth.getBalance(VAULT))
+
+        await processor.resolveDispute(ORDER_ID, 0, 1, 1, 0x1234, "delivered", { from: ARBITER })
+
+        const vaultBalance2 = new BigNumber(web3.eth.getBalance(VAULT))
+        vaultBalance2.minus(vaultBalance1).should.bignumber.equal(FEE)
+
+        await checkState(processor, ORDER_ID, State.Finalized)
+    })
+
+    it('should resolve dispute with full refund correctly', async () => {
+        const created = await setupNewWithOrder()
+        const processor = created.processor
+        await processor.setArbiter(ARBITER, { from: OWNER })
+        await processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+        await processor.openDispute(ORDER_ID, "not delivered", { from: ORIGIN })
+
+        const tx = await processor.resolveDispute(ORDER_ID, PRICE, 1, 1, 0x1234, "not delivered", { from: ARBITER })
+
+        const event = created.history.DealDisputeRuling({}, { fromBlock: tx.receipt.blockNumber, toBlock: tx.receipt.blockNumber })
+        const logs = await new Promise((resolve, reject) => event.get((err, res) => err ? reject(err) : resolve(res)))
+        logs.length.should.equal(1)
+        logs[0].args.releasedAmount.should.bignumber.equal(0)
+        logs[0].args.refundedAmount.should.bignumber.equal(PRICE)
+
+        await checkState(processor, ORDER_ID, State.Refunding)
+
+        const clientBalance1 = new BigNumber(web3.eth.getBalance(ORIGIN))
+        await processor.withdrawRefund(ORDER_ID, { from: UNKNOWN })
+        const clientBalance2 = new BigNumber(web3.eth.getBalance(ORIGIN))
+        clientBalance2.minus(clientBalance1).should.bignumber.equal(PRICE)
+    })
+
+    it('should resolve dispute with split correctly', async () => {
+        const refundAmount = 500
+        const created = await setupNewWithOrder()
+        const processor = created.processor
+        await processor.setArbiter(ARBITER, { from: OWNER })
+        await processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+        await processor.openDispute(ORDER_ID, "partially delivered", { from: ORIGIN })
+
+        await processor.resolveDispute(ORDER_ID, refundAmount, 1, 1, 0x1234, "partially delivered", { from: ARBITER })
+
+        const processorBalance = new BigNumber(web3.eth.getBalance(processor.address))
+        processorBalance.should.bignumber.equal(refundAmount)
+        await checkState(processor, ORDER_ID, State.Refunding)
+    })
+
+    it('should record discount of token payment', async () => {
+        const voucher = await MonethaVoucher.new()
+        const created = await setupNewWithOrder()
+        const processor = created.processor
+        const voucherGateway = await MonethaGateway.new(VAULT, ADMIN, voucher.address)
+        await voucherGateway.setMonethaAddress(processor.address, true, { from: ADMIN })
+        await voucherGateway.setTokenRate(token.address, new BigNumber('1e18'), { from: ADMIN })
+        await processor.setMonethaGateway(voucherGateway.address, { from: OWNER })
+        await voucher.mint(ORIGIN, 10)
+
+        await processor.addOrder(ORDER_ID2, PRICE, ACCEPTOR, ORIGIN, FEE, token.address, 10, { from: PROCESSOR })
+        await token.mint(ACCEPTOR, PRICE)
+        await token.approve(processor.address, PRICE, { from: ACCEPTOR })
+        await processor.secureTokenPay(ORDER_ID2, { from: ACCEPTOR })
+
+        await processor.processPayment(ORDER_ID2, 1, 1, 0x1234, { from: PROCESSOR })
+
+        const order = await processor.orders(ORDER_ID2)
+        new BigNumber(order[7]).should.bignumber.equal(100)
+        await checkState(processor, ORDER_ID2, State.Finalized)
+    })
+
+    it('should set order payees correctly', async () => {
+        const created = await setupNewWithOrder()
+
+        await created.processor.setOrderPayees(ORDER_ID, [MERCHANT, FUND_ADDRESS], [1, 3], { from: PROCESSOR })
+
+        const payees = await created.processor.getOrderPayees(ORDER_ID)
+        payees[0].should.deep.equal([MERCHANT, FUND_ADDRESS])
+        payees[1][1].should.bignumber.equal(3)
+    })
+
+    it('should not set order payees by other accounts or for paid order', async () => {
+        const created = await setupNewWithOrder()
+
+        await created.processor.setOrderPayees(ORDER_ID, [MERCHANT], [1], { from: UNKNOWN }).should.be.rejectedWith(Revert)
+
+        await created.processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+
+        await created.processor.setOrderPayees(ORDER_ID, [MERCHANT], [1], { from: PROCESSOR }).should.be.rejectedWith(Revert)
+    })
+
+    it('should process payment to payees correctly', async () => {
+        const created = await setupNewWithOrder()
+        const processor = created.processor
+        await processor.setOrderPayees(ORDER_ID, [MERCHANT, FUND_ADDRESS], [1, 1], { from: PROCESSOR })
+        await processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+
+        const merchantBalance1 = new BigNumber(web3.eth.getBalance(MERCHANT))
+        const fundBalance1 = new BigNumber(web3.eth.getBalance(FUND_ADDRESS))
+
+        await processor.processPayment(ORDER_ID, 1, 1, 0x1234, { from: PROCESSOR })
+
+        const merchantBalance2 = new BigNumber(web3.eth.getBalance(MERCHANT))
+        const fundBalance2 = new BigNumber(web3.eth.getBalance(FUND_ADDRESS))
+        merchantBalance2.minus(merchantBalance1).should.bignumber.equal(492)
+        fundBalance2.minus(fundBalance1).should.bignumber.equal(493)
+
+        await checkState(processor, ORDER_ID, State.Finalized)
+    })
+
+    it('should process token payment to payees correctly', async () => {
+        const created = await setupNewWithOrder()
+        const processor = created.processor
+        await processor.addOrder(ORDER_ID2, PRICE, ACCEPTOR, ORIGIN, FEE, token.address, VOUCHERS_APPLY, { from: PROCESSOR })
+        await processor.setOrderPayees(ORDER_ID2, [MERCHANT, FUND_ADDRESS], [1, 4], { from: PROCESSOR })
+        await token.mint(ACCEPTOR, PRICE)
+        await token.approve(processor.address, PRICE, { from: ACCEPTOR })
+        await processor.secureTokenPay(ORDER_ID2, { from: ACCEPTOR })
+
+        const merchantBalance1 = await token.balanceOf(MERCHANT)
+        const fundBalance1 = await token.balanceOf(FUND_ADDRESS)
+
+        await processor.processPayment(ORDER_ID2, 1, 1, 0x1234, { from: PROCESSOR })
+
+        const merchantBalance2 = await token.balanceOf(MERCHANT)
+        const fundBalance2 = await token.balanceOf(FUND_ADDRESS)
+        merchantBalance2.minus(merchantBalance1).should.bignumber.equal(197)
+        fundBalance2.minus(fundBalance1).should.bignumber.equal(788)
+    })
+
+    it('should validate fee according to fee schedule of the merchant', async () => {
+        const created = await setupNewWithOrder()
+        const processor = created.processor
+        const feeSchedule = await MonethaFeeSchedule.new(15, 2)
+        await feeSchedule.setMonethaAddress(OWNER, true, { from: OWNER })
+        const merchantIdHash = await processor.merchantIdHash()
+        await feeSchedule.setFeeSchedule(merchantIdHash, TOKEN_ADDRESS, 20, 30, 0, { from: OWNER })
+
+        const setTx = await processor.setMonethaFeeSchedule(feeSchedule.address, { from: OWNER })
+        expectEvent.inLogs(setTx.logs, 'MonethaFeeScheduleSet', { monethaFeeSchedule: feeSchedule.address })
+        await created.gateway.setMonethaFeeSchedule(feeSchedule.address, { from: OWNER })
+
+        await processor.addOrder(ORDER_ID2, PRICE, ACCEPTOR, ORIGIN, 31, TOKEN_ADDRESS, VOUCHERS_APPLY, { from: PROCESSOR }).should.be.rejectedWith(Revert)
+        // fee must not be less than min. fee of the schedule
+        await processor.addOrder(ORDER_ID2, PRICE, ACCEPTOR, ORIGIN, 29, TOKEN_ADDRESS, VOUCHERS_APPLY, { from: PROCESSOR }).should.be.rejectedWith(Revert)
+        await processor.addOrder(ORDER_ID2, PRICE, ACCEPTOR, ORIGIN, 30, TOKEN_ADDRESS, VOUCHERS_APPLY, { from: PROCESSOR })
+        await processor.securePay(ORDER_ID2, { from: ACCEPTOR, value: PRICE })
+
+        const vaultBalance1 = new BigNumber(web3.eth.getBalance(VAULT))
+
+        await processor.processPayment(ORDER_ID2, 1, 1, 0x1234, { from: PROCESSOR })
+
+        const vaultBalance2 = new BigNumber(web3.eth.getBalance(VAULT))
+        vaultBalance2.minus(vaultBalance1).should.bignumber.equal(30)
+    })
+
+    it('should process paid order after change of fee schedule', async () => {
+        const created = await setupNewWithOrder()
+        const processor = created.processor
+        const feeSchedule = await MonethaFeeSchedule.new(20, 2)
+        await feeSchedule.setMonethaAddress(OWNER, true, { from: OWNER })
+        await processor.setMonethaFeeSchedule(feeSchedule.address, { from: OWNER })
+        await created.gateway.setMonethaFeeSchedule(feeSchedule.address, { from: OWNER })
+
+        await processor.addOrder(ORDER_ID2, PRICE, ACCEPTOR, ORIGIN, 20, TOKEN_ADDRESS, VOUCHERS_APPLY, { from: PROCESSOR })
+        await processor.securePay(ORDER_ID2, { from: ACCEPTOR, value: PRICE })
+
+        // fee is validated once, against fee schedule in force when the order was created
+        await feeSchedule.setFeeSchedule(0x0, TOKEN_ADDRESS, 10, 0, 2, { from: OWNER })
+        await processor.addOrder(ORDER_ID3, PRICE, ACCEPTOR, ORIGIN, 20, TOKEN_ADDRESS, VOUCHERS_APPLY, { from: PROCESSOR }).should.be.rejectedWith(Revert)
+
+        const vaultBalance1 = new BigNumber(web3.eth.getBalance(VAULT))
+        await processor.processPayment(ORDER_ID2, 1, 1, 0x1234, { from: PROCESSOR })
+        await checkState(processor, ORDER_ID2, State.Finalized)
+        const vaultBalance2 = new BigNumber(web3.eth.getBalance(VAULT))
+        vaultBalance2.minus(vaultBalance1).should.bignumber.equal(20)
+    })
+
     async function checkState(processor, orderID, expected) {
         const order = await processor.orders(orderID)
         new BigNumber(order[0]).should.bignumber.equal(expected)
@@ -302,7 +734,237 @@ contract('PaymentProcessor', function (accounts) {
     }
 
 
+    it('should log order lifecycle events', async () => {
+        const contracts = await setupNewWithOrder()
+
+        const created = await new Promise((resolve, reject) => {
+            contracts.processor.OrderCreated({}, { fromBlock: 0, toBlock: 'latest' }).get((err, res) => err ? reject(err) : resolve(res))
+        })
+        created.length.should.equal(1)
+        created[0].args.orderId.should.be.bignumber.equal(ORDER_ID)
+        created[0].args.originAddress.should.equal(ORIGIN)
+        created[0].args.paymentAcceptor.should.equal(ACCEPTOR)
+        created[0].args.price.should.be.bignumber.equal(PRICE)
+        created[0].args.fee.should.be.bignumber.equal(FEE)
+
+        let tx = await contracts.processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+        expectEvent.inLogs(tx.logs, 'OrderStateChanged', { previousState: State.Created, newState: State.Paid })
+
+        tx = await contracts.processor.processPayment(ORDER_ID, 1234, 1234, 0, { from: PROCESSOR })
+        expectEvent.inLogs(tx.logs, 'OrderStateChanged', { previousState: State.Paid, newState: State.Finalized })
+    })
+
+    it('should pay for signed order correctly', async () => {
+        const contracts = await setupNew()
+        const expiry = web3.eth.getBlock(web3.eth.blockNumber).timestamp + 3600
+        const order = { orderId: ORDER_ID, price: PRICE, fee: FEE, token: TOKEN_ADDRESS, vouchersApply: VOUCHERS_APPLY, expiry }
+        const signature = await SignedOrder.signOrder(web3, PROCESSOR, contracts.processor.address, order)
+
+        const tx = await contracts.processor.payForSignedOrder(ORDER_ID, PRICE, FEE, TOKEN_ADDRESS, VOUCHERS_APPLY, expiry, signature, { from: CLIENT, value: PRICE })
+        expectEvent.inLogs(tx.logs, 'OrderCreated', { originAddress: CLIENT, paymentAcceptor: CLIENT })
+        tx.logs.filter(log => log.event === 'OrderStateChanged').map(log => log.args.newState.toNumber())
+            .should.deep.equal([State.Created, State.Paid])
+
+        const res = await contracts.processor.orders(ORDER_ID)
+        res[0].should.be.bignumber.equal(State.Paid)
+        res[1].should.be.bignumber.equal(PRICE)
+        res[2].should.be.bignumber.equal(FEE)
+        res[4].should.equal(CLIENT)
+        new BigNumber(web3.eth.getBalance(contracts.processor.address)).should.be.bignumber.equal(PRICE)
+    })
+
+    it('should pay for signed order in tokens correctly', async () => {
+        const contracts = await setupNew()
+        const expiry = web3.eth.getBlock(web3.eth.blockNumber).timestamp + 3600
+        const order = { orderId: ORDER_ID, price: PRICE, fee: FEE, token: token.address, vouchersApply: VOUCHERS_APPLY, expiry }
+        const signature = await SignedOrder.signOrder(web3, PROCESSOR, contracts.processor.address, order)
+
+        await token.mint(CLIENT, PRICE)
+        await token.approve(contracts.processor.address, PRICE, { from: CLIENT })
+        await contracts.processor.payForSignedOrder(ORDER_ID, PRICE, FEE, token.address, VOUCHERS_APPLY, expiry, signature, { from: CLIENT })
+
+        await checkState(contracts.processor, ORDER_ID, State.Paid)
+        const balance = await token.balanceOf(contracts.processor.address)
+        balance.should.be.bignumber.equal(PRICE)
+    })
+
+    it('should not pay for signed order when signature is invalid or expired', async () => {
+        const contracts = await setupNew()
+        const expiry = web3.eth.getBlock(web3.eth.blockNumber).timestamp + 3600
+        const order = { orderId: ORDER_ID, price: PRICE, fee: FEE, token: TOKEN_ADDRESS, vouchersApply: VOUCHERS_APPLY, expiry }
+        const signature = await SignedOrder.signOrder(web3, PROCESSOR, contracts.processor.address, order)
+        const unknownSignature = await SignedOrder.signOrder(web3, UNKNOWN, contracts.processor.address, order)
+
+        await contracts.processor.payForSignedOrder(ORDER_ID, PRICE - 1, FEE, TOKEN_ADDRESS, VOUCHERS_APPLY, expiry, signature, { from: CLIENT, value: PRICE - 1 })
+            .should.be.rejectedWith(Revert)
+        await contracts.processor.payForSignedOrder(ORDER_ID, PRICE, FEE, TOKEN_ADDRESS, VOUCHERS_APPLY, expiry, unknownSignature, { from: CLIENT, value: PRICE })
+            .should.be.rejectedWith(Revert)
+
+        await increaseTimeAndMine(3601)
+
+        await contracts.processor.payForSignedOrder(ORDER_ID, PRICE, FEE, TOKEN_ADDRESS, VOUCHERS_APPLY, expiry, signature, { from: CLIENT, value: PRICE })
+            .should.be.rejectedWith(Revert)
+    })
+
+    it('should keep paying to old fund address until fund address change is confirmed', async () => {
+        const created = await setupNewWithOrder()
+        await created.wallet.proposeFundAddress(UNKNOWN, { from: MERCHANT })
+        await created.processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+
+        const fundBalance1 = new BigNumber(web3.eth.getBalance(FUND_ADDRESS))
+        await created.processor.processPayment(ORDER_ID, 1234, 1234, 0, { from: PROCESSOR })
+        const fundBalance2 = new BigNumber(web3.eth.getBalance(FUND_ADDRESS))
+
+        fundBalance2.minus(fundBalance1).should.bignumber.equal(PRICE - FEE)
+
+        await increaseTimeAndMine((await created.wallet.fundAddressChangeDelay()).toNumber())
+        await created.wallet.confirmFundAddress({ from: MERCHANT })
+
+        await created.processor.addOrder(ORDER_ID2, PRICE, ACCEPTOR, ORIGIN, FEE, TOKEN_ADDRESS, VOUCHERS_APPLY, { from: PROCESSOR })
+        await created.processor.securePay(ORDER_ID2, { from: ACCEPTOR, value: PRICE })
+
+        const newFundBalance1 = new BigNumber(web3.eth.getBalance(UNKNOWN))
+        await created.processor.processPayment(ORDER_ID2, 1234, 1234, 0, { from: PROCESSOR })
+        const newFundBalance2 = new BigNumber(web3.eth.getBalance(UNKNOWN))
+
+        newFundBalance2.minus(newFundBalance1).should.bignumber.equal(PRICE - FEE)
+    })
+
+    it('should update client reputation on process, cancel and refund', async () => {
+        const created = await setupNewWithOrder()
+        const registry = await ClientReputation.new()
+        await registry.setMonethaAddress(created.processor.address, true)
+
+        await created.processor.setClientReputation(registry.address, { from: UNKNOWN }).should.be.rejectedWith(Revert)
+        const setTx = await created.processor.setClientReputation(registry.address)
+        expectEvent.inLogs(setTx.logs, 'ClientReputationChanged', { newClientReputation: registry.address })
+
+        await created.processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+        await created.processor.processPayment(ORDER_ID, 10, 1234, 0, { from: PROCESSOR })
+
+        await created.processor.addOrder(ORDER_ID2, PRICE, ACCEPTOR, ORIGIN, FEE, TOKEN_ADDRESS, VOUCHERS_APPLY, { from: PROCESSOR })
+        await created.processor.cancelOrder(ORDER_ID2, 20, 1234, 0, "cancel from test", { from: PROCESSOR })
+
+        const orderId3 = 3000
+        await created.processor.addOrder(orderId3, PRICE, ACCEPTOR, ORIGIN, FEE, TOKEN_ADDRESS, VOUCHERS_APPLY, { from: PROCESSOR })
+        await created.processor.securePay(orderId3, { from: ACCEPTOR, value: PRICE })
+        await created.processor.refundPayment(orderId3, 30, 1234, 0, "refund from test", { from: PROCESSOR })
+
+        const total = await registry.compositeReputation(ORIGIN, "total")
+        total.should.be.bignumber.equal(30)
+        const length = await registry.reputationHistoryLength(ORIGIN)
+        length.should.be.bignumber.equal(3)
+
+        const change = await registry.reputationHistory(ORIGIN, 0)
+        change[1].should.be.bignumber.equal(10)
+        change[2].should.equal(created.processor.address)
+    })
+
+    it('should not add order in unsupported tokens', async () => {
+        const created = await setupNew()
+        const supportedTokens = await MonethaSupportedTokens.new()
+        await supportedTokens.setMonethaAddress(OWNER, true)
+
+        await created.processor.setSupportedTokens(supportedTokens.address, { from: UNKNOWN }).should.be.rejectedWith(Revert)
+        const setTx = await created.processor.setSupportedTokens(supportedTokens.address)
+        expectEvent.inLogs(setTx.logs, 'SupportedTokensChanged', { newSupportedTokens: supportedTokens.address })
+
+        await created.processor.addOrder(ORDER_ID, PRICE, ACCEPTOR, ORIGIN, FEE, token.address, VOUCHERS_APPLY, { from: PROCESSOR })
+            .should.be.rejectedWith(Revert)
+
+        await supportedTokens.addToken("ABC", token.address, 18, PRICE + 1, 0)
+        await created.processor.addOrder(ORDER_ID, PRICE, ACCEPTOR, ORIGIN, FEE, token.address, VOUCHERS_APPLY, { from: PROCESSOR })
+            .should.be.rejectedWith(Revert)
+
+        await supportedTokens.updateToken(token.address, true, PRICE, 0)
+        await created.processor.addOrder(ORDER_ID, PRICE, ACCEPTOR, ORIGIN, FEE, token.address, VOUCHERS_APPLY, { from: PROCESSOR })
+        await created.processor.addOrder(ORDER_ID2, PRICE, ACCEPTOR, ORIGIN, FEE, TOKEN_ADDRESS, VOUCHERS_APPLY, { from: PROCESSOR })
+
+        await supportedTokens.updateToken(token.address, false, PRICE, 0)
+        await created.processor.addOrder(ORDER_ID3, PRICE, ACCEPTOR, ORIGIN, FEE, token.address, VOUCHERS_APPLY, { from: PROCESSOR })
+            .should.be.rejectedWith(Revert)
+
+        await created.processor.setSupportedTokens(0x0)
+        await created.processor.addOrder(ORDER_ID3, PRICE, ACCEPTOR, ORIGIN, FEE, token.address, VOUCHERS_APPLY, { from: PROCESSOR })
+    })
+
+    it('should process group of payments with one gateway call', async () => {
+        const created = await setupNewWithOrder()
+        const processor = created.processor
+        await processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+        await processor.addOrder(ORDER_ID2, PRICE, ACCEPTOR, ORIGIN, 10, TOKEN_ADDRESS, VOUCHERS_APPLY, { from: PROCESSOR })
+        await processor.securePay(ORDER_ID2, { from: ACCEPTOR, value: PRICE })
+
+        const fundBalance1 = new BigNumber(web3.eth.getBalance(FUND_ADDRESS))
+        const tx = await processor.processPaymentGroup([ORDER_ID, ORDER_ID2], [1, 2], [3, 4], [0x12, 0x34], TOKEN_ADDRESS, { from: PROCESSOR })
+
+        const payments = tx.receipt.logs.filter(log => log.topics[0] === web3.sha3("PaymentProcessedEther(address,uint256,uint256)"))
+        payments.length.should.equal(1)
+        await checkState(processor, ORDER_ID, State.Finalized)
+        await checkState(processor, ORDER_ID2, State.Finalized)
+
+        const fundBalance2 = new BigNumber(web3.eth.getBalance(FUND_ADDRESS))
+        fundBalance2.minus(fundBalance1).should.be.bignumber.equal(2 * PRICE - FEE - 10)
+        const merchantReputation = await created.wallet.compositeReputation("total")
+        merchantReputation.should.be.bignumber.equal(4)
+    })
+
+    it('should not process group with orders, which are not paid, in other token or not groupable', async () => {
+        const created = await setupNewWithOrder()
+        const processor = created.processor
+        await processor.securePay(ORDER_ID, { from: ACCEPTOR, value: PRICE })
+        await processor.addOrder(ORDER_ID2, PRICE, ACCEPTOR, ORIGIN, FEE, TOKEN_ADDRESS, VOUCHERS_APPLY, { from: PROCESSOR })
+        await processor.setOrderPayees(ORDER_ID2, [MERCHANT], [1], { from: PROCESSOR })
+
+        await processor.processPaymentGroup([ORDER_ID, ORDER_ID2], [1, 1], [1, 1], [0, 0], TOKEN_ADDRESS, { from: PROCESSOR })
+            .should.be.rejectedWith(Revert)
+
+        await processor.securePay(ORDER_ID2, { from: ACCEPTOR, value: PRICE })
+        await processor.processPaymentGroup([ORDER_ID, ORDER_ID2], [1, 1], [1, 1], [0, 0], TOKEN_ADDRESS, { from: PROCESSOR })
+            .should.be.rejectedWith(Revert)
+        await processor.processPaymentGroup([ORDER_ID], [1], [1], [0], token.address, { from: PROCESSOR })
+            .should.be.rejectedWith(Revert)
+        await processor.processPaymentGroup([ORDER_ID], [1], [1, 1], [0], TOKEN_ADDRESS, { from: PROCESSOR })
+            .should.be.rejectedWith(Revert)
+        await processor.processPaymentGroup([ORDER_ID], [1], [1], [0], TOKEN_ADDRESS, { from: UNKNOWN })
+            .should.be.rejectedWith(Revert)
+
+        await checkState(processor, ORDER_ID, State.Paid)
+        await checkState(processor, ORDER_ID2, State.Paid)
+    })
+
+    it('should not group orders with vouchers or payback', async () => {
+        const voucher = await MonethaVoucher.new()
+        const created = await setupNewWithOrder()
+        const processor = created.processor
+        await processor.addOrder(ORDER_ID2, PRICE, ACCEPTOR, ORIGIN, FEE, TOKEN_ADDRESS, 10, { from: PROCESSOR })
+
+        // vouchers are not used without voucher contract of the gateway
+        await checkGroupable(processor, [true, true])
+
+        const voucherGateway = await MonethaGateway.new(VAULT, ADMIN, voucher.address)
+        await processor.setMonethaGateway(voucherGateway.address, { from: OWNER })
+        await checkGroupable(processor, [false, false])
+
+        const feeSchedule = await MonethaFeeSchedule.new(FEE, 0)
+        await processor.setMonethaFeeSchedule(feeSchedule.address, { from: OWNER })
+        await checkGroupable(processor, [true, false])
+    })
+
+    async function checkGroupable(processor, expected) {
+        const groupable = [await processor.isGroupable(ORDER_ID), await processor.isGroupable(ORDER_ID2)]
+        groupable.should.deep.equal(expected)
+    }
+
     async function setupNewWithOrder(_merchantId) {
+        const contracts = await setupNew(_merchantId)
+
+        await contracts.processor.addOrder(ORDER_ID, PRICE, ACCEPTOR, ORIGIN, FEE, TOKEN_ADDRESS, VOUCHERS_APPLY, { from: PROCESSOR })
+
+        return contracts
+    }
+
+    async function setupNew(_merchantId) {
         merchantId = _merchantId || "merchantId";
         let gateway = await MonethaGateway.new(VAULT, ADMIN, MONETHA_VOUCHER_CONTRACT)
         let wallet = await MerchantWallet.new(MERCHANT, merchantId, FUND_ADDRESS)
@@ -320,9 +982,7 @@ contract('PaymentProcessor', function (accounts) {
         await wallet.setMonethaAddress(processor.address, true)
         await history.setMonethaAddress(processor.address, true)
 
-        await processor.addOrder(ORDER_ID, PRICE, ACCEPTOR, ORIGIN, FEE, TOKEN_ADDRESS, VOUCHERS_APPLY, { from: PROCESSOR })
-
-        return { processor, wallet }
+        return { processor, wallet, history, gateway }
     }
 
     function randomReputation() {
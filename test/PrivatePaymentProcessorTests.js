@@ -1,9 +1,13 @@
 import Revert from "./helpers/VMExceptionRevert";
 const {BigNumber} = require('./helpers/setup');
+const expectEvent = require('./helpers/expectEvent');
 const PrivatePaymentProcessor = artifacts.require("PrivatePaymentProcessor")
 const MonethaGateway = artifacts.require("MonethaGateway")
 const MerchantWallet = artifacts.require("MerchantWallet")
 const Token = artifacts.require("ERC20Mintable")
+const MonethaFeeSchedule = artifacts.require("MonethaFeeSchedule")
+const MonethaSupportedTokens = artifacts.require("MonethaSupportedTokens")
+const MonethaVoucher = artifacts.require("MonethaVoucherMock")
 
 contract('PrivatePaymentProcessor', function (accounts) {
 
@@ -120,7 +124,7 @@ contract('PrivatePaymentProcessor', function (accounts) {
         var vaultBalance1 = await token.balanceOf(VAULT)
         vaultBalance1.toNumber()
         
-        await processor.payForOrderInTokens(ORDER_ID, ORIGIN, monethaFee, token.address, PRICE, { from: ACCEPTOR })
+        await processor.payForOrderInTokens(ORDER_ID, ORIGIN, monethaFee, token.address, PRICE, VOUCHERS_APPLY, { from: ACCEPTOR })
         
         var FUND_ADDRESS_BALANCE2 = await token.balanceOf(FUND_ADDRESS)
         FUND_ADDRESS_BALANCE2.toNumber()
@@ -248,4 +252,126 @@ contract('PrivatePaymentProcessor', function (accounts) {
         const monethaFee = FEE
         await processor.payForOrder(0, ORIGIN, monethaFee, VOUCHERS_APPLY, { from: ACCEPTOR, value: PRICE }).should.be.rejected
     })
+
+    it('should pay for order correctly when split among payees', async () => {
+        const PAYEE1 = accounts[3]
+        const PAYEE2 = accounts[4]
+        const monethaFee = FEE
+        const payee1Balance1 = new BigNumber(web3.eth.getBalance(PAYEE1))
+        const payee2Balance1 = new BigNumber(web3.eth.getBalance(PAYEE2))
+
+        await processor.setOrderPayees(ORDER_ID2, [PAYEE1, PAYEE2], [1, 2], { from: ACCEPTOR }).should.be.rejectedWith(Revert)
+        await processor.setOrderPayees(ORDER_ID2, [PAYEE1, PAYEE2], [1, 2], { from: PROCESSOR })
+        await processor.payForOrder(ORDER_ID2, ORIGIN, monethaFee, VOUCHERS_APPLY, { from: ACCEPTOR, value: PRICE }).should.be.rejectedWith(Revert)
+
+        const tx = await processor.payForOrderToPayees(ORDER_ID2, ORIGIN, monethaFee, VOUCHERS_APPLY, { from: ACCEPTOR, value: PRICE })
+
+        const payee1Balance2 = new BigNumber(web3.eth.getBalance(PAYEE1))
+        const payee2Balance2 = new BigNumber(web3.eth.getBalance(PAYEE2))
+
+        // 985 is split as 1:2, rounding remainder goes to the last payee
+        payee1Balance2.minus(payee1Balance1).should.bignumber.equal(328)
+        payee2Balance2.minus(payee2Balance1).should.bignumber.equal(657)
+        tx.logs.find(e => e.event === "OrderPaidInEther").args._price.should.bignumber.equal(PRICE)
+
+        const [payees] = await processor.getOrderPayees(ORDER_ID2)
+        payees.length.should.equal(0)
+        await processor.payForOrderToPayees(ORDER_ID2, ORIGIN, monethaFee, VOUCHERS_APPLY, { from: ACCEPTOR, value: PRICE }).should.be.rejectedWith(Revert)
+    })
+
+    it('should pay for order in tokens correctly when split among payees', async () => {
+        const PAYEE1 = accounts[3]
+        const PAYEE2 = accounts[4]
+        const monethaFee = FEE
+        await token.mint(ACCEPTOR, PRICE)
+        await token.approve(processor.address, PRICE, { from: ACCEPTOR })
+
+        const payee1Balance1 = await token.balanceOf(PAYEE1)
+        const payee2Balance1 = await token.balanceOf(PAYEE2)
+
+        await processor.setOrderPayees(ORDER_ID2, [PAYEE1, PAYEE2], [1, 1], { from: PROCESSOR })
+        await processor.payForOrderInTokens(ORDER_ID2, ORIGIN, monethaFee, token.address, PRICE, VOUCHERS_APPLY, { from: ACCEPTOR }).should.be.rejectedWith(Revert)
+        await processor.payForOrderInTokensToPayees(ORDER_ID2, ORIGIN, monethaFee, token.address, PRICE, VOUCHERS_APPLY, { from: ACCEPTOR })
+
+        const payee1Balance2 = await token.balanceOf(PAYEE1)
+        const payee2Balance2 = await token.balanceOf(PAYEE2)
+
+        payee1Balance2.minus(payee1Balance1).should.bignumber.equal(492)
+        payee2Balance2.minus(payee2Balance1).should.bignumber.equal(493)
+    })
+
+    it('should not set payees when payees and shares do not match', async () => {
+        await processor.setOrderPayees(ORDER_ID2, [accounts[3], accounts[4]], [1], { from: PROCESSOR }).should.be.rejectedWith(Revert)
+    })
+
+    it('should not pay for order to payees, which are not set by Monetha', async () => {
+        await processor.payForOrderToPayees(ORDER_ID2, ORIGIN, FEE, VOUCHERS_APPLY, { from: ACCEPTOR, value: PRICE }).should.be.rejectedWith(Revert)
+    })
+
+    it('should not pay for order when monetha fee is greater than fee of fee schedule', async () => {
+        const feeSchedule = await MonethaFeeSchedule.new(10, 2)
+        const tx = await processor.setMonethaFeeSchedule(feeSchedule.address, { from: OWNER })
+        expectEvent.inLogs(tx.logs, 'MonethaFeeScheduleSet', { monethaFeeSchedule: feeSchedule.address })
+
+        await processor.payForOrder(ORDER_ID2, ORIGIN, 11, VOUCHERS_APPLY, { from: ACCEPTOR, value: PRICE }).should.be.rejectedWith(Revert)
+        await processor.payForOrder(ORDER_ID2, ORIGIN, 10, VOUCHERS_APPLY, { from: ACCEPTOR, value: PRICE }).should.be.fulfilled
+
+        await processor.setMonethaFeeSchedule(ZERO_ADDRESS, { from: OWNER })
+    })
+
+    it('should not pay for order in unsupported tokens', async () => {
+        const supportedTokens = await MonethaSupportedTokens.new()
+        await supportedTokens.setMonethaAddress(OWNER, true)
+        await processor.setSupportedTokens(supportedTokens.address, { from: UNKNOWN }).should.be.rejectedWith(Revert)
+        const setTx = await processor.setSupportedTokens(supportedTokens.address, { from: OWNER })
+        expectEvent.inLogs(setTx.logs, 'SupportedTokensChanged', { _newSupportedTokens: supportedTokens.address })
+
+        await token.mint(ACCEPTOR, PRICE)
+        await token.approve(processor.address, PRICE, { from: ACCEPTOR })
+        await processor.payForOrderInTokens(ORDER_ID2, ORIGIN, FEE, token.address, PRICE, VOUCHERS_APPLY, { from: ACCEPTOR })
+            .should.be.rejectedWith(Revert)
+
+        await supportedTokens.addToken("ABC", token.address, 18, 0, PRICE - 1)
+        await processor.payForOrderInTokens(ORDER_ID2, ORIGIN, FEE, token.address, PRICE, VOUCHERS_APPLY, { from: ACCEPTOR })
+            .should.be.rejectedWith(Revert)
+
+        await supportedTokens.updateToken(token.address, true, 0, PRICE)
+        await processor.payForOrderInTokens(ORDER_ID2, ORIGIN, FEE, token.address, PRICE, VOUCHERS_APPLY, { from: ACCEPTOR })
+            .should.be.fulfilled
+
+        await processor.setSupportedTokens(ZERO_ADDRESS, { from: OWNER })
+    })
+
+    it('should refund token payment less voucher discount', async () => {
+        const orderId = 789
+        const voucher = await MonethaVoucher.new()
+        const voucherGateway = await MonethaGateway.new(VAULT, PROCESSOR, voucher.address)
+        await voucherGateway.setTokenRate(token.address, new BigNumber('1e18'), { from: PROCESSOR })
+        const voucherProcessor = await PrivatePaymentProcessor.new("merchantId", voucherGateway.address, wallet.address)
+        await voucherProcessor.setMonethaAddress(PROCESSOR, true)
+        await voucherGateway.setMonethaAddress(voucherProcessor.address, true, { from: PROCESSOR })
+        await voucher.mint(ORIGIN, 10)
+
+        await token.mint(ACCEPTOR, PRICE)
+        await token.approve(voucherProcessor.address, PRICE, { from: ACCEPTOR })
+        await voucherProcessor.payForOrderInTokens(orderId, ORIGIN, FEE, token.address, PRICE, 10, { from: ACCEPTOR })
+
+        const payment = await voucherProcessor.payments(orderId)
+        payment[0].should.equal(token.address)
+        payment[1].should.be.bignumber.equal(PRICE)
+        payment[2].should.be.bignumber.equal(100)
+
+        await token.mint(PROCESSOR, PRICE)
+        await token.approve(voucherProcessor.address, PRICE, { from: PROCESSOR })
+        await voucherProcessor.refundTokenPayment(orderId, ORIGIN, "refund", PRICE, token.address, { from: PROCESSOR })
+            .should.be.rejectedWith(Revert)
+        await voucherProcessor.refundPayment(orderId, ORIGIN, "refund", { from: PROCESSOR, value: PRICE - 100 })
+            .should.be.rejectedWith(Revert)
+        await voucherProcessor.refundTokenPayment(orderId, ORIGIN, "refund", PRICE - 100, token.address, { from: PROCESSOR })
+
+        const clientBalance1 = await token.balanceOf(ORIGIN)
+        await voucherProcessor.withdrawTokenRefund(orderId, token.address, { from: UNKNOWN })
+        const clientBalance2 = await token.balanceOf(ORIGIN)
+        clientBalance2.minus(clientBalance1).should.be.bignumber.equal(PRICE - 100)
+    })
 })
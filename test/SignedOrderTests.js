@@ -0,0 +1,74 @@
+const {BigNumber} = require('./helpers/setup');
+const SignedOrder = require('../lib/SignedOrder');
+const PaymentProcessor = artifacts.require("PaymentProcessor")
+const MerchantDealsHistory = artifacts.require("MerchantDealsHistory")
+const MonethaGateway = artifacts.require("MonethaGateway")
+const MerchantWallet = artifacts.require("MerchantWallet")
+
+contract('SignedOrder', function (accounts) {
+
+    const MONETHA = accounts[1]
+    const ADMIN = accounts[3]
+    const UNKNOWN = accounts[5]
+    const VAULT = accounts[8]
+    const MERCHANT = accounts[9]
+    const FUND_ADDRESS = accounts[2]
+    const MONETHA_VOUCHER_CONTRACT = "0x0000000000000000000000000000000000000000"
+
+    let processor, web3Processor, order, now
+
+    before(async () => {
+        const gateway = await MonethaGateway.new(VAULT, ADMIN, MONETHA_VOUCHER_CONTRACT)
+        const wallet = await MerchantWallet.new(MERCHANT, "merchantId", FUND_ADDRESS)
+        const history = await MerchantDealsHistory.new("merchantId")
+
+        processor = await PaymentProcessor.new(
+            "merchantId",
+            history.address,
+            gateway.address,
+            wallet.address
+        )
+        await processor.setMonethaAddress(MONETHA, true)
+        web3Processor = web3.eth.contract(PaymentProcessor.abi).at(processor.address)
+
+        now = web3.eth.getBlock(web3.eth.blockNumber).timestamp
+        order = {
+            orderId: 123,
+            price: new BigNumber("1e18"),
+            fee: 15,
+            token: "0x00000000000000000000000000000000000000ff",
+            vouchersApply: 7,
+            expiry: now + 3600
+        }
+    })
+
+    it('should hash order the same way as PaymentProcessor', async () => {
+        const hash = await processor.signedOrderHash(order.orderId, order.price, order.fee, order.token, order.vouchersApply, order.expiry)
+
+        SignedOrder.hashOrder(web3, processor.address, order).should.equal(hash)
+    })
+
+    it('should sign order, which is recoverable by PaymentProcessor', async () => {
+        const signature = await SignedOrder.signOrder(web3, MONETHA, processor.address, order)
+
+        const signer = await processor.signedOrderSigner(order.orderId, order.price, order.fee, order.token, order.vouchersApply, order.expiry, signature)
+        signer.should.equal(MONETHA)
+    })
+
+    it('should verify order signed by Monetha address only', async () => {
+        const signature = await SignedOrder.signOrder(web3, MONETHA, processor.address, order)
+        const unknownSignature = await SignedOrder.signOrder(web3, UNKNOWN, processor.address, order)
+
+        const res = await SignedOrder.verifyOrder(web3Processor, order, signature, now)
+        res.should.be.true
+
+        const resUnknown = await SignedOrder.verifyOrder(web3Processor, order, unknownSignature, now)
+        resUnknown.should.be.false
+
+        const resTampered = await SignedOrder.verifyOrder(web3Processor, Object.assign({}, order, { price: 1 }), signature, now)
+        resTampered.should.be.false
+
+        const resExpired = await SignedOrder.verifyOrder(web3Processor, order, signature, order.expiry + 1)
+        resExpired.should.be.false
+    })
+})
@@ -0,0 +1,190 @@
+import Revert from "./helpers/VMExceptionRevert";
+import increaseTimeAndMine from "./helpers/increaseTime";
+const {BigNumber} = require('./helpers/setup');
+const expectEvent = require('./helpers/expectEvent');
+const SubscriptionProcessor = artifacts.require("SubscriptionProcessor")
+const MonethaGateway = artifacts.require("MonethaGateway")
+const MerchantWallet = artifacts.require("MerchantWallet")
+const Token = artifacts.require("ERC20Mintable")
+const MonethaFeeSchedule = artifacts.require("MonethaFeeSchedule")
+
+contract('SubscriptionProcessor', function (accounts) {
+
+    const OWNER = accounts[0]
+    const PROCESSOR = accounts[1]
+    const CLIENT = accounts[2]
+    const FUND_ADDRESS = accounts[3]
+    const ADMIN = accounts[4]
+    const UNKNOWN = accounts[5]
+    const VAULT = accounts[8]
+    const MERCHANT = accounts[9]
+
+    const AMOUNT = 1000
+    const FEE = 15
+    const PERIOD = 30 * 24 * 60 * 60
+    const ETHER_PLAN = 1
+    const TOKEN_PLAN = 2
+    const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000"
+    const MONETHA_VOUCHER_CONTRACT = "0x0000000000000000000000000000000000000000"
+
+    let processor, gateway, wallet, token
+
+    before(async () => {
+        gateway = await MonethaGateway.new(VAULT, ADMIN, MONETHA_VOUCHER_CONTRACT)
+        wallet = await MerchantWallet.new(MERCHANT, "merchantId", FUND_ADDRESS)
+
+        processor = await SubscriptionProcessor.new(
+            "merchantId",
+            gateway.address,
+            wallet.address
+        )
+
+        await processor.setMonethaAddress(PROCESSOR, true)
+        await gateway.setMonethaAddress(processor.address, true, { from: ADMIN })
+
+        token = await Token.new()
+        await token.mint(CLIENT, AMOUNT * 10)
+    })
+
+    it('should set plans by Monetha or merchant only', async () => {
+        const tx = await processor.setPlan(ETHER_PLAN, ZERO_ADDRESS, AMOUNT, PERIOD, FEE, true, { from: PROCESSOR })
+        expectEvent.inLogs(tx.logs, 'PlanSet', { planId: ETHER_PLAN, amount: AMOUNT, period: PERIOD, fee: FEE })
+
+        await processor.setPlan(TOKEN_PLAN, token.address, AMOUNT, PERIOD, FEE, true, { from: MERCHANT })
+
+        await processor.setPlan(3, ZERO_ADDRESS, AMOUNT, PERIOD, FEE, true, { from: UNKNOWN })
+            .should.be.rejectedWith(Revert)
+
+        const plan = await processor.plans(TOKEN_PLAN)
+        plan[0].should.be.true
+        plan[1].should.equal(token.address)
+        plan[2].should.be.bignumber.equal(AMOUNT)
+        plan[3].should.be.bignumber.equal(PERIOD)
+        plan[4].should.be.bignumber.equal(FEE)
+    })
+
+    it('should charge prefunded ether subscription each due period', async () => {
+        const tx = await processor.subscribe(ETHER_PLAN, { from: CLIENT, value: AMOUNT * 2 })
+        expectEvent.inLogs(tx.logs, 'Subscribed', { subscriptionId: 1, planId: ETHER_PLAN, subscriber: CLIENT })
+
+        const fundBalance = new BigNumber(web3.eth.getBalance(FUND_ADDRESS))
+        const vaultBalance = new BigNumber(web3.eth.getBalance(VAULT))
+
+        await processor.charge(1, { from: PROCESSOR })
+
+        new BigNumber(web3.eth.getBalance(FUND_ADDRESS)).should.be.bignumber.equal(fundBalance.plus(AMOUNT - FEE))
+        new BigNumber(web3.eth.getBalance(VAULT)).should.be.bignumber.equal(vaultBalance.plus(FEE))
+
+        const subscription = await processor.subscriptions(1)
+        subscription[4].should.be.bignumber.equal(AMOUNT)
+
+        await processor.charge(1, { from: PROCESSOR }).should.be.rejectedWith(Revert)
+
+        await increaseTimeAndMine(PERIOD)
+
+        await processor.charge(1, { from: MERCHANT })
+        new BigNumber(web3.eth.getBalance(FUND_ADDRESS)).should.be.bignumber.equal(fundBalance.plus(2 * (AMOUNT - FEE)))
+
+        await increaseTimeAndMine(PERIOD)
+
+        // balance is used up
+        await processor.charge(1, { from: PROCESSOR }).should.be.rejectedWith(Revert)
+
+        await processor.fund(1, { from: CLIENT, value: AMOUNT })
+        await processor.charge(1, { from: PROCESSOR })
+    })
+
+    it('should charge token subscription from allowance', async () => {
+        await processor.subscribe(TOKEN_PLAN, { from: CLIENT })
+        await token.approve(processor.address, AMOUNT, { from: CLIENT })
+
+        await processor.charge(2, { from: UNKNOWN }).should.be.rejectedWith(Revert)
+        await processor.charge(2, { from: PROCESSOR })
+
+        const fundBalance = await token.balanceOf(FUND_ADDRESS)
+        fundBalance.should.be.bignumber.equal(AMOUNT - FEE)
+        const vaultBalance = await token.balanceOf(VAULT)
+        vaultBalance.should.be.bignumber.equal(FEE)
+
+        await increaseTimeAndMine(PERIOD)
+
+        // allowance is used up
+        await processor.charge(2, { from: PROCESSOR }).should.be.rejectedWith(Revert)
+    })
+
+    it('should cancel subscription and refund remaining balance', async () => {
+        await processor.subscribe(ETHER_PLAN, { from: CLIENT, value: AMOUNT })
+
+        await processor.cancel(3, { from: UNKNOWN }).should.be.rejectedWith(Revert)
+
+        const processorBalance = new BigNumber(web3.eth.getBalance(processor.address))
+        const tx = await processor.cancel(3, { from: CLIENT })
+        expectEvent.inLogs(tx.logs, 'SubscriptionCancelled', { subscriptionId: 3, refundedAmount: AMOUNT })
+
+        new BigNumber(web3.eth.getBalance(processor.address)).should.be.bignumber.equal(processorBalance.minus(AMOUNT))
+
+        await processor.charge(3, { from: PROCESSOR }).should.be.rejectedWith(Revert)
+    })
+
+    it('should charge existing subscriptions according to plan terms at subscription', async () => {
+        await processor.subscribe(TOKEN_PLAN, { from: CLIENT })
+        await token.approve(processor.address, AMOUNT * 5, { from: CLIENT })
+
+        await processor.setPlan(TOKEN_PLAN, token.address, AMOUNT * 2, PERIOD, FEE, true, { from: MERCHANT })
+
+        const clientBalance1 = await token.balanceOf(CLIENT)
+        const tx = await processor.charge(4, { from: PROCESSOR })
+        expectEvent.inLogs(tx.logs, 'SubscriptionCharged', { subscriptionId: 4, amount: AMOUNT, monethaFee: FEE })
+        const clientBalance2 = await token.balanceOf(CLIENT)
+        clientBalance1.minus(clientBalance2).should.be.bignumber.equal(AMOUNT)
+
+        await processor.subscribe(TOKEN_PLAN, { from: CLIENT })
+        const subscription = await processor.subscriptions(5)
+        subscription[5].should.equal(token.address)
+        subscription[6].should.be.bignumber.equal(AMOUNT * 2)
+        subscription[7].should.be.bignumber.equal(PERIOD)
+        subscription[8].should.be.bignumber.equal(FEE)
+    })
+
+    it('should not subscribe to inactive plan or prefund token plan', async () => {
+        await processor.setPlan(ETHER_PLAN, ZERO_ADDRESS, AMOUNT, PERIOD, FEE, false, { from: PROCESSOR })
+
+        await processor.subscribe(ETHER_PLAN, { from: CLIENT, value: AMOUNT }).should.be.rejectedWith(Revert)
+        await processor.subscribe(TOKEN_PLAN, { from: CLIENT, value: AMOUNT }).should.be.rejectedWith(Revert)
+    })
+
+    it('should validate plan fee according to fee schedule set by owner', async () => {
+        const feeSchedule = await MonethaFeeSchedule.new(10, 2)
+
+        await processor.setMonethaFeeSchedule(feeSchedule.address, { from: PROCESSOR }).should.be.rejectedWith(Revert)
+        const tx = await processor.setMonethaFeeSchedule(feeSchedule.address, { from: OWNER })
+        expectEvent.inLogs(tx.logs, 'MonethaFeeScheduleSet', { monethaFeeSchedule: feeSchedule.address })
+
+        await processor.setPlan(6, ZERO_ADDRESS, AMOUNT, PERIOD, 11, true, { from: PROCESSOR }).should.be.rejectedWith(Revert)
+        await processor.setPlan(6, ZERO_ADDRESS, AMOUNT, PERIOD, 10, true, { from: PROCESSOR })
+
+        await processor.setMonethaFeeSchedule(ZERO_ADDRESS, { from: OWNER })
+        await processor.setPlan(7, ZERO_ADDRESS, AMOUNT, PERIOD, FEE + 1, true, { from: PROCESSOR }).should.be.rejectedWith(Revert)
+    })
+
+    it('should not charge missed periods in a row', async () => {
+        const planId = 8
+        await processor.setPlan(planId, ZERO_ADDRESS, AMOUNT, PERIOD, FEE, true, { from: PROCESSOR })
+        const tx = await processor.subscribe(planId, { from: CLIENT, value: AMOUNT * 3 })
+        const subscriptionId = tx.logs.find(e => e.event === 'Subscribed').args.subscriptionId
+
+        await processor.charge(subscriptionId, { from: PROCESSOR })
+
+        await increaseTimeAndMine(PERIOD * 2)
+
+        const chargeTx = await processor.charge(subscriptionId, { from: PROCESSOR })
+        const chargedEvent = chargeTx.logs.find(e => e.event === 'SubscriptionCharged')
+        const now = web3.eth.getBlock(chargeTx.receipt.blockNumber).timestamp
+        chargedEvent.args.nextChargeTime.should.be.bignumber.equal(now + PERIOD)
+
+        await processor.charge(subscriptionId, { from: PROCESSOR }).should.be.rejectedWith(Revert)
+
+        const subscription = await processor.subscriptions(subscriptionId)
+        subscription[4].should.be.bignumber.equal(AMOUNT)
+    })
+})
@@ -0,0 +1,23 @@
+import { advanceBlock } from "./advanceToBlock";
+
+export function increaseTime(seconds) {
+  return new Promise((resolve, reject) => {
+    web3.currentProvider.sendAsync(
+      {
+        jsonrpc: "2.0",
+        method: "evm_increaseTime",
+        params: [seconds],
+        id: Date.now()
+      },
+      (err, res) => {
+        return err ? reject(err) : resolve(res);
+      }
+    );
+  });
+}
+
+// Moves the chain time forward by `seconds` and mines a block with the new timestamp.
+export default async function increaseTimeAndMine(seconds) {
+  await increaseTime(seconds);
+  await advanceBlock();
+}
@@ -7,7 +7,7 @@ module.exports = {
       host: "localhost",
       port: 8545,
       network_id: "*", // Match any network id
-      gas: 3600000,
+      gas: 6500000,
       gasPrice: 21
     },
     kovan: {